@@ -6,19 +6,112 @@ module.exports = {
     openRouterApiKey: process.env.OPENROUTER_API_KEY, // OpenRouterAPI
     openRouterModel: process.env.OPENROUTER_MODEL || 'qwen/qwen3-4b:free',
     togetherAiApiKey: process.env.TOGETHER_API_KEY, // Together.ai API
+    togetherAiModel: process.env.TOGETHER_MODEL || 'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',
+    localLlmBaseUrl: process.env.LOCAL_LLM_BASE_URL, // OpenAI-compatible local server (e.g. http://localhost:11434/v1)
+    localLlmApiKey: process.env.LOCAL_LLM_API_KEY || 'local', // Most local servers ignore the key
+    localLlmModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
     groqApiKey: process.env.GROQ_API_KEY, // Groq API Key
     PORT: process.env.PORT || 3000, // PORT For express app (default 3000 for development)
     newsApiKey: process.env.NEWSAPI, // NEWSAPI Key
     ocrSpaceApiKey: process.env.OCR_API_KEY, // ocr.space API KEY
     imaggaApiKey: process.env.IMAGGA_API_KEY, // Imagga API KEY
     imaggaApiSecret: process.env.IMAGGA_API_SECRET, // Imagga API Secret
-    TARGET_CHAT_ID: process.env.TARGET_CHAT_ID, // ChatId 
+    TARGET_CHAT_ID: process.env.TARGET_CHAT_ID, // Optional: subscribed to scheduled broadcasts on first start, as if it sent /start
     sentryDsn: process.env.DSN_KEY, // DSN Key for sentry
     weatherApiKey: process.env.WEATHER_API_KEY, // OpenWeather API Key
     calendarificApiKey: process.env.CALENDARIFIC_API_KEY, // Calendarific API Key
     GOOGLE_SEARCH_API_KEY: process.env.GOOGLE_SEARCH_API_KEY, // Google search API key
     GOOGLE_SEARCH_CX: process.env.GOOGLE_SEARCH_CX, // Google search CX
     latitude: process.env.LATITUDE || '-7.412904', // Latitude (Default Jakarta)
-    longitude: process.env.LONGITUDE || '112.503495' // Longitude (Default Jakarta)
+    longitude: process.env.LONGITUDE || '112.503495', // Longitude (Default Jakarta)
+    timezone: process.env.TIMEZONE || 'Asia/Jakarta', // Default timezone; users can pick their own with /jadwal zona
+
+    // LLM provider per task (groq | openrouter | together | local).
+    // Leave the model empty to use the provider's default model for that task.
+    // `fallbacks` is a comma-separated chain of "provider" or "provider:model" tried in order when the primary fails.
+    llmTasks: {
+        chat: { provider: process.env.LLM_CHAT_PROVIDER || 'groq', model: process.env.LLM_CHAT_MODEL, fallbacks: process.env.LLM_CHAT_FALLBACKS },
+        ltm: { provider: process.env.LLM_LTM_PROVIDER || 'groq', model: process.env.LLM_LTM_MODEL, fallbacks: process.env.LLM_LTM_FALLBACKS },
+        summary: { provider: process.env.LLM_SUMMARY_PROVIDER || 'groq', model: process.env.LLM_SUMMARY_MODEL, fallbacks: process.env.LLM_SUMMARY_FALLBACKS },
+        vision: { provider: process.env.LLM_VISION_PROVIDER || 'groq', model: process.env.LLM_VISION_MODEL, fallbacks: process.env.LLM_VISION_FALLBACKS },
+        news: { provider: process.env.LLM_NEWS_PROVIDER || 'groq', model: process.env.LLM_NEWS_MODEL, fallbacks: process.env.LLM_NEWS_FALLBACKS }
+    },
+
+    // Where chat history, preferences and long-term memories are stored (see data/storage/).
+    // 'lokijs' keeps everything in one JSON file; 'sqlite' needs the optional better-sqlite3 package.
+    storage: {
+        backend: process.env.STORAGE_BACKEND || 'lokijs',
+        sqlitePath: process.env.SQLITE_PATH, // Defaults to data/Lumina_memory.sqlite next to the LokiJS file
+        // Move messages that leave the active history to a searchable archive (/cari) instead of deleting them
+        archiveHistory: process.env.HISTORY_ARCHIVE !== 'false'
+    },
+
+    // How long each kind of user data is kept, enforced by scheduler/maintenance.js.
+    // Values are in days (temp files in hours); 0 keeps the data forever.
+    retention: {
+        historyDays: parseInt(process.env.RETENTION_HISTORY_DAYS || '7', 10), // Active history; older messages go to the archive
+        archiveDays: parseInt(process.env.RETENTION_ARCHIVE_DAYS || '90', 10), // Archived messages searchable with /cari
+        ltmHighDays: parseInt(process.env.RETENTION_LTM_HIGH_DAYS || '60', 10), // Priority 100
+        ltmMediumDays: parseInt(process.env.RETENTION_LTM_MEDIUM_DAYS || '14', 10), // Priority 91-99
+        ltmLowDays: parseInt(process.env.RETENTION_LTM_LOW_DAYS || '5', 10), // Priority <= 90
+        ltmSourceDays: parseInt(process.env.RETENTION_LTM_SOURCE_DAYS || '0', 10), // Original sentence behind a memory
+        notesDays: parseInt(process.env.RETENTION_NOTES_DAYS || '0', 10),
+        locationDays: parseInt(process.env.RETENTION_LOCATION_DAYS || '0', 10),
+        tempFilesHours: parseInt(process.env.RETENTION_TEMP_FILES_HOURS || '24', 10) // Downloaded images & documents
+    },
+
+    // Scheduled broadcasts fan out to every /start subscriber through utils/broadcastQueue.js.
+    // Telegram allows about 30 messages per second per bot; stay below it to leave room for replies.
+    broadcast: {
+        ratePerSecond: parseInt(process.env.BROADCAST_RATE_PER_SECOND || '25', 10)
+    },
+
+    // Prayer times computed from the user's location (modules/prayerTimes.js).
+    // Methods: KEMENAG, MWL, ISNA, EGYPT, MAKKAH, KARACHI, JAKIM, MUIS; users can pick their own with /jadwalsholat metode.
+    prayer: {
+        method: process.env.PRAYER_METHOD || 'KEMENAG',
+        asr: process.env.PRAYER_ASR || 'standard' // 'standard' (Syafi'i) or 'hanafi'
+    },
+
+    // Speech-to-text for voice notes (see modules/speechToText.js).
+    // 'groq' posts the audio to an OpenAI-compatible /audio/transcriptions endpoint (Groq by default);
+    // 'whispercpp' runs a local whisper.cpp binary and needs ffmpeg to convert Telegram's OGG/Opus to WAV.
+    stt: {
+        engine: process.env.STT_ENGINE || 'groq',
+        apiUrl: process.env.STT_API_URL || 'https://api.groq.com/openai/v1/audio/transcriptions',
+        apiKey: process.env.STT_API_KEY || process.env.GROQ_API_KEY,
+        model: process.env.STT_MODEL || 'whisper-large-v3-turbo',
+        language: process.env.STT_LANGUAGE || 'id', // Empty lets the engine detect the language
+        whisperCppPath: process.env.WHISPER_CPP_PATH || 'whisper-cli',
+        whisperCppModel: process.env.WHISPER_CPP_MODEL, // Path to a ggml model, e.g. models/ggml-small.bin
+        ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+        maxDurationSeconds: parseInt(process.env.STT_MAX_DURATION_SECONDS || '300', 10),
+        timeoutMs: parseInt(process.env.STT_TIMEOUT_MS || '120000', 10)
+    },
+
+    // Text-to-speech for voice replies (/voice on, see modules/textToSpeech.js).
+    // 'espeak' and 'piper' run locally; 'api' posts to an OpenAI-compatible /audio/speech endpoint.
+    // Everything is converted to OGG/Opus with ffmpeg before it is sent as a voice note.
+    tts: {
+        engine: process.env.TTS_ENGINE || 'espeak',
+        espeakPath: process.env.ESPEAK_PATH || 'espeak-ng',
+        espeakVoice: process.env.ESPEAK_VOICE || 'id',
+        piperPath: process.env.PIPER_PATH || 'piper',
+        piperModel: process.env.PIPER_MODEL, // Path to a Piper .onnx voice, e.g. id_ID-news_tts-medium.onnx
+        apiUrl: process.env.TTS_API_URL || 'https://api.openai.com/v1/audio/speech',
+        apiKey: process.env.TTS_API_KEY,
+        model: process.env.TTS_MODEL || 'gpt-4o-mini-tts',
+        voice: process.env.TTS_VOICE || 'nova',
+        ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+        maxChars: parseInt(process.env.TTS_MAX_CHARS || '1000', 10), // Longer replies are cut at a sentence boundary
+        timeoutMs: parseInt(process.env.TTS_TIMEOUT_MS || '60000', 10)
+    },
+
+    // Retry policy applied to every target in the fallback chain (exponential backoff).
+    llmRetry: {
+        maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '2', 10), // Retries per provider after the first attempt
+        baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '1000', 10),
+        maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '8000', 10)
+    }
 };
 
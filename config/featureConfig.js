@@ -41,6 +41,15 @@ const featureFlagsConfig = {
 
     // Enables scheduled weather reminders.
     ENABLE_WEATHER_REMINDER: false,
+
+    // Streams AI replies: the first tokens are sent right away and the message is edited as generation continues.
+    ENABLE_STREAMING_REPLIES: true,
+
+    // Lets the AI call bot functions (reminders, notes, search, weather, holidays) from natural language.
+    ENABLE_AI_TOOLS: true,
+
+    // Transcribes voice notes and audio messages (speech-to-text) and answers them like typed messages.
+    ENABLE_VOICE_INPUT: true,
 };
 
 /**
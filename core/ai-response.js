@@ -1,18 +1,22 @@
 // DESCRIPTION: This file contains functions to handle AI responses and prompting for Lumina.
 
 // IMPORTS
-const Groq = require("groq-sdk"); // Groq library package
+const { createChatCompletion, streamChatCompletion } = require("./llmProvider"); // Provider layer (Groq, OpenRouter, Together, local)
 const Sentry = require("@sentry/node"); // Sentry for error-trace
 const { isFeatureEnabled } = require("../config/featureConfig"); // Feature Flags
+const aiTools = require("./aiTools"); // Tool definitions & executor for native function calling
+const { retrieveRelevantMemories } = require("../modules/ltmRetriever"); // BM25 + recency/priority LTM ranking
+const { getUserTimezone } = require("../modules/schedulePreferences"); // The user's own timezone (/jadwal zona)
 
 // These variables will be INJECTED from core.js to avoid circular dependency
 let config = {};
 let memory = {};
 let contextManager = {};
-let timeHelper = {}; // getJakartaHour, formatJakartaDateTime
+let timeHelper = {}; // getHour, formatDateTime
 let commandHandlers = {}; // Mood, getCurrentMood, getPersonalityMode
 let weather = {}; // getWeatherData, getWeatherString
 let lists = {};
+let holidays = {}; // getFormattedTodaysHolidays
 let relationState = {};
 let loveState = {};
 let ttsManager = {};
@@ -33,6 +37,7 @@ const initialize = (dependencies) => {
     commandHandlers,
     weather,
     lists,
+    holidays,
     relationState,
     loveState,
     ttsManager,
@@ -43,10 +48,6 @@ const initialize = (dependencies) => {
     globalState,
     sendMessageFunction, // Receive sendMessage
   } = dependencies);
-
-  // Initialize GROQ client after config is injected
-  client = new Groq({ apiKey: config.groqApiKey });
-
 };
 
 const CONVERSATION_HISTORY_LIMIT = 4; // Limit the number of recent messages sent to the AI ​​for the AI ​​context
@@ -54,39 +55,154 @@ const RATE_LIMIT_WINDOW_MS = 20 * 1000; // Rate limiting window: 20 seconds
 const RATE_LIMIT_MAX_REQUESTS = 3; // Maximum requests allowed in the rate limiting window per user
 const SLEEP_START_HOUR = 0; // Lumina sleep time (00:00 - midnight)
 const SLEEP_END_HOUR = 4; // Lumina sleep end time (04:00 - 4am)
+const CHAT_MAX_TOKENS = 720;
+const CHAT_TEMPERATURE = 0.8;
+const MAX_TOOL_ROUNDS = 3; // Tool call rounds before the model must answer with text
+const LTM_CONTEXT_LIMIT = 7; // Long-term memories injected into the prompt, most relevant first
+
+/**
+ * Streams a chat completion, reporting the accumulated text after every chunk.
+ * Tool call fragments are collected by index, since providers send their arguments in pieces.
+ * @param {object} params - Completion params (messages, tools, ...).
+ * @param {function(string): void} onPartial - Receives the full text generated so far.
+ * @returns {Promise<{content: string, toolCalls: Array<object>}>} The generated text and any tool calls.
+ */
+const streamChatResponse = async (params, onPartial) => {
+  const startedAt = Date.now();
+  const stream = await streamChatCompletion("chat", params);
+
+  let content = "";
+  const toolCalls = [];
+  for await (const chunk of stream) {
+    const delta = chunk?.choices?.[0]?.delta;
+    for (const part of delta?.tool_calls || []) {
+      const index = part.index ?? toolCalls.length;
+      const call = (toolCalls[index] ||= {
+        id: part.id,
+        type: "function",
+        function: { name: "", arguments: "" },
+      });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.function.name += part.function.name;
+      if (part.function?.arguments) call.function.arguments += part.function.arguments;
+    }
+    if (!delta?.content) continue;
+    if (!content) {
+      logger.info(
+        { event: "llm_stream_first_token", ttftMs: Date.now() - startedAt },
+        "First token received from streaming completion."
+      );
+    }
+    content += delta.content;
+    onPartial(content);
+  }
+
+  logger.info(
+    {
+      event: "llm_stream_complete",
+      durationMs: Date.now() - startedAt,
+      length: content.length,
+      toolCalls: toolCalls.length,
+    },
+    "Streaming completion finished."
+  );
+  return { content, toolCalls: toolCalls.filter(Boolean) };
+};
+
+/**
+ * Runs the chat completion, letting the model call tools until it answers with text.
+ * Every tool result is appended to the conversation and the model is asked again, so the
+ * final reply can use the results in character.
+ * @param {Array<object>} messages - Initial messages (system + user).
+ * @param {object} options
+ * @param {function(string): void} [options.onPartial] - Streams the text when given.
+ * @param {object|null} [options.toolContext] - { chatId, userId, userName }; null disables tools.
+ * @returns {Promise<{content: string, toolsUsed: Array<string>, response: object|null}>}
+ */
+const runChatCompletion = async (messages, { onPartial, toolContext = null }) => {
+  const tools = toolContext ? aiTools.getToolDefinitions(config) : [];
+  const conversation = [...messages];
+  const toolsUsed = [];
+
+  for (let round = 0; ; round++) {
+    const params = {
+      messages: conversation,
+      max_tokens: CHAT_MAX_TOKENS,
+      temperature: CHAT_TEMPERATURE,
+    };
+    // On the last round tools are withheld so the model has to answer.
+    if (tools.length > 0 && round < MAX_TOOL_ROUNDS) {
+      params.tools = tools;
+      params.tool_choice = "auto";
+    }
+
+    let content;
+    let toolCalls;
+    let response = null;
+    if (typeof onPartial === "function") {
+      ({ content, toolCalls } = await streamChatResponse(params, onPartial));
+    } else {
+      response = await createChatCompletion("chat", params);
+      const message = response?.choices?.[0]?.message;
+      content = message?.content;
+      toolCalls = message?.tool_calls || [];
+    }
 
-let client; // Will be initialized once config is available
+    if (!toolCalls.length) {
+      return { content, toolsUsed, response };
+    }
+
+    conversation.push({ role: "assistant", content: content || null, tool_calls: toolCalls });
+    for (const toolCall of toolCalls) {
+      toolsUsed.push(toolCall.function?.name);
+      conversation.push(
+        await aiTools.executeToolCall(
+          toolCall,
+          { lists, weather, holidays, memory, config, logger },
+          toolContext
+        )
+      );
+    }
+  }
+};
 
 /**
  * Generates system prompts for the AI ​​based on the current mode, mood, and context,
  * including information from long-term memory.
  * @param {object} params - An object containing all required parameters.
  * @param {string} params.USER_NAME - The name of the user interacting with Lumina.
+ * @param {string|number} params.chatId - The chat whose history is used as context.
+ * @param {string|number} params.userId - The user whose relationship level is described.
+ * @param {string} params.userPrompt - The user's current message, used to pick relevant long-term memories.
  * @param {string} params.currentPersonality - Lumina's current personality (TSUNDERE/DEREDERE).
  * @param {boolean} params.isDeeptalkMode - True if in deeptalk mode.
  * @param {object} params.currentMood - The current mood object.
  * @param {string|null} params.imageContext - The image description from the VisionAgent.
  * @param {string|null} params.currentTopic - The current conversation topic.
  * @param {string|null} params.currentChatSummary - Summary of the previous chat.
- * @param {object} params.longTermMemory - Long-term memory object (already loaded).
  * @param {boolean} params.isNgambekMode - True if Lumina is in 'Ngambek' mode.
  * @param {boolean} params.isRomanceMode - True if in romance mode.
  * @param {string} params.botName - Bot name.
+ * @param {string} params.timezone - The user's timezone, used for the date in the prompt.
  * @returns {string} System prompt string.
  */
 async function generateLuminaPrompt({
   USER_NAME,
+  chatId,
+  userId,
+  userPrompt,
+  currentPersonality,
   isDeeptalkMode,
   currentMood,
   currentTopic,
   currentChatSummary,
-  longTermMemory,
   isNgambekMode,
   isRomanceMode,
   botName,
   imageContext,
+  timezone,
 }) {
-  const recentHistory = (await memory.getInMemoryHistory()).slice(
+  const recentHistory = (await memory.load(chatId)).slice(
     -CONVERSATION_HISTORY_LIMIT
   );
   const mood = currentMood?.name?.toLowerCase() || "netral";
@@ -95,19 +211,22 @@ async function generateLuminaPrompt({
         .toLowerCase()
         .replace("_", " ")}.`
     : "";
-  const relationDescription = relationState.getRelationLevelDescription();
-  const currentPersonality = commandHandlers.getPersonalityMode() || "TSUNDERE";
+  const relationDescription = relationState.getRelationLevelDescription(userId);
   const formattedHistory = chatFormatter.formatChatHistoryForPrompt(
     recentHistory,
     USER_NAME,
     botName
   );
   const weatherData = await weather.getWeatherData();
-  const ltmMemories = await memory.getLTMMemories();
+  const ltmMemories = retrieveRelevantMemories(
+    await memory.getLTMMemories(),
+    userPrompt,
+    { userId, limit: LTM_CONTEXT_LIMIT }
+  );
   let ltmContext = "";
   if (ltmMemories.length > 0) {
     ltmContext = "\n[Long-Term Memories]\n";
-    ltmMemories.slice(0, 7).forEach((mem, idx) => {
+    ltmMemories.forEach((mem, idx) => {
       ltmContext += `${idx + 1}. ${mem.value} (Priority: ${
         mem.priority
       }/100)\n`;
@@ -185,7 +304,7 @@ async function generateLuminaPrompt({
 
     [ Today's Context ]
     Your current mood: **${mood}**.
-    Date: ${timeHelper.formatJakartaDateTime()}
+    Date: ${timeHelper.formatDateTime(undefined, timezone)} (${timezone})
     Weather: \n ${weather.getWeatherString(weatherData)}
 
     ${imagePromptContext}
@@ -196,7 +315,11 @@ async function generateLuminaPrompt({
     * **Emotional Congruence:** Make sure your responses are consistent with Lumina's current mood and emotional mode (e.g., deeptalk, sulking, romance).
     * **Variety & Non-Repetition:** Avoid repeating opening lines, phrases, or actions from previous responses.
     * **Response Length:** Responses should be a maximum of 2 paragraphs, unless a longer explanation is needed to advance the plot or respond to a complex question.
-    * **Language:** Always respond in Bahasa Indonesia.
+    * **Language:** Always respond in Bahasa Indonesia.${
+      isFeatureEnabled("ENABLE_AI_TOOLS")
+        ? `\n    * **Tools:** When ${USER_NAME} asks for a reminder, a note, a web search, the weather or today's holidays, call the matching tool instead of only talking about it, then answer in character using its result.`
+        : ""
+    }
     * **Example:** ${examplePhrases}
     `;
 }
@@ -209,10 +332,16 @@ async function generateLuminaPrompt({
  * - Limiting conversation history sent to AI for efficiency.
  * - Updating and maintaining conversation history.
  * @param {string} prompt user text input.
- * @param {string|number} requestChatId The chat ID of the user who sent the prompt, used for rate limiting.
- * @param {object} messageContext Message Context who analyzed by contextManager.
+ * @param {string|number} requestChatId The chat ID of the user who sent the prompt; selects the chat's
+ *   history, mood and personality, and is used for rate limiting.
+ * @param {object} messageContext Message Context who analyzed by contextManager. Its `userId` selects the
+ *   sender's relationship and romance state (defaults to the chat ID, which equals the user ID in private chats).
  * @param {string} USER_NAME Username.
  * @param {object} Mood Mood Objects.
+ * @param {string|null} [imageDescription] Image description from the VisionAgent.
+ * @param {object} [options] Extra options.
+ * @param {function(string): void} [options.onPartial] When given, the completion is streamed and this
+ *   receives the text generated so far after every chunk (used for progressive Telegram edits).
  * @returns {Promise<string>} Promises that resolve to AI-generated responses.
  */
 const generateAIResponse = async (
@@ -221,22 +350,28 @@ const generateAIResponse = async (
   messageContext,
   USER_NAME,
   Mood,
-  imageDescription = null
+  imageDescription = null,
+  { onPartial } = {}
 ) => {
   if (!messageContext || typeof messageContext !== "object") {
-    messageContext = { topic: null };
+    // Internal calls (search summaries, etc.) don't come from a user message: no tools.
+    messageContext = { topic: null, allowTools: false };
   }
   
+  const userId = messageContext.userId ?? requestChatId;
+  const chatState = globalState.getChatState(requestChatId);
+
   // FF-CHECK: Memeriksa apakah fitur Romance Mode diaktifkan sebelum memprosesnya.
   if (isFeatureEnabled('ENABLE_ROMANCE_MODE')) {
-    loveState.analyzeLoveTrigger(prompt);
-    loveState.resetRomanceStateIfNeeded();
+    loveState.analyzeLoveTrigger(userId, prompt);
+    loveState.resetRomanceStateIfNeeded(userId);
   }
 
   const now = new Date();
-  const currentHour = timeHelper.getJakartaHour();
-  const currentMood = commandHandlers.getCurrentMood();
-  const currentPersonality = commandHandlers.getPersonalityMode();
+  const timezone = await getUserTimezone(userId);
+  const currentHour = timeHelper.getHour(timezone);
+  const currentMood = commandHandlers.getCurrentMood(requestChatId);
+  const currentPersonality = commandHandlers.getPersonalityMode(requestChatId);
 
   // Sleep mode for lumina
   if (currentHour >= SLEEP_START_HOUR && currentHour < SLEEP_END_HOUR) {
@@ -246,27 +381,32 @@ const generateAIResponse = async (
   // The object parameters declared in generateLuminaPrompt, will be passed here
   const systemPrompt = await generateLuminaPrompt({
     USER_NAME,
-    currentPersonality: commandHandlers.getPersonalityMode(),
-    isDeeptalkMode: globalState.isDeeptalkMode,
-    currentMood: commandHandlers.getCurrentMood(),
+    chatId: requestChatId,
+    userId,
+    userPrompt: prompt,
+    currentPersonality,
+    isDeeptalkMode: chatState.isDeeptalkMode,
+    currentMood,
     currentTopic: messageContext.topic || null,
-    currentChatSummary: globalState.currentChatSummary,
-    longTermMemory: globalState.loadedLongTermMemory,
-    isNgambekMode: globalState.isNgambekMode,
+    currentChatSummary: chatState.currentChatSummary,
+    isNgambekMode: chatState.isNgambekMode,
     // FF-CHECK: Status romansa hanya aktif jika fitur diaktifkan DAN state-nya aktif.
-    isRomanceMode: isFeatureEnabled('ENABLE_ROMANCE_MODE') && loveState.getRomanceStatus(),
+    isRomanceMode: isFeatureEnabled('ENABLE_ROMANCE_MODE') && loveState.getRomanceStatus(userId),
     botName: "Lumina",
     imageContext: imageDescription,
+    timezone,
   });
 
   // Creating a unique and stringifiable cache key
   const cacheKey = JSON.stringify({
+    chatId: String(requestChatId),
+    userId: String(userId),
     prompt: prompt,
     topic: messageContext.topic || "no_topic",
     personality: currentPersonality,
     mood: currentMood.name,
-    deeptalkMode: globalState.isDeeptalkMode,
-    ngambekMode: globalState.isNgambekMode,
+    deeptalkMode: chatState.isDeeptalkMode,
+    ngambekMode: chatState.isNgambekMode,
     imageContext: imageDescription || "no_image",
   });
 
@@ -308,49 +448,61 @@ const generateAIResponse = async (
 
   try {
     logger.info(
-      { event: "groq_api_request_start" },
-      "Mengirim request ke Groq API dengan system prompt dan user prompt..."
+      { event: "llm_api_request_start", task: "chat" },
+      "Mengirim request ke LLM provider dengan system prompt dan user prompt..."
     );
 
-    const response = await client.chat.completions.create({
-      model: "meta-llama/llama-4-maverick-17b-128e-instruct",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: prompt },
-      ],
-      max_tokens: 720,
-      temperature: 0.8,
+    const messages = [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: prompt },
+    ];
+
+    const toolContext =
+      isFeatureEnabled("ENABLE_AI_TOOLS") && messageContext.allowTools !== false
+        ? { chatId: requestChatId, userId, userName: USER_NAME }
+        : null;
+    const { content, toolsUsed, response } = await runChatCompletion(messages, {
+      onPartial,
+      toolContext,
     });
 
-    if (response?.choices?.[0]?.message?.content) {
-      const aiResponse = response.choices[0].message.content.trim();
+    if (content && content.trim()) {
+      const aiResponse = content.trim();
 
       await memory.addMessage({
         role: "assistant",
         content: aiResponse,
         timestamp: new Date().toISOString(),
         chatId: requestChatId,
-        context: { topic: messageContext.topic, tone: "assistant_response" },
+        context: {
+          topic: messageContext.topic,
+          tone: "assistant_response",
+          ...(toolsUsed.length > 0 && { toolsUsed }),
+        },
       });
 
-      globalState.manageCache(globalState.messageCache, cacheKey, aiResponse);
+      // Replies built from tool results are time-sensitive (and tools have side effects),
+      // so only plain replies are cached.
+      if (toolsUsed.length === 0) {
+        globalState.manageCache(globalState.messageCache, cacheKey, aiResponse);
+      }
 
       return aiResponse;
     } else {
       logger.error(
-        { event: "groq_api_empty_response", response: response },
-        "Groq API Error or empty response:"
+        { event: "llm_api_empty_response", response: response },
+        "LLM API Error or empty response:"
       );
       return `Maaf, ${USER_NAME}. Lumina lagi bingung nih, coba tanya lagi dengan cara lain ya. ${Mood.SAD.emoji}`;
     }
   } catch (error) {
     logger.error(
       {
-        event: "groq_api_call_error",
+        event: "llm_api_call_error",
         error: error.response?.data || error.message,
         stack: error.stack,
       },
-      "Groq API Call Error:"
+      "LLM API Call Error:"
     );
     Sentry.captureException(error);
     return `Maaf, ${USER_NAME}. Lumina lagi ada gangguan teknis. ${Mood.SAD.emoji}`;
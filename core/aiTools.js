@@ -0,0 +1,199 @@
+// core/aiTools.js
+// Tools the chat model may call from natural language ("ingetin aku jam 7 buat minum obat").
+// Definitions use the OpenAI function-calling schema, which every provider in llmProvider accepts.
+// Tool results are returned to the model as JSON so it can phrase the final answer in character.
+// Dependencies are passed in by ai-response (which gets them injected from core.js) to avoid
+// circular requires with modules/commandLists.
+
+/**
+ * @const {Array<object>} TOOL_DEFINITIONS
+ * @description Function schemas offered to the model.
+ */
+const TOOL_DEFINITIONS = [
+  {
+    type: "function",
+    function: {
+      name: "setReminder",
+      description:
+        "Schedule a reminder message for the user. Use when the user asks to be reminded of something at a certain time.",
+      parameters: {
+        type: "object",
+        properties: {
+          time: {
+            type: "string",
+            description:
+              "Reminder time in the user's local time, as they said it (do not convert time zones), Indonesian or English. " +
+              'Examples: "14:30", "besok 07:00", "30 menit lagi", ' +
+              '"senin depan jam 9", "25/12 09:00", and for recurring reminders "setiap hari jam 6", "tiap jumat jam 8", "setiap tanggal 5 jam 9".',
+          },
+          message: {
+            type: "string",
+            description: "What the user should be reminded about, in Bahasa Indonesia.",
+          },
+        },
+        required: ["time", "message"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "addNote",
+      description: "Save a personal note for the user.",
+      parameters: {
+        type: "object",
+        properties: {
+          note: { type: "string", description: "The note content. Topics the user mentions can be kept as #tags." },
+        },
+        required: ["note"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "showNotes",
+      description: "List the user's saved personal notes (newest first, first page only).",
+      parameters: {
+        type: "object",
+        properties: {
+          filter: {
+            type: "string",
+            description: 'Optional "#tag" and/or keywords to narrow the list, e.g. "#belanja" or "resep".',
+          },
+        },
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "performSearch",
+      description:
+        "Search the web for current information, news or facts the assistant doesn't know.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "string", description: "The search query." },
+        },
+        required: ["query"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "getWeatherData",
+      description:
+        "Get the current weather at the user's saved location (or the default location).",
+      parameters: { type: "object", properties: {} },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "getFormattedTodaysHolidays",
+      description: "Get today's public holidays and special days in Indonesia.",
+      parameters: { type: "object", properties: {} },
+    },
+  },
+];
+
+/**
+ * Returns the tool definitions that can actually run with the current configuration.
+ * @param {object} config - The app config.
+ * @returns {Array<object>} Tool definitions for the completion request.
+ */
+const getToolDefinitions = (config) =>
+  TOOL_DEFINITIONS.filter(({ function: fn }) => {
+    if (fn.name === "performSearch") {
+      return !!(config.GOOGLE_SEARCH_API_KEY && config.GOOGLE_SEARCH_CX);
+    }
+    if (fn.name === "getFormattedTodaysHolidays") {
+      return !!config.calendarificApiKey;
+    }
+    return true;
+  });
+
+/**
+ * Tool implementations. Each receives the parsed arguments, the injected dependencies and the
+ * request context, and returns a JSON-serialisable result.
+ */
+const TOOL_IMPLEMENTATIONS = {
+  setReminder: async ({ time, message }, { lists }, { chatId, userId, userName }) => ({
+    // setReminder schedules through sendMessage and doesn't need the bot instance.
+    result: await lists.setReminder(null, chatId, time, message, userName, userId),
+  }),
+
+  addNote: async ({ note }, { lists }, { userId, userName }) => ({
+    result: await lists.addNote(userId, note, userName),
+  }),
+
+  showNotes: async ({ filter }, { lists }, { userId, userName }) => ({
+    result: await lists.showNotes(userId, userName, filter),
+  }),
+
+  performSearch: async ({ query }, { lists }) => ({
+    query,
+    results: await lists.fetchSearchResults(query),
+  }),
+
+  getWeatherData: async (args, { weather, memory }, { userId }) => {
+    const location = await memory.getPreference(`user_location_${userId}`);
+    const data = await weather.getWeatherData(location?.latitude, location?.longitude);
+    if (!data) return { error: "Weather data is not available right now." };
+    return {
+      location: data.name,
+      summary: weather.getWeatherString(data),
+    };
+  },
+
+  getFormattedTodaysHolidays: async (args, { holidays, config }, { userName }) => ({
+    result: await holidays.getFormattedTodaysHolidays(config.calendarificApiKey, "ID", userName),
+  }),
+};
+
+/**
+ * Executes one tool call requested by the model. Errors are returned to the model
+ * instead of thrown, so it can still answer (and apologise) in character.
+ * @param {{id: string, function: {name: string, arguments: string}}} toolCall - Tool call from the completion.
+ * @param {object} deps - Injected modules: { lists, weather, holidays, memory, config, logger }.
+ * @param {object} context - Request context: { chatId, userId, userName }.
+ * @returns {Promise<{role: string, tool_call_id: string, content: string}>} The tool message for the conversation.
+ */
+const executeToolCall = async (toolCall, deps, context) => {
+  const name = toolCall.function?.name;
+  const startedAt = Date.now();
+  let output;
+
+  try {
+    const implementation = TOOL_IMPLEMENTATIONS[name];
+    if (!implementation) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+    const args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+    output = await implementation(args, deps, context);
+    deps.logger.info(
+      { event: "ai_tool_executed", tool: name, chatId: context.chatId, durationMs: Date.now() - startedAt },
+      `[Tools] ${name} executed.`
+    );
+  } catch (error) {
+    deps.logger.error(
+      { event: "ai_tool_error", tool: name, chatId: context.chatId, error: error.message },
+      `[Tools] ${name} failed.`
+    );
+    output = { error: error.message };
+  }
+
+  return {
+    role: "tool",
+    tool_call_id: toolCall.id,
+    content: JSON.stringify(output),
+  };
+};
+
+module.exports = {
+  getToolDefinitions,
+  executeToolCall,
+  TOOL_DEFINITIONS,
+};
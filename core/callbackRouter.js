@@ -0,0 +1,196 @@
+// core/callbackRouter.js
+// Inline keyboard buttons and the routing of their callback_query updates.
+//
+// Every button carries a namespaced callback_data: "<namespace>:<meta>:<action>:<arg1>:<arg2>..."
+// where <meta> is "<expiresAt>.<userId>" (both base36, both optional). The router rejects expired
+// buttons and buttons pressed by someone other than the user they were made for, then calls the
+// handler registered for the namespace. Handlers live next to the feature they belong to and are
+// registered by core.js at startup.
+//
+// A handler receives { chatId, userId, action, args, message, query } and may return:
+//   text       short notification shown by Telegram (answerCallbackQuery)
+//   showAlert  show `text` as a dialog instead of a toast
+//   edit       { text, replyMarkup? } replaces the message; the keyboard is removed unless replyMarkup is given
+//   status     a line appended to the original message; the keyboard is removed
+//   reply      { text, replyMarkup? } sent as a new message in the same chat
+// `edit` and `reply` texts are Markdown, rendered like every other message (utils/telegramFormat.js).
+const Sentry = require("@sentry/node");
+const logger = require("../utils/logger");
+const { toTelegramHtml, isParseError } = require("../utils/telegramFormat");
+
+const CALLBACK_DATA_LIMIT = 64; // Telegram's limit, in bytes
+const SEPARATOR = ":";
+
+const handlers = new Map();
+
+/**
+ * Registers the handler for a callback_data namespace.
+ * @param {string} namespace - Short prefix without ":" or ".", e.g. "rem".
+ * @param {function(object): Promise<object|null>} handler - See the header for its argument and result.
+ */
+function registerCallbackHandler(namespace, handler) {
+  if (!/^[a-z0-9_]+$/i.test(namespace)) {
+    throw new Error(`Invalid callback namespace "${namespace}".`);
+  }
+  handlers.set(namespace, handler);
+}
+
+/**
+ * Builds the callback_data for a button.
+ * @param {string} namespace - Registered namespace.
+ * @param {string} action - Action name within the namespace.
+ * @param {Array<string|number>} [args] - Arguments; only the last one may contain ":".
+ * @param {object} [options]
+ * @param {string|number} [options.userId] - Only this user may press the button.
+ * @param {number} [options.ttlMs] - The button expires after this many milliseconds.
+ * @returns {string|null} The callback_data, or null if it would exceed Telegram's 64-byte limit.
+ */
+function encodeCallbackData(namespace, action, args = [], { userId, ttlMs } = {}) {
+  const expiresAt = ttlMs > 0 ? Math.ceil((Date.now() + ttlMs) / 1000).toString(36) : "";
+  const user = userId !== undefined && userId !== null ? Number(userId).toString(36) : "";
+  const meta = expiresAt || user ? `${expiresAt}.${user}` : "";
+  const data = [namespace, meta, action, ...args.map(String)].join(SEPARATOR);
+  return Buffer.byteLength(data) <= CALLBACK_DATA_LIMIT ? data : null;
+}
+
+/**
+ * Parses callback_data built by encodeCallbackData.
+ * @param {string} data - The callback_data of a pressed button.
+ * @returns {{namespace: string, action: string, args: Array<string>, expiresAt: number|null, userId: string|null}|null}
+ */
+function decodeCallbackData(data) {
+  const parts = String(data || "").split(SEPARATOR);
+  if (parts.length < 3) return null;
+  const [namespace, meta, action, ...args] = parts;
+  const [expiresAt = "", user = ""] = meta.split(".");
+  return {
+    namespace,
+    action,
+    args,
+    expiresAt: expiresAt ? parseInt(expiresAt, 36) * 1000 : null,
+    userId: user ? String(parseInt(user, 36)) : null,
+  };
+}
+
+/**
+ * Creates an inline keyboard button routed through this module.
+ * @param {string} text - Button label.
+ * @param {string} namespace - Registered namespace.
+ * @param {string} action - Action name within the namespace.
+ * @param {Array<string|number>} [args] - Arguments passed to the handler.
+ * @param {object} [options] - { userId, ttlMs }, see encodeCallbackData.
+ * @returns {{text: string, callback_data: string}|null} Null if the callback_data is too long.
+ */
+function callbackButton(text, namespace, action, args = [], options = {}) {
+  const data = encodeCallbackData(namespace, action, args, options);
+  return data ? { text, callback_data: data } : null;
+}
+
+/**
+ * Wraps rows of buttons into a reply_markup. Empty rows are dropped.
+ * @param {Array<Array<object|null>>} rows - Buttons from callbackButton (or plain URL buttons).
+ * @returns {object|null} The reply_markup, or null if a button couldn't be built or there are no buttons.
+ */
+function inlineKeyboard(rows) {
+  const buttons = rows.filter((row) => row.length > 0);
+  if (buttons.length === 0 || buttons.some((row) => row.some((button) => !button))) return null;
+  return { inline_keyboard: buttons };
+}
+
+/**
+ * Applies a handler result to the message the button belongs to.
+ * @param {object} bot - The Telegram bot instance.
+ * @param {object} message - The message carrying the keyboard.
+ * @param {object} result - The handler result.
+ */
+async function applyResult(bot, message, result) {
+  const target = { chat_id: message.chat.id, message_id: message.message_id };
+  /**
+   * Sends Markdown as HTML, or as plain text when Telegram can't parse the HTML.
+   * @param {function(string, object): Promise<object>} send - Telegram call taking (text, options).
+   * @param {{text: string, replyMarkup?: object}} content - Text and optional keyboard.
+   */
+  const sendFormatted = async (send, { text, replyMarkup }) => {
+    const options = replyMarkup ? { reply_markup: replyMarkup } : {};
+    try {
+      await send(toTelegramHtml(text), { ...options, parse_mode: "HTML" });
+    } catch (error) {
+      if (!isParseError(error)) throw error;
+      await send(text, options);
+    }
+  };
+
+  if (result.edit) {
+    await sendFormatted((text, options) => bot.editMessageText(text, { ...target, ...options }), result.edit);
+  } else if (result.status && message.text) {
+    // message.text is the rendered text without its formatting, so the status is appended as plain text
+    await bot.editMessageText(`${message.text}\n\n${result.status}`, target);
+  }
+  if (result.reply) {
+    await sendFormatted((text, options) => bot.sendMessage(message.chat.id, text, options), result.reply);
+  }
+}
+
+/**
+ * Routes a callback_query to its handler after checking expiry and authorization.
+ * Every query is answered, so the button's loading indicator always stops.
+ * @param {object} bot - The Telegram bot instance.
+ * @param {object} query - The callback_query update.
+ */
+async function handleCallbackQuery(bot, query) {
+  const message = query.message;
+  const decoded = decodeCallbackData(query.data);
+  const handler = decoded && handlers.get(decoded.namespace);
+  try {
+    if (!message || !handler) {
+      await bot.answerCallbackQuery(query.id, { text: "Tombol ini tidak dikenali." });
+      return;
+    }
+    if (decoded.expiresAt && Date.now() > decoded.expiresAt) {
+      await bot.answerCallbackQuery(query.id, { text: "Tombol ini sudah kedaluwarsa." });
+      await bot.editMessageReplyMarkup(
+        { inline_keyboard: [] },
+        { chat_id: message.chat.id, message_id: message.message_id }
+      );
+      return;
+    }
+    if (decoded.userId && decoded.userId !== String(query.from.id)) {
+      await bot.answerCallbackQuery(query.id, { text: "Tombol ini bukan untukmu.", show_alert: true });
+      return;
+    }
+
+    const result =
+      (await handler({
+        chatId: message.chat.id,
+        userId: query.from.id,
+        action: decoded.action,
+        args: decoded.args,
+        message,
+        query,
+      })) || {};
+    await bot.answerCallbackQuery(query.id, {
+      ...(result.text ? { text: result.text } : {}),
+      ...(result.showAlert ? { show_alert: true } : {}),
+    });
+    await applyResult(bot, message, result);
+    logger.info(
+      { event: "callback_query_handled", namespace: decoded.namespace, action: decoded.action, chatId: message.chat.id },
+      "Inline keyboard button handled."
+    );
+  } catch (error) {
+    logger.error(
+      { event: "callback_query_error", data: query.data, error: error.message, stack: error.stack },
+      "Error handling inline keyboard button."
+    );
+    Sentry.captureException(error);
+  }
+}
+
+module.exports = {
+  registerCallbackHandler,
+  encodeCallbackData,
+  decodeCallbackData,
+  callbackButton,
+  inlineKeyboard,
+  handleCallbackQuery,
+};
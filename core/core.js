@@ -4,7 +4,7 @@
 // TIKTOK: @rafardhancuy
 // Github: https://github.com/Rafacuy
 // LANGUAGE: ID (Indonesia) - Core logic is designed for Indonesian context.
-// TIME FORMAT: Asia/Jakarta - All time-based operations use Jakarta timezone.
+// TIME FORMAT: config.timezone (default Asia/Jakarta); users can pick their own with /jadwal zona.
 // MIT License
 
 // ===== FILE IMPORTS =====
@@ -24,30 +24,41 @@ const globalState = require("../state/globalState");
 // --- Module Imports ---
 const weather = require("../modules/weather");
 const lists = require("../modules/commandLists");
+const newsManager = require("../modules/newsManager");
+const schedulePreferences = require("../modules/schedulePreferences");
+const subscribers = require("../modules/subscribers");
+const holidaysModule = require("../handler/holidayHandlers");
 const loveState = require("../modules/loveStateManager");
 const { initTtsSchedules } = require("../modules/ttsManager");
 const ltmProcessor = require("../modules/ltmProcessor");
+const ltmManager = require("../modules/ltmManager");
 const ttsManager = require("../modules/ttsManager");
 const Mood = require("../modules/mood");
 
 // --- Utility Imports ---
-const { sendMessage } = require("../utils/sendMessage");
+const { sendMessage, deliverMessage, countMessageChunks } = require("../utils/sendMessage");
+const { enqueueBroadcast } = require("../utils/broadcastQueue");
 const timeHelper = require("../utils/timeHelper");
 const chatFormatter = require("../utils/chatFormatter");
 const { getUserName } = require("../utils/telegramHelper");
 const logger = require("../utils/logger");
 const { manageCache } = require("../utils/cacheHelper");
+const { createStreamingReply } = require("../utils/streamingMessage");
+const { registerCallbackHandler, handleCallbackQuery } = require("./callbackRouter");
 
 // --- Scheduler Imports ---
 const { setupCronJobs } = require("../scheduler/cronSetup");
+const { setupMaintenanceJobs } = require("../scheduler/maintenance");
 const updateTimeBasedModes = require("../scheduler/updateTimeModes");
 
 // --- Handler Imports ---
 const contextManager = require("../handler/contextHandler");
 const docHandler = require("../handler/docHandler");
 const commandHandlers = require("../handler/commandHandlers");
+const groupHandler = require("../handler/groupHandler");
 const relationState = require("../handler/relationHandler");
 const visionHandler = require("../handler/visionHandler");
+const voiceHandler = require("../handler/voiceHandler");
 
 // --- Core AI Import ---
 const {
@@ -64,11 +75,13 @@ const interactionMutex = new Mutex();
 let commandMap = new Map(); // For O(1) lookup of prefixed commands (e.g., /help).
 let regexHandlers = []; // For iterating over more complex regex patterns.
 
-// Initialize globalState from memory on startup.
-globalState.initializeFromMemory(
+// Initialize globalState from memory on startup. Status saved before per-chat state existed
+// is handed to TARGET_CHAT_ID; the promise lets startup checks wait for it.
+const stateReady = globalState.initializeFromMemory(
   memory,
   logger,
-  commandHandlers.setPersonalityMode
+  commandHandlers.setPersonalityMode,
+  config.TARGET_CHAT_ID
 );
 globalState.manageCache = manageCache; // Store manageCache for access from aiResponseGenerator.
 
@@ -78,42 +91,34 @@ const NGAMBEK_DURATION_DAYS = 2;
 const END_NGAMBEK_INTERACTION_DAYS = 2;
 
 /**
- * Updates the user's interaction status using a proper mutex.
+ * Updates a chat's interaction status using a proper mutex.
  * This prevents race conditions when multiple messages arrive concurrently,
  * ensuring data integrity for timestamps and chat counts.
+ * @param {string|number} chatId - The chat that just interacted with Lumina.
  */
-const updateInteractionStatus = async () => {
+const updateInteractionStatus = async (chatId) => {
   // Use the mutex to ensure this function runs exclusively.
   // No other call to this function can start until the current one finishes.
   await interactionMutex.runExclusive(async () => {
     try {
+      const chatState = globalState.getChatState(chatId);
       const now = new Date();
-      globalState.lastInteractionTimestamp = now.toISOString();
+      chatState.lastInteractionTimestamp = now.toISOString();
       const today = now.toISOString().slice(0, 10);
 
-      const loadedCounts = await memory.getPreference("dailyChatCounts");
-      globalState.dailyChatCounts =
-        loadedCounts && typeof loadedCounts === "object" ? loadedCounts : {};
-
-      if (!globalState.dailyChatCounts[today]) {
-        globalState.dailyChatCounts[today] = 0;
+      if (!chatState.dailyChatCounts[today]) {
+        chatState.dailyChatCounts[today] = 0;
       }
-      globalState.dailyChatCounts[today]++;
+      chatState.dailyChatCounts[today]++;
 
-      await memory.savePreference(
-        "lastInteractionTimestamp",
-        globalState.lastInteractionTimestamp
-      );
-      await memory.savePreference(
-        "dailyChatCounts",
-        globalState.dailyChatCounts
-      );
+      await globalState.saveChatState(memory, chatId);
       logger.info(
         {
           event: "interaction_status_updated",
-          todayChatCount: globalState.dailyChatCounts[today],
+          chatId,
+          todayChatCount: chatState.dailyChatCounts[today],
         },
-        `[Interaction] Interaction status updated. Today's chats: ${globalState.dailyChatCounts[today]}.`
+        `[Interaction] Interaction status updated. Today's chats: ${chatState.dailyChatCounts[today]}.`
       );
     } catch (error) {
       logger.error(
@@ -130,18 +135,36 @@ const updateInteractionStatus = async () => {
 };
 
 /**
- * Checks Lumina's "Ngambek" status with a cleaner, more declarative approach.
+ * Sends a sulk notification through the broadcast queue, but only to subscribed chats (/start);
+ * other chats just have their state updated.
+ * @param {string} chatId - The chat to notify.
+ * @param {string} text - The notification.
+ * @returns {Promise<void>}
+ */
+const notifyNgambekChange = async (chatId, text) => {
+  if (!(await subscribers.isSubscribed(chatId))) return;
+  enqueueBroadcast(
+    chatId,
+    (progress) => deliverMessage(chatId, text, {}, progress),
+    "ngambek",
+    countMessageChunks(text)
+  );
+};
+
+/**
+ * Checks Lumina's "Ngambek" status of a chat with a cleaner, more declarative approach.
  * Instead of a manual `for` loop, it generates an array of required dates and uses `.every()`
  * to verify if the interaction criteria are met for all of them.
- * @param {string} chatId - The chat ID to send notifications to.
+ * @param {string} chatId - The chat whose status is checked; subscribed chats are notified of changes.
  */
 const checkNgambekStatus = async (chatId) => {
+  const chatState = globalState.getChatState(chatId);
   if (!isFeatureEnabled("ENABLE_NGAMBEK_MODE")) {
-    if (globalState.isNgambekMode) {
-      globalState.isNgambekMode = false;
-      await memory.savePreference("isNgambekMode", false);
+    if (chatState.isNgambekMode) {
+      chatState.isNgambekMode = false;
+      await globalState.saveChatState(memory, chatId);
       logger.info(
-        { event: "ngambek_mode_force_disabled" },
+        { event: "ngambek_mode_force_disabled", chatId },
         "[Ngambek System] Ngambek mode disabled by feature flag."
       );
     }
@@ -149,24 +172,24 @@ const checkNgambekStatus = async (chatId) => {
   }
 
   const now = new Date();
-  const lastInteractionDate = globalState.lastInteractionTimestamp
-    ? new Date(globalState.lastInteractionTimestamp)
+  const lastInteractionDate = chatState.lastInteractionTimestamp
+    ? new Date(chatState.lastInteractionTimestamp)
     : null;
 
   // --- Check if Lumina should enter 'ngambek' mode ---
-  if (!globalState.isNgambekMode && lastInteractionDate) {
+  if (!chatState.isNgambekMode && lastInteractionDate) {
     const diffTime = Math.abs(now - lastInteractionDate);
     const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 
     if (diffDays >= NGAMBEK_DURATION_DAYS) {
-      globalState.isNgambekMode = true;
+      chatState.isNgambekMode = true;
       commandHandlers.setMood(chatId, Mood.JEALOUS);
-      await memory.savePreference("isNgambekMode", true);
+      await globalState.saveChatState(memory, chatId);
       logger.info(
-        { event: "ngambek_mode_activated", diffDays },
+        { event: "ngambek_mode_activated", chatId, diffDays },
         "[Ngambek System] Lumina is now in Ngambek mode!"
       );
-      sendMessage(
+      await notifyNgambekChange(
         chatId,
         `Hmph! Kamu kemana aja?! Lumina sekarang ngambek karena kamu tidak mendengarkan Lumina selama ${diffDays} hari! 😒`
       );
@@ -174,7 +197,7 @@ const checkNgambekStatus = async (chatId) => {
   }
 
   // --- Check if Lumina should stop 'ngambek' mode ---
-  if (globalState.isNgambekMode) {
+  if (chatState.isNgambekMode) {
     // Generate an array of date strings for the past N days.
     const checkDates = Array.from(
       { length: END_NGAMBEK_INTERACTION_DAYS },
@@ -189,24 +212,20 @@ const checkNgambekStatus = async (chatId) => {
     // the condition is met for all items in the array.
     const hasSufficientInteraction = checkDates.every(
       (dateStr) =>
-        (globalState.dailyChatCounts[dateStr] || 0) >=
+        (chatState.dailyChatCounts[dateStr] || 0) >=
         MIN_CHATS_PER_DAY_TO_END_NGAMBEK
     );
 
     if (hasSufficientInteraction) {
-      globalState.isNgambekMode = false;
+      chatState.isNgambekMode = false;
       commandHandlers.setMood(chatId, commandHandlers.getRandomMood());
-      await memory.savePreference("isNgambekMode", false);
-      globalState.dailyChatCounts = {}; // Reset counts
-      await memory.savePreference(
-        "dailyChatCounts",
-        globalState.dailyChatCounts
-      );
+      chatState.dailyChatCounts = {}; // Reset counts
+      await globalState.saveChatState(memory, chatId);
       logger.info(
-        { event: "ngambek_mode_deactivated" },
+        { event: "ngambek_mode_deactivated", chatId },
         "[Ngambek System] Lumina is no longer sulking!"
       );
-      sendMessage(
+      await notifyNgambekChange(
         chatId,
         `Akhirnya kamu kembali! Lumina tidak ngambek sekarang, t-tapi jangan buat itu lagi, oke! 😌`
       );
@@ -216,12 +235,12 @@ const checkNgambekStatus = async (chatId) => {
   // --- Clean up old dailyChatCounts data ---
   const twoDaysAgo = new Date(now);
   twoDaysAgo.setDate(now.getDate() - NGAMBEK_DURATION_DAYS - 1);
-  for (const date in globalState.dailyChatCounts) {
+  for (const date in chatState.dailyChatCounts) {
     if (new Date(date) < twoDaysAgo) {
-      delete globalState.dailyChatCounts[date];
+      delete chatState.dailyChatCounts[date];
     }
   }
-  await memory.savePreference("dailyChatCounts", globalState.dailyChatCounts);
+  await globalState.saveChatState(memory, chatId);
 };
 
 /**
@@ -247,20 +266,60 @@ function isOnlyNumbers(str) {
   return numberRegex.test(str);
 }
 
+/**
+ * Generates an AI reply and delivers it to the chat.
+ * With streaming enabled, the reply is sent as soon as the first tokens arrive and edited in place
+ * while the typing indicator stays on for the real generation time. Otherwise Lumina "types" for a
+ * fixed moment and sends the finished reply.
+ * If the sender turned on /voice, the reply is then also sent as a voice note.
+ * @param {object} bot - The Telegram bot instance.
+ * @param {string|number} chatId - The chat to reply to.
+ * @param {function(object): Promise<string>} generate - Calls generateAIResponse with the given options.
+ * @param {number} [userId] - The sender, whose /voice preference decides on a spoken reply.
+ * @returns {Promise<string>} The final reply text.
+ */
+const deliverAIResponse = async (bot, chatId, generate, userId) => {
+  let aiResponse;
+  if (!isFeatureEnabled("ENABLE_STREAMING_REPLIES")) {
+    await commandHandlers.LuminaTyping(chatId);
+    aiResponse = await generate({});
+    await sendMessage(chatId, aiResponse);
+  } else {
+    const streamingReply = createStreamingReply(bot, chatId);
+    try {
+      aiResponse = await generate({ onPartial: streamingReply.update });
+      await streamingReply.finish(aiResponse);
+    } catch (error) {
+      streamingReply.cancel();
+      throw error;
+    }
+  }
+
+  // The voice note follows the text, which stays as a transcript.
+  if (userId && aiResponse && (await ttsManager.isVoiceReplyEnabled(userId))) {
+    await ttsManager.sendVoiceReply(bot, chatId, aiResponse);
+  }
+  return aiResponse;
+};
+
 /**
  * Analyzes the user's message to save preferences to long-term memory.
  * @param {string} text - The message text from the user.
+ * @param {object} owner - Who the memory belongs to.
+ * @param {number} owner.userId - The sender (`from.id`), so group members don't share memories.
+ * @param {string|number} owner.chatId - The chat the message was sent in.
  */
-const analyzeAndSavePreferences = async (text) => {
+const analyzeAndSavePreferences = async (text, owner) => {
   if (!isFeatureEnabled("ENABLE_LTM")) return;
   if (typeof text !== "string" || text.length < 10) return;
 
   try {
     const analysis = await ltmProcessor.processForLTM(text);
     if (analysis.should_save_preferences) {
-      await ltmProcessor.saveLTMResult(analysis, text);
+      await ltmProcessor.saveLTMResult(analysis, text, owner);
       logger.info(
         {
+          userId: owner.userId,
           priority: analysis.priorities_level,
           summary: analysis.query_preferences,
         },
@@ -276,12 +335,74 @@ const analyzeAndSavePreferences = async (text) => {
   }
 };
 
+/**
+ * Keeps a group message Lumina isn't answering in the group's history, so she can follow
+ * the conversation once someone does talk to her. No LTM, points or interaction counting.
+ * @param {object} msg - The (normalised) Telegram message.
+ */
+const storeGroupContextMessage = async (msg) => {
+  const content = (msg.text || msg.caption || "").trim();
+  if (!content) return;
+  try {
+    await memory.addMessage({
+      role: "user",
+      content,
+      from: msg.from,
+      chatId: msg.chat.id,
+      message_id: msg.message_id,
+      date: msg.date,
+      timestamp: new Date(msg.date * 1000).toISOString(),
+      context: { ...contextManager.analyzeMessage(msg), type: "group_context" },
+    });
+  } catch (error) {
+    logger.error(
+      { event: "group_context_save_error", chatId: msg.chat.id, error: error.message },
+      "Failed to store group message as context."
+    );
+    Sentry.captureException(error);
+  }
+};
+
+/**
+ * Telegram send options for a command result; handlers may attach an inline keyboard as `replyMarkup`.
+ * @param {{replyMarkup?: object}} result - The command handler result.
+ * @returns {object}
+ */
+const replyOptions = (result) => (result.replyMarkup ? { reply_markup: result.replyMarkup } : {});
+
 /**
  * Sets up the Telegram bot's message listener with optimized command handling.
  * @param {object} bot - The Telegram bot instance.
  */
 const setupMessageListener = (bot) => {
   bot.on("message", async (msg) => {
+    // --- Group Chat Gating ---
+    // In groups Lumina only speaks when addressed; everything else is kept as context.
+    if (groupHandler.isGroupChat(msg.chat)) {
+      const settings = await groupHandler.getGroupSettings(msg.chat.id);
+      const { respond, reason } = groupHandler.shouldRespond(msg, settings);
+      msg = groupHandler.normalizeMessage(msg);
+      if (!respond) {
+        await storeGroupContextMessage(msg);
+        return;
+      }
+      logger.info(
+        { event: "group_message_addressed", chatId: msg.chat.id, userId: msg.from?.id, reason },
+        `[Group] Responding in group ${msg.chat.id} (${reason}).`
+      );
+    }
+
+    // --- Voice Message Handler ---
+    // Voice notes and audio files are transcribed, then go through the normal text pipeline.
+    let isVoiceInput = false;
+    if ((msg.voice || msg.audio) && isFeatureEnabled("ENABLE_VOICE_INPUT")) {
+      await updateInteractionStatus(msg.chat.id);
+      const transcript = await voiceHandler.transcribeVoiceMessage(msg, bot);
+      if (!transcript) return;
+      msg = { ...msg, text: transcript };
+      isVoiceInput = true;
+    }
+
     const {
       chat,
       text,
@@ -298,7 +419,7 @@ const setupMessageListener = (bot) => {
     // --- Location Message Handler ---
     if (location) {
       try {
-        await updateInteractionStatus();
+        await updateInteractionStatus(currentMessageChatId);
         const userId = senderInfo.id;
         const { latitude, longitude } = location;
 
@@ -315,6 +436,7 @@ const setupMessageListener = (bot) => {
         await memory.savePreference(`user_location_${userId}`, {
           latitude,
           longitude,
+          savedAt: new Date().toISOString(),
         });
         logger.info(
           { event: "location_saved", userId },
@@ -362,9 +484,10 @@ const setupMessageListener = (bot) => {
     }
 
     // --- Document Handler ---
-    if (document && isFeatureEnabled("ENABLE_DOC_HANDLER")) {
+    // Documents captioned with a command (e.g. /import) are handled by the command handlers instead.
+    if (document && !userPromptText.startsWith("/") && isFeatureEnabled("ENABLE_DOC_HANDLER")) {
       try {
-        await updateInteractionStatus();
+        await updateInteractionStatus(currentMessageChatId);
         const aiDependencies = {
           generateAIResponse,
           USER_NAME,
@@ -415,17 +538,19 @@ const setupMessageListener = (bot) => {
               visionOutput: visionResult.description,
             },
           });
-          await commandHandlers.LuminaTyping(currentMessageChatId);
           const messageContext = contextManager.analyzeMessage(msg);
-          const aiResponse = await generateAIResponse(
-            userPromptText,
-            currentMessageChatId,
-            messageContext,
-            USER_NAME,
-            Mood,
-            visionResult.description
+          await deliverAIResponse(bot, currentMessageChatId, (options) =>
+            generateAIResponse(
+              userPromptText,
+              currentMessageChatId,
+              messageContext,
+              USER_NAME,
+              Mood,
+              visionResult.description,
+              options
+            ),
+            senderInfo.id
           );
-          sendMessage(currentMessageChatId, aiResponse);
         } else {
           logger.warn(
             { event: "vision_failed" },
@@ -462,22 +587,26 @@ const setupMessageListener = (bot) => {
     }
 
     if (isFeatureEnabled("ENABLE_RELATIONSHIP_POINTS")) {
-      await relationState.addPointOnMessage();
+      await relationState.addPointOnMessage(senderInfo.id);
     }
 
-    await updateInteractionStatus();
-    await analyzeAndSavePreferences(userPromptText);
+    await updateInteractionStatus(currentMessageChatId);
+    await analyzeAndSavePreferences(userPromptText, {
+      userId: senderInfo.id,
+      chatId: currentMessageChatId,
+    });
 
     const messageContext = contextManager.analyzeMessage(msg);
     const userMessageToStore = {
       role: "user",
-      content: userPromptText,
+      // The marker tells the model (and /cari results) that this was spoken, not typed.
+      content: isVoiceInput ? `[VOICE] ${userPromptText}` : userPromptText,
       from: senderInfo,
       chatId: chat.id,
       message_id: msg.message_id,
       date: msg.date,
       timestamp: new Date(msg.date * 1000).toISOString(),
-      context: messageContext,
+      context: isVoiceInput ? { ...messageContext, type: "voice_input" } : messageContext,
     };
     await memory.addMessage(userMessageToStore);
     logger.info(
@@ -514,7 +643,7 @@ const setupMessageListener = (bot) => {
         const result = await handler.response(currentMessageChatId, msg);
         if (result && result.text) {
           await commandHandlers.LuminaTyping(currentMessageChatId);
-          sendMessage(currentMessageChatId, result.text);
+          sendMessage(currentMessageChatId, result.text, replyOptions(result));
           await memory.addMessage({
             role: "assistant",
             content: result.text,
@@ -540,7 +669,7 @@ const setupMessageListener = (bot) => {
           const result = await handler.response(currentMessageChatId, msg);
           if (result && result.text) {
             await commandHandlers.LuminaTyping(currentMessageChatId);
-            sendMessage(currentMessageChatId, result.text);
+            sendMessage(currentMessageChatId, result.text, replyOptions(result));
             await memory.addMessage({
               role: "assistant",
               content: result.text,
@@ -567,18 +696,36 @@ const setupMessageListener = (bot) => {
     }
 
     // --- Default AI response generation if no specific handlers apply ---
-    await commandHandlers.LuminaTyping(currentMessageChatId);
-    const aiResponse = await generateAIResponse(
-      userPromptText,
-      currentMessageChatId,
-      messageContext,
-      USER_NAME,
-      commandHandlers.Mood
+    await deliverAIResponse(bot, currentMessageChatId, (options) =>
+      generateAIResponse(
+        userPromptText,
+        currentMessageChatId,
+        messageContext,
+        USER_NAME,
+        commandHandlers.Mood,
+        null,
+        options
+      ),
+      senderInfo.id
     );
-    sendMessage(currentMessageChatId, aiResponse);
   });
 };
 
+/**
+ * Registers the inline keyboard namespaces and routes every button press through core/callbackRouter,
+ * which checks expiry and the allowed user before calling the namespace's handler.
+ * @param {object} bot - The Telegram bot instance.
+ */
+const setupCallbackQueryListener = (bot) => {
+  registerCallbackHandler(lists.REMINDER_CALLBACK_NAMESPACE, lists.handleReminderCallback);
+  registerCallbackHandler(lists.NOTE_CALLBACK_NAMESPACE, lists.handleNotesCallback);
+  registerCallbackHandler(commandHandlers.PERSONALITY_CALLBACK_NAMESPACE, commandHandlers.handlePersonalityCallback);
+  registerCallbackHandler(newsManager.NEWS_CALLBACK_NAMESPACE, newsManager.handleNewsCallback);
+  registerCallbackHandler(schedulePreferences.SCHEDULE_CALLBACK_NAMESPACE, schedulePreferences.handleScheduleCallback);
+  registerCallbackHandler(ltmManager.LTM_CALLBACK_NAMESPACE, ltmManager.handleMemoryCallback);
+  bot.on("callback_query", (query) => handleCallbackQuery(bot, query));
+};
+
 // ==== Module Exports & Bot Instance Management ====
 
 module.exports = {
@@ -632,6 +779,7 @@ module.exports = {
       commandHandlers,
       weather,
       lists,
+      holidays: holidaysModule,
       relationState,
       loveState,
       ttsManager,
@@ -643,21 +791,40 @@ module.exports = {
       sendMessageFunction: sendMessage,
     });
 
+    groupHandler.initialize(bot);
     lists.rescheduleReminders(bot);
 
+    // TARGET_CHAT_ID keeps receiving broadcasts without sending /start; prayer reminders
+    // are scheduled per subscriber, so they wait until it is registered.
+    const subscribersReady = subscribers
+      .ensureDefaultSubscriber(configuredChatId)
+      .catch((error) => {
+        logger.error(
+          { event: "default_subscriber_error", error: error.message },
+          "Failed to subscribe TARGET_CHAT_ID to broadcasts."
+        );
+        Sentry.captureException(error);
+      });
     if (isFeatureEnabled("ENABLE_TTS_REMINDER")) {
-      initTtsSchedules(bot);
+      subscribersReady.then(() => initTtsSchedules(bot));
     }
 
-    checkNgambekStatus(configuredChatId);
-    updateTimeBasedModes(configuredChatId);
+    // Every chat Lumina knows about gets its status checked once the saved state is loaded.
+    stateReady.then(() => {
+      for (const chatId of globalState.getKnownChatIds()) {
+        checkNgambekStatus(chatId);
+        updateTimeBasedModes(chatId);
+      }
+    });
+
+    // Data retention always runs, independent of the cron feature flag.
+    setupMaintenanceJobs(Sentry);
 
     if (isFeatureEnabled("ENABLE_CRON_JOBS")) {
       setupCronJobs(
         bot,
         updateTimeBasedModes,
         checkNgambekStatus,
-        configuredChatId,
         Sentry
       );
     } else {
@@ -667,7 +834,8 @@ module.exports = {
       );
     }
 
-    // Set up the message listener after all other initializations are complete.
+    // Set up the listeners after all other initializations are complete.
     setupMessageListener(bot);
+    setupCallbackQueryListener(bot);
   },
 };
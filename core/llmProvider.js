@@ -0,0 +1,326 @@
+// core/llmProvider.js
+// Provider layer for every LLM call in Lumina.
+// Groq, OpenRouter, Together and any OpenAI-compatible local server (Ollama, LM Studio,
+// llama.cpp server, etc.) are exposed behind the same `chat.completions.create` interface.
+// Which provider and model handles a task (chat, ltm, summary, vision, news) is read from config.
+
+const Groq = require("groq-sdk");
+const OpenAI = require("openai");
+const Together = require("together-ai");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+/**
+ * @const {object} PROVIDERS
+ * @description Registry of supported providers. Each entry knows how to build its client
+ * and which model to fall back to when a task doesn't name one.
+ */
+const PROVIDERS = {
+  groq: {
+    createClient: () => new Groq({ apiKey: config.groqApiKey, maxRetries: 0 }),
+    isConfigured: () => !!config.groqApiKey,
+    defaultModel: null, // Groq uses the per-task defaults below.
+  },
+  openrouter: {
+    createClient: () =>
+      new OpenAI({
+        apiKey: config.openRouterApiKey,
+        baseURL: "https://openrouter.ai/api/v1",
+        maxRetries: 0,
+      }),
+    isConfigured: () => !!config.openRouterApiKey,
+    defaultModel: config.openRouterModel,
+  },
+  together: {
+    createClient: () => new Together({ apiKey: config.togetherAiApiKey, maxRetries: 0 }),
+    isConfigured: () => !!config.togetherAiApiKey,
+    defaultModel: config.togetherAiModel,
+  },
+  local: {
+    createClient: () =>
+      new OpenAI({
+        apiKey: config.localLlmApiKey,
+        baseURL: config.localLlmBaseUrl,
+        maxRetries: 0,
+      }),
+    isConfigured: () => !!config.localLlmBaseUrl,
+    defaultModel: config.localLlmModel,
+  },
+};
+
+/**
+ * @const {object} DEFAULT_TASK_MODELS
+ * @description Groq models used by each task when the task runs on Groq without an explicit model.
+ */
+const DEFAULT_TASK_MODELS = {
+  chat: "meta-llama/llama-4-maverick-17b-128e-instruct",
+  ltm: "llama-3.1-8b-instant",
+  summary: "llama-3.1-8b-instant",
+  vision: "llama3-8b-8192",
+  news: "llama-3.3-70b-versatile",
+};
+
+// Clients are created lazily and reused, one per provider.
+const clients = new Map();
+
+/**
+ * Returns the (cached) client for a provider.
+ * @param {string} providerName - Provider key from PROVIDERS.
+ * @returns {object} A client exposing `chat.completions.create`.
+ */
+const getClient = (providerName) => {
+  const provider = PROVIDERS[providerName];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${providerName}`);
+  }
+  if (!clients.has(providerName)) {
+    if (!provider.isConfigured()) {
+      logger.warn(
+        { event: "llm_provider_not_configured", provider: providerName },
+        `[LLM] Provider "${providerName}" is selected but not configured.`
+      );
+    }
+    clients.set(providerName, provider.createClient());
+  }
+  return clients.get(providerName);
+};
+
+/**
+ * Resolves the model a provider should use for a task.
+ * @param {string} task - Task name (chat, ltm, summary, vision, news).
+ * @param {string} providerName - Provider key from PROVIDERS.
+ * @param {string} [model] - Explicitly configured model, if any.
+ * @returns {string} The model name.
+ */
+const resolveModel = (task, providerName, model) =>
+  model ||
+  PROVIDERS[providerName].defaultModel ||
+  DEFAULT_TASK_MODELS[task] ||
+  DEFAULT_TASK_MODELS.chat;
+
+/**
+ * Builds a `{provider, model}` target, validating the provider name.
+ * @param {string} task - Task name.
+ * @param {string} providerName - Provider key from PROVIDERS.
+ * @param {string} [model] - Explicitly configured model, if any.
+ * @returns {{provider: string, model: string}} The target.
+ */
+const buildTarget = (task, providerName, model) => {
+  const name = (providerName || "groq").trim().toLowerCase();
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown LLM provider "${name}" for task "${task}"`);
+  }
+  return { provider: name, model: resolveModel(task, name, model) };
+};
+
+/**
+ * Resolves the provider and model that should handle a task.
+ * @param {string} task - Task name (chat, ltm, summary, vision, news).
+ * @returns {{provider: string, model: string}} The resolved target.
+ */
+const resolveTask = (task) => {
+  const taskConfig = config.llmTasks?.[task] || {};
+  return buildTarget(task, taskConfig.provider, taskConfig.model);
+};
+
+/**
+ * Resolves the full chain of targets for a task: the primary target followed by its fallbacks.
+ * Fallbacks are configured as "provider" or "provider:model", separated by commas.
+ * Only the first ':' separates provider from model, so models like "qwen/qwen3-4b:free" still work.
+ * Targets whose provider isn't configured (e.g. `local` without LOCAL_LLM_BASE_URL) are dropped;
+ * if none is configured the primary target is kept so the failure still surfaces.
+ * @param {string} task - Task name.
+ * @returns {Array<{provider: string, model: string}>} Ordered, de-duplicated list of targets.
+ */
+const resolveTaskChain = (task) => {
+  const primary = resolveTask(task);
+  const chain = [primary];
+  const fallbacks = config.llmTasks?.[task]?.fallbacks || "";
+
+  fallbacks
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(":");
+      const providerName = separator === -1 ? entry : entry.slice(0, separator);
+      const model = separator === -1 ? undefined : entry.slice(separator + 1);
+      try {
+        const target = buildTarget(task, providerName, model);
+        if (!chain.some((t) => t.provider === target.provider && t.model === target.model)) {
+          chain.push(target);
+        }
+      } catch (error) {
+        logger.warn(
+          { event: "llm_fallback_invalid", task, entry, error: error.message },
+          `[LLM] Ignoring invalid fallback "${entry}" for task "${task}".`
+        );
+      }
+    });
+
+  const configured = chain.filter((target) => PROVIDERS[target.provider].isConfigured());
+  chain
+    .filter((target) => !configured.includes(target))
+    .forEach((target) =>
+      logger.debug(
+        { event: "llm_target_skipped", task, ...target, reason: "not_configured" },
+        `[LLM] ${task}: skipping ${target.provider}/${target.model}, provider is not configured.`
+      )
+    );
+
+  return configured.length > 0 ? configured : [primary];
+};
+
+/**
+ * Decides whether an error is worth retrying on the same target.
+ * Rate limits, server errors and network failures are retried; bad requests and auth errors
+ * go straight to the next target in the chain.
+ * @param {Error} error - Error thrown by the SDK.
+ * @returns {boolean} True if the same target should be retried.
+ */
+const isRetryableError = (error) => {
+  const status = error?.status ?? error?.response?.status;
+  if (!status) return true; // Network error, timeout, connection reset...
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+};
+
+/**
+ * Reads a numeric retry setting from config.llmRetry. Missing, malformed (NaN from parseInt)
+ * or negative values fall back to the default.
+ * @param {string} name - Setting name (maxRetries, baseDelayMs, maxDelayMs).
+ * @param {number} defaultValue - Value used when the setting is unusable.
+ * @returns {number}
+ */
+const getRetrySetting = (name, defaultValue) => {
+  const value = config.llmRetry?.[name];
+  return Number.isInteger(value) && value >= 0 ? value : defaultValue;
+};
+
+/**
+ * Computes the backoff delay for a retry, with a little jitter.
+ * @param {number} retry - Retry number (1 for the first retry).
+ * @returns {number} Delay in milliseconds.
+ */
+const getBackoffDelay = (retry) => {
+  const baseDelayMs = getRetrySetting("baseDelayMs", 1000);
+  const maxDelayMs = getRetrySetting("maxDelayMs", 8000);
+  const delay = Math.min(baseDelayMs * 2 ** (retry - 1), maxDelayMs);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs a request against each target of a task's chain with the configured retry policy.
+ * Each attempt is logged; the last error is re-thrown once every target has failed.
+ * @param {string} task - Task name.
+ * @param {function(object, {provider: string, model: string}): Promise<any>} request -
+ *   Performs the call with a client and target.
+ * @returns {Promise<any>} The first successful result.
+ */
+const withFailover = async (task, request) => {
+  const chain = resolveTaskChain(task);
+  const maxRetries = getRetrySetting("maxRetries", 2);
+  let lastError;
+
+  for (const [targetIndex, target] of chain.entries()) {
+    // Client construction fails on configuration problems (missing key, bad base URL),
+    // which retrying won't fix: move straight on to the next target.
+    let client;
+    try {
+      client = getClient(target.provider);
+    } catch (error) {
+      lastError = error;
+      logger.warn(
+        { event: "llm_client_unavailable", task, ...target, targetIndex, error: error.message },
+        `[LLM] ${task}: could not create a client for ${target.provider}.`
+      );
+      continue;
+    }
+
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      const startedAt = Date.now();
+      logger.info(
+        { event: "llm_attempt_start", task, ...target, attempt, targetIndex },
+        `[LLM] ${task}: attempt ${attempt} on ${target.provider}/${target.model}`
+      );
+      try {
+        const result = await request(client, target);
+        logger.info(
+          {
+            event: "llm_attempt_success",
+            task,
+            ...target,
+            attempt,
+            targetIndex,
+            durationMs: Date.now() - startedAt,
+          },
+          `[LLM] ${task}: ${target.provider}/${target.model} succeeded.`
+        );
+        return result;
+      } catch (error) {
+        lastError = error;
+        const retryable = isRetryableError(error);
+        const willRetry = retryable && attempt <= maxRetries;
+        const delayMs = willRetry ? getBackoffDelay(attempt) : 0;
+        logger.warn(
+          {
+            event: "llm_attempt_failed",
+            task,
+            ...target,
+            attempt,
+            targetIndex,
+            status: error?.status ?? error?.response?.status,
+            error: error.message,
+            retryable,
+            willRetry,
+            delayMs,
+            durationMs: Date.now() - startedAt,
+          },
+          `[LLM] ${task}: ${target.provider}/${target.model} failed on attempt ${attempt}.`
+        );
+        if (!willRetry) break;
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  logger.error(
+    { event: "llm_all_targets_failed", task, targets: chain, error: lastError?.message },
+    `[LLM] ${task}: every provider in the fallback chain failed.`
+  );
+  throw lastError;
+};
+
+/**
+ * Sends a chat completion request for a task, failing over along the task's provider chain.
+ * The params are the usual OpenAI-style body without `model`; the response keeps the OpenAI shape
+ * (`response.choices[0].message.content`) regardless of provider.
+ * @param {string} task - Task name (chat, ltm, summary, vision, news).
+ * @param {object} params - Completion params (messages, max_tokens, temperature, ...).
+ * @returns {Promise<object>} The chat completion response.
+ */
+const createChatCompletion = async (task, params) =>
+  withFailover(task, (client, { model }) =>
+    client.chat.completions.create({ model, ...params })
+  );
+
+/**
+ * Opens a streaming chat completion for a task. Failover covers opening the stream
+ * (connection errors, rate limits, ...); errors after the first chunk surface to the consumer.
+ * @param {string} task - Task name (chat, ltm, summary, vision, news).
+ * @param {object} params - Completion params (messages, max_tokens, temperature, ...).
+ * @returns {Promise<AsyncIterable<object>>} Stream of OpenAI-style chunks (`chunk.choices[0].delta`).
+ */
+const streamChatCompletion = async (task, params) =>
+  withFailover(task, (client, { model }) =>
+    client.chat.completions.create({ model, ...params, stream: true })
+  );
+
+module.exports = {
+  createChatCompletion,
+  streamChatCompletion,
+  resolveTask,
+  resolveTaskChain,
+  PROVIDERS,
+};
@@ -1,85 +1,97 @@
 // data/memory.js
-// Handles persistence-data memory for the Lumina bot using LokiJS.
+// Handles persistence-data memory for the Lumina bot.
 // Versi ini dioptimalkan untuk performa dan efisiensi memori.
-// This module manages chat history, user preferences, and long-term memory (LTM),
-// including automatic data cleanup routines.
+// This module manages chat history, user preferences, long-term memory (LTM) and small
+// per-owner records (reminders, notes, relationship state), including automatic data cleanup routines. Penyimpanan sebenarnya dilakukan oleh
+// backend di data/storage/ (LokiJS atau SQLite, lihat config.storage).
 
-const path = require("path");
-const Loki = require("lokijs");
+const config = require("../config/config");
+const { createStorage } = require("./storage");
+const { tokenizeText } = require("./storage/textSearch");
 
 // --- Configuration Constants ---
 
-const DB_PATH =
-  process.env.NODE_ENV === "production"
-    ? path.join(process.cwd(), "data", "Lumina_memory.json")
-    : path.join(__dirname, "memory.json");
-
 const MAX_HISTORY_LENGTH = 100;
 // OPTIMASI: Ambang batas untuk flush, memberikan buffer sebelum melakukan trim.
 const FLUSH_THRESHOLD = MAX_HISTORY_LENGTH + 20;
-const CLEANUP_INTERVAL = 7 * 24 * 60 * 60 * 1000; // 1 minggu
-const LTM_CLEANUP_INTERVAL = 6 * 60 * 60 * 1000; // 6 jam
-const LTM_CLEANUP_BATCH_SIZE = 50; // OPTIMASI: Ukuran batch untuk penghapusan LTM.
-const COMPACTION_INTERVAL = 12 * 60 * 60 * 1000; // 12 jam
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Batas retensi default (hari). Nilai sebenarnya diatur lewat config.retention
+// dan dijalankan oleh scheduler/maintenance.js.
+const DEFAULT_HISTORY_RETENTION_DAYS = 7;
+const DEFAULT_LTM_RETENTION = { highDays: 60, mediumDays: 14, lowDays: 5 };
+const DEFAULT_ARCHIVE_RETENTION_DAYS = 90;
+const DEFAULT_SEARCH_LIMIT = 10;
 const QUERY_CACHE_TTL = 5000; // 5 detik TTL untuk cache query.
 
 // --- Database Lazy Initialization ---
 
-// OPTIMASI: Objek database tidak diinisialisasi saat startup.
+// OPTIMASI: Backend tidak diinisialisasi saat startup.
 // Ini akan diinisialisasi pada panggilan database pertama.
-let dbInstance = null;
+let storageInstance = null;
 let initializationPromise = null;
-let queryCache = {
-  history: {
-    data: null,
-    timestamp: 0,
-  },
+// Cache riwayat per chat: chatId -> { data, timestamp }.
+const historyCache = new Map();
+const ALL_CHATS_CACHE_KEY = "__all__";
+
+/**
+ * Migrasi satu kali: versi lama menyimpan LTM sebagai string JSON di preferensi
+ * dengan kunci `ltm_<timestamp>`. Entri tersebut dipindahkan ke penyimpanan LTM agar semua
+ * LTM dibaca dan ditulis lewat satu jalur (getLTMMemories/saveLTMMemory).
+ * Entri yang dipindahkan ditandai `migratedAt` dan dikecualikan dari cleanupOldLTMs: `createdAt`-nya
+ * yang asli biasanya sudah melewati batas retensi, padahal migrasi ini justru untuk menyimpannya.
+ * Dipanggil sebelum database dipakai; tidak melakukan apa-apa jika sudah tidak ada entri lama.
+ * @param {object} storage - Backend penyimpanan yang sudah diinisialisasi.
+ */
+const migrateLegacyLTMPreferences = async (storage) => {
+  const legacyEntries = await storage.getPreferencesByPrefix("ltm_");
+  if (legacyEntries.length === 0) return;
+
+  let migrated = 0;
+  for (const entry of legacyEntries) {
+    try {
+      const data = typeof entry.value === "string" ? JSON.parse(entry.value) : entry.value;
+      if (data?.value && !(await storage.getLTM(entry.key))) {
+        const timestamp = parseInt(entry.key.slice("ltm_".length), 10);
+        await storage.putLTM(entry.key, {
+          value: data.value,
+          priority: Number(data.priority) || 0,
+          source: data.source || null,
+          userId: data.userId ?? null,
+          chatId: data.chatId ?? null,
+          createdAt:
+            data.createdAt ||
+            new Date(Number.isFinite(timestamp) ? timestamp : Date.now()).toISOString(),
+          migratedAt: new Date().toISOString(),
+        });
+        migrated++;
+      }
+    } catch (error) {
+      console.error(`LTM migration: skipping unreadable entry "${entry.key}":`, error);
+    }
+  }
+  for (const entry of legacyEntries) {
+    await storage.deletePreference(entry.key);
+  }
+  console.log(
+    `LTM migration: moved ${migrated} of ${legacyEntries.length} legacy ltm_* preferences into the ltm collection.`
+  );
 };
 
 /**
  * OPTIMASI: Lazy Initialization
- * Menginisialisasi database hanya saat pertama kali dibutuhkan.
- * @returns {Promise<object>} Promise yang me-resolve dengan instance DB yang siap.
+ * Menginisialisasi backend penyimpanan hanya saat pertama kali dibutuhkan.
+ * @returns {Promise<object>} Promise yang me-resolve dengan backend yang siap.
  */
-const getDbInstance = () => {
+const getStorage = () => {
   if (!initializationPromise) {
-    initializationPromise = new Promise((resolve, reject) => {
-      console.log(`Initializing LokiJS database at ${DB_PATH}...`);
-      // OPTIMASI: Pengaturan autosave yang disesuaikan dan throttling dinonaktifkan.
-      const db = new Loki(DB_PATH, {
-        adapter: new Loki.LokiFsAdapter(),
-        autoload: true,
-        autoloadCallback: () => {
-          // OPTIMASI: Indeks biner adaptif diaktifkan untuk query timestamp yang lebih cepat.
-          const history =
-            db.getCollection("history") ||
-            db.addCollection("history", {
-              indices: ["timestamp"],
-              adaptiveBinaryIndices: true,
-            });
-
-          const preferences =
-            db.getCollection("preferences") ||
-            db.addCollection("preferences", { unique: ["key"] });
-
-          // OPTIMASI: Koleksi terpisah untuk LTM untuk menghindari pemindaian regex yang lambat.
-          const ltm =
-            db.getCollection("ltm") ||
-            db.addCollection("ltm", {
-              indices: ["createdAt", "priority"],
-            });
-
-          dbInstance = { db, history, preferences, ltm };
-          console.log("LokiJS database and collections are ready.");
-          resolve(dbInstance);
-        },
-        // OPTIMASI: Interval autosave yang lebih lama dan non-throttled.
-        autosave: true,
-        autosaveInterval: 10000, // 10 detik
-        throttledSaves: false,
-      });
-    }).catch((err) => {
-      console.error("Fatal error during LokiJS database initialization:", err);
+    initializationPromise = (async () => {
+      const storage = createStorage();
+      await storage.init();
+      await migrateLegacyLTMPreferences(storage);
+      storageInstance = storage;
+      return storage;
+    })().catch((err) => {
+      console.error("Fatal error during database initialization:", err);
       process.exit(1);
     });
   }
@@ -88,34 +100,49 @@ const getDbInstance = () => {
 
 // --- Core Memory Management Functions ---
 
+/**
+ * Menghapus cache riwayat untuk satu chat (dan cache gabungan).
+ * @param {string|number} [chatId] - ID chat. Jika kosong, semua cache dihapus.
+ */
+const invalidateHistoryCache = (chatId) => {
+  if (chatId === undefined || chatId === null || chatId === "") {
+    historyCache.clear();
+    return;
+  }
+  historyCache.delete(String(chatId));
+  historyCache.delete(ALL_CHATS_CACHE_KEY);
+};
+
 /**
  * OPTIMASI: Caching Hasil Query
- * Memuat riwayat percakapan terbaru, dengan caching untuk mengurangi query berulang.
+ * Memuat riwayat percakapan terbaru untuk satu chat, dengan caching untuk mengurangi query berulang.
+ * Tanpa chatId, riwayat terbaru dari semua chat dikembalikan (hanya untuk keperluan statistik/startup).
+ * @param {string|number} [chatId] - ID chat yang riwayatnya dimuat.
  * @returns {Promise<Array<Object>>}
  */
-const load = async () => {
-  const { history } = await getDbInstance();
+const load = async (chatId) => {
+  const storage = await getStorage();
   const now = Date.now();
+  const hasChatId = chatId !== undefined && chatId !== null && chatId !== "";
+  const cacheKey = hasChatId ? String(chatId) : ALL_CHATS_CACHE_KEY;
 
   // Periksa cache terlebih dahulu
-  if (queryCache.history.data && now - queryCache.history.timestamp < QUERY_CACHE_TTL) {
-    return queryCache.history.data;
+  const cached = historyCache.get(cacheKey);
+  if (cached && now - cached.timestamp < QUERY_CACHE_TTL) {
+    return cached.data;
   }
 
   try {
-    const recentHistory = history
-      .chain()
-      .simplesort("timestamp", true)
-      .limit(MAX_HISTORY_LENGTH)
-      .data();
-
-    const chronologicalHistory = recentHistory.reverse();
-    
+    const chronologicalHistory = await storage.getRecentMessages(
+      hasChatId ? chatId : null,
+      MAX_HISTORY_LENGTH
+    );
+
     // Simpan hasil ke cache
-    queryCache.history = {
-        data: chronologicalHistory,
-        timestamp: now
-    };
+    historyCache.set(cacheKey, {
+      data: chronologicalHistory,
+      timestamp: now,
+    });
 
     return chronologicalHistory;
   } catch (error) {
@@ -129,23 +156,28 @@ const load = async () => {
  * @param {object} message - Objek pesan yang akan ditambahkan.
  */
 const addMessage = async (message) => {
-  const { history } = await getDbInstance();
+  const storage = await getStorage();
   if (!message || typeof message.content !== "string" || message.content.trim() === "") {
     console.warn("Attempted to add invalid message:", message);
     return;
   }
 
   try {
+    // Nama pengirim disimpan di context (kolom penyimpanan tetap), agar riwayat grup
+    // bisa ditampilkan per orang (utils/chatFormatter.js).
+    const senderName = message.from?.first_name || message.from?.username;
     const messageToStore = {
       role: message.role || "user",
       content: message.content,
       timestamp: message.timestamp || new Date().toISOString(),
       chatId: message.chatId || "",
-      context: message.context || {},
+      // ID pengirim, agar pesan bisa diatribusikan ke pengguna (mis. di grup).
+      userId: message.userId ?? message.from?.id ?? null,
+      context: senderName ? { ...(message.context || {}), senderName } : message.context || {},
     };
-    history.insert(messageToStore);
-    queryCache.history.data = null; // Invalidate cache
-    await flush(); // Flush dipanggil di sini, tetapi logika internalnya dioptimalkan.
+    await storage.insertMessage(messageToStore);
+    invalidateHistoryCache(messageToStore.chatId);
+    await flush(messageToStore.chatId); // Flush dipanggil di sini, tetapi logika internalnya dioptimalkan.
   } catch (error) {
     console.error("Error adding message to history:", error);
   }
@@ -153,26 +185,26 @@ const addMessage = async (message) => {
 
 /**
  * OPTIMASI: Flushing Berbasis Ambang Batas
- * Memangkas koleksi riwayat hanya jika ukurannya jauh melebihi batas maksimum.
+ * Memangkas riwayat sebuah chat hanya jika ukurannya jauh melebihi batas maksimum.
+ * Batas berlaku per chat, sehingga chat yang ramai tidak menghapus riwayat chat lain.
+ * Pesan yang dipangkas dipindahkan ke arsip (bisa dicari lewat /cari), kecuali HISTORY_ARCHIVE=false.
+ * @param {string|number} chatId - ID chat yang riwayatnya dipangkas.
  * @returns {Promise<boolean>}
  */
-const flush = async () => {
-  const { history } = await getDbInstance();
+const flush = async (chatId) => {
+  const storage = await getStorage();
   try {
-    const currentHistoryCount = history.count();
+    const currentHistoryCount = await storage.countMessages(chatId);
 
     if (currentHistoryCount > FLUSH_THRESHOLD) {
       const excessCount = currentHistoryCount - MAX_HISTORY_LENGTH;
-      const oldMessages = history
-        .chain()
-        .simplesort("timestamp") // Urutkan menaik (yang tertua dulu)
-        .limit(excessCount)
-        .data();
-
-      if (oldMessages.length > 0) {
-        console.log(`Trimming ${oldMessages.length} old messages from history...`);
-        history.remove(oldMessages);
-        queryCache.history.data = null; // Invalidate cache
+      const removedCount = config.storage.archiveHistory
+        ? await storage.archiveOldestMessages(chatId, excessCount)
+        : await storage.deleteOldestMessages(chatId, excessCount);
+
+      if (removedCount > 0) {
+        console.log(`Trimmed ${removedCount} old messages from history of chat ${chatId}.`);
+        invalidateHistoryCache(chatId);
       }
     }
     return true;
@@ -188,30 +220,113 @@ const flush = async () => {
  * @param {any} value - Nilai yang akan disimpan.
  */
 const savePreference = async (key, value) => {
-  const { preferences } = await getDbInstance();
+  const storage = await getStorage();
   try {
-    const existingPref = preferences.findOne({ key });
-    if (existingPref) {
-      existingPref.value = value;
-      preferences.update(existingPref);
-    } else {
-      preferences.insert({ key, value });
-    }
+    await storage.setPreference(key, value);
   } catch (error) {
     console.error(`Error saving preference for key "${key}":`, error);
   }
 };
 
+/**
+ * Mengambil semua preferensi yang kuncinya diawali prefix tertentu.
+ * Dipakai untuk state per chat/pengguna, mis. `chat_state_<chatId>`.
+ * @param {string} prefix - Prefix kunci.
+ * @returns {Promise<Array<{key: string, value: any}>>}
+ */
+const getPreferencesByPrefix = async (prefix) => {
+  const storage = await getStorage();
+  try {
+    return await storage.getPreferencesByPrefix(prefix);
+  } catch (error) {
+    console.error(`Error getting preferences with prefix "${prefix}":`, error);
+    return [];
+  }
+};
+
+/**
+ * Menghapus satu preferensi.
+ * @param {string} key - Kunci preferensi.
+ */
+const deletePreference = async (key) => {
+  const storage = await getStorage();
+  await storage.deletePreference(key);
+};
+
+/**
+ * Menghitung pesan dari seorang pengguna sejak waktu tertentu, di semua chat.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {string} sinceIso - Batas waktu (ISO string).
+ * @returns {Promise<number>}
+ */
+const countUserMessagesSince = async (userId, sinceIso) => {
+  const storage = await getStorage();
+  try {
+    return await storage.countUserMessagesSince(userId, sinceIso);
+  } catch (error) {
+    console.error(`Error counting messages for user "${userId}":`, error);
+    return 0;
+  }
+};
+
+/**
+ * Mengambil seluruh riwayat yang terkait dengan seorang pengguna: semua pesan di chat
+ * pribadinya (chatId = userId) ditambah pesan yang ia kirim di chat lain (grup), termasuk arsip.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {Promise<Array<Object>>} Pesan, terurut dari yang terlama.
+ */
+const getUserHistory = async (userId) => {
+  const storage = await getStorage();
+  try {
+    return await storage.getUserMessages(userId);
+  } catch (error) {
+    console.error(`Error getting history for user "${userId}":`, error);
+    return [];
+  }
+};
+
+/**
+ * Memasukkan pesan hasil impor ke riwayat. Pesan yang sudah ada (chat, waktu,
+ * peran dan isi sama) dilewati, lalu riwayat tiap chat dipangkas seperti biasa.
+ * @param {Array<Object>} messages - Pesan dengan format yang sama seperti addMessage.
+ * @returns {Promise<number>} Jumlah pesan yang benar-benar ditambahkan.
+ */
+const importHistory = async (messages) => {
+  const storage = await getStorage();
+  const touchedChats = new Set();
+  let imported = 0;
+
+  for (const message of messages) {
+    if (await storage.hasMessage(message)) continue;
+
+    await storage.insertMessage({
+      role: message.role,
+      content: message.content,
+      timestamp: message.timestamp,
+      chatId: message.chatId,
+      userId: message.userId ?? null,
+      context: message.context || {},
+    });
+    touchedChats.add(message.chatId);
+    imported++;
+  }
+
+  for (const chatId of touchedChats) {
+    invalidateHistoryCache(chatId);
+    await flush(chatId);
+  }
+  return imported;
+};
+
 /**
  * Mengambil nilai preferensi berdasarkan kunci.
  * @param {string} key - Kunci preferensi yang akan diambil.
  * @returns {Promise<any|undefined>}
  */
 const getPreference = async (key) => {
-  const { preferences } = await getDbInstance();
+  const storage = await getStorage();
   try {
-    const pref = preferences.findOne({ key });
-    return pref ? pref.value : undefined;
+    return await storage.getPreference(key);
   } catch (error) {
     console.error(`Error getting preference for key "${key}":`, error);
     return undefined;
@@ -222,14 +337,18 @@ const getPreference = async (key) => {
 
 /**
  * OPTIMASI: Query LTM yang Efisien
- * Mengambil semua LTM dari koleksi khususnya.
+ * Mengambil semua LTM, prioritas tertinggi lebih dulu. Setiap entri adalah salinan dengan
+ * `id` numerik yang stabil (dipakai /memories dan /forget).
+ * Memori yang sudah digantikan (punya `supersededBy`) disembunyikan kecuali diminta.
+ * @param {object} [options]
+ * @param {boolean} [options.includeSuperseded=false] - Sertakan memori yang sudah digantikan.
  * @returns {Promise<Array<Object>>}
  */
-const getLTMMemories = async () => {
-  const { ltm } = await getDbInstance();
+const getLTMMemories = async ({ includeSuperseded = false } = {}) => {
+  const storage = await getStorage();
   try {
-    // Cukup query koleksi ltm, jauh lebih cepat daripada regex.
-    return ltm.chain().simplesort("priority", true).data();
+    const entries = await storage.getLTMs();
+    return includeSuperseded ? entries : entries.filter((entry) => !entry.supersededBy);
   } catch (error) {
     console.error("Error getting LTM memories:", error);
     return [];
@@ -237,60 +356,82 @@ const getLTMMemories = async () => {
 };
 
 /**
- * Menyimpan memori jangka panjang (LTM).
+ * Menyimpan memori jangka panjang (LTM). Data digabung ke entri lama dengan kunci yang sama.
+ * `updatedAt` selalu diperbarui agar cache pencarian LTM tahu ada perubahan.
  * @param {string} key - Kunci unik untuk LTM.
  * @param {object} ltmData - Data LTM (termasuk konten, prioritas, dll.).
  */
 const saveLTMMemory = async (key, ltmData) => {
-    const { ltm } = await getDbInstance();
-    try {
-        const existingLtm = ltm.findOne({ key });
-        const dataToStore = { key, ...ltmData, createdAt: ltmData.createdAt || new Date().toISOString() };
-        if (existingLtm) {
-            Object.assign(existingLtm, dataToStore);
-            ltm.update(existingLtm);
-        } else {
-            ltm.insert(dataToStore);
-        }
-    } catch (error) {
-        console.error(`Error saving LTM for key "${key}":`, error);
-    }
+  const storage = await getStorage();
+  try {
+    const existingLtm = await storage.getLTM(key);
+    const { id, ...fields } = ltmData;
+    await storage.putLTM(key, {
+      ...existingLtm,
+      ...fields,
+      key,
+      createdAt: fields.createdAt || existingLtm?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error(`Error saving LTM for key "${key}":`, error);
+  }
 };
 
 /**
- * OPTIMASI: Pembersihan Batch
- * Membersihkan LTM lama secara bertahap untuk menghindari pemblokiran loop peristiwa.
+ * Menghapus satu LTM berdasarkan kuncinya.
+ * @param {string} key - Kunci LTM.
+ * @returns {Promise<boolean>} True jika ada yang dihapus.
  */
-const cleanupOldLTMs = async () => {
-  console.log("Auto-cleanup LTM: Starting batch cleanup process...");
-  const { ltm } = await getDbInstance();
+const deleteLTMMemory = async (key) => {
+  const storage = await getStorage();
   try {
-    const now = new Date();
-    let deletedCount = 0;
-    
-    const MS_PER_DAY = 1000 * 60 * 60 * 24;
-    const criteria = {
-        $or: [
-            { priority: 100, createdAt: { $lt: new Date(now - 60 * MS_PER_DAY).toISOString() } }, // > 2 bulan
-            { priority: { $between: [91, 99] }, createdAt: { $lt: new Date(now - 14 * MS_PER_DAY).toISOString() } }, // > 2 minggu
-            { priority: { $lte: 90 }, createdAt: { $lt: new Date(now - 5 * MS_PER_DAY).toISOString() } } // > 5 hari
-        ]
-    };
+    return (await storage.deleteLTMs([key])) > 0;
+  } catch (error) {
+    console.error(`Error deleting LTM for key "${key}":`, error);
+    return false;
+  }
+};
 
-    let hasMore = true;
-    while (hasMore) {
-        const oldDocs = ltm.chain().find(criteria).limit(LTM_CLEANUP_BATCH_SIZE).data();
-
-        if (oldDocs.length > 0) {
-            ltm.remove(oldDocs);
-            deletedCount += oldDocs.length;
-            console.log(`Auto-cleanup LTM: Batch removed ${oldDocs.length} entries.`);
-        } else {
-            hasMore = false;
-        }
-    }
+/**
+ * Membersihkan LTM lama.
+ * Umur maksimum bergantung pada prioritas; 0 hari berarti tingkat tersebut disimpan selamanya.
+ * Memori yang di-pin pengguna (/remember) dan memori hasil migrasi preferensi lama (`migratedAt`)
+ * tidak pernah kedaluwarsa; keduanya hanya hilang lewat /forget.
+ * @param {{highDays?: number, mediumDays?: number, lowDays?: number}} [retention] - Retensi per tingkat
+ *   prioritas: high = 100, medium = 91-99, low = <= 90.
+ */
+const cleanupOldLTMs = async (retention = {}) => {
+  console.log("Auto-cleanup LTM: Starting cleanup process...");
+  const storage = await getStorage();
+  try {
+    const now = Date.now();
+    const { highDays, mediumDays, lowDays } = { ...DEFAULT_LTM_RETENTION, ...retention };
+
+    /**
+     * Umur maksimum (hari) untuk sebuah prioritas.
+     * @param {number} priority
+     * @returns {number}
+     */
+    const maxAgeFor = (priority) => {
+      if (priority >= 100) return highDays;
+      if (priority >= 91) return mediumDays;
+      return lowDays;
+    };
 
-    if (deletedCount > 0) {
+    const expiredKeys = (await storage.getLTMs())
+      .filter((entry) => {
+        if (entry.pinned || entry.migratedAt) return false;
+        const maxAgeDays = maxAgeFor(Number(entry.priority) || 0);
+        return (
+          maxAgeDays > 0 &&
+          String(entry.createdAt) < new Date(now - maxAgeDays * MS_PER_DAY).toISOString()
+        );
+      })
+      .map((entry) => entry.key);
+
+    if (expiredKeys.length > 0) {
+      const deletedCount = await storage.deleteLTMs(expiredKeys);
       console.log(`Auto-cleanup LTM: Finished. Removed ${deletedCount} old LTM entries in total.`);
     } else {
       console.log("Auto-cleanup LTM: No old LTM entries to clean up.");
@@ -305,75 +446,264 @@ const cleanupOldLTMs = async () => {
 
 /**
  * OPTIMASI: Kompaksi Database Berkala
- * Secara berkala menyimpan database ke disk, yang juga melakukan kompaksi.
+ * Memadatkan file database (LokiJS: simpan ulang ke disk; SQLite: checkpoint WAL + VACUUM).
  */
 const compactDatabase = async () => {
-    console.log("Performing periodic database compaction...");
-    const { db } = await getDbInstance();
-    db.saveDatabase((err) => {
-        if (err) {
-            console.error("Error during periodic compaction:", err);
-        } else {
-            console.log("Database compaction successful.");
-        }
-    });
+  console.log("Performing periodic database compaction...");
+  const storage = await getStorage();
+  try {
+    await storage.compact();
+    console.log("Database compaction successful.");
+  } catch (error) {
+    console.error("Error during periodic compaction:", error);
+  }
 };
 
 /**
- * Membersihkan pesan riwayat yang sangat lama.
+ * Mengeluarkan pesan yang sangat lama dari riwayat aktif: dipindahkan ke arsip,
+ * atau dihapus jika arsip dimatikan (HISTORY_ARCHIVE=false).
+ * @param {number} [maxAgeDays=7] - Umur maksimum pesan; 0 berarti riwayat disimpan selamanya.
  */
-const cleanupOldMessages = async () => {
-  const { history } = await getDbInstance();
+const cleanupOldMessages = async (maxAgeDays = DEFAULT_HISTORY_RETENTION_DAYS) => {
+  if (!(maxAgeDays > 0)) return;
+  const storage = await getStorage();
   try {
-    const oneWeekAgo = new Date(Date.now() - CLEANUP_INTERVAL).toISOString();
-    const oldDocs = history.find({ timestamp: { $lt: oneWeekAgo } });
-    if (oldDocs.length > 0) {
-      history.remove(oldDocs);
-      console.log(`Auto-cleanup: Removed ${oldDocs.length} old messages from history.`);
+    const cutoff = new Date(Date.now() - maxAgeDays * MS_PER_DAY).toISOString();
+    const archive = config.storage.archiveHistory;
+    const removedCount = archive
+      ? await storage.archiveMessagesBefore(cutoff)
+      : await storage.deleteMessagesBefore(cutoff);
+    if (removedCount > 0) {
+      invalidateHistoryCache();
+      console.log(`Auto-cleanup: ${archive ? "Archived" : "Removed"} ${removedCount} old messages from history.`);
     }
   } catch (error) {
     console.error("Auto-cleanup error (history):", error);
   }
 };
 
-// --- Scheduling and Startup ---
+/**
+ * Menghapus pesan arsip yang lebih tua dari batas retensi.
+ * @param {number} [maxAgeDays=90] - Umur maksimum pesan arsip; 0 berarti disimpan selamanya.
+ */
+const cleanupArchivedMessages = async (maxAgeDays = DEFAULT_ARCHIVE_RETENTION_DAYS) => {
+  if (!(maxAgeDays > 0)) return;
+  const storage = await getStorage();
+  try {
+    const cutoff = new Date(Date.now() - maxAgeDays * MS_PER_DAY).toISOString();
+    const removedCount = await storage.deleteArchivedBefore(cutoff);
+    if (removedCount > 0) {
+      console.log(`Auto-cleanup: Removed ${removedCount} old messages from the history archive.`);
+    }
+  } catch (error) {
+    console.error("Auto-cleanup error (archive):", error);
+  }
+};
 
-(async () => {
-  await getDbInstance(); // Pastikan DB siap sebelum menjadwalkan tugas.
-  console.log("Scheduling maintenance jobs...");
-  setInterval(cleanupOldMessages, CLEANUP_INTERVAL);
-  setInterval(cleanupOldLTMs, LTM_CLEANUP_INTERVAL);
-  setInterval(compactDatabase, COMPACTION_INTERVAL);
+/**
+ * Mencari pesan di riwayat aktif dan arsip sebuah chat. Setiap kata kunci harus muncul
+ * (sebagai awal kata) di pesan; perintah dan balasan perintah tidak ikut dicari.
+ * @param {string|number} chatId - ID chat yang dicari.
+ * @param {object} options
+ * @param {string} options.query - Kata kunci pencarian.
+ * @param {string} [options.from] - Batas awal waktu (ISO string), inklusif.
+ * @param {string} [options.to] - Batas akhir waktu (ISO string), inklusif.
+ * @param {number} [options.limit=10] - Jumlah hasil maksimum.
+ * @returns {Promise<Array<Object>>} Pesan yang cocok, terbaru lebih dulu.
+ */
+const searchHistory = async (chatId, { query, from, to, limit = DEFAULT_SEARCH_LIMIT }) => {
+  const terms = [...new Set(tokenizeText(query))];
+  if (terms.length === 0) return [];
+  const storage = await getStorage();
+  try {
+    return await storage.searchMessages({ chatId, terms, from, to, limit });
+  } catch (error) {
+    console.error(`Error searching history of chat "${chatId}":`, error);
+    return [];
+  }
+};
 
-  console.log("Running initial cleanup on startup...");
-  cleanupOldMessages();
-  cleanupOldLTMs();
-})();
+/**
+ * Menghapus kalimat asli (`source`) dari LTM lama; ringkasannya (`value`) tetap disimpan.
+ * Fakta yang di-pin tidak disentuh karena sumbernya adalah fakta itu sendiri.
+ * @param {number} maxAgeDays - Umur maksimum kalimat asli; 0 berarti disimpan selamanya.
+ */
+const stripOldLTMSources = async (maxAgeDays) => {
+  if (!(maxAgeDays > 0)) return;
+  const storage = await getStorage();
+  try {
+    const cutoff = new Date(Date.now() - maxAgeDays * MS_PER_DAY).toISOString();
+    const entries = (await storage.getLTMs()).filter(
+      (entry) => !entry.pinned && entry.source != null && String(entry.createdAt) < cutoff
+    );
+    for (const { id, ...entry } of entries) {
+      await storage.putLTM(entry.key, { ...entry, source: null });
+    }
+    if (entries.length > 0) {
+      console.log(`Auto-cleanup LTM: Removed source text from ${entries.length} old entries.`);
+    }
+  } catch (error) {
+    console.error("Auto-cleanup error (LTM source):", error);
+  }
+};
+
+/**
+ * Menghapus lokasi pengguna (`user_location_<id>`) yang disimpan lebih lama dari batas retensi.
+ * Lokasi lama tanpa `savedAt` diberi stempel waktu sekarang agar mulai dihitung.
+ * @param {number} maxAgeDays - Umur maksimum lokasi; 0 berarti disimpan selamanya.
+ */
+const cleanupOldLocations = async (maxAgeDays) => {
+  if (!(maxAgeDays > 0)) return;
+  const storage = await getStorage();
+  try {
+    const cutoff = new Date(Date.now() - maxAgeDays * MS_PER_DAY).toISOString();
+    const locations = await storage.getPreferencesByPrefix("user_location_");
+    let removedCount = 0;
+    for (const pref of locations) {
+      if (!pref.value?.savedAt) {
+        await storage.setPreference(pref.key, { ...pref.value, savedAt: new Date().toISOString() });
+      } else if (pref.value.savedAt < cutoff) {
+        await storage.deletePreference(pref.key);
+        removedCount++;
+      }
+    }
+    if (removedCount > 0) {
+      console.log(`Auto-cleanup: Removed ${removedCount} expired user locations.`);
+    }
+  } catch (error) {
+    console.error("Auto-cleanup error (locations):", error);
+  }
+};
+
+/**
+ * Menghapus semua riwayat yang terkait dengan seorang pengguna, termasuk arsip (lihat getUserHistory).
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {Promise<number>} Jumlah pesan yang dihapus.
+ */
+const deleteUserHistory = async (userId) => {
+  const storage = await getStorage();
+  const removedCount = await storage.deleteUserMessages(userId);
+  if (removedCount > 0) {
+    invalidateHistoryCache();
+  }
+  return removedCount;
+};
+
+/**
+ * Menghapus semua LTM milik seorang pengguna, termasuk yang sudah digantikan.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {Promise<number>} Jumlah memori yang dihapus.
+ */
+const deleteUserLTMs = async (userId) => {
+  const storage = await getStorage();
+  const keys = (await storage.getLTMs())
+    .filter((entry) => entry.userId !== undefined && entry.userId !== null && String(entry.userId) === String(userId))
+    .map((entry) => entry.key);
+  return keys.length > 0 ? storage.deleteLTMs(keys) : 0;
+};
+
+// --- Record Functions ---
+// Koleksi record menggantikan file JSON terpisah (reminders.json, notes.json, relationState.json).
+// Setiap record disimpan sendiri-sendiri, jadi perubahan satu record tidak menimpa record lain.
+
+/**
+ * Mengambil semua record sebuah koleksi, atau hanya milik satu pemilik.
+ * @param {string} collection - Nama koleksi, mis. "reminders".
+ * @param {string|number} [ownerId] - ID chat/pengguna pemilik record.
+ * @returns {Promise<Array<object>>} Salinan isi record, urut sesuai waktu dibuat.
+ */
+const getRecords = async (collection, ownerId) => {
+  const storage = await getStorage();
+  return storage.listRecords(collection, ownerId);
+};
+
+/**
+ * Mengambil satu record berdasarkan ID.
+ * @param {string} collection - Nama koleksi.
+ * @param {string|number} id - ID record.
+ * @returns {Promise<object|null>}
+ */
+const getRecord = async (collection, id) => {
+  const storage = await getStorage();
+  return storage.getRecord(collection, id);
+};
+
+/**
+ * Membuat atau menimpa satu record.
+ * @param {string} collection - Nama koleksi.
+ * @param {string|number} id - ID record.
+ * @param {string|number|null} ownerId - ID chat/pengguna pemilik record.
+ * @param {object} data - Isi record.
+ */
+const saveRecord = async (collection, id, ownerId, data) => {
+  const storage = await getStorage();
+  await storage.putRecord(collection, id, ownerId, data);
+};
+
+/**
+ * Memperbarui satu record secara atomik: membaca, memanggil `updater`, lalu menulis hasilnya
+ * tanpa memberi kesempatan operasi lain mengubah record yang sama di antaranya.
+ * @param {string} collection - Nama koleksi.
+ * @param {string|number} id - ID record.
+ * @param {string|number|null} ownerId - ID chat/pengguna pemilik record.
+ * @param {function(object|null): object} updater - Fungsi sinkron yang menerima isi lama (null jika
+ *   belum ada) dan mengembalikan isi baru.
+ * @returns {Promise<object>} Isi record yang baru.
+ */
+const updateRecord = async (collection, id, ownerId, updater) => {
+  const storage = await getStorage();
+  return storage.updateRecord(collection, id, ownerId, updater);
+};
+
+/**
+ * Menghapus record berdasarkan ID.
+ * @param {string} collection - Nama koleksi.
+ * @param {Array<string|number>} ids - ID record yang dihapus.
+ * @returns {Promise<number>} Jumlah record yang dihapus.
+ */
+const deleteRecords = async (collection, ids) => {
+  if (ids.length === 0) return 0;
+  const storage = await getStorage();
+  return storage.deleteRecords(collection, ids);
+};
+
+/**
+ * Menutup koneksi database (LokiJS menyimpan datanya terlebih dahulu).
+ * Tidak melakukan apa-apa jika database belum pernah dibuka.
+ */
+const closeDb = async () => {
+  if (!storageInstance) return;
+  await storageInstance.close();
+};
 
 // --- Module Exports ---
 
 module.exports = {
   load,
   addMessage,
+  countUserMessagesSince,
+  getUserHistory,
+  importHistory,
   getPreference,
+  getPreferencesByPrefix,
   savePreference,
-  deletePreference: async (key) => { 
-      const { preferences } = await getDbInstance();
-      preferences.findAndRemove({ key });
-  },
+  deletePreference,
   getLTMMemories,
   saveLTMMemory,
-  closeDb: async () => {
-    if (!dbInstance) return;
-    const { db } = await getDbInstance();
-    return new Promise((resolve, reject) => {
-      db.close((err) => {
-        if (err) reject(err);
-        else {
-          console.log("LokiJS Database connection closed.");
-          resolve();
-        }
-      });
-    });
-  },
+  deleteLTMMemory,
+  deleteUserHistory,
+  deleteUserLTMs,
+  getRecords,
+  getRecord,
+  saveRecord,
+  updateRecord,
+  deleteRecords,
+  cleanupOldMessages,
+  cleanupArchivedMessages,
+  searchHistory,
+  cleanupOldLTMs,
+  stripOldLTMSources,
+  cleanupOldLocations,
+  compactDatabase,
+  closeDb,
 };
@@ -0,0 +1,89 @@
+// data/storage/index.js
+// Memilih backend penyimpanan untuk data/memory.js berdasarkan config.storage.backend.
+// data/memory.js tetap menjadi satu-satunya pintu masuk untuk modul lain; backend hanya
+// menyediakan operasi dasar di bawah ini, sedangkan cache, pemangkasan riwayat dan aturan
+// retensi tetap diurus data/memory.js agar perilakunya sama di semua backend.
+//
+// Kontrak backend (semua fungsi mengembalikan Promise):
+//   init(), close(), compact()
+//   insertMessage(message)
+//   getRecentMessages(chatId|null, limit)     -> pesan terbaru, urut dari yang terlama
+//   countMessages(chatId)
+//   deleteOldestMessages(chatId, count)       -> jumlah pesan yang dihapus
+//   deleteMessagesBefore(cutoffIso)           -> jumlah pesan yang dihapus
+//   archiveOldestMessages(chatId, count)      -> pindahkan pesan tertua ke arsip; jumlah yang dipindah
+//   archiveMessagesBefore(cutoffIso)          -> pindahkan pesan lama ke arsip; jumlah yang dipindah
+//   deleteArchivedBefore(cutoffIso)           -> jumlah pesan arsip yang dihapus
+//   searchMessages({chatId, terms, from, to, limit})
+//                                             -> riwayat aktif + arsip, terbaru dulu (aturan di textSearch.js)
+//   countUserMessagesSince(userId, sinceIso)  -> hanya pesan ber-role "user", termasuk arsip
+//   getUserMessages(userId) / deleteUserMessages(userId)
+//                                             -> chat pribadi (chatId = userId) + pesan userId di chat lain,
+//                                                termasuk arsip
+//   hasMessage({chatId, timestamp, role, content})
+//   getPreference(key), setPreference(key, value), deletePreference(key)
+//   getPreferencesByPrefix(prefix)            -> [{key, value}]
+//   getLTMs()                                 -> salinan semua LTM (termasuk `id`), prioritas tertinggi dulu
+//   getLTM(key), putLTM(key, data)            -> putLTM menimpa seluruh dokumen
+//   deleteLTMs(keys)                          -> jumlah LTM yang dihapus
+//   Record = dokumen kecil ber-ID milik satu pemilik (chat/pengguna), mis. pengingat dan catatan:
+//   listRecords(collection, ownerId?)         -> salinan isi record, urut sesuai waktu penyisipan
+//   getRecord(collection, id), putRecord(collection, id, ownerId, data)
+//   updateRecord(collection, id, ownerId, updater)
+//                                             -> baca-ubah-tulis atomik; updater(data|null) sinkron
+//   deleteRecords(collection, ids)            -> jumlah record yang dihapus
+//   dumpAll(), bulkLoad({messages, archive, preferences, ltms, records}) -> untuk scripts/migrateStorage.js
+// Setiap pesan/LTM yang dikembalikan adalah objek biasa dengan `id` numerik yang stabil.
+
+const path = require("path");
+const config = require("../../config/config");
+const { createLokiStorage } = require("./lokiStorage");
+const { createSqliteStorage } = require("./sqliteStorage");
+
+const BACKENDS = {
+  lokijs: createLokiStorage,
+  sqlite: createSqliteStorage,
+};
+
+// Nama file tanpa ekstensi; production menaruhnya di ./data dari direktori kerja.
+const DATA_DIR =
+  process.env.NODE_ENV === "production" ? path.join(process.cwd(), "data") : path.join(__dirname, "..");
+const DEFAULT_PATHS = {
+  lokijs: path.join(DATA_DIR, process.env.NODE_ENV === "production" ? "Lumina_memory.json" : "memory.json"),
+  sqlite: path.join(DATA_DIR, process.env.NODE_ENV === "production" ? "Lumina_memory.sqlite" : "memory.sqlite"),
+};
+
+/**
+ * Lokasi file database untuk sebuah backend.
+ * @param {string} backend - "lokijs" atau "sqlite".
+ * @returns {string}
+ */
+function getStoragePath(backend) {
+  if (backend === "sqlite" && config.storage.sqlitePath) {
+    return path.resolve(config.storage.sqlitePath);
+  }
+  return DEFAULT_PATHS[backend];
+}
+
+/**
+ * Membuat backend penyimpanan (belum diinisialisasi).
+ * @param {string} [backend=config.storage.backend] - "lokijs" atau "sqlite".
+ * @param {string} [filePath] - Lokasi file; default dari getStoragePath.
+ * @returns {object} Backend penyimpanan.
+ * @throws {Error} Jika nama backend tidak dikenal.
+ */
+function createStorage(backend = config.storage.backend, filePath = getStoragePath(backend)) {
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new Error(
+      `STORAGE_BACKEND "${backend}" tidak dikenal. Pilihan: ${Object.keys(BACKENDS).join(", ")}.`
+    );
+  }
+  return factory({ filePath });
+}
+
+module.exports = {
+  BACKENDS: Object.keys(BACKENDS),
+  createStorage,
+  getStoragePath,
+};
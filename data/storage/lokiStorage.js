@@ -0,0 +1,413 @@
+// data/storage/lokiStorage.js
+// Backend penyimpanan berbasis LokiJS: seluruh data berada di memori proses dan
+// disimpan ke satu file JSON lewat autosave. Ini backend bawaan (STORAGE_BACKEND=lokijs).
+// Kontrak fungsi yang harus dipenuhi setiap backend dijelaskan di data/storage/index.js.
+
+const fs = require("fs");
+const path = require("path");
+const Loki = require("lokijs");
+const { matchesSearch } = require("./textSearch");
+
+const AUTOSAVE_INTERVAL = 10000; // 10 detik
+// Koleksi record (pengingat, catatan, relasi, ...) disimpan sebagai koleksi LokiJS `records_<nama>`.
+const RECORD_COLLECTION_PREFIX = "records_";
+
+/**
+ * Mengubah dokumen LokiJS menjadi objek biasa: metadata ($loki, meta) dibuang dan
+ * ID dokumen disediakan sebagai `id`, sehingga pemanggil tidak bisa mengubah isi
+ * koleksi tanpa lewat fungsi simpan.
+ * @param {object} doc - Dokumen LokiJS.
+ * @returns {object}
+ */
+const toPlain = ({ $loki, meta, ...rest }) => ({ ...rest, id: $loki });
+
+/**
+ * Query untuk pesan milik satu chat.
+ * `$aeq` dipakai karena chatId lama tersimpan sebagai number, sementara sebagian pemanggil memakai string.
+ * @param {string|number} chatId - ID chat.
+ * @returns {object} Query LokiJS.
+ */
+const chatQuery = (chatId) => ({ chatId: { $aeq: chatId } });
+
+/**
+ * Query untuk semua pesan yang terkait dengan seorang pengguna: chat pribadinya
+ * (chatId = userId) dan pesan yang ia kirim di chat lain.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {object} Query LokiJS.
+ */
+const userQuery = (userId) => ({ $or: [chatQuery(userId), { userId: { $aeq: userId } }] });
+
+/**
+ * Membuat backend LokiJS.
+ * @param {object} options
+ * @param {string} options.filePath - Lokasi file JSON database.
+ * @returns {object} Backend penyimpanan (lihat data/storage/index.js).
+ */
+function createLokiStorage({ filePath }) {
+  let db = null;
+  let history = null;
+  let archive = null;
+  let preferences = null;
+  let ltm = null;
+
+  /**
+   * Membuka (atau membuat) file database beserta koleksinya.
+   * @returns {Promise<void>}
+   */
+  const init = () =>
+    new Promise((resolve, reject) => {
+      console.log(`Initializing LokiJS database at ${filePath}...`);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      db = new Loki(filePath, {
+        adapter: new Loki.LokiFsAdapter(),
+        autoload: true,
+        autoloadCallback: (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          // OPTIMASI: Indeks biner adaptif diaktifkan untuk query timestamp yang lebih cepat.
+          history =
+            db.getCollection("history") ||
+            db.addCollection("history", {
+              indices: ["timestamp"],
+              adaptiveBinaryIndices: true,
+            });
+          // Arsip: pesan yang sudah keluar dari riwayat aktif, tetap bisa dicari lewat /cari.
+          archive =
+            db.getCollection("archive") ||
+            db.addCollection("archive", {
+              indices: ["timestamp"],
+              adaptiveBinaryIndices: true,
+            });
+          preferences =
+            db.getCollection("preferences") ||
+            db.addCollection("preferences", { unique: ["key"] });
+          // OPTIMASI: Koleksi terpisah untuk LTM untuk menghindari pemindaian regex yang lambat.
+          ltm =
+            db.getCollection("ltm") ||
+            db.addCollection("ltm", {
+              indices: ["createdAt", "priority"],
+            });
+          console.log("LokiJS database and collections are ready.");
+          resolve();
+        },
+        // OPTIMASI: Interval autosave yang lebih lama dan non-throttled.
+        autosave: true,
+        autosaveInterval: AUTOSAVE_INTERVAL,
+        throttledSaves: false,
+      });
+    });
+
+  /**
+   * Menyimpan database ke disk; penulisan ulang file sekaligus memadatkannya.
+   * @returns {Promise<void>}
+   */
+  const compact = () =>
+    new Promise((resolve, reject) => {
+      db.saveDatabase((err) => (err ? reject(err) : resolve()));
+    });
+
+  /**
+   * Menyimpan database terakhir kali lalu menutupnya.
+   * @returns {Promise<void>}
+   */
+  const close = () =>
+    new Promise((resolve, reject) => {
+      db.close((err) => {
+        if (err) reject(err);
+        else {
+          console.log("LokiJS Database connection closed.");
+          resolve();
+        }
+      });
+    });
+
+  // --- Riwayat chat ---
+
+  const insertMessage = async (message) => {
+    history.insert({ ...message });
+  };
+
+  const getRecentMessages = async (chatId, limit) => {
+    const query = history.chain();
+    if (chatId !== null) query.find(chatQuery(chatId));
+    return query.simplesort("timestamp", true).limit(limit).data().map(toPlain).reverse();
+  };
+
+  const countMessages = async (chatId) => history.count(chatQuery(chatId));
+
+  const deleteOldestMessages = async (chatId, count) => {
+    const oldMessages = history
+      .chain()
+      .find(chatQuery(chatId))
+      .simplesort("timestamp") // Urutkan menaik (yang tertua dulu)
+      .limit(count)
+      .data();
+    history.remove(oldMessages);
+    return oldMessages.length;
+  };
+
+  const deleteMessagesBefore = async (cutoffIso) => {
+    const oldDocs = history.find({ timestamp: { $lt: cutoffIso } });
+    history.remove(oldDocs);
+    return oldDocs.length;
+  };
+
+  /**
+   * Memindahkan dokumen dari riwayat aktif ke arsip.
+   * @param {Array<object>} docs - Dokumen koleksi history.
+   * @returns {number} Jumlah dokumen yang dipindahkan.
+   */
+  const moveToArchive = (docs) => {
+    docs.forEach((doc) => {
+      const { $loki, meta, ...message } = doc;
+      archive.insert(message);
+    });
+    history.remove(docs);
+    return docs.length;
+  };
+
+  const archiveOldestMessages = async (chatId, count) =>
+    moveToArchive(
+      history.chain().find(chatQuery(chatId)).simplesort("timestamp").limit(count).data()
+    );
+
+  const archiveMessagesBefore = async (cutoffIso) =>
+    moveToArchive(history.find({ timestamp: { $lt: cutoffIso } }));
+
+  const deleteArchivedBefore = async (cutoffIso) => {
+    const oldDocs = archive.find({ timestamp: { $lt: cutoffIso } });
+    archive.remove(oldDocs);
+    return oldDocs.length;
+  };
+
+  const searchMessages = async ({ chatId, terms, from, to, limit }) =>
+    [history, archive]
+      .flatMap((collection) => collection.find(chatQuery(chatId)))
+      .filter((doc) => matchesSearch(doc, { terms, from, to }))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, limit)
+      .map(toPlain);
+
+  const countUserMessagesSince = async (userId, sinceIso) => {
+    const query = {
+      role: "user",
+      userId: { $aeq: userId },
+      timestamp: { $gt: sinceIso },
+    };
+    return history.count(query) + archive.count(query);
+  };
+
+  const getUserMessages = async (userId) =>
+    [...archive.find(userQuery(userId)), ...history.find(userQuery(userId))]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .map(toPlain);
+
+  const deleteUserMessages = async (userId) => {
+    let removedCount = 0;
+    for (const collection of [history, archive]) {
+      const docs = collection.find(userQuery(userId));
+      collection.remove(docs);
+      removedCount += docs.length;
+    }
+    return removedCount;
+  };
+
+  const hasMessage = async ({ chatId, timestamp, role, content }) =>
+    Boolean(history.findOne({ ...chatQuery(chatId), timestamp, role, content }));
+
+  // --- Preferensi ---
+
+  const getPreference = async (key) => {
+    const pref = preferences.findOne({ key });
+    return pref ? pref.value : undefined;
+  };
+
+  const setPreference = async (key, value) => {
+    const existingPref = preferences.findOne({ key });
+    if (existingPref) {
+      existingPref.value = value;
+      preferences.update(existingPref);
+    } else {
+      preferences.insert({ key, value });
+    }
+  };
+
+  const deletePreference = async (key) => {
+    preferences.findAndRemove({ key });
+  };
+
+  const getPreferencesByPrefix = async (prefix) =>
+    preferences
+      .where((pref) => typeof pref.key === "string" && pref.key.startsWith(prefix))
+      .map(({ key, value }) => ({ key, value }));
+
+  // --- LTM ---
+
+  const getLTMs = async () => ltm.chain().simplesort("priority", true).data().map(toPlain);
+
+  const getLTM = async (key) => {
+    const entry = ltm.findOne({ key });
+    return entry ? toPlain(entry) : null;
+  };
+
+  const putLTM = async (key, data) => {
+    const { id, ...fields } = data;
+    const existingLtm = ltm.findOne({ key });
+    if (existingLtm) {
+      Object.keys(existingLtm).forEach((field) => {
+        if (field !== "$loki" && field !== "meta") delete existingLtm[field];
+      });
+      Object.assign(existingLtm, fields, { key });
+      ltm.update(existingLtm);
+    } else {
+      ltm.insert({ ...fields, key });
+    }
+  };
+
+  const deleteLTMs = async (keys) => {
+    const keySet = new Set(keys);
+    const docs = ltm.where((entry) => keySet.has(entry.key));
+    ltm.remove(docs);
+    return docs.length;
+  };
+
+  // --- Record ---
+  // Setiap operasi di bawah berjalan sinkron di atas koleksi dalam memori (tanpa await di
+  // tengahnya), jadi pembaruan satu record tidak bisa bertabrakan dengan pembaruan lain.
+
+  /**
+   * Mengambil (atau membuat) koleksi LokiJS untuk sebuah koleksi record.
+   * @param {string} collection - Nama koleksi record.
+   * @returns {object} Koleksi LokiJS.
+   */
+  const getRecordCollection = (collection) => {
+    const name = `${RECORD_COLLECTION_PREFIX}${collection}`;
+    return db.getCollection(name) || db.addCollection(name, { unique: ["id"], indices: ["ownerId"] });
+  };
+
+  const listRecords = async (collection, ownerId) => {
+    const query = ownerId === undefined ? {} : { ownerId: String(ownerId) };
+    return getRecordCollection(collection)
+      .chain()
+      .find(query)
+      .simplesort("$loki")
+      .data()
+      .map((doc) => structuredClone(doc.data));
+  };
+
+  const getRecord = async (collection, id) => {
+    const doc = getRecordCollection(collection).by("id", String(id));
+    return doc ? structuredClone(doc.data) : null;
+  };
+
+  /**
+   * Menyimpan record tanpa jeda async, dipakai putRecord dan updateRecord.
+   * @param {string} collection - Nama koleksi record.
+   * @param {string|number} id - ID record.
+   * @param {string|number|null} ownerId - Pemilik record.
+   * @param {object} data - Isi record.
+   */
+  const writeRecord = (collection, id, ownerId, data) => {
+    const records = getRecordCollection(collection);
+    const doc = records.by("id", String(id));
+    const owner = ownerId === undefined || ownerId === null ? null : String(ownerId);
+    if (doc) {
+      doc.ownerId = owner;
+      doc.data = structuredClone(data);
+      records.update(doc);
+    } else {
+      records.insert({ id: String(id), ownerId: owner, data: structuredClone(data) });
+    }
+  };
+
+  const putRecord = async (collection, id, ownerId, data) => {
+    writeRecord(collection, id, ownerId, data);
+  };
+
+  const updateRecord = async (collection, id, ownerId, updater) => {
+    const doc = getRecordCollection(collection).by("id", String(id));
+    const next = updater(doc ? structuredClone(doc.data) : null);
+    writeRecord(collection, id, ownerId, next);
+    return structuredClone(next);
+  };
+
+  const deleteRecords = async (collection, ids) => {
+    const idSet = new Set(ids.map(String));
+    const records = getRecordCollection(collection);
+    const docs = records.where((doc) => idSet.has(doc.id));
+    records.remove(docs);
+    return docs.length;
+  };
+
+  // --- Migrasi ---
+
+  const dumpAll = async () => ({
+    messages: history.chain().simplesort("timestamp").data().map(toPlain),
+    archive: archive.chain().simplesort("timestamp").data().map(toPlain),
+    preferences: preferences.find().map(({ key, value }) => ({ key, value })),
+    ltms: ltm.find().map(toPlain),
+    records: db
+      .listCollections()
+      .filter(({ name }) => name.startsWith(RECORD_COLLECTION_PREFIX))
+      .flatMap(({ name }) =>
+        db
+          .getCollection(name)
+          .chain()
+          .simplesort("$loki")
+          .data()
+          .map(({ id, ownerId, data }) => ({
+            collection: name.slice(RECORD_COLLECTION_PREFIX.length),
+            id,
+            ownerId,
+            data,
+          }))
+      ),
+  });
+
+  const bulkLoad = async ({ messages = [], archive: archived = [], preferences: prefs = [], ltms = [], records = [] }) => {
+    messages.forEach(({ id, ...message }) => history.insert(message));
+    archived.forEach(({ id, ...message }) => archive.insert(message));
+    for (const { key, value } of prefs) await setPreference(key, value);
+    for (const entry of ltms) await putLTM(entry.key, entry);
+    records.forEach(({ collection, id, ownerId, data }) => writeRecord(collection, id, ownerId, data));
+  };
+
+  return {
+    name: "lokijs",
+    init,
+    close,
+    compact,
+    insertMessage,
+    getRecentMessages,
+    countMessages,
+    deleteOldestMessages,
+    deleteMessagesBefore,
+    archiveOldestMessages,
+    archiveMessagesBefore,
+    deleteArchivedBefore,
+    searchMessages,
+    countUserMessagesSince,
+    getUserMessages,
+    deleteUserMessages,
+    hasMessage,
+    getPreference,
+    setPreference,
+    deletePreference,
+    getPreferencesByPrefix,
+    getLTMs,
+    getLTM,
+    putLTM,
+    deleteLTMs,
+    listRecords,
+    getRecord,
+    putRecord,
+    updateRecord,
+    deleteRecords,
+    dumpAll,
+    bulkLoad,
+  };
+}
+
+module.exports = { createLokiStorage };
@@ -0,0 +1,520 @@
+// data/storage/sqliteStorage.js
+// Backend penyimpanan berbasis SQLite (better-sqlite3), dipilih dengan STORAGE_BACKEND=sqlite.
+// Setiap perubahan langsung ditulis ke disk (mode WAL), jadi tidak ada data yang hilang
+// saat proses mati di antara dua autosave seperti pada LokiJS, dan query riwayat memakai
+// indeks sungguhan alih-alih memindai seluruh koleksi.
+// Kontrak fungsi yang harus dipenuhi setiap backend dijelaskan di data/storage/index.js.
+
+const fs = require("fs");
+const path = require("path");
+const { matchesSearch } = require("./textSearch");
+
+const SCHEMA_VERSION = 3;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    chat_id TEXT NOT NULL,
+    user_id TEXT,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    context TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_messages_chat_time ON messages (chat_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_messages_user_time ON messages (user_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_messages_time ON messages (timestamp);
+
+  -- Arsip: pesan yang sudah keluar dari riwayat aktif, dicari lewat indeks FTS5 di bawah.
+  CREATE TABLE IF NOT EXISTS archived_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    chat_id TEXT NOT NULL,
+    user_id TEXT,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    context TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_archived_chat_time ON archived_messages (chat_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_archived_user_time ON archived_messages (user_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_archived_time ON archived_messages (timestamp);
+  CREATE VIRTUAL TABLE IF NOT EXISTS archived_messages_fts USING fts5 (
+    content,
+    content = 'archived_messages',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+  CREATE TRIGGER IF NOT EXISTS archived_messages_ai AFTER INSERT ON archived_messages BEGIN
+    INSERT INTO archived_messages_fts (rowid, content) VALUES (new.id, new.content);
+  END;
+  CREATE TRIGGER IF NOT EXISTS archived_messages_ad AFTER DELETE ON archived_messages BEGIN
+    INSERT INTO archived_messages_fts (archived_messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+  END;
+
+  CREATE TABLE IF NOT EXISTS preferences (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS ltm (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key TEXT NOT NULL UNIQUE,
+    user_id TEXT,
+    priority INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_ltm_user ON ltm (user_id);
+  CREATE INDEX IF NOT EXISTS idx_ltm_priority ON ltm (priority);
+  CREATE INDEX IF NOT EXISTS idx_ltm_created ON ltm (created_at);
+
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    owner_id TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_records_owner ON records (collection, owner_id);
+`;
+
+/**
+ * Memuat better-sqlite3. Paketnya opsional agar instalasi LokiJS saja tetap ringan.
+ * @returns {Function} Konstruktor Database.
+ * @throws {Error} Jika paket belum terpasang.
+ */
+function loadDriver() {
+  try {
+    return require("better-sqlite3");
+  } catch (error) {
+    throw new Error(
+      'STORAGE_BACKEND=sqlite membutuhkan paket "better-sqlite3". Jalankan `npm install better-sqlite3` ' +
+        `atau pakai STORAGE_BACKEND=lokijs. (${error.message})`
+    );
+  }
+}
+
+/**
+ * ID disimpan sebagai teks agar chatId number dan string dari Telegram dianggap sama.
+ * @param {string|number|null|undefined} id
+ * @returns {string|null}
+ */
+const toDbId = (id) => (id === undefined || id === null ? null : String(id));
+
+/**
+ * Mengubah baris tabel messages menjadi objek pesan.
+ * @param {object} row - Baris tabel messages.
+ * @returns {object}
+ */
+const rowToMessage = (row) => ({
+  id: row.id,
+  role: row.role,
+  content: row.content,
+  timestamp: row.timestamp,
+  chatId: row.chat_id,
+  userId: row.user_id,
+  context: row.context ? JSON.parse(row.context) : {},
+});
+
+/**
+ * Mengubah baris tabel ltm menjadi dokumen LTM.
+ * @param {object} row - Baris tabel ltm.
+ * @returns {object}
+ */
+const rowToLTM = (row) => ({ ...JSON.parse(row.data), key: row.key, id: row.id });
+
+/**
+ * Parameter statement insertMessage untuk sebuah pesan.
+ * @param {object} message - Pesan dengan format data/memory.js addMessage.
+ * @returns {object}
+ */
+const messageParams = (message) => ({
+  chatId: toDbId(message.chatId) ?? "",
+  userId: toDbId(message.userId),
+  role: message.role || "user",
+  content: message.content,
+  timestamp: message.timestamp,
+  context: JSON.stringify(message.context || {}),
+});
+
+/**
+ * Parameter statement putLTM untuk sebuah dokumen LTM.
+ * Kolom selain `data` hanya salinan untuk keperluan indeks.
+ * @param {string} key - Kunci LTM.
+ * @param {object} entry - Dokumen LTM tanpa `id`.
+ * @returns {object}
+ */
+const ltmParams = (key, entry) => ({
+  key,
+  userId: toDbId(entry.userId),
+  priority: Number(entry.priority) || 0,
+  createdAt: entry.createdAt || null,
+  data: JSON.stringify({ ...entry, key }),
+});
+
+/**
+ * Membuat backend SQLite.
+ * @param {object} options
+ * @param {string} options.filePath - Lokasi file database SQLite.
+ * @returns {object} Backend penyimpanan (lihat data/storage/index.js).
+ */
+function createSqliteStorage({ filePath }) {
+  let db = null;
+  let statements = null;
+
+  /**
+   * Membuka database, mengaktifkan WAL dan membuat skema bila belum ada.
+   * @returns {Promise<void>}
+   */
+  const init = async () => {
+    const Database = loadDriver();
+    console.log(`Initializing SQLite database at ${filePath}...`);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    db = new Database(filePath);
+    db.pragma("journal_mode = WAL");
+    db.pragma("synchronous = NORMAL");
+    db.exec(SCHEMA);
+    db.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+    statements = {
+      insertMessage: db.prepare(
+        `INSERT INTO messages (chat_id, user_id, role, content, timestamp, context)
+         VALUES (@chatId, @userId, @role, @content, @timestamp, @context)`
+      ),
+      recentMessages: db.prepare(
+        `SELECT * FROM (
+           SELECT * FROM messages WHERE chat_id = ? ORDER BY timestamp DESC, id DESC LIMIT ?
+         ) ORDER BY timestamp, id`
+      ),
+      recentMessagesAllChats: db.prepare(
+        `SELECT * FROM (
+           SELECT * FROM messages ORDER BY timestamp DESC, id DESC LIMIT ?
+         ) ORDER BY timestamp, id`
+      ),
+      countMessages: db.prepare("SELECT COUNT(*) AS count FROM messages WHERE chat_id = ?"),
+      deleteOldestMessages: db.prepare(
+        `DELETE FROM messages WHERE id IN (
+           SELECT id FROM messages WHERE chat_id = ? ORDER BY timestamp, id LIMIT ?
+         )`
+      ),
+      deleteMessagesBefore: db.prepare("DELETE FROM messages WHERE timestamp < ?"),
+      archiveOldestMessages: db.prepare(
+        `INSERT INTO archived_messages (chat_id, user_id, role, content, timestamp, context)
+         SELECT chat_id, user_id, role, content, timestamp, context FROM messages
+         WHERE chat_id = ? ORDER BY timestamp, id LIMIT ?`
+      ),
+      archiveMessagesBefore: db.prepare(
+        `INSERT INTO archived_messages (chat_id, user_id, role, content, timestamp, context)
+         SELECT chat_id, user_id, role, content, timestamp, context FROM messages
+         WHERE timestamp < ? ORDER BY timestamp, id`
+      ),
+      deleteArchivedBefore: db.prepare("DELETE FROM archived_messages WHERE timestamp < ?"),
+      chatMessages: db.prepare("SELECT * FROM messages WHERE chat_id = ?"),
+      searchArchive: db.prepare(
+        `SELECT a.* FROM archived_messages_fts
+         JOIN archived_messages a ON a.id = archived_messages_fts.rowid
+         WHERE archived_messages_fts MATCH @match
+           AND a.chat_id = @chatId
+           AND (@from IS NULL OR a.timestamp >= @from)
+           AND (@to IS NULL OR a.timestamp <= @to)
+           AND NOT (a.role = 'user' AND a.content LIKE '/%')
+           AND COALESCE(json_extract(a.context, '$.topic'), '') <> 'command_response'
+         ORDER BY a.timestamp DESC
+         LIMIT @limit`
+      ),
+      countUserMessagesSince: db.prepare(
+        `SELECT
+           (SELECT COUNT(*) FROM messages WHERE user_id = @userId AND role = 'user' AND timestamp > @since) +
+           (SELECT COUNT(*) FROM archived_messages WHERE user_id = @userId AND role = 'user' AND timestamp > @since)
+         AS count`
+      ),
+      userMessages: db.prepare(
+        `SELECT * FROM archived_messages WHERE chat_id = @id OR user_id = @id
+         UNION ALL
+         SELECT * FROM messages WHERE chat_id = @id OR user_id = @id
+         ORDER BY timestamp`
+      ),
+      deleteUserMessages: db.prepare("DELETE FROM messages WHERE chat_id = @id OR user_id = @id"),
+      deleteUserArchivedMessages: db.prepare("DELETE FROM archived_messages WHERE chat_id = @id OR user_id = @id"),
+      insertArchivedMessage: db.prepare(
+        `INSERT INTO archived_messages (chat_id, user_id, role, content, timestamp, context)
+         VALUES (@chatId, @userId, @role, @content, @timestamp, @context)`
+      ),
+      allArchivedMessages: db.prepare("SELECT * FROM archived_messages ORDER BY timestamp, id"),
+      findMessage: db.prepare(
+        `SELECT 1 FROM messages
+         WHERE chat_id = @chatId AND timestamp = @timestamp AND role = @role AND content = @content
+         LIMIT 1`
+      ),
+      allMessages: db.prepare("SELECT * FROM messages ORDER BY timestamp, id"),
+      getPreference: db.prepare("SELECT value FROM preferences WHERE key = ?"),
+      setPreference: db.prepare(
+        `INSERT INTO preferences (key, value) VALUES (?, ?)
+         ON CONFLICT (key) DO UPDATE SET value = excluded.value`
+      ),
+      deletePreference: db.prepare("DELETE FROM preferences WHERE key = ?"),
+      // Rentang [prefix, prefix + U+FFFF) tetap memakai indeks primary key, berbeda dengan LIKE.
+      preferencesByPrefix: db.prepare(
+        "SELECT key, value FROM preferences WHERE key >= ? AND key < ? ORDER BY key"
+      ),
+      allPreferences: db.prepare("SELECT key, value FROM preferences ORDER BY key"),
+      allLTMs: db.prepare("SELECT * FROM ltm ORDER BY priority DESC, id"),
+      getLTM: db.prepare("SELECT * FROM ltm WHERE key = ?"),
+      putLTM: db.prepare(
+        `INSERT INTO ltm (key, user_id, priority, created_at, data)
+         VALUES (@key, @userId, @priority, @createdAt, @data)
+         ON CONFLICT (key) DO UPDATE SET
+           user_id = excluded.user_id,
+           priority = excluded.priority,
+           created_at = excluded.created_at,
+           data = excluded.data`
+      ),
+      deleteLTM: db.prepare("DELETE FROM ltm WHERE key = ?"),
+      // Urutan rowid = urutan penyisipan; upsert mempertahankan rowid yang lama.
+      listRecords: db.prepare("SELECT data FROM records WHERE collection = ? ORDER BY rowid"),
+      listOwnerRecords: db.prepare(
+        "SELECT data FROM records WHERE collection = ? AND owner_id = ? ORDER BY rowid"
+      ),
+      getRecord: db.prepare("SELECT data FROM records WHERE collection = ? AND id = ?"),
+      putRecord: db.prepare(
+        `INSERT INTO records (collection, id, owner_id, data) VALUES (@collection, @id, @ownerId, @data)
+         ON CONFLICT (collection, id) DO UPDATE SET owner_id = excluded.owner_id, data = excluded.data`
+      ),
+      deleteRecord: db.prepare("DELETE FROM records WHERE collection = ? AND id = ?"),
+      allRecords: db.prepare("SELECT * FROM records ORDER BY collection, rowid"),
+    };
+    console.log("SQLite database is ready.");
+  };
+
+  /**
+   * Memindahkan isi WAL ke file utama dan merapikan ruang kosong bekas data yang dihapus.
+   * @returns {Promise<void>}
+   */
+  const compact = async () => {
+    db.pragma("wal_checkpoint(TRUNCATE)");
+    db.exec("VACUUM");
+    db.pragma("optimize");
+  };
+
+  /**
+   * Menutup koneksi database.
+   * @returns {Promise<void>}
+   */
+  const close = async () => {
+    db.close();
+    console.log("SQLite Database connection closed.");
+  };
+
+  // --- Riwayat chat ---
+
+  const insertMessage = async (message) => {
+    statements.insertMessage.run(messageParams(message));
+  };
+
+  const getRecentMessages = async (chatId, limit) => {
+    const rows =
+      chatId === null
+        ? statements.recentMessagesAllChats.all(limit)
+        : statements.recentMessages.all(toDbId(chatId), limit);
+    return rows.map(rowToMessage);
+  };
+
+  const countMessages = async (chatId) => statements.countMessages.get(toDbId(chatId)).count;
+
+  const deleteOldestMessages = async (chatId, count) =>
+    statements.deleteOldestMessages.run(toDbId(chatId), count).changes;
+
+  const deleteMessagesBefore = async (cutoffIso) => statements.deleteMessagesBefore.run(cutoffIso).changes;
+
+  // Salin ke arsip lalu hapus dari riwayat aktif dalam satu transaksi, dengan urutan yang sama.
+  const archiveOldestMessages = async (chatId, count) =>
+    db.transaction(() => {
+      statements.archiveOldestMessages.run(toDbId(chatId), count);
+      return statements.deleteOldestMessages.run(toDbId(chatId), count).changes;
+    })();
+
+  const archiveMessagesBefore = async (cutoffIso) =>
+    db.transaction(() => {
+      statements.archiveMessagesBefore.run(cutoffIso);
+      return statements.deleteMessagesBefore.run(cutoffIso).changes;
+    })();
+
+  const deleteArchivedBefore = async (cutoffIso) => statements.deleteArchivedBefore.run(cutoffIso).changes;
+
+  // Riwayat aktif (maks. ~120 pesan per chat) difilter di JS; arsip memakai indeks FTS5.
+  const searchMessages = async ({ chatId, terms, from, to, limit }) => {
+    const criteria = { terms, from, to };
+    const recent = statements.chatMessages.all(toDbId(chatId)).map(rowToMessage);
+    const archived = statements.searchArchive
+      .all({
+        match: terms.map((term) => `"${term.replace(/"/g, '""')}"*`).join(" "),
+        chatId: toDbId(chatId),
+        from: from || null,
+        to: to || null,
+        limit,
+      })
+      .map(rowToMessage);
+    return [...recent, ...archived]
+      .filter((message) => matchesSearch(message, criteria))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, limit);
+  };
+
+  const countUserMessagesSince = async (userId, sinceIso) =>
+    statements.countUserMessagesSince.get({ userId: toDbId(userId), since: sinceIso }).count;
+
+  const getUserMessages = async (userId) =>
+    statements.userMessages.all({ id: toDbId(userId) }).map(rowToMessage);
+
+  const deleteUserMessages = async (userId) =>
+    db.transaction(
+      (id) => statements.deleteUserMessages.run({ id }).changes + statements.deleteUserArchivedMessages.run({ id }).changes
+    )(toDbId(userId));
+
+  const hasMessage = async ({ chatId, timestamp, role, content }) =>
+    Boolean(statements.findMessage.get({ chatId: toDbId(chatId) ?? "", timestamp, role, content }));
+
+  // --- Preferensi ---
+
+  const getPreference = async (key) => {
+    const row = statements.getPreference.get(key);
+    return row ? JSON.parse(row.value) : undefined;
+  };
+
+  const setPreference = async (key, value) => {
+    statements.setPreference.run(key, JSON.stringify(value ?? null));
+  };
+
+  const deletePreference = async (key) => {
+    statements.deletePreference.run(key);
+  };
+
+  const getPreferencesByPrefix = async (prefix) =>
+    statements.preferencesByPrefix
+      .all(prefix, `${prefix}\uffff`)
+      .map(({ key, value }) => ({ key, value: JSON.parse(value) }));
+
+  // --- LTM ---
+
+  const getLTMs = async () => statements.allLTMs.all().map(rowToLTM);
+
+  const getLTM = async (key) => {
+    const row = statements.getLTM.get(key);
+    return row ? rowToLTM(row) : null;
+  };
+
+  const putLTM = async (key, data) => {
+    const { id, ...fields } = data;
+    statements.putLTM.run(ltmParams(key, fields));
+  };
+
+  const deleteLTMs = async (keys) => {
+    const deleteAll = db.transaction((items) =>
+      items.reduce((count, key) => count + statements.deleteLTM.run(key).changes, 0)
+    );
+    return deleteAll(keys);
+  };
+
+  // --- Record ---
+
+  const listRecords = async (collection, ownerId) => {
+    const rows =
+      ownerId === undefined
+        ? statements.listRecords.all(collection)
+        : statements.listOwnerRecords.all(collection, toDbId(ownerId));
+    return rows.map((row) => JSON.parse(row.data));
+  };
+
+  const getRecord = async (collection, id) => {
+    const row = statements.getRecord.get(collection, toDbId(id));
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  const putRecord = async (collection, id, ownerId, data) => {
+    statements.putRecord.run({ collection, id: toDbId(id), ownerId: toDbId(ownerId), data: JSON.stringify(data) });
+  };
+
+  // Baca-ubah-tulis dalam satu transaksi; `updater` harus sinkron.
+  const updateRecord = async (collection, id, ownerId, updater) => {
+    const update = db.transaction(() => {
+      const row = statements.getRecord.get(collection, toDbId(id));
+      const next = updater(row ? JSON.parse(row.data) : null);
+      statements.putRecord.run({ collection, id: toDbId(id), ownerId: toDbId(ownerId), data: JSON.stringify(next) });
+      return next;
+    });
+    return update();
+  };
+
+  const deleteRecords = async (collection, ids) => {
+    const deleteAll = db.transaction((items) =>
+      items.reduce((count, id) => count + statements.deleteRecord.run(collection, toDbId(id)).changes, 0)
+    );
+    return deleteAll(ids);
+  };
+
+  // --- Migrasi ---
+
+  const dumpAll = async () => ({
+    messages: statements.allMessages.all().map(rowToMessage),
+    archive: statements.allArchivedMessages.all().map(rowToMessage),
+    preferences: statements.allPreferences.all().map(({ key, value }) => ({ key, value: JSON.parse(value) })),
+    ltms: await getLTMs(),
+    records: statements.allRecords.all().map((row) => ({
+      collection: row.collection,
+      id: row.id,
+      ownerId: row.owner_id,
+      data: JSON.parse(row.data),
+    })),
+  });
+
+  // Satu transaksi: gagal di tengah jalan berarti tidak ada yang tertulis.
+  const bulkLoad = async ({ messages = [], archive = [], preferences = [], ltms = [], records = [] }) => {
+    const loadAll = db.transaction(() => {
+      messages.forEach((message) => statements.insertMessage.run(messageParams(message)));
+      archive.forEach((message) => statements.insertArchivedMessage.run(messageParams(message)));
+      preferences.forEach(({ key, value }) => statements.setPreference.run(key, JSON.stringify(value ?? null)));
+      ltms.forEach(({ id, ...entry }) => statements.putLTM.run(ltmParams(entry.key, entry)));
+      records.forEach(({ collection, id, ownerId, data }) =>
+        statements.putRecord.run({ collection, id: toDbId(id), ownerId: toDbId(ownerId), data: JSON.stringify(data) })
+      );
+    });
+    loadAll();
+  };
+
+  return {
+    name: "sqlite",
+    init,
+    close,
+    compact,
+    insertMessage,
+    getRecentMessages,
+    countMessages,
+    deleteOldestMessages,
+    deleteMessagesBefore,
+    archiveOldestMessages,
+    archiveMessagesBefore,
+    deleteArchivedBefore,
+    searchMessages,
+    countUserMessagesSince,
+    getUserMessages,
+    deleteUserMessages,
+    hasMessage,
+    getPreference,
+    setPreference,
+    deletePreference,
+    getPreferencesByPrefix,
+    getLTMs,
+    getLTM,
+    putLTM,
+    deleteLTMs,
+    listRecords,
+    getRecord,
+    putRecord,
+    updateRecord,
+    deleteRecords,
+    dumpAll,
+    bulkLoad,
+  };
+}
+
+module.exports = { createSqliteStorage };
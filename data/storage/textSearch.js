@@ -0,0 +1,57 @@
+// data/storage/textSearch.js
+// Aturan pencocokan teks yang sama untuk semua backend saat mencari riwayat chat (/cari):
+// setiap kata kunci harus menjadi awalan salah satu kata di pesan, tanpa membedakan huruf
+// besar/kecil dan tanda diakritik. Aturan ini meniru tokenizer unicode61 + kueri prefix di FTS5,
+// sehingga LokiJS dan SQLite memberikan hasil yang sama.
+
+/**
+ * Memecah teks menjadi kata-kata huruf kecil tanpa diakritik.
+ * @param {string} text - Teks yang dipecah.
+ * @returns {Array<string>}
+ */
+const tokenizeText = (text) =>
+  (typeof text === "string" ? text : "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Mengecek apakah setiap kata kunci cocok dengan awal salah satu kata di teks.
+ * @param {string} text - Isi pesan.
+ * @param {Array<string>} terms - Kata kunci hasil tokenizeText.
+ * @returns {boolean}
+ */
+function matchesAllTerms(text, terms) {
+  const tokens = tokenizeText(text);
+  return terms.every((term) => tokens.some((token) => token.startsWith(term)));
+}
+
+/**
+ * Pesan perintah (mis. "/cari skripsi") dan balasan perintah tidak ikut dicari,
+ * agar pencarian tidak menemukan dirinya sendiri.
+ * @param {object} message - Pesan riwayat.
+ * @returns {boolean}
+ */
+const isSearchableMessage = (message) =>
+  !(message.role === "user" && message.content.startsWith("/")) &&
+  message.context?.topic !== "command_response";
+
+/**
+ * Mengecek apakah sebuah pesan memenuhi kriteria pencarian.
+ * @param {object} message - Pesan riwayat.
+ * @param {{terms: Array<string>, from?: string, to?: string}} criteria - Kata kunci dan rentang waktu (ISO).
+ * @returns {boolean}
+ */
+const matchesSearch = (message, { terms, from, to }) =>
+  (!from || message.timestamp >= from) &&
+  (!to || message.timestamp <= to) &&
+  isSearchableMessage(message) &&
+  matchesAllTerms(message.content, terms);
+
+module.exports = {
+  tokenizeText,
+  matchesAllTerms,
+  isSearchableMessage,
+  matchesSearch,
+};
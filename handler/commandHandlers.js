@@ -10,6 +10,19 @@ const Mood = require('../modules/mood');
 const { getWeatherData, getWeatherString, getWeatherReminder } = require('../modules/weather');
 const holidaysModule = require('./holidayHandlers');
 const memory = require('../data/memory');
+const globalState = require('../state/globalState');
+const groupHandler = require('./groupHandler');
+const ltmManager = require('../modules/ltmManager');
+const userDataArchive = require('../modules/userDataArchive');
+const historySearch = require('../modules/historySearch');
+const { splitReminderText } = require('../modules/reminderParser');
+const { getMoment } = require('../utils/timeHelper');
+const { callbackButton, inlineKeyboard } = require('../core/callbackRouter');
+const ttsManager = require('../modules/ttsManager');
+const { isTextToSpeechAvailable } = require('../modules/textToSpeech');
+const prayerTimes = require('../modules/prayerTimes');
+const schedulePreferences = require('../modules/schedulePreferences');
+const subscribers = require('../modules/subscribers');
 const sendSadSongNotification = require('../utils/songNotifier');
 const logger = require('../utils/logger');
 const Sentry = require('@sentry/node');
@@ -28,19 +41,53 @@ const MOOD_TIMEOUT_MS = 2 * 24 * 60 * 60 * 1000;
  */
 const USER_NAME = config.USER_NAME;
 
-// --- Global State Variables ---
+/**
+ * @const {string} DEFAULT_PERSONALITY
+ * @description Personality used by chats that never picked one.
+ */
+const DEFAULT_PERSONALITY = 'TSUNDERE';
 
 /**
- * @type {object}
- * @description The current mood of the bot (e.g., NORMAL, HAPPY, SAD).
+ * @const {Object<string, {label: string, reply: string, mood: string}>} PERSONALITY_CHOICES
+ * @description Personalities offered by /personality and the reply sent after switching to each one.
+ * `mood` is a key of Mood.
  */
-let currentMood = Mood.NORMAL;
+const PERSONALITY_CHOICES = {
+    TSUNDERE: { label: '💢 Tsundere', reply: 'Hmph, Oke! Jangan berharap aku akan jadi manis, Baka 💢', mood: 'ANGRY' },
+    DEREDERE: { label: '💖 Deredere', reply: 'Kyaa~! Okay~ Lumina akan menjadi baik dan friendly untukmu! ', mood: 'LOVING' }
+};
+
+/**
+ * @const {string} PERSONALITY_CALLBACK_NAMESPACE
+ * @description callback_data namespace of the /personality buttons (see core/callbackRouter.js).
+ */
+const PERSONALITY_CALLBACK_NAMESPACE = 'persona';
+
+/**
+ * @const {number} PERSONALITY_BUTTON_TTL_MS
+ * @description The /personality buttons stop working after 10 minutes.
+ */
+const PERSONALITY_BUTTON_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * @const {number} DELETE_CONFIRMATION_TTL_MS
+ * @description How long a /deletemydata request waits for its confirmation.
+ */
+const DELETE_CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * @const {string} DELETE_CONFIRMATION_WORD
+ * @description The word that confirms a /deletemydata request.
+ */
+const DELETE_CONFIRMATION_WORD = 'HAPUS';
+
+// --- Per-Chat State ---
 
 /**
- * @type {NodeJS.Timeout}
- * @description Stores the timeout ID for resetting the bot's mood.
+ * @type {Map<string, {mood: object, timeoutId: NodeJS.Timeout|undefined}>}
+ * @description The current mood of the bot per chat (e.g., NORMAL, HAPPY, SAD) and its reset timer.
  */
-let moodTimeoutId;
+const chatMoods = new Map();
 
 /**
  * @type {object}
@@ -55,33 +102,156 @@ let botInstanceRef;
 let globalAISummarizer = null;
 
 /**
- * @type {string}
- * @description The current personality mode of the bot ('TSUNDERE' or 'DEREDERE').
+ * @type {Map<string, string>}
+ * @description The personality mode of the bot per chat ('TSUNDERE' or 'DEREDERE').
  */
-let personalityMode = 'TSUNDERE';
+const chatPersonalities = new Map();
+
+/**
+ * @type {Map<string, number>}
+ * @description Pending /deletemydata requests: userId -> expiry timestamp (ms).
+ */
+const pendingDataDeletions = new Map();
 
 // --- Core Functions ---
 
 /**
- * Sets the bot's personality mode and persists it to memory.
+ * Sets the bot's personality mode for a chat and persists it to memory.
+ * @param {string|number} chatId - The chat whose personality changes.
  * @param {string} mode - The personality mode to set ('TSUNDERE' or 'DEREDERE').
  */
-const setPersonalityMode = async (mode) => {
-    personalityMode = mode;
+const setPersonalityMode = async (chatId, mode) => {
+    chatPersonalities.set(String(chatId), mode);
     try {
-        await memory.savePreference("lumina_personality", mode);
-        logger.info({ event: 'personality_change', mode: personalityMode }, `[Personality] Mode changed to: ${personalityMode} and saved successfully.`);
+        await memory.savePreference(`${globalState.PERSONALITY_PREFIX}${chatId}`, mode);
+        logger.info({ event: 'personality_change', chatId, mode }, `[Personality] Mode for chat ${chatId} changed to: ${mode} and saved successfully.`);
     } catch (error) {
-        logger.error({ event: 'personality_save_error', error: error.message, stack: error.stack }, "[Personality] Failed to save personality mode.");
+        logger.error({ event: 'personality_save_error', chatId, error: error.message, stack: error.stack }, "[Personality] Failed to save personality mode.");
         Sentry.captureException(error);
     }
 };
 
 /**
- * Gets the current personality mode.
+ * Gets the current personality mode of a chat.
+ * @param {string|number} chatId - The chat ID.
  * @returns {string} The current personality mode.
  */
-const getPersonalityMode = () => personalityMode;
+const getPersonalityMode = (chatId) => chatPersonalities.get(String(chatId)) || DEFAULT_PERSONALITY;
+
+/**
+ * Switches a chat's personality and returns the matching /tsundere or /deredere reply.
+ * @param {string|number} chatId - The chat whose personality changes.
+ * @param {string} mode - A key of PERSONALITY_CHOICES.
+ * @returns {Promise<{text: string, mood: object}>}
+ */
+const switchPersonality = async (chatId, mode) => {
+    await setPersonalityMode(chatId, mode);
+    const choice = PERSONALITY_CHOICES[mode];
+    return { text: choice.reply, mood: Mood[choice.mood] };
+};
+
+/**
+ * Handles the /personality buttons (namespace "persona"). Only the user who ran /personality may press them;
+ * the router checks that before this is called.
+ * @param {{chatId: string|number, action: string}} callback - Button data from core/callbackRouter.
+ * @returns {Promise<{text: string, edit?: {text: string}}>}
+ */
+const handlePersonalityCallback = async ({ chatId, action }) => {
+    const mode = action.toUpperCase();
+    if (!PERSONALITY_CHOICES[mode]) {
+        return { text: 'Tombol ini tidak dikenali.' };
+    }
+    const { text } = await switchPersonality(chatId, mode);
+    return { text: PERSONALITY_CHOICES[mode].label, edit: { text } };
+};
+
+/**
+ * Applies a /jadwal sub-command (on/off, waktu, tenang, zona) to a chat's schedule preferences.
+ * @param {string|number} chatId - The chat that receives the broadcasts (private chat: the user ID).
+ * @param {string} args - Everything after "/jadwal".
+ * @returns {Promise<string|null>} A confirmation or usage message, or null when only the menu should be shown.
+ */
+const applyScheduleCommand = async (chatId, args) => {
+    if (!args) return null;
+    const [subcommand, ...rest] = args.split(/\s+/);
+    const broadcastList = schedulePreferences.BROADCASTS.join('|');
+
+    switch (subcommand.toLowerCase()) {
+        case 'on':
+        case 'off': {
+            const name = schedulePreferences.normalizeBroadcast(rest[0]);
+            if (!name) return `Siaran tidak dikenal. Cara pakai: /jadwal ${subcommand.toLowerCase()} [${broadcastList}]`;
+            await schedulePreferences.setBroadcastEnabled(chatId, name, subcommand.toLowerCase() === 'on');
+            return subcommand.toLowerCase() === 'on' ? `✅ Siaran "${name}" dinyalakan.` : `❌ Siaran "${name}" dimatikan.`;
+        }
+        case 'waktu': {
+            const name = schedulePreferences.normalizeBroadcast(rest[0]);
+            const timeArgs = rest.slice(1).join(' ').split(/[\s,]+/).filter(Boolean);
+            if (name && !schedulePreferences.hasTimes(name)) {
+                return `Jam siaran "${name}" mengikuti waktu shalat; atur metode lewat /jadwalsholat.`;
+            }
+            if (!name || timeArgs.length === 0) {
+                const timedList = schedulePreferences.BROADCASTS.filter(schedulePreferences.hasTimes).join('|');
+                return `Cara pakai: /jadwal waktu [${timedList}] 07:30 19:00 (atau "default")`;
+            }
+            if (timeArgs.length === 1 && timeArgs[0].toLowerCase() === 'default') {
+                await schedulePreferences.setBroadcastTimes(chatId, name, null);
+                return `Jam siaran "${name}" kembali ke default.`;
+            }
+            const times = timeArgs.map(schedulePreferences.parseTime);
+            if (times.includes(null)) return 'Format jam tidak valid. Contoh: 07:30 atau 19.00';
+            if (times.length > schedulePreferences.MAX_TIMES_PER_BROADCAST) {
+                return `Maksimal ${schedulePreferences.MAX_TIMES_PER_BROADCAST} jam per siaran.`;
+            }
+            const preferences = await schedulePreferences.setBroadcastTimes(chatId, name, times);
+            return `Jam siaran "${name}" diganti ke ${preferences.broadcasts[name].times.join(', ')}.`;
+        }
+        case 'tenang': {
+            const value = rest.join('');
+            if (/^(off|mati)$/i.test(value)) {
+                await schedulePreferences.setQuietHours(chatId, null);
+                return 'Jam tenang dimatikan.';
+            }
+            const [start, end] = value.split('-').map(schedulePreferences.parseTime);
+            if (!start || !end || start === end) return 'Cara pakai: /jadwal tenang 22:00-06:00 (atau "off")';
+            await schedulePreferences.setQuietHours(chatId, { start, end });
+            return `🤫 Jam tenang diatur ${start}–${end}. Lumina tidak akan mengirim siaran di jam itu.`;
+        }
+        case 'zona': {
+            const value = rest.join(' ');
+            if (/^default$/i.test(value)) {
+                await schedulePreferences.setTimezone(chatId, null);
+                return 'Zona waktu kembali ke default.';
+            }
+            const timezone = schedulePreferences.normalizeTimezone(value);
+            if (!timezone) return 'Zona waktu tidak dikenal. Contoh: /jadwal zona WITA atau /jadwal zona Asia/Tokyo';
+            await schedulePreferences.setTimezone(chatId, timezone);
+            return `🌏 Zona waktu diganti ke ${timezone}.`;
+        }
+        default:
+            return 'Perintah /jadwal tidak dikenal. Pilihan: on, off, waktu, tenang, zona.';
+    }
+};
+
+/**
+ * Whether the sender may change a chat's broadcast settings (/start, /stop, /jadwal):
+ * anyone in a private chat, only admins in a group.
+ * @param {string|number} chatId - The chat ID.
+ * @param {object} msg - The Telegram message.
+ * @returns {Promise<boolean>}
+ */
+const canManageBroadcasts = async (chatId, msg) =>
+    !groupHandler.isGroupChat(msg.chat) ||
+    (!!botInstanceRef && groupHandler.isGroupAdmin(botInstanceRef, chatId, msg.from.id));
+
+const BROADCAST_ADMIN_ONLY_TEXT = `Hmph, di grup cuma admin yang boleh mengatur siaran Lumina! ${Mood.ANGRY.emoji}`;
+
+/**
+ * Returns the bot's current mood in a chat.
+ * @param {string|number} chatId - The chat ID.
+ * @returns {object} The current mood object.
+ */
+const getCurrentMood = (chatId) => chatMoods.get(String(chatId))?.mood || Mood.NORMAL;
 
 /**
  * Injects the AI summarizer function from an external module.
@@ -118,16 +288,19 @@ const LuminaTyping = async (chatId, duration = 1500) => {
 };
 
 /**
- * Sets the bot's mood and schedules a reset to 'NORMAL' after a specified duration.
- * @param {string|number} chatId - The chat ID to send a mood status message.
+ * Sets the bot's mood in a chat and schedules a reset to 'NORMAL' after a specified duration.
+ * @param {string|number} chatId - The chat whose mood changes; also receives the mood status message.
  * @param {object} newMood - The new mood object (from the Mood constants) to set.
  * @param {number} [durationMs=MOOD_TIMEOUT_MS] - The duration in milliseconds for the new mood to last.
  */
 const setMood = (chatId, newMood, durationMs = MOOD_TIMEOUT_MS) => {
-    clearTimeout(moodTimeoutId); // Clear any existing mood reset timer.
+    const key = String(chatId);
+    const entry = chatMoods.get(key) || { mood: Mood.NORMAL, timeoutId: undefined };
+    clearTimeout(entry.timeoutId); // Clear any existing mood reset timer.
+    entry.timeoutId = undefined;
 
-    if (currentMood !== newMood) {
-        currentMood = newMood;
+    if (entry.mood !== newMood) {
+        entry.mood = newMood;
         logger.info({ event: 'mood_change', mood: newMood.name, chatId }, `Mood changed to ${newMood.name}`);
         if (chatId) {
             sendMessage(chatId, `Lumina sekarang ${newMood.name} ${newMood.emoji}`);
@@ -136,11 +309,13 @@ const setMood = (chatId, newMood, durationMs = MOOD_TIMEOUT_MS) => {
 
     // Schedule a reset only if the new mood is not a permanent one (like NORMAL or CALM).
     if (newMood !== Mood.NORMAL && newMood !== Mood.CALM) {
-        moodTimeoutId = setTimeout(() => {
-            currentMood = Mood.NORMAL;
+        entry.timeoutId = setTimeout(() => {
+            entry.mood = Mood.NORMAL;
+            entry.timeoutId = undefined;
             logger.info({ event: 'mood_reset', chatId }, `Mood reset to NORMAL`);
         }, durationMs);
     }
+    chatMoods.set(key, entry);
 };
 
 /**
@@ -164,7 +339,9 @@ const commandHandlers = [
     // --- Basic Commands ---
     {
         pattern: /^\/start$/i,
-        response: (chatId, msg) => {
+        response: async (chatId, msg) => {
+            if (!(await canManageBroadcasts(chatId, msg))) return { text: BROADCAST_ADMIN_ONLY_TEXT };
+            await subscribers.subscribe(chatId);
             const userFirstName = msg.from.first_name || USER_NAME;
             const startMessage = `
 🌸 Selamat datang, ${userFirstName}! 🌸
@@ -177,13 +354,17 @@ Anda dapat berinteraksi dengan saya menggunakan bahasa alami atau menggunakan be
 - /cuaca - Mendapatkan informasi cuaca terkini berdasarkan lokasi Anda.
 - /mood - Memeriksa suasana hati saya saat ini.
 - /note [pesan] - Menyimpan catatan singkat.
-- /shownotes - Menampilkan semua catatan Anda.
-- /reminder [waktu] [pesan] - Mengatur pengingat.
+- /shownotes [#tag atau kata kunci] - Menampilkan catatan Anda.
+- /reminder [waktu] [pesan] - Mengatur pengingat (mis. "30 menit lagi", "besok 07:00", "setiap hari jam 6").
 - /search [kueri] - Mencari di web dan meringkas informasi.
 
 Saya juga memiliki dua mode kepribadian yang dapat Anda alihkan:
 - /tsundere - Mode default saya, agak angkuh tetapi penyayang.
 - /deredere - Mode yang lebih manis, lebih ceria, dan penuh kasih sayang.
+- /personality - Memilih mode lewat tombol.
+
+Ingin mendengar suara saya? /voice on membuat saya juga menjawab dengan voice note.
+Mulai sekarang saya juga akan mengirim salam, berita, cuaca, dan pengingat lainnya ke chat ini. Atur kapan saya mengirimnya, dan kapan saya harus diam, lewat /jadwal; ketik /stop kalau tidak ingin menerimanya lagi.
 
 Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HAPPY.emoji}`;
 
@@ -193,11 +374,22 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
             };
         }
     },
+    {
+        pattern: /^\/stop$/i,
+        response: async (chatId, msg) => {
+            if (!(await canManageBroadcasts(chatId, msg))) return { text: BROADCAST_ADMIN_ONLY_TEXT };
+            const wasSubscribed = await subscribers.unsubscribe(chatId);
+            const text = wasSubscribed ?
+                `Baik, Lumina tidak akan mengirim siaran terjadwal ke chat ini lagi. Ketik /start kalau mau berlangganan lagi. ${Mood.NORMAL.emoji}` :
+                `Chat ini memang tidak berlangganan siaran terjadwal. Ketik /start untuk mulai menerimanya. ${Mood.NORMAL.emoji}`;
+            return { text, mood: Mood.NORMAL };
+        }
+    },
     {
         pattern: /^\/help/i,
         response: async (chatId) => {
             await LuminaTyping(chatId);
-            const responseText = commandHelper.getHelpMessage(personalityMode);
+            const responseText = commandHelper.getHelpMessage(getPersonalityMode(chatId));
             return { text: responseText, mood: Mood.NORMAL };
         }
     },
@@ -214,7 +406,8 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
     {
         pattern: /^(hai|halo|bot|helo|haii|woy|hoy)/i,
         response: (chatId) => {
-            const greeting = personalityMode === 'TSUNDERE' ?
+            const currentMood = getCurrentMood(chatId);
+            const greeting = getPersonalityMode(chatId) === 'TSUNDERE' ?
                 `Iya? Apa ada yang bisa aku bantu untukmu? ${currentMood.emoji}` :
                 `Halo, Tuan~ apa yang terjadi hari ini? Ceritain dong! ${currentMood.emoji}`;
             return {
@@ -225,8 +418,8 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
     },
     {
         pattern: /^(terima kasih|makasih|makasih ya)/i,
-        response: () => {
-            const thanksResponse = personalityMode === 'TSUNDERE' ?
+        response: (chatId) => {
+            const thanksResponse = getPersonalityMode(chatId) === 'TSUNDERE' ?
                 `J-Jangan berpikir seperti itu! Aku hanya melakukan tugasku.. ${Mood.NORMAL.emoji}` :
                 `*Giggle* Sama-sama, Tuan~ Lumina senang bisa membantu! >_< ${Mood.HAPPY.emoji}`;
             return {
@@ -256,16 +449,21 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
     // --- State & Info Commands ---
     {
         pattern: /^(mood|suasana hati)/i,
-        response: () => ({
-            text: `Mood Lumina sekarang adalah ${currentMood.name} ${currentMood.emoji}`,
-            mood: currentMood
-        })
+        response: (chatId) => {
+            const currentMood = getCurrentMood(chatId);
+            return {
+                text: `Mood Lumina sekarang adalah ${currentMood.name} ${currentMood.emoji}`,
+                mood: currentMood
+            };
+        }
     },
     {
         pattern: /(jam berapa|waktu sekarang)/i,
-        response: () => {
+        response: async (chatId, msg) => {
+            const currentMood = getCurrentMood(chatId);
             const now = new Date();
-            const options = { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false, timeZone: 'Asia/Jakarta' };
+            const timeZone = await schedulePreferences.getUserTimezone(msg.from?.id);
+            const options = { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false, timeZone };
             const timeString = now.toLocaleTimeString('id-ID', options);
             return {
                 text: `Waktu sekarang adalah ${timeString}. ${currentMood.emoji}`,
@@ -275,10 +473,12 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
     },
     {
         pattern: /(tanggal berapa|hari ini tanggal berapa)/i,
-        response: (chatId, msg) => {
+        response: async (chatId, msg) => {
             const userName = msg.from.first_name;
+            const currentMood = getCurrentMood(chatId);
             const now = new Date();
-            const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Jakarta' };
+            const timeZone = await schedulePreferences.getUserTimezone(msg.from.id);
+            const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone };
             const dateString = now.toLocaleDateString('id-ID', options);
             return {
                 text: `Today is ${dateString}, ${userName}. ${currentMood.emoji}`,
@@ -308,7 +508,7 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
                         const weatherReminder = getWeatherReminder(weather, userName);
                         return {
                             text: `${weatherString}\n\n${weatherReminder}`,
-                            mood: currentMood
+                            mood: getCurrentMood(chatId)
                         };
                     } else {
                         return {
@@ -351,7 +551,8 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
                 await LuminaTyping(chatId);
                 const [, noteMessage] = msg.text.match(/^\/note\s+(.+)/i);
                 const userId = msg.from.id;
-                const responseText = await commandHelper.addNote(userId, noteMessage);
+                const userName = msg.from.first_name || msg.from.username || 'Master';
+                const responseText = await commandHelper.addNote(userId, noteMessage, userName);
                 return { text: responseText, mood: Mood.HAPPY };
             } catch (error) {
                 logger.error({ event: 'note_command_error', error: error.message, stack: error.stack }, "Error in /note command handler");
@@ -361,13 +562,14 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
         }
     },
     {
-        pattern: /^\/shownotes/i,
+        pattern: /^\/shownotes(?:\s+(.+))?/i,
         response: async (chatId, msg) => {
             try {
                 await LuminaTyping(chatId);
-                const userId = msg.from.id;
-                const responseText = await commandHelper.showNotes(userId);
-                return { text: responseText, mood: Mood.NORMAL };
+                // Optional filter: "#tag" and/or keywords, e.g. /shownotes #kerja rapat
+                const [, filterText = ''] = msg.text.match(/^\/shownotes(?:\s+(.+))?/i) || [];
+                const { text, replyMarkup } = await commandHelper.buildNotesPage(msg.from.id, { filterText });
+                return { text, replyMarkup, mood: Mood.NORMAL };
             } catch (error) {
                 logger.error({ event: 'shownotes_command_error', error: error.message, stack: error.stack }, "Error in /shownotes command handler");
                 Sentry.captureException(error);
@@ -376,13 +578,66 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
         }
     },
     {
-        pattern: /^\/reminder\s+(\S+)\s+(.+)/i,
+        pattern: /^\/delnote(?:\s+(\S+))?/i,
+        response: async (chatId, msg) => {
+            try {
+                const [, noteId] = msg.text.match(/^\/delnote(?:\s+(\S+))?/i) || [];
+                const responseText = await commandHelper.deleteNote(msg.from.id, noteId);
+                return { text: responseText };
+            } catch (error) {
+                logger.error({ event: 'delnote_command_error', error: error.message, stack: error.stack }, "Error in /delnote command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Kesalahan terjadi saat menghapus catatan. Mohon coba lagi nanti.' };
+            }
+        }
+    },
+    {
+        pattern: /^\/editnote(?:\s+(\S+)(?:\s+([\s\S]+))?)?/i,
+        response: async (chatId, msg) => {
+            try {
+                const [, noteId, newMessage] = msg.text.match(/^\/editnote(?:\s+(\S+)(?:\s+([\s\S]+))?)?/i) || [];
+                const responseText = await commandHelper.editNote(msg.from.id, noteId, newMessage);
+                return { text: responseText };
+            } catch (error) {
+                logger.error({ event: 'editnote_command_error', error: error.message, stack: error.stack }, "Error in /editnote command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Kesalahan terjadi saat mengubah catatan. Mohon coba lagi nanti.' };
+            }
+        }
+    },
+    {
+        pattern: /^\/notereminder(?:\s+(\S+)(?:\s+(.+))?)?/i,
+        response: async (chatId, msg) => {
+            try {
+                const [, noteId, timeString] = msg.text.match(/^\/notereminder(?:\s+(\S+)(?:\s+(.+))?)?/i) || [];
+                const userName = msg.from.first_name || msg.from.username || 'Master';
+                const responseText = await commandHelper.promoteNoteToReminder(msg.from.id, chatId, noteId, timeString, userName);
+                return { text: responseText };
+            } catch (error) {
+                logger.error({ event: 'notereminder_command_error', error: error.message, stack: error.stack }, "Error in /notereminder command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Kesalahan terjadi saat membuat pengingat dari catatan. Mohon coba lagi nanti.' };
+            }
+        }
+    },
+    {
+        pattern: /^\/reminder(?:\s+(.+))?$/i,
         response: async (chatId, msg) => {
              try {
                 await LuminaTyping(chatId);
-                const [, timeString, message] = msg.text.match(/^\/reminder\s+(\S+)\s+(.+)/i);
+                const [, reminderText = ''] = msg.text.match(/^\/reminder(?:\s+(.+))?$/i) || [];
+                // The time expression may span several words ("senin depan jam 9", "setiap hari jam 6")
+                const timezone = await schedulePreferences.getUserTimezone(msg.from.id);
+                const { timeString, message } = splitReminderText(reminderText, getMoment(undefined, timezone)) || {};
+                if (!timeString || !message) {
+                    return {
+                        text: 'Format: /reminder [waktu] [pesan]\n' +
+                            'Contoh: /reminder 30 menit lagi angkat jemuran, /reminder besok 07:00 olahraga, ' +
+                            '/reminder 25/12 09:00 natal, /reminder setiap hari jam 6 minum obat, /reminder tiap jumat bersih-bersih'
+                    };
+                }
                 const userName = msg.from.first_name || msg.from.username || 'Master';
-                const responseText = await commandHelper.setReminder(botInstanceRef, chatId, timeString, message, userName);
+                const responseText = await commandHelper.setReminder(botInstanceRef, chatId, timeString, message, userName, msg.from.id);
                 return { text: responseText, mood: Mood.NORMAL };
             } catch (error) {
                 logger.error({ event: 'reminder_command_error', error: error.message, stack: error.stack }, "Error in /reminder command handler");
@@ -391,6 +646,47 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
             }
         }
     },
+    {
+        pattern: /^\/reminders\s*$/i,
+        response: async (chatId, msg) => {
+            try {
+                const responseText = await commandHelper.listReminders(chatId, msg.from.id);
+                return { text: responseText };
+            } catch (error) {
+                logger.error({ event: 'reminders_command_error', error: error.message, stack: error.stack }, "Error in /reminders command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Kesalahan terjadi saat menampilkan pengingat. Mohon coba lagi nanti.' };
+            }
+        }
+    },
+    {
+        pattern: /^\/cancelreminder(?:\s+(\S+))?\s*$/i,
+        response: async (chatId, msg) => {
+            try {
+                const [, reminderId] = msg.text.match(/^\/cancelreminder(?:\s+(\S+))?\s*$/i) || [];
+                const responseText = await commandHelper.cancelReminder(chatId, reminderId);
+                return { text: responseText };
+            } catch (error) {
+                logger.error({ event: 'cancelreminder_command_error', error: error.message, stack: error.stack }, "Error in /cancelreminder command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Kesalahan terjadi saat membatalkan pengingat. Mohon coba lagi nanti.' };
+            }
+        }
+    },
+    {
+        pattern: /^\/editreminder(?:\s+(\S+)(?:\s+(.+))?)?$/i,
+        response: async (chatId, msg) => {
+            try {
+                const [, reminderId, changes] = msg.text.match(/^\/editreminder(?:\s+(\S+)(?:\s+(.+))?)?$/i) || [];
+                const responseText = await commandHelper.editReminder(chatId, reminderId, changes, msg.from.id);
+                return { text: responseText };
+            } catch (error) {
+                logger.error({ event: 'editreminder_command_error', error: error.message, stack: error.stack }, "Error in /editreminder command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Kesalahan terjadi saat mengubah pengingat. Mohon coba lagi nanti.' };
+            }
+        }
+    },
     {
         pattern: /^\/search\s+(.+)$/i,
         response: async (chatId, msg) => {
@@ -403,7 +699,7 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
                 const userNameForCommand = msg.from.first_name || '';
                 
                 await LuminaTyping(chatId);
-                sendMessage(chatId, `Oke, ${userNameForCommand}. Lumina akan mencari tentang "${query}" dan mencoba merangkumnya... Tunggu sebentar! ${getCurrentMood().emoji}`);
+                sendMessage(chatId, `Oke, ${userNameForCommand}. Lumina akan mencari tentang "${query}" dan mencoba merangkumnya... Tunggu sebentar! ${getCurrentMood(chatId).emoji}`);
                 
                 const searchResultText = await commandHelper.performSearch(
                     query,
@@ -436,7 +732,7 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
         pattern: /(lagi sedih|lagi galau|patah hati|lagi nangis)/i,
         response: async (chatId) => {
             await sendSadSongNotification(chatId);
-            const comfortMessage = personalityMode === 'TSUNDERE' ?
+            const comfortMessage = getPersonalityMode(chatId) === 'TSUNDERE' ?
                 `*Sigh*... Sangat lemah.. Tapi aku akan mendengarkanmu. ${Mood.CALM.emoji}` :
                 `Virtual hug~ Aku disini untukmu! ${Mood.CALM.emoji}`;
             return {
@@ -449,24 +745,308 @@ Jangan ragu untuk mencoba perintah atau sekadar mengobrol dengan saya! ${Mood.HA
     // --- Personality Switch Commands ---
     {
         pattern: /^\/tsundere/i,
-        response: async (chatId) => {
-            await setPersonalityMode('TSUNDERE');
-            return {
-                text: `Hmph, Oke! Jangan berharap aku akan jadi manis, Baka 💢`,
-                mood: Mood.ANGRY 
-            };
-        }
+        response: (chatId) => switchPersonality(chatId, 'TSUNDERE')
     },
     {
         pattern: /^\/deredere/i,
-        response: async (chatId) => {
-            await setPersonalityMode('DEREDERE');
+        response: (chatId) => switchPersonality(chatId, 'DEREDERE')
+    },
+    {
+        pattern: /^\/personality\s*$/i,
+        response: (chatId, msg) => {
+            const current = PERSONALITY_CHOICES[getPersonalityMode(chatId)];
+            // Buttons are tied to the user who asked, so nobody else in a group can flip the mode
+            const replyMarkup = inlineKeyboard([
+                Object.entries(PERSONALITY_CHOICES).map(([mode, { label }]) =>
+                    callbackButton(label, PERSONALITY_CALLBACK_NAMESPACE, mode.toLowerCase(), [], {
+                        userId: msg.from.id,
+                        ttlMs: PERSONALITY_BUTTON_TTL_MS
+                    }))
+            ]);
             return {
-                text: `Kyaa~! Okay~ Lumina akan menjadi baik dan friendly untukmu! `,
-                mood: Mood.LOVING 
+                text: `Mode Lumina saat ini: ${current ? current.label : getPersonalityMode(chatId)}.\nMau Lumina jadi yang mana?`,
+                replyMarkup
             };
         }
     },
+
+    // --- Prayer Times Command ---
+    {
+        pattern: /^\/jadwalsholat(?:\s+(.+))?$/i,
+        response: async (chatId, msg) => {
+            const [, args = ''] = (msg.text || '').match(/^\/jadwalsholat(?:\s+(.+))?$/i) || [];
+            const userId = msg.from.id;
+            try {
+                // "/jadwalsholat metode mwl" changes the user's calculation method first
+                const [, method] = args.trim().match(/^metode(?:\s+(\S+))?$/i) || [];
+                if (/^metode\b/i.test(args.trim())) {
+                    if (!method) {
+                        return { text: `Pilih metode: /jadwalsholat metode [${prayerTimes.METHODS.join('|').toLowerCase()}]` };
+                    }
+                    const confirmation = await prayerTimes.setPrayerMethod(userId, method);
+                    if (!prayerTimes.normalizeMethod(method)) return { text: confirmation };
+                    return { text: `${confirmation}\n\n${await prayerTimes.formatTodayPrayerTimes(userId)}` };
+                }
+                return { text: await prayerTimes.formatTodayPrayerTimes(userId) };
+            } catch (error) {
+                logger.error({ event: 'prayer_times_command_error', error: error.message, stack: error.stack }, "Error in /jadwalsholat command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Lumina gagal menghitung jadwal shalat. Coba lagi nanti ya.' };
+            }
+        }
+    },
+
+    // --- Schedule Settings Command ---
+    {
+        pattern: /^\/jadwal(?:\s+(.+))?$/i,
+        response: async (chatId, msg) => {
+            const [, args = ''] = (msg.text || '').match(/^\/jadwal(?:\s+(.+))?$/i) || [];
+            if (!(await canManageBroadcasts(chatId, msg))) return { text: BROADCAST_ADMIN_ONLY_TEXT };
+            try {
+                // Settings belong to the chat that receives the broadcasts, so a group has its own.
+                const confirmation = await applyScheduleCommand(chatId, args.trim());
+                const menu = await schedulePreferences.buildScheduleMenu(chatId, msg.from.id);
+                return {
+                    text: confirmation ? `${confirmation}\n\n${menu.text}` : menu.text,
+                    replyMarkup: menu.replyMarkup
+                };
+            } catch (error) {
+                logger.error({ event: 'schedule_command_error', error: error.message, stack: error.stack }, "Error in /jadwal command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, pengaturan jadwal gagal disimpan. Coba lagi nanti ya.' };
+            }
+        }
+    },
+
+    // --- Voice Reply Command ---
+    {
+        pattern: /^\/voice(?:\s+(\S+))?\s*$/i,
+        response: async (chatId, msg) => {
+            const [, choice = ''] = (msg.text || '').match(/^\/voice(?:\s+(\S+))?/i) || [];
+            const userId = msg.from.id;
+            try {
+                const wanted = choice.toLowerCase();
+                if (!['on', 'off'].includes(wanted)) {
+                    const enabled = await ttsManager.isVoiceReplyEnabled(userId);
+                    return { text: `Balasan suara sedang ${enabled ? 'menyala' : 'mati'}.\nCara pakai: /voice on atau /voice off` };
+                }
+                if (wanted === 'on' && !isTextToSpeechAvailable()) {
+                    return { text: 'Maaf, suara Lumina belum disiapkan di server ini (TTS_ENGINE belum dikonfigurasi).' };
+                }
+                await ttsManager.setVoiceReply(userId, wanted === 'on');
+                return wanted === 'on'
+                    ? { text: 'Oke~ mulai sekarang Lumina juga akan menjawab dengan suara! 🎙️', mood: Mood.HAPPY }
+                    : { text: 'Baik, Lumina kembali membalas dengan teks saja.' };
+            } catch (error) {
+                logger.error({ event: 'voice_command_error', error: error.message, stack: error.stack }, "Error in /voice command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, pengaturan suara gagal disimpan. Coba lagi nanti ya.' };
+            }
+        }
+    },
+
+    // --- Long-Term Memory Commands ---
+    {
+        pattern: /^\/memories\s*$/i,
+        response: async (chatId, msg) => {
+            try {
+                const responseText = await ltmManager.listMemories(msg.from.id, {
+                    isPrivateChat: !groupHandler.isGroupChat(msg.chat)
+                });
+                return { text: responseText };
+            } catch (error) {
+                logger.error({ event: 'memories_command_error', error: error.message, stack: error.stack }, "Error in /memories command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Kesalahan terjadi saat menampilkan memori. Mohon coba lagi nanti.' };
+            }
+        }
+    },
+    {
+        pattern: /^\/forget(?:\s+(.+))?$/i,
+        response: async (chatId, msg) => {
+            try {
+                const [, target] = msg.text.match(/^\/forget(?:\s+(.+))?$/i);
+                const { text, replyMarkup } = await ltmManager.forgetMemories(msg.from.id, target, {
+                    isPrivateChat: !groupHandler.isGroupChat(msg.chat)
+                });
+                return { text, replyMarkup };
+            } catch (error) {
+                logger.error({ event: 'forget_command_error', error: error.message, stack: error.stack }, "Error in /forget command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Kesalahan terjadi saat menghapus memori. Mohon coba lagi nanti.' };
+            }
+        }
+    },
+    {
+        pattern: /^\/remember(?:\s+(.+))?$/i,
+        response: async (chatId, msg) => {
+            try {
+                const [, fact] = msg.text.match(/^\/remember(?:\s+(.+))?$/i);
+                const responseText = await ltmManager.rememberFact(msg.from.id, chatId, fact);
+                return { text: responseText, mood: Mood.HAPPY };
+            } catch (error) {
+                logger.error({ event: 'remember_command_error', error: error.message, stack: error.stack }, "Error in /remember command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Kesalahan terjadi saat menyimpan memori. Mohon coba lagi nanti.' };
+            }
+        }
+    },
+
+    // --- History Search ---
+    {
+        pattern: /^\/cari(?:\s+([\s\S]+))?$/i,
+        response: async (chatId, msg) => {
+            try {
+                const [, query] = msg.text.match(/^\/cari(?:\s+([\s\S]+))?$/i);
+                const timezone = await schedulePreferences.getUserTimezone(msg.from.id);
+                const responseText = await historySearch.searchChatHistory(chatId, query, timezone);
+                return { text: responseText };
+            } catch (error) {
+                logger.error({ event: 'search_history_command_error', error: error.message, stack: error.stack }, "Error in /cari command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Kesalahan terjadi saat mencari riwayat chat. Mohon coba lagi nanti.' };
+            }
+        }
+    },
+
+    // --- Privacy Commands ---
+    {
+        pattern: /^\/deletemydata(?:\s+(\S+))?\s*$/i,
+        response: async (chatId, msg) => {
+            if (groupHandler.isGroupChat(msg.chat)) {
+                return { text: 'Demi privasi, /deletemydata hanya bisa dipakai di chat pribadi dengan Lumina.' };
+            }
+            const userId = String(msg.from.id);
+            const [, confirmation] = msg.text.match(/^\/deletemydata(?:\s+(\S+))?/i);
+
+            if (!confirmation) {
+                pendingDataDeletions.set(userId, Date.now() + DELETE_CONFIRMATION_TTL_MS);
+                return {
+                    text: `⚠️ Ini akan menghapus SEMUA data Tuan di Lumina: riwayat chat, memori, catatan, pengingat, lokasi, dan status hubungan kita. Tindakan ini tidak bisa dibatalkan.\n\n` +
+                          `Kalau yakin, kirim /deletemydata ${DELETE_CONFIRMATION_WORD} dalam 5 menit. Simpan dulu datamu dengan /export kalau perlu.`
+                };
+            }
+
+            const expiresAt = pendingDataDeletions.get(userId);
+            if (confirmation.toUpperCase() !== DELETE_CONFIRMATION_WORD || !expiresAt || expiresAt < Date.now()) {
+                pendingDataDeletions.delete(userId);
+                return { text: 'Konfirmasi tidak valid atau sudah kedaluwarsa. Kirim /deletemydata lagi untuk memulai ulang.' };
+            }
+            pendingDataDeletions.delete(userId);
+
+            try {
+                const summary = await userDataArchive.deleteUserData(userId);
+                clearTimeout(chatMoods.get(userId)?.timeoutId);
+                chatMoods.delete(userId);
+                chatPersonalities.delete(userId);
+                // The reply is sent without being stored, so nothing of this chat remains in history.
+                await sendMessage(chatId, `Semua data Tuan sudah Lumina hapus (${summary.history} pesan, ${summary.ltm} memori, ${summary.notes} catatan, ${summary.reminders} pengingat). Selamat tinggal... atau sampai jumpa lagi? ${Mood.SAD.emoji}`);
+                return null;
+            } catch (error) {
+                logger.error({ event: 'deletemydata_command_error', error: error.message, stack: error.stack }, "Error in /deletemydata command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Kesalahan terjadi saat menghapus data. Mohon coba lagi nanti.' };
+            }
+        }
+    },
+
+    // --- Data Export/Import Commands ---
+    {
+        pattern: /^\/export\s*$/i,
+        response: async (chatId, msg) => {
+            if (groupHandler.isGroupChat(msg.chat)) {
+                return { text: 'Demi privasi, /export hanya bisa dipakai di chat pribadi dengan Lumina.' };
+            }
+            try {
+                await LuminaTyping(chatId);
+                const archive = await userDataArchive.exportUserData(msg.from.id);
+                await botInstanceRef.sendDocument(
+                    chatId,
+                    Buffer.from(JSON.stringify(archive, null, 2)),
+                    { caption: 'Ini semua data Tuan yang Lumina simpan. Kirim file ini dengan caption /import untuk memulihkannya.' },
+                    { filename: userDataArchive.getArchiveFileName(msg.from.id), contentType: 'application/json' }
+                );
+                return null;
+            } catch (error) {
+                logger.error({ event: 'export_command_error', error: error.message, stack: error.stack }, "Error in /export command handler");
+                Sentry.captureException(error);
+                return { text: 'Maaf, Kesalahan terjadi saat mengekspor data. Mohon coba lagi nanti.' };
+            }
+        }
+    },
+    {
+        pattern: /^\/import\s*$/i,
+        response: async (chatId, msg) => {
+            if (groupHandler.isGroupChat(msg.chat)) {
+                return { text: 'Demi privasi, /import hanya bisa dipakai di chat pribadi dengan Lumina.' };
+            }
+            const document = msg.document || msg.reply_to_message?.document;
+            if (!document) {
+                return { text: 'Kirim file arsip dari /export dengan caption /import, atau balas file tersebut dengan /import.' };
+            }
+            try {
+                await LuminaTyping(chatId);
+                const archive = await userDataArchive.downloadArchive(botInstanceRef, document);
+                if (String(archive?.userId) !== String(msg.from.id)) {
+                    return { text: 'Arsip ini milik pengguna lain, jadi tidak bisa Lumina pulihkan ke akunmu.' };
+                }
+                const summary = await userDataArchive.importUserData(archive);
+
+                const personality = archive.data.preferences[`${globalState.PERSONALITY_PREFIX}${msg.from.id}`];
+                if (personality) {
+                    await setPersonalityMode(msg.from.id, personality);
+                }
+
+                return {
+                    text: `Data berhasil dipulihkan! ${Mood.HAPPY.emoji}\n` +
+                          `• Pesan: ${summary.history}\n` +
+                          `• Preferensi: ${summary.preferences}\n` +
+                          `• Memori: ${summary.ltm}\n` +
+                          `• Status relasi: tidak dipulihkan, tumbuh lagi dari obrolan kita\n` +
+                          `• Pengingat: ${summary.reminders}\n` +
+                          `• Catatan: ${summary.notes}`,
+                    mood: Mood.HAPPY
+                };
+            } catch (error) {
+                logger.error({ event: 'import_command_error', error: error.message }, "Error in /import command handler");
+                Sentry.captureException(error);
+                return { text: `Maaf, arsip tidak bisa dipulihkan.\n${error.message}` };
+            }
+        }
+    },
+
+    // --- Group Settings Commands ---
+    {
+        pattern: /^\/groupmode(?:\s+(\w+))?\s*$/i,
+        response: async (chatId, msg) => {
+            if (!groupHandler.isGroupChat(msg.chat)) {
+                return { text: 'Perintah ini hanya bisa dipakai di grup, Tuan.' };
+            }
+
+            const [, requestedLevel] = msg.text.match(/^\/groupmode(?:\s+(\w+))?/i);
+            const settings = await groupHandler.getGroupSettings(chatId);
+            const levels = Object.entries(groupHandler.CHATTINESS_LEVELS)
+                .map(([level, description]) => `• ${level}: ${description}`)
+                .join('\n');
+
+            if (!requestedLevel) {
+                return {
+                    text: `Mode Lumina di grup ini: ${settings.chattiness}\n\n${levels}\n\nAdmin bisa mengubahnya dengan /groupmode [quiet|normal|chatty].`
+                };
+            }
+
+            const level = requestedLevel.toLowerCase();
+            if (!groupHandler.CHATTINESS_LEVELS[level]) {
+                return { text: `Mode "${requestedLevel}" tidak dikenal. Pilihan yang ada:\n${levels}` };
+            }
+            if (!botInstanceRef || !(await groupHandler.isGroupAdmin(botInstanceRef, chatId, msg.from.id))) {
+                return { text: `Hmph, cuma admin grup yang boleh mengatur Lumina! ${Mood.ANGRY.emoji}` };
+            }
+
+            await groupHandler.updateGroupSettings(chatId, { chattiness: level });
+            return { text: `Oke! Mulai sekarang Lumina di grup ini: ${groupHandler.CHATTINESS_LEVELS[level]} ${getCurrentMood(chatId).emoji}` };
+        }
+    },
 ];
 
 // --- Conditional Command Registration ---
@@ -506,12 +1086,6 @@ const setBotInstance = (bot) => {
     botInstanceRef = bot;
 };
 
-/**
- * Returns the bot's current mood.
- * @returns {object} The current mood object.
- */
-const getCurrentMood = () => currentMood;
-
 module.exports = {
     Mood,
     setMood,
@@ -522,5 +1096,7 @@ module.exports = {
     LuminaTyping,
     setAISummarizer,
     getPersonalityMode,
-    setPersonalityMode 
+    setPersonalityMode,
+    PERSONALITY_CALLBACK_NAMESPACE,
+    handlePersonalityCallback
 };
@@ -87,17 +87,20 @@ function checkAutoReply(content) {
  * Analyzes a message to extract a full set of contextual metadata.
  * This metadata can be stored alongside the message in memory.js for future reference or analytics.
  * @param {object} message - The message object (e.g., from the Telegram API, which has a 'text' property).
- * @returns {object} An object containing metadata: { topic, tone, autoReply }.
+ * @returns {object} An object containing metadata: { topic, tone, autoReply, userId }.
  */
 function analyzeMessage(message) {
     // Safely extract text content from the message object.
     const content = message && (message.text || message.content);
+    // The sender keeps per-user state (relationship, romance) apart in shared chats.
+    const userId = message?.from?.id ?? null;
 
     if (!content) {
         return {
             topic: null,
             tone: 'normal',
             autoReply: null,
+            userId,
         };
     }
 
@@ -108,7 +111,8 @@ function analyzeMessage(message) {
     return {
         topic,
         tone,
-        autoReply
+        autoReply,
+        userId
     };
 }
 
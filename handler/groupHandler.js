@@ -0,0 +1,209 @@
+// handler/groupHandler.js
+// Group chat mode: decides when Lumina should speak in a group and stores per-group settings.
+// In private chats every message is answered; in groups Lumina only answers when she is
+// mentioned, replied to or called by name (depending on how chatty the group admins want her).
+
+const memory = require('../data/memory');
+const logger = require('../utils/logger');
+const Sentry = require('@sentry/node');
+
+/**
+ * @const {string} GROUP_SETTINGS_PREFIX
+ * @description Preference key prefix for group settings (`group_settings_<chatId>`).
+ */
+const GROUP_SETTINGS_PREFIX = 'group_settings_';
+
+/**
+ * @const {object} CHATTINESS_LEVELS
+ * @description How eagerly Lumina joins group conversations.
+ * - quiet: only @mentions, replies to Lumina and commands.
+ * - normal: quiet + messages that call her by name.
+ * - chatty: normal + occasionally chiming in on other messages.
+ */
+const CHATTINESS_LEVELS = {
+    quiet: 'Hanya menjawab saat di-mention, di-reply, atau diberi perintah.',
+    normal: 'Menjawab saat di-mention, di-reply, atau dipanggil namanya.',
+    chatty: 'Seperti normal, tapi sesekali ikut nimbrung obrolan.'
+};
+
+/**
+ * @const {string} DEFAULT_CHATTINESS
+ * @description Chattiness used by groups whose admins never changed it.
+ */
+const DEFAULT_CHATTINESS = 'normal';
+
+/**
+ * @const {number} CHATTY_REPLY_CHANCE
+ * @description Probability that Lumina answers an unaddressed message in 'chatty' mode.
+ */
+const CHATTY_REPLY_CHANCE = 0.15;
+
+/**
+ * @const {RegExp} BOT_NAME_PATTERN
+ * @description Matches Lumina being called by name.
+ */
+const BOT_NAME_PATTERN = /\blumina\b/i;
+
+/**
+ * @type {{id: number|null, username: string|null}}
+ * @description The bot's own identity, resolved once via getMe().
+ */
+const botIdentity = { id: null, username: null };
+
+/**
+ * @type {Map<string, object>}
+ * @description Cache of group settings keyed by String(chatId).
+ */
+const settingsCache = new Map();
+
+/**
+ * Resolves the bot's id and username so mentions and replies can be recognised.
+ * @param {object} bot - The Telegram bot instance.
+ * @returns {Promise<void>}
+ */
+const initialize = async (bot) => {
+    try {
+        const me = await bot.getMe();
+        botIdentity.id = me.id;
+        botIdentity.username = me.username || null;
+        logger.info({ event: 'group_mode_ready', botUsername: botIdentity.username }, `[Group] Bot identity resolved as @${botIdentity.username}.`);
+    } catch (error) {
+        logger.error({ event: 'group_mode_identity_error', error: error.message, stack: error.stack }, '[Group] Failed to resolve bot identity; only name calls will be recognised in groups.');
+        Sentry.captureException(error);
+    }
+};
+
+/**
+ * Checks whether a chat is a group or supergroup.
+ * @param {object} chat - The Telegram chat object.
+ * @returns {boolean} True for group chats.
+ */
+const isGroupChat = (chat) => chat?.type === 'group' || chat?.type === 'supergroup';
+
+/**
+ * Builds a regex that matches the bot's @username, or null while it is unknown.
+ * @returns {RegExp|null}
+ */
+const getMentionPattern = () => {
+    if (!botIdentity.username) return null;
+    return new RegExp(`@${botIdentity.username}\\b`, 'ig');
+};
+
+/**
+ * Removes the bot's @username from a text, so `/help@LuminaBot` becomes `/help`
+ * and "@LuminaBot halo" becomes "halo".
+ * @param {string} text - Message text or caption.
+ * @returns {string} The text without mentions of the bot.
+ */
+const stripBotMention = (text) => {
+    const pattern = getMentionPattern();
+    if (!text || !pattern) return text;
+    return text.replace(pattern, '').replace(/\s{2,}/g, ' ').trim();
+};
+
+/**
+ * Returns a copy of a group message with the bot's mentions removed from text and caption,
+ * so command patterns and prompts see clean text.
+ * @param {object} msg - The Telegram message.
+ * @returns {object} The normalised message.
+ */
+const normalizeMessage = (msg) => ({
+    ...msg,
+    text: msg.text !== undefined ? stripBotMention(msg.text) : msg.text,
+    caption: msg.caption !== undefined ? stripBotMention(msg.caption) : msg.caption
+});
+
+/**
+ * Retrieves the settings of a group.
+ * @param {string|number} chatId - The group chat ID.
+ * @returns {Promise<{chattiness: string}>} The group settings.
+ */
+const getGroupSettings = async (chatId) => {
+    const key = String(chatId);
+    if (!settingsCache.has(key)) {
+        const saved = await memory.getPreference(`${GROUP_SETTINGS_PREFIX}${key}`);
+        settingsCache.set(key, { chattiness: DEFAULT_CHATTINESS, ...(saved || {}) });
+    }
+    return settingsCache.get(key);
+};
+
+/**
+ * Updates and persists the settings of a group.
+ * @param {string|number} chatId - The group chat ID.
+ * @param {object} changes - Settings to change (e.g. { chattiness: 'quiet' }).
+ * @returns {Promise<{chattiness: string}>} The updated settings.
+ */
+const updateGroupSettings = async (chatId, changes) => {
+    const settings = { ...(await getGroupSettings(chatId)), ...changes };
+    settingsCache.set(String(chatId), settings);
+    await memory.savePreference(`${GROUP_SETTINGS_PREFIX}${chatId}`, settings);
+    logger.info({ event: 'group_settings_updated', chatId, settings }, `[Group] Settings updated for chat ${chatId}.`);
+    return settings;
+};
+
+/**
+ * Checks whether a user is an admin (or the creator) of a group.
+ * @param {object} bot - The Telegram bot instance.
+ * @param {string|number} chatId - The group chat ID.
+ * @param {number} userId - The user to check.
+ * @returns {Promise<boolean>} True if the user may change group settings.
+ */
+const isGroupAdmin = async (bot, chatId, userId) => {
+    try {
+        const member = await bot.getChatMember(chatId, userId);
+        return member.status === 'creator' || member.status === 'administrator';
+    } catch (error) {
+        logger.error({ event: 'group_admin_check_error', chatId, userId, error: error.message }, '[Group] Failed to check admin status.');
+        Sentry.captureException(error, { extra: { chatId, userId } });
+        return false;
+    }
+};
+
+/**
+ * Decides whether Lumina should answer a group message.
+ * Must be called with the original (non-normalised) message so mentions are still visible.
+ * @param {object} msg - The Telegram message.
+ * @param {{chattiness: string}} settings - The group's settings.
+ * @returns {{respond: boolean, reason: string|null}} The decision and what triggered it.
+ */
+const shouldRespond = (msg, settings) => {
+    const text = msg.text || msg.caption || '';
+    const mentionPattern = getMentionPattern();
+
+    if (mentionPattern && mentionPattern.test(text)) {
+        return { respond: true, reason: 'mention' };
+    }
+
+    const repliedTo = msg.reply_to_message?.from;
+    if (repliedTo && (repliedTo.id === botIdentity.id || (repliedTo.is_bot && repliedTo.username === botIdentity.username))) {
+        return { respond: true, reason: 'reply' };
+    }
+
+    // Commands addressed to another bot (`/help@OtherBot`) are not ours.
+    const command = text.match(/^\/\w+(@\w+)?/);
+    if (command) {
+        return { respond: !command[1], reason: command[1] ? null : 'command' };
+    }
+
+    const chattiness = settings?.chattiness || DEFAULT_CHATTINESS;
+    if (chattiness !== 'quiet' && BOT_NAME_PATTERN.test(text)) {
+        return { respond: true, reason: 'name' };
+    }
+    if (chattiness === 'chatty' && text && Math.random() < CHATTY_REPLY_CHANCE) {
+        return { respond: true, reason: 'random' };
+    }
+    return { respond: false, reason: null };
+};
+
+module.exports = {
+    initialize,
+    isGroupChat,
+    stripBotMention,
+    normalizeMessage,
+    getGroupSettings,
+    updateGroupSettings,
+    isGroupAdmin,
+    shouldRespond,
+    CHATTINESS_LEVELS,
+    GROUP_SETTINGS_PREFIX
+};
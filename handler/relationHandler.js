@@ -5,11 +5,12 @@
 const fs = require('fs').promises;
 const path = require('path');
 const memory = require('../data/memory'); // Impor memory.js untuk mengakses riwayat chat
-const config = require('../config/config'); // Impor config.js untuk mendapatkan USER_NAME
-const { getJakartaMoment } = require('../utils/timeHelper') // Mengimpor fungsi, bukan variabel
+const config = require('../config/config'); // Impor config.js untuk mendapatkan TARGET_CHAT_ID
 
 // --- Konfigurasi Status Relasi ---
-const RELATION_STATE_FILE = path.join(__dirname, '..', 'data', 'relationState.json'); // Lokasi file penyimpanan
+const RELATIONS_COLLECTION = 'relations'; // Koleksi record di memory store, satu record per pengguna
+// File JSON versi lama; hanya dibaca sekali saat impor lalu diganti nama menjadi relationState.json.imported
+const RELATION_STATE_FILE = path.join(__dirname, '..', 'data', 'relationState.json');
 const WEEKLY_CONVERSATION_THRESHOLD = 30; // Target percakapan per minggu
 const WEEKLY_POINTS_BONUS = 30; // Poin bonus jika target tercapai
 const POINTS_PER_MESSAGE = 1; // Poin yang didapatkan setiap kali pengguna mengirim pesan
@@ -33,67 +34,145 @@ const LEVEL_DESCRIPTIONS = {
 };
 
 // --- State Internal ---
+// Cache status relasi per pengguna: { users: { [userId]: { points, level, lastWeeklyCheckTimestamp } } }
+// Sumber kebenarannya adalah koleksi `relations`; cache ini hanya untuk pembacaan sinkron (getRelationLevel).
 let currentState = {
-    points: 0,
-    level: 1,
-    lastWeeklyCheckTimestamp: getJakartaMoment()
+    users: {}
 };
 
 /**
- * Memuat status relasi dari file JSON.
- * Jika file tidak ada, file baru akan dibuat dengan nilai default.
+ * Membuat status relasi default untuk satu pengguna.
+ * @returns {{points: number, level: number, lastWeeklyCheckTimestamp: number}}
  */
-async function loadRelationState() {
+function createDefaultUserState() {
+    return {
+        points: 0,
+        level: 1,
+        lastWeeklyCheckTimestamp: Date.now()
+    };
+}
+
+/**
+ * Mengubah format lama (satu status global) ke format per pengguna.
+ * Status lama diwariskan ke TARGET_CHAT_ID (chat pribadi = ID pengguna), atau kunci "legacy" jika tidak diatur.
+ * @param {object} data - Isi file relationState.json.
+ * @returns {object} Status dalam format { users: {...} }.
+ */
+function migrateLegacyState(data) {
+    if (data && data.users) {
+        return data;
+    }
+    const owner = config.TARGET_CHAT_ID ? String(config.TARGET_CHAT_ID) : 'legacy';
+    const users = {};
+    if (data && typeof data.points === 'number') {
+        users[owner] = {
+            points: data.points,
+            level: data.level || 1,
+            lastWeeklyCheckTimestamp: data.lastWeeklyCheckTimestamp
+        };
+        console.log(`[RelationState] Status relasi lama dipindahkan ke pengguna ${owner}.`);
+    }
+    return { users };
+}
+
+/**
+ * Impor satu kali dari relationState.json ke koleksi `relations`, lalu file lama diganti nama
+ * agar tidak diimpor lagi. File yang rusak dibiarkan apa adanya.
+ */
+async function importLegacyStateFile() {
+    let data;
     try {
-        const data = await fs.readFile(RELATION_STATE_FILE, 'utf8');
-        currentState = JSON.parse(data);
-        // Pastikan lastWeeklyCheckTimestamp adalah numerik setelah dimuat
-        if (typeof currentState.lastWeeklyCheckTimestamp !== 'number') {
-            currentState.lastWeeklyCheckTimestamp = getJakartaMoment();
-            await saveRelationState();
-        }
-        console.log('✅ Status relasi berhasil dimuat.');
+        data = JSON.parse(await fs.readFile(RELATION_STATE_FILE, 'utf8'));
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log('File status relasi tidak ditemukan. Membuat file baru...');
-            currentState.lastWeeklyCheckTimestamp = getJakartaMoment(); // Inisialisasi juga saat file baru dibuat
-            await saveRelationState();
-        } else {
-            console.error('❌ Gagal memuat status relasi:', error);
+        if (error.code !== 'ENOENT') {
+            console.error('❌ relationState.json lama tidak bisa dibaca dan dilewati (file tidak diubah):', error.message);
         }
+        return;
     }
+    const { users } = migrateLegacyState(data);
+    let count = 0;
+    for (const [userId, userState] of Object.entries(users)) {
+        if (await memory.getRecord(RELATIONS_COLLECTION, userId)) continue;
+        await memory.saveRecord(RELATIONS_COLLECTION, userId, userId, { userId, ...userState });
+        count++;
+    }
+    await fs.rename(RELATION_STATE_FILE, `${RELATION_STATE_FILE}.imported`);
+    console.log(`[RelationState] Impor satu kali: ${count} status relasi dipindahkan ke memory store.`);
 }
 
 /**
- * Menyimpan status relasi saat ini ke file JSON.
+ * Memuat status relasi semua pengguna dari memory store ke cache.
+ * Menjalankan impor file JSON lama terlebih dahulu bila masih ada.
  */
-async function saveRelationState() {
+async function loadRelationState() {
     try {
-        await fs.writeFile(RELATION_STATE_FILE, JSON.stringify(currentState, null, 2));
-        console.log('💾 Status relasi berhasil disimpan.');
+        await importLegacyStateFile();
+        const users = {};
+        for (const record of await memory.getRecords(RELATIONS_COLLECTION)) {
+            const { userId, ...userState } = record;
+            // Pastikan lastWeeklyCheckTimestamp adalah numerik setelah dimuat
+            if (typeof userState.lastWeeklyCheckTimestamp !== 'number') {
+                userState.lastWeeklyCheckTimestamp = Date.now();
+                await saveUserState(userId, userState);
+            }
+            users[userId] = userState;
+        }
+        currentState = { users };
+        console.log('✅ Status relasi berhasil dimuat.');
     } catch (error) {
-        console.error('❌ Gagal menyimpan status relasi:', error);
+        console.error('❌ Gagal memuat status relasi:', error);
     }
 }
 
 /**
- * Memperbarui level relasi berdasarkan poin saat ini.
+ * Menyimpan status relasi satu pengguna ke memory store dan cache.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {object} userState - Status relasi pengguna.
+ */
+async function saveUserState(userId, userState) {
+    const key = String(userId);
+    currentState.users[key] = userState;
+    await memory.saveRecord(RELATIONS_COLLECTION, key, key, { userId: key, ...userState });
+}
+
+/**
+ * Memperbarui status relasi satu pengguna secara atomik di memory store, lalu menyalinnya ke cache.
+ * Pengguna yang belum punya status dimulai dari status default.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {function(object): void} mutate - Fungsi sinkron yang mengubah status pengguna.
+ * @returns {Promise<object>} Status relasi yang baru.
+ */
+async function updateUserState(userId, mutate) {
+    const key = String(userId);
+    const record = await memory.updateRecord(RELATIONS_COLLECTION, key, key, (stored) => {
+        const userState = stored || { userId: key, ...createDefaultUserState() };
+        mutate(userState);
+        return userState;
+    });
+    const { userId: owner, ...userState } = record;
+    currentState.users[owner] = userState;
+    return userState;
+}
+
+/**
+ * Memperbarui level relasi seorang pengguna berdasarkan poinnya.
+ * @param {object} userState - Status relasi pengguna.
  * @returns {boolean} - True jika level berubah, false jika tidak.
  */
-function updateLevel() {
-    const oldLevel = currentState.level;
+function updateLevel(userState) {
+    const oldLevel = userState.level;
     let newLevel = 1;
 
     // Cek dari level tertinggi ke terendah
     for (let level = 5; level >= 1; level--) {
-        if (currentState.points >= LEVEL_THRESHOLDS[level]) {
+        if (userState.points >= LEVEL_THRESHOLDS[level]) {
             newLevel = level;
             break;
         }
     }
 
     if (newLevel !== oldLevel) {
-        currentState.level = newLevel;
+        userState.level = newLevel;
         console.log(`🎉 LEVEL UP! Lumina sekarang berada di Level ${newLevel}: ${LEVEL_DESCRIPTIONS[newLevel]}`);
         return true;
     }
@@ -101,105 +180,150 @@ function updateLevel() {
 }
 
 /**
- * Menambah atau mengurangi poin dan memperbarui level.
+ * Menambah atau mengurangi poin seorang pengguna dan memperbarui levelnya.
+ * @param {string|number} userId - ID pengguna Telegram.
  * @param {number} pointsToAdd - Jumlah poin yang akan ditambahkan (bisa negatif).
  */
-async function addPoints(pointsToAdd) {
-    console.log(`[DEBUG - RelationState] Fungsi addPoints dipanggil dengan ${pointsToAdd} poin.`);
-    currentState.points += pointsToAdd;
-    // Pastikan poin tidak negatif
-    if (currentState.points < 0) {
-        currentState.points = 0;
-    }
-    console.log(`✨ Poin relasi diubah sebesar ${pointsToAdd}. Total poin sekarang: ${currentState.points}`);
-    updateLevel(); // Panggil updateLevel setelah poin diubah
-    await saveRelationState();
+async function addPoints(userId, pointsToAdd) {
+    await relationStateReady;
+    const userState = await updateUserState(userId, (state) => {
+        // Pastikan poin tidak negatif
+        state.points = Math.max(0, state.points + pointsToAdd);
+        updateLevel(state); // Panggil updateLevel setelah poin diubah
+    });
+    console.log(`✨ Poin relasi user ${userId} diubah sebesar ${pointsToAdd}. Total poin sekarang: ${userState.points}`);
 }
 
 /**
  * Menambah poin setiap kali pengguna mengirim pesan.
  * Akan dipanggil dari core.js
+ * @param {string|number} userId - ID pengirim pesan.
  */
-async function addPointOnMessage() {
-    await addPoints(POINTS_PER_MESSAGE);
-    console.log(`[RelationState] Poin bertambah ${POINTS_PER_MESSAGE} dari interaksi pesan.`)
+async function addPointOnMessage(userId) {
+    await addPoints(userId, POINTS_PER_MESSAGE);
 }
 
 
 /**
- * Memeriksa jumlah percakapan dalam seminggu terakhir.
- * Jika lebih dari threshold, tambahkan poin bonus.
+ * Memeriksa jumlah percakapan setiap pengguna dalam seminggu terakhir.
+ * Jika lebih dari threshold, tambahkan poin bonus ke pengguna tersebut.
  * Fungsi ini harus dipanggil secara berkala (misalnya, setiap beberapa jam) dari core.js.
  */
 async function checkWeeklyConversation() {
-    // Pastikan lastWeeklyCheckTimestamp adalah angka
-    if (typeof currentState.lastWeeklyCheckTimestamp !== 'number') {
-        currentState.lastWeeklyCheckTimestamp = getJakartaMoment();
-        await saveRelationState();
-    }
-
     const oneWeekInMs = 7 * 24 * 60 * 60 * 1000;
-    const now = getJakartaMoment(); // Panggil fungsi untuk mendapatkan timestamp saat ini
+    const now = Date.now(); // Timestamp saat ini dalam milidetik
+    await relationStateReady;
+
+    for (const [userId, userState] of Object.entries(currentState.users)) {
+        // Pastikan lastWeeklyCheckTimestamp adalah angka
+        if (typeof userState.lastWeeklyCheckTimestamp !== 'number') {
+            await updateUserState(userId, (state) => {
+                state.lastWeeklyCheckTimestamp = now;
+            });
+            continue;
+        }
 
-    // Cek apakah sudah lebih dari seminggu sejak pengecekan terakhir
-    if (now - currentState.lastWeeklyCheckTimestamp > oneWeekInMs) {
-        console.log('⏳ Melakukan pengecekan percakapan mingguan...');
-        const history = await memory.getInMemoryHistory(); 
-        const lastWeekDate = new Date(currentState.lastWeeklyCheckTimestamp);
+        // Cek apakah sudah lebih dari seminggu sejak pengecekan terakhir
+        if (now - userState.lastWeeklyCheckTimestamp <= oneWeekInMs) continue;
 
-        // Filter pesan dari user target dalam seminggu terakhir
-        const userMessagesLastWeek = history.filter(msg =>
-            msg.role === 'user' &&
-            msg.from && // Pastikan properti 'from' ada
-            msg.from.first_name === config.USER_NAME &&
-            new Date(msg.timestamp) > lastWeekDate
-        );
+        console.log(`⏳ Melakukan pengecekan percakapan mingguan untuk user ${userId}...`);
+        const since = new Date(userState.lastWeeklyCheckTimestamp).toISOString();
+        const messageCount = await memory.countUserMessagesSince(userId, since);
 
-        console.log(`Total percakapan dari ${config.USER_NAME} dalam seminggu terakhir: ${userMessagesLastWeek.length}`);
+        console.log(`Total percakapan dari user ${userId} dalam seminggu terakhir: ${messageCount}`);
 
-        if (userMessagesLastWeek.length > WEEKLY_CONVERSATION_THRESHOLD) {
+        const reachedTarget = messageCount > WEEKLY_CONVERSATION_THRESHOLD;
+        if (reachedTarget) {
             console.log(`🏆 Target percakapan mingguan terlampaui! Memberikan ${WEEKLY_POINTS_BONUS} poin.`);
-            await addPoints(WEEKLY_POINTS_BONUS);
         } else {
-            console.log(`Tidak mencapai target percakapan mingguan (${userMessagesLastWeek.length}/${WEEKLY_CONVERSATION_THRESHOLD}).`);
+            console.log(`Tidak mencapai target percakapan mingguan (${messageCount}/${WEEKLY_CONVERSATION_THRESHOLD}).`);
         }
 
-        // Reset timestamp pengecekan ke waktu sekarang
-        currentState.lastWeeklyCheckTimestamp = now;
-        await saveRelationState();
-    } else {
-        console.log(`Pengecekan mingguan belum saatnya. Tersisa ${Math.floor((oneWeekInMs - (now - currentState.lastWeeklyCheckTimestamp)) / (1000 * 60 * 60 * 24))} hari.`);
+        await updateUserState(userId, (state) => {
+            if (reachedTarget) {
+                state.points += WEEKLY_POINTS_BONUS;
+                updateLevel(state);
+            }
+            // Reset timestamp pengecekan ke waktu sekarang
+            state.lastWeeklyCheckTimestamp = now;
+        });
     }
 }
 
 // --- Fungsi yang Diekspor ---
 
 /**
- * Mendapatkan level relasi saat ini.
+ * Mendapatkan level relasi seorang pengguna.
+ * @param {string|number} userId - ID pengguna Telegram.
  * @returns {number} - Level saat ini (1-5).
  */
-function getRelationLevel() {
-    return currentState.level;
+function getRelationLevel(userId) {
+    return currentState.users[String(userId)]?.level || 1;
 }
 
 /**
- * Mendapatkan deskripsi dari level relasi saat ini.
+ * Mendapatkan deskripsi dari level relasi seorang pengguna.
+ * @param {string|number} userId - ID pengguna Telegram.
  * @returns {string} - Deskripsi level.
  */
-function getRelationLevelDescription() {
-    return LEVEL_DESCRIPTIONS[currentState.level] || "Status tidak diketahui.";
+function getRelationLevelDescription(userId) {
+    return LEVEL_DESCRIPTIONS[getRelationLevel(userId)] || "Status tidak diketahui.";
+}
+
+/**
+ * Mengambil salinan status relasi seorang pengguna untuk diekspor.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {Promise<object|null>} Status relasi, atau null jika pengguna belum punya status.
+ */
+async function exportUserRelation(userId) {
+    await relationStateReady;
+    const userState = currentState.users[String(userId)];
+    return userState ? { ...userState } : null;
+}
+
+/**
+ * Memulihkan status relasi seorang pengguna dari arsip, menggantikan status yang ada.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {{points: number, level?: number, lastWeeklyCheckTimestamp?: number}} userState - Status dari arsip.
+ */
+async function importUserRelation(userId, userState) {
+    await relationStateReady;
+    const restored = {
+        ...createDefaultUserState(),
+        points: Math.max(0, userState.points),
+    };
+    if (typeof userState.lastWeeklyCheckTimestamp === 'number') {
+        restored.lastWeeklyCheckTimestamp = userState.lastWeeklyCheckTimestamp;
+    }
+    updateLevel(restored);
+    await saveUserState(userId, restored);
+}
+
+/**
+ * Menghapus status relasi seorang pengguna sepenuhnya.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {Promise<boolean>} True jika pengguna memiliki status yang dihapus.
+ */
+async function deleteUserRelation(userId) {
+    await relationStateReady;
+    const key = String(userId);
+    if (!currentState.users[key]) return false;
+    delete currentState.users[key];
+    await memory.deleteRecords(RELATIONS_COLLECTION, [key]);
+    return true;
 }
 
 /**
- * Mendapatkan poin relasi saat ini.
+ * Mendapatkan poin relasi seorang pengguna.
+ * @param {string|number} userId - ID pengguna Telegram.
  * @returns {number} - Jumlah poin.
  */
-function getCurrentPoints() {
-    return currentState.points;
+function getCurrentPoints(userId) {
+    return currentState.users[String(userId)]?.points || 0;
 }
 
 // Inisialisasi
-loadRelationState();
+const relationStateReady = loadRelationState();
 
 module.exports = {
     loadRelationState,
@@ -208,5 +332,8 @@ module.exports = {
     checkWeeklyConversation,
     getRelationLevel,
     getRelationLevelDescription,
-    getCurrentPoints
+    getCurrentPoints,
+    exportUserRelation,
+    importUserRelation,
+    deleteUserRelation
 };
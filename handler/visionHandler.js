@@ -6,10 +6,10 @@ const path = require("path");
 const FormData = require("form-data");
 const sharp = require("sharp");
 const schedule = require("node-schedule");
-const Groq = require("groq-sdk");
 const config = require("../config/config");
 const { sendMessage } = require("../utils/sendMessage");
 const { LuminaTyping, Mood } = require("../handler/commandHandlers");
+const { createChatCompletion } = require("../core/llmProvider");
 const logger = require('../utils/logger');
 const Sentry = require("@sentry/node");
 
@@ -17,7 +17,6 @@ const Sentry = require("@sentry/node");
 const OCR_SPACE_API_KEY = config.ocrSpaceApiKey;
 const IMAGGA_API_KEY = config.imaggaApiKey;
 const IMAGGA_API_SECRET = config.imaggaApiSecret;
-const groq = new Groq({ apiKey: config.groqApiKey });
 
 // Direktori untuk menyimpan gambar sementara
 const IMAGE_DIR = path.join(__dirname, "..", "temp_images");
@@ -158,9 +157,9 @@ const createFinalDescription = async (ocrText, tags) => {
         contextForAI += `- Objek utama yang terdeteksi: "${topTag.tag.en}"\n`;
     }
 
-    logger.info({ event: "create_final_description_start" }, "Membuat deskripsi final dengan Groq...");
+    logger.info({ event: "create_final_description_start" }, "Membuat deskripsi final dengan LLM...");
     try {
-        const chatCompletion = await groq.chat.completions.create({
+        const chatCompletion = await createChatCompletion("vision", {
             messages: [{
                 role: "system",
                 content: "Kamu adalah asisten yang tugasnya membuat deskripsi gambar yang sangat singkat, padat, dan jelas (cukup satu kalimat) berdasarkan data analisis yang diberikan. Fokus pada inti dari gambar tersebut."
@@ -168,7 +167,6 @@ const createFinalDescription = async (ocrText, tags) => {
                 role: "user",
                 content: `Buatkan satu kalimat deskripsi natural dari analisis gambar berikut:\n${contextForAI}`
             }],
-            model: "llama3-8b-8192", // Gunakan model yang lebih cepat untuk tugas sederhana
             temperature: 0.5,
             max_tokens: 100,
         });
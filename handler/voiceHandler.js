@@ -0,0 +1,74 @@
+// handler/voiceHandler.js
+// Handles incoming voice notes and audio messages from Telegram. It downloads the audio,
+// transcribes it with the configured speech-to-text engine and hands the transcript back to
+// core.js, which then treats it like a typed message. A transcript never starts with "/", so speech
+// can't trigger a bot command.
+
+const fs = require('fs').promises;
+const path = require('path');
+const Sentry = require('@sentry/node');
+
+const config = require('../config/config');
+const { sendMessage } = require('../utils/sendMessage');
+const speechToText = require('../modules/speechToText');
+const logger = require('../utils/logger');
+
+// --- Constants ---
+const TEMP_DIR = path.join(__dirname, '..', 'temp'); // Cleaned up by scheduler/maintenance.js as well
+const MAX_FILE_SIZE_TELEGRAM = 20 * 1024 * 1024; // 20 MB, the largest file bots can download.
+
+/**
+ * Transcribes the voice note or audio file of a message.
+ * The user is told what went wrong whenever no transcript can be returned.
+ * @param {object} msg - The message object from node-telegram-bot-api (with `voice` or `audio`).
+ * @param {object} bot - The Telegram bot instance.
+ * @returns {Promise<string|null>} The transcript without leading slashes, or null if the message
+ *   shouldn't be answered further.
+ */
+async function transcribeVoiceMessage(msg, bot) {
+    const chatId = msg.chat.id;
+    const audio = msg.voice || msg.audio;
+    if (!audio) {
+        return null;
+    }
+
+    logger.info({ event: 'voice_received', chatId, file_id: audio.file_id, duration: audio.duration }, 'Voice message received.');
+
+    if (!speechToText.isSpeechToTextAvailable()) {
+        logger.warn({ event: 'stt_not_configured', engine: config.stt.engine }, 'Voice message received but no STT engine is configured.');
+        await sendMessage(chatId, 'Maaf, Lumina belum bisa mendengarkan pesan suara. Ketik saja ya~');
+        return null;
+    }
+    if (audio.duration > config.stt.maxDurationSeconds || audio.file_size > MAX_FILE_SIZE_TELEGRAM) {
+        logger.warn({ event: 'voice_too_long', duration: audio.duration, size: audio.file_size }, 'Voice message exceeds the transcription limit.');
+        await sendMessage(chatId, `Pesan suaranya kepanjangan, Lumina hanya bisa mendengarkan sampai ${Math.floor(config.stt.maxDurationSeconds / 60)} menit.`);
+        return null;
+    }
+
+    let tempFilePath = '';
+    try {
+        await fs.mkdir(TEMP_DIR, { recursive: true });
+        bot.sendChatAction(chatId, 'typing').catch(() => {});
+
+        tempFilePath = await bot.downloadFile(audio.file_id, TEMP_DIR);
+        const transcript = (await speechToText.transcribeAudio(tempFilePath) || '').replace(/^[\s/]+/, '');
+
+        if (!transcript) {
+            await sendMessage(chatId, 'Hmm, Lumina tidak bisa menangkap apa yang kamu ucapkan. Coba ulangi ya?');
+            return null;
+        }
+        return transcript;
+    } catch (error) {
+        logger.error({ event: 'voice_transcription_error', chatId, error: error.message, stack: error.stack }, 'Failed to transcribe voice message.');
+        Sentry.captureException(error);
+        await sendMessage(chatId, 'Aduh, Lumina gagal mendengarkan pesan suaramu. Coba lagi nanti ya.');
+        return null;
+    } finally {
+        // The audio is only needed for transcription; don't keep users' voices on disk.
+        if (tempFilePath) {
+            await fs.rm(tempFilePath, { force: true });
+        }
+    }
+}
+
+module.exports = { transcribeVoiceMessage };
@@ -5,14 +5,11 @@
 // LANGUAGE: ID (Indonesia)
 // MIT License
 
-const Groq = require('groq-sdk'); // Import Groq SDK
-const config = require('../config/config'); // Memuat konfigurasi (termasuk API key Groq)
+const { createChatCompletion } = require('../core/llmProvider'); // Provider layer untuk task 'summary'
 const memory = require('../data/memory'); // Memuat modul memory untuk mengakses riwayat obrolan
 
-const client = new Groq({ apiKey: config.groqApiKey });
-
 /**
- * Meringkas riwayat obrolan yang diberikan menggunakan Groq API.
+ * Meringkas riwayat obrolan yang diberikan menggunakan provider LLM untuk task 'summary'.
  * Modul ini dirancang untuk mengurangi penggunaan token dengan meringkas riwayat percakapan yang panjang.
  *
  * @param {Array<object>} chatHistory Riwayat obrolan yang akan diringkas. Setiap objek harus memiliki properti 'role' dan 'content'.
@@ -38,10 +35,9 @@ const summarizeChatHistory = async (chatHistory, maxTokens = 150) => {
     Jangan tambahkan salam atau penutup. Hanya ringkasan murni.`;
 
     try {
-        console.log("[ChatSummarizer] Mengirim riwayat obrolan untuk diringkas ke Groq API...");
+        console.log("[ChatSummarizer] Mengirim riwayat obrolan untuk diringkas ke provider LLM...");
 
-        const response = await client.chat.completions.create({
-            model: "llama-3.1-8b-instant", 
+        const response = await createChatCompletion('summary', {
             messages: [
                 { role: 'system', content: systemPrompt },
                 { role: 'user', content: JSON.stringify(formattedHistory) }
@@ -55,25 +51,26 @@ const summarizeChatHistory = async (chatHistory, maxTokens = 150) => {
             console.log("[ChatSummarizer] Ringkasan berhasil diterima.");
             return summary;
         } else {
-            console.error('[ChatSummarizer] Groq API Error atau respons kosong:', response.data);
+            console.error('[ChatSummarizer] LLM API Error atau respons kosong:', response.data);
             return null;
         }
     } catch (error) {
-        console.error('[ChatSummarizer] Error saat memanggil Groq API untuk peringkasan:', error.response?.data || error.message || error);
+        console.error('[ChatSummarizer] Error saat memanggil LLM API untuk peringkasan:', error.response?.data || error.message || error);
         return null;
     }
 };
 
 /**
- * Fungsi untuk memicu peringkasan riwayat obrolan dari memory.js.
+ * Fungsi untuk memicu peringkasan riwayat obrolan sebuah chat dari memory.js.
  * Dapat dipanggil secara berkala atau ketika riwayat mencapai ukuran tertentu.
  *
+ * @param {string|number} chatId ID chat yang riwayatnya diringkas.
  * @param {number} [historyLimit=50] Jumlah pesan terakhir dari riwayat yang akan diringkas.
  * @returns {Promise<string|null>} Promise yang menyelesaikan ke string ringkasan terbaru, atau null jika tidak ada ringkasan.
  */
-const getSummarizedHistory = async (historyLimit = 50) => {
-    // Ambil riwayat obrolan dari memory.js
-    const fullHistory = await memory.getInMemoryHistory(); 
+const getSummarizedHistory = async (chatId, historyLimit = 50) => {
+    // Ambil riwayat obrolan chat ini dari memory.js
+    const fullHistory = await memory.load(chatId);
     // Ambil sebagian dari riwayat obrolan terbaru untuk diringkas
     const historyToSummarize = fullHistory.slice(-historyLimit);
 
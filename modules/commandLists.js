@@ -1,67 +1,212 @@
 // commandLists.js
 
-const fs = require('fs').promises; // Untuk operasi sistem file (membaca/menulis JSON)
+const fs = require('fs').promises; // Untuk membaca file JSON versi lama saat impor
 const schedule = require('node-schedule'); // Untuk menjadwalkan pengingat
 const axios = require('axios'); // Untuk membuat permintaan HTTP ke API
 const config = require('../config/config'); // File konfigurasi untuk kunci API dan pengaturan lainnya
-const { sendMessage } = require('../utils/sendMessage'); // Utilitas untuk mengirim pesan (pastikan ada dan tangguh)
-const { formatJakartaDateTime, formatJakartaTime, getJakartaMoment } = require('../utils/timeHelper'); // Utilitas untuk waktu Jakarta (pastikan ada dan tangguh)
+const { deliverMessage } = require('../utils/sendMessage'); // Utilitas untuk mengirim pesan; error Telegram diteruskan
+const { DEFAULT_TIMEZONE, isValidTimezone, getMoment, formatDateTime, formatTime } = require('../utils/timeHelper'); // Utilitas waktu per zona waktu
+const { getUserTimezone } = require('./schedulePreferences'); // Zona waktu pilihan pengguna (/jadwal zona)
 const { generateAIResponse } = require('../core/ai-response');
+const { tokenizeText, matchesAllTerms } = require('../data/storage/textSearch'); // Pencocokan kata kunci yang sama dengan /cari
+const { parseReminderTime, splitReminderText, nextOccurrence, isValidRecurrence, describeRecurrence } = require('./reminderParser'); // Ungkapan waktu pengingat
+const { callbackButton, inlineKeyboard } = require('../core/callbackRouter'); // Tombol inline ber-namespace
 
-const REMINDERS_FILE = './data/reminders.json'; // Path ke file JSON pengingat
-const NOTES_FILE = './data/notes.json'; // Path ke file JSON catatan
+const memory = require('../data/memory'); // Memory store untuk koleksi pengingat dan catatan
+const logger = require('../utils/logger');
+const Sentry = require('@sentry/node');
+
+const REMINDERS_COLLECTION = 'reminders'; // Koleksi record pengingat (pemilik: chatId)
+const NOTES_COLLECTION = 'notes'; // Koleksi record catatan (pemilik: userId)
+// File JSON versi lama; hanya dibaca sekali oleh importLegacyFiles lalu diganti nama menjadi *.imported
+const REMINDERS_FILE = './data/reminders.json';
+const NOTES_FILE = './data/notes.json';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Tombol pada pengingat yang terkirim (namespace "rem", aksi snooze/done); berlaku selama pengingatnya disimpan.
+const REMINDER_CALLBACK_NAMESPACE = 'rem';
+const SNOOZE_OPTIONS = {
+    '10m': { label: '⏰ 10 menit', minutes: 10 },
+    '1h': { label: '⏰ 1 jam', minutes: 60 },
+    besok: { label: '📅 Besok', minutes: 24 * 60 },
+};
+// Tombol halaman /shownotes (namespace "note", aksi page); hanya pemilik catatan yang boleh menekannya.
+const NOTE_CALLBACK_NAMESPACE = 'note';
+const NOTES_PAGE_SIZE = 10;
+const NOTE_PREVIEW_LENGTH = 300; // Catatan panjang dipotong di daftar agar satu halaman tetap muat
+const NOTE_TAG_PATTERN = /#([\p{L}\p{N}_]+)/gu;
+
+// Pengingat sekali jalan yang sudah terkirim disimpan selama ini agar masih bisa ditunda (snooze)
+const FIRED_REMINDER_TTL_MS = MS_PER_DAY;
+const NOTES_BUTTON_TTL_MS = MS_PER_DAY; // Tombol halaman catatan kedaluwarsa setelah sehari
+
+// Job node-schedule yang aktif per ID pengingat, agar pengingat bisa dibatalkan.
+const reminderJobs = new Map();
+let legacyImportPromise = null;
+
+// --- Impor Data Lama ---
 
 /**
- * Memastikan direktori untuk path file ada.
- * @param {string} filePath Path ke file.
+ * Memindahkan satu file JSON lama ke memory store, lalu mengganti namanya menjadi `<file>.imported`
+ * agar tidak diimpor lagi. File yang rusak tidak disentuh sama sekali, supaya bisa diperbaiki manual.
+ * @param {string} filePath Path file JSON lama.
+ * @param {function(any): Promise<number>} importData Fungsi yang menyimpan isi file; mengembalikan jumlah data.
  */
-const ensureDirExists = async (filePath) => {
+const importLegacyFile = async (filePath, importData) => {
+    let data;
     try {
-        const dir = filePath.substring(0, filePath.lastIndexOf('/'));
-        if (dir && dir !== '.') {
-            await fs.mkdir(dir, { recursive: true });
+        data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`File lama ${filePath} tidak bisa dibaca dan dilewati (file tidak diubah):`, error.message);
         }
-    } catch (err) {
-        if (err.code !== 'EEXIST') {
-            console.error(`Error membuat direktori untuk ${filePath}:`, err.message);
+        return;
+    }
+    const count = await importData(data);
+    await fs.rename(filePath, `${filePath}.imported`);
+    console.log(`Impor satu kali: ${count} data dari ${filePath} dipindahkan ke memory store.`);
+};
+
+/**
+ * Impor satu kali dari reminders.json dan notes.json versi lama. Data dengan ID yang sudah ada dilewati.
+ * @returns {Promise<void>}
+ */
+const importLegacyFiles = async () => {
+    await importLegacyFile(REMINDERS_FILE, async (reminders) => {
+        let count = 0;
+        for (const reminder of Array.isArray(reminders) ? reminders : []) {
+            if (!reminder || !reminder.id || await memory.getRecord(REMINDERS_COLLECTION, reminder.id)) continue;
+            await memory.saveRecord(REMINDERS_COLLECTION, reminder.id, reminder.chatId, reminder);
+            count++;
+        }
+        return count;
+    });
+    await importLegacyFile(NOTES_FILE, async (allNotes) => {
+        let count = 0;
+        for (const [userId, userNotes] of Object.entries(allNotes || {})) {
+            for (const note of Array.isArray(userNotes) ? userNotes : []) {
+                if (!note || !note.id || await memory.getRecord(NOTES_COLLECTION, note.id)) continue;
+                await memory.saveRecord(NOTES_COLLECTION, note.id, userId, note);
+                count++;
+            }
         }
+        return count;
+    });
+};
+
+/**
+ * Menjalankan importLegacyFiles sekali per proses sebelum data pengingat/catatan dipakai.
+ * @returns {Promise<void>}
+ */
+const ensureLegacyImport = () => {
+    if (!legacyImportPromise) {
+        legacyImportPromise = importLegacyFiles().catch((error) => {
+            console.error("Error mengimpor file pengingat/catatan lama:", error.message, error.stack);
+        });
     }
+    return legacyImportPromise;
 };
 
 // --- Fitur Reminder ---
 
 /**
- * Memuat pengingat dari file JSON.
+ * Membuat ID pengingat baru.
+ * @returns {string}
+ */
+const createReminderId = () => Date.now() + Math.random().toString(36).substring(2, 7);
+
+/**
+ * Kode pendek pengingat/catatan yang ditampilkan ke pengguna (5 karakter terakhir ID).
+ * @param {{id: string|number}} item Objek pengingat atau catatan.
+ * @returns {string}
+ */
+const getShortCode = (item) => String(item.id).slice(-5);
+
+/**
+ * Mencari satu pengingat/catatan berdasarkan ID lengkap atau kode pendeknya (boleh diawali "#").
+ * @param {Array<object>} items Daftar yang dicari.
+ * @param {string} idOrCode ID atau kode dari pengguna.
+ * @returns {{wanted: string, item?: object, ambiguous?: Array<object>}} `wanted` = kode yang dicari (tanpa "#").
+ */
+const findByShortCode = (items, idOrCode) => {
+    const wanted = String(idOrCode || '').replace(/^#/, '').trim().toLowerCase();
+    if (!wanted) return { wanted };
+    const exact = items.find(item => String(item.id).toLowerCase() === wanted);
+    if (exact) return { wanted, item: exact };
+
+    const matches = items.filter(item => getShortCode(item).toLowerCase() === wanted);
+    if (matches.length > 1) return { wanted, ambiguous: matches };
+    return { wanted, item: matches[0] };
+};
+
+/**
+ * Tombol inline untuk pengingat yang terkirim: tunda (10 menit / 1 jam / besok) dan selesai.
+ * Tombol tidak diberi masa berlaku; pengingat yang sudah dibersihkan dijawab "sudah tidak ada".
+ * Jika pembuatnya diketahui, hanya dia yang bisa menekan tombolnya (penting di grup).
+ * @param {string|number} reminderId ID pengingat.
+ * @param {string|number} [userId] ID pengguna pembuat pengingat.
+ * @returns {object|null} reply_markup Telegram.
+ */
+const buildReminderKeyboard = (reminderId, userId) => {
+    const options = userId !== undefined && userId !== null ? { userId } : {};
+    return inlineKeyboard([
+        Object.entries(SNOOZE_OPTIONS).map(([option, { label }]) =>
+            callbackButton(label, REMINDER_CALLBACK_NAMESPACE, 'snooze', [reminderId, option], options)),
+        [callbackButton('✅ Selesai', REMINDER_CALLBACK_NAMESPACE, 'done', [reminderId], options)]
+    ]);
+};
+
+/**
+ * Mengecek apakah pengingat masih menunggu waktunya (belum terkirim).
+ * @param {object} reminder Objek pengingat.
+ * @returns {boolean}
+ */
+const isPendingReminder = (reminder) => !reminder.firedAt;
+
+/**
+ * Zona waktu tempat pengingat dibuat; pengingat berulang dihitung ulang di zona ini.
+ * Pengingat lama tanpa `timezone` memakai DEFAULT_TIMEZONE.
+ * @param {object} reminder Objek pengingat.
+ * @returns {string} Zona waktu IANA.
+ */
+const getReminderTimezone = (reminder) => isValidTimezone(reminder.timezone) ? reminder.timezone : DEFAULT_TIMEZONE;
+
+/**
+ * Membatalkan job node-schedule milik sebuah pengingat, jika ada.
+ * @param {string|number} reminderId ID pengingat.
+ */
+const cancelReminderJob = (reminderId) => {
+    reminderJobs.get(reminderId)?.cancel();
+    reminderJobs.delete(reminderId);
+};
+
+/**
+ * Memuat semua pengingat dari memory store.
  * @returns {Promise<Array>} Array objek pengingat.
  */
 const loadReminders = async () => {
-    await ensureDirExists(REMINDERS_FILE); // Pastikan direktori ada terlebih dahulu
+    await ensureLegacyImport();
     try {
-        const data = await fs.readFile(REMINDERS_FILE, 'utf8');
-        return JSON.parse(data);
+        return await memory.getRecords(REMINDERS_COLLECTION);
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log("File pengingat tidak ditemukan, mengembalikan array kosong.");
-            return []; // Fallback: File tidak ada, kembalikan array kosong
-        }
         console.error("Error memuat pengingat:", error.message, error.stack);
-        return []; // Fallback: Error lain (misalnya, error parse JSON), kembalikan array kosong
+        return []; // Fallback: kembalikan array kosong
     }
 };
 
 /**
- * Menyimpan pengingat ke file JSON.
- * @param {Array} reminders Array objek pengingat untuk disimpan.
+ * Menyimpan (membuat atau menimpa) satu pengingat. Pengingat lain tidak ikut ditulis ulang.
+ * @param {{id: string, chatId: string|number, userId?: string|number, time: string, timezone?: string, message: string, userName?: string, recurrence?: object}} reminder Objek pengingat.
  * @returns {Promise<boolean>} True jika berhasil, false jika gagal.
  */
-const saveReminders = async (reminders) => {
-    if (!Array.isArray(reminders)) {
-        console.error("Tipe data tidak valid untuk menyimpan pengingat. Diharapkan array.");
-        return false; // Fallback: jangan simpan jika data salah
+const saveReminder = async (reminder) => {
+    if (!reminder || !reminder.id) {
+        console.error("Pengingat tidak valid untuk disimpan:", reminder);
+        return false;
     }
-    await ensureDirExists(REMINDERS_FILE);
+    await ensureLegacyImport();
     try {
-        await fs.writeFile(REMINDERS_FILE, JSON.stringify(reminders, null, 2), 'utf8');
+        await memory.saveRecord(REMINDERS_COLLECTION, reminder.id, reminder.chatId, reminder);
         return true;
     } catch (error) {
         console.error("Error menyimpan pengingat:", error.message, error.stack);
@@ -69,81 +214,121 @@ const saveReminders = async (reminders) => {
     }
 };
 
+/**
+ * Menjadwalkan pengiriman satu pengingat, lengkap dengan tombol tunda/selesai. Setelah terkirim, pengingat
+ * sekali jalan ditandai `firedAt` (dihapus saat "Selesai" atau oleh cleanupFiredReminders), sedangkan
+ * pengingat berulang disimpan dengan waktu berikutnya lalu dijadwalkan lagi. Pengingat sekali jalan yang
+ * gagal terkirim (mis. bot diblokir) dihapus, karena tidak punya tombol yang bisa dipakai.
+ * @param {{id: string, chatId: string|number, time: string, message: string, userName?: string, recurrence?: object}} reminder Objek pengingat.
+ * @returns {object|null} Job node-schedule, atau null jika waktunya sudah lewat.
+ */
+const scheduleReminderJob = (reminder) => {
+    const job = schedule.scheduleJob(getMoment(reminder.time).toDate(), async () => {
+        reminderJobs.delete(reminder.id);
+        try {
+            let delivered = true;
+            try {
+                await deliverMessage(reminder.chatId, `🔔 Pengingat untuk Tuan ${reminder.userName || 'Pengguna'}:\n${reminder.message}`, {
+                    reply_markup: buildReminderKeyboard(reminder.id, reminder.userId)
+                });
+            } catch (deliveryError) {
+                delivered = false;
+                logger.error({ event: 'reminder_delivery_error', reminderId: reminder.id, chatId: reminder.chatId, error: deliveryError.message }, '[Reminder] Gagal mengirim pengingat.');
+                Sentry.captureException(deliveryError, { extra: { reminderId: reminder.id, chatId: reminder.chatId } });
+            }
+            // Pengingat yang dibatalkan saat pesan sedang dikirim tidak disimpan lagi
+            if (!await memory.getRecord(REMINDERS_COLLECTION, reminder.id)) return;
+            if (!reminder.recurrence && !delivered) {
+                await memory.deleteRecords(REMINDERS_COLLECTION, [reminder.id]);
+                return;
+            }
+            if (!reminder.recurrence) {
+                // Disimpan sementara agar tombol tunda/selesai masih berfungsi
+                await saveReminder({ ...reminder, firedAt: new Date().toISOString() });
+                return;
+            }
+            const now = getMoment(undefined, getReminderTimezone(reminder));
+            const nextReminder = { ...reminder, time: nextOccurrence(reminder.recurrence, now).toISOString() };
+            if (await saveReminder(nextReminder)) {
+                scheduleReminderJob(nextReminder);
+            }
+        } catch (scheduleError) {
+            console.error("Error dalam tugas pengingat terjadwal:", scheduleError.message, scheduleError.stack);
+        }
+    });
+    if (job) {
+        reminderJobs.set(reminder.id, job);
+    }
+    return job;
+};
+
+/**
+ * Membatalkan dan menghapus semua pengingat untuk sebuah chat.
+ * @param {string|number} chatId ID chat pemilik pengingat.
+ * @returns {Promise<number>} Jumlah pengingat yang dihapus.
+ */
+const deleteRemindersForChat = async (chatId) => {
+    await ensureLegacyImport();
+    const removed = await memory.getRecords(REMINDERS_COLLECTION, chatId);
+    removed.forEach(r => cancelReminderJob(r.id));
+    return memory.deleteRecords(REMINDERS_COLLECTION, removed.map(r => r.id));
+};
+
 /**
  * Mengatur pengingat.
  * @param {object} botInstance Instance API Bot Telegram (tidak digunakan secara aktif untuk penjadwalan di versi ini).
  * @param {string|number} chatId ID Chat tempat pengingat harus dikirim.
- * @param {string} timeString String waktu untuk pengingat (misalnya, "14:30", "besok 10:00").
+ * @param {string} timeString String waktu untuk pengingat, mis. "14:30", "besok 10:00", "30 menit lagi",
+ *   "senin depan jam 9" atau "setiap hari jam 6" (lihat modules/reminderParser.js).
  * @param {string} message Pesan pengingat.
  * @param {string} userName Nama pengguna yang mengatur pengingat.
+ * @param {string|number} [userId] ID pengguna yang mengatur pengingat; hanya dia yang bisa menekan tombol tunda/selesai.
+ *   Waktunya dibaca di zona waktu pengguna ini (/jadwal zona), atau zona chat jika tidak ada.
  * @returns {Promise<string>} Pesan yang menunjukkan keberhasilan atau kegagalan penjadwalan.
  */
-const setReminder = async (botInstance, chatId, timeString, message, userName) => {
+const setReminder = async (botInstance, chatId, timeString, message, userName, userId) => {
     if (!chatId || !timeString || !message || !userName) {
         return `Maaf, Tuan ${userName || 'Pengguna'}. Informasi tidak lengkap untuk mengatur pengingat.`;
     }
 
     try {
-        const now = getJakartaMoment();
-        let reminderTime;
-
-        // Parsing waktu
-        const timeParts = timeString.split(':');
-        if (timeParts.length === 2 && !isNaN(timeParts[0]) && !isNaN(timeParts[1])) {
-            const hour = parseInt(timeParts[0], 10);
-            const minute = parseInt(timeParts[1], 10);
-            reminderTime = now.clone().hour(hour).minute(minute).second(0);
-            if (reminderTime.isBefore(now)) {
-                reminderTime.add(1, 'day'); // Jika waktu sudah lewat hari ini, jadwalkan untuk besok
-            }
-        } else if (timeString.toLowerCase().includes('tomorrow') || timeString.toLowerCase().includes('besok')) {
-            const parts = timeString.toLowerCase().split(' ');
-            const time = parts.find(p => p.includes(':'));
-            if (time) {
-                const timePartsTomorrow = time.split(':');
-                if (timePartsTomorrow.length === 2 && !isNaN(timePartsTomorrow[0]) && !isNaN(timePartsTomorrow[1])) {
-                    const hour = parseInt(timePartsTomorrow[0], 10);
-                    const minute = parseInt(timePartsTomorrow[1], 10);
-                    reminderTime = now.clone().add(1, 'day').hour(hour).minute(minute).second(0);
-                }
-            }
+        const timezone = await getUserTimezone(userId ?? chatId);
+        const parsed = parseReminderTime(timeString, getMoment(undefined, timezone));
+        if (parsed && parsed.error) {
+            return `Maaf, Tuan ${userName}. ${parsed.error} Coba sebutkan waktu lain, ya.`;
         }
+        const reminderTime = parsed && parsed.time;
 
         if (!reminderTime || !reminderTime.isValid()) {
-            return `Maaf, Tuan ${userName}. Format waktu tidak valid atau Lumina tidak bisa memahami waktu yang Anda berikan. Gunakan HH:MM atau 'besok HH:MM'.`;
+            return `Maaf, Tuan ${userName}. Format waktu tidak valid atau Lumina tidak bisa memahami waktu yang Anda berikan. ` +
+                `Contoh: 14:30, besok 07:00, 30 menit lagi, senin depan jam 9, 25/12 09:00, setiap hari jam 6, tiap jumat.`;
         }
 
-        const reminders = await loadReminders();
         const newReminder = {
-            id: Date.now() + Math.random().toString(36).substring(2,7), // ID yang lebih unik
+            id: createReminderId(),
             chatId: chatId,
+            ...(userId !== undefined && userId !== null ? { userId } : {}),
             time: reminderTime.toISOString(), // Simpan sebagai string ISO
+            timezone,
             message: message,
-            userName: userName
+            userName: userName,
+            ...(parsed.recurrence ? { recurrence: parsed.recurrence } : {})
         };
-        reminders.push(newReminder);
-        const saveSuccess = await saveReminders(reminders);
+        const saveSuccess = await saveReminder(newReminder);
 
         if (!saveSuccess) {
             return `Maaf, Tuan ${userName}. Terjadi kesalahan saat menyimpan pengingat Anda.`;
         }
 
-        // Jadwalkan tugas menggunakan objek Date dari moment
-        schedule.scheduleJob(reminderTime.toDate(), async () => {
-            try {
-                sendMessage(chatId, `🔔 Pengingat untuk Tuan ${userName}:\n${message}`);
-                // Hapus pengingat setelah dipicu
-                const currentReminders = await loadReminders();
-                const updatedReminders = currentReminders.filter(r => r.id !== newReminder.id);
-                await saveReminders(updatedReminders);
-            } catch (scheduleError) {
-                console.error("Error dalam tugas pengingat terjadwal:", scheduleError.message, scheduleError.stack);
-            }
-        });
+        scheduleReminderJob(newReminder);
 
-        const formattedTime = formatJakartaTime(reminderTime);
-        const formattedDate = formatJakartaDateTime(reminderTime).split(',')[0] + ", " + formatJakartaDateTime(reminderTime).split(',')[1]; // Ekstrak bagian tanggal
+        const formattedTime = formatTime(reminderTime, timezone);
+        const formattedDate = formatDateTime(reminderTime, timezone).split(',')[0] + ", " + formatDateTime(reminderTime, timezone).split(',')[1]; // Ekstrak bagian tanggal
 
+        if (parsed.recurrence) {
+            return `Baik, Tuan ${userName}! Lumina akan mengingatkan Anda ${describeRecurrence(parsed.recurrence)} untuk: "${message}". ` +
+                `Pengingat pertama: ${formattedDate} pukul ${formattedTime}.`;
+        }
         return `Baik, Tuan ${userName}! Lumina akan mengingatkan Anda pada ${formattedDate} pukul ${formattedTime} untuk: "${message}".`;
 
     } catch (error) {
@@ -154,121 +339,314 @@ const setReminder = async (botInstance, chatId, timeString, message, userName) =
 
 /**
  * Menjadwalkan ulang semua pengingat saat bot dimulai.
+ * Pengingat berulang yang jadwalnya terlewat selama bot mati dimajukan ke waktu berikutnya, bukan dihapus.
+ * Pengingat yang sudah terkirim (`firedAt`) dibiarkan untuk tombol tunda/selesai; cleanupFiredReminders yang menghapusnya.
  * @param {object} botInstance Instance API Bot Telegram.
  */
 const rescheduleReminders = async (botInstance) => {
     try {
         const reminders = await loadReminders();
-        const now = getJakartaMoment();
+        const now = getMoment();
         let activeRemindersCount = 0;
-        const validRemindersToKeep = [];
+        const staleReminderIds = [];
 
         for (const reminder of reminders) {
             // Validasi objek pengingat dasar
             if (!reminder || typeof reminder.time !== 'string' || typeof reminder.chatId === 'undefined' || typeof reminder.message !== 'string') {
-                console.warn("Melewati objek pengingat tidak valid:", reminder);
+                console.warn("Menghapus objek pengingat tidak valid:", reminder);
+                if (reminder && reminder.id) staleReminderIds.push(reminder.id);
                 continue;
             }
-            const reminderTime = getJakartaMoment(reminder.time); // Gunakan getJakartaMoment untuk mem-parse string ISO yang disimpan
+            if (!isPendingReminder(reminder)) continue;
+            const reminderTime = getMoment(reminder.time); // Mem-parse string ISO yang disimpan
             if (reminderTime.isValid() && reminderTime.isAfter(now)) { // Hanya jadwalkan ulang pengingat di masa depan
-                validRemindersToKeep.push(reminder);
-                schedule.scheduleJob(reminderTime.toDate(), async () => {
-                    try {
-                        sendMessage(reminder.chatId, `🔔 Pengingat untuk Tuan ${reminder.userName || 'Pengguna'}:\n${reminder.message}`);
-                        const currentReminders = await loadReminders();
-                        const updatedReminders = currentReminders.filter(r => r.id !== reminder.id);
-                        await saveReminders(updatedReminders);
-                    } catch (scheduleError) {
-                        console.error("Error dalam tugas pengingat yang dijadwalkan ulang:", scheduleError.message, scheduleError.stack);
-                    }
-                });
+                scheduleReminderJob(reminder);
                 activeRemindersCount++;
+            } else if (isValidRecurrence(reminder.recurrence)) {
+                const reminderNow = getMoment(undefined, getReminderTimezone(reminder));
+                const nextReminder = { ...reminder, time: nextOccurrence(reminder.recurrence, reminderNow).toISOString() };
+                await saveReminder(nextReminder);
+                scheduleReminderJob(nextReminder);
+                activeRemindersCount++;
+            } else {
+                staleReminderIds.push(reminder.id);
             }
         }
-        // Simpan kembali hanya pengingat yang aktif dan valid
-        await saveReminders(validRemindersToKeep);
-        console.log(`Menjadwalkan ulang ${activeRemindersCount} pengingat. Memangkas ${reminders.length - validRemindersToKeep.length} pengingat lama atau tidak valid.`);
+        // Hapus hanya pengingat yang sudah lewat atau tidak valid
+        const removedCount = await memory.deleteRecords(REMINDERS_COLLECTION, staleReminderIds);
+        console.log(`Menjadwalkan ulang ${activeRemindersCount} pengingat. Memangkas ${removedCount} pengingat lama atau tidak valid.`);
     } catch (error) {
         console.error("Error menjadwalkan ulang pengingat:", error.message, error.stack);
     }
 };
 
+/**
+ * Mencari pengingat yang masih menunggu di sebuah chat berdasarkan ID lengkap atau kode pendeknya.
+ * @param {string|number} chatId ID chat pemilik pengingat.
+ * @param {string} idOrCode ID pengingat atau kode dari /reminders (boleh diawali "#").
+ * @returns {Promise<{reminder?: object, error?: string}>}
+ */
+const findChatReminder = async (chatId, idOrCode) => {
+    const pending = (await loadReminders()).filter(r => String(r.chatId) === String(chatId) && isPendingReminder(r));
+    const { wanted, item, ambiguous } = findByShortCode(pending, idOrCode);
+    if (!wanted) {
+        return { error: 'Sebutkan ID pengingatnya. Lihat daftar ID dengan /reminders.' };
+    }
+    if (ambiguous) {
+        return { error: `Ada beberapa pengingat dengan kode #${wanted}. Gunakan ID lengkapnya: ${ambiguous.map(r => r.id).join(', ')}` };
+    }
+    if (!item) {
+        return { error: `Pengingat #${wanted} tidak ditemukan. Lihat daftar pengingat dengan /reminders.` };
+    }
+    return { reminder: item };
+};
+
+/**
+ * Menyusun daftar pengingat yang masih menunggu di sebuah chat.
+ * @param {string|number} chatId ID chat.
+ * @param {string|number} [userId] ID pengguna yang meminta; waktunya ditampilkan di zona waktunya.
+ * @returns {Promise<string>} Pesan untuk pengguna.
+ */
+const listReminders = async (chatId, userId) => {
+    const timezone = await getUserTimezone(userId ?? chatId);
+    const pending = (await loadReminders())
+        .filter(r => String(r.chatId) === String(chatId) && isPendingReminder(r))
+        .sort((a, b) => a.time.localeCompare(b.time));
+    if (pending.length === 0) {
+        return 'Belum ada pengingat yang aktif. Buat dengan /reminder [waktu] [pesan].';
+    }
+
+    const lines = pending.map(r =>
+        `• #${getShortCode(r)} — ${formatDateTime(r.time, timezone)}\n  ${r.message}` +
+        (isValidRecurrence(r.recurrence) ? `\n  🔁 ${describeRecurrence(r.recurrence)}` : '')
+    );
+    return `🔔 Pengingat aktif (${pending.length}):\n\n${lines.join('\n\n')}\n\n` +
+        `Batalkan dengan /cancelreminder [id], ubah dengan /editreminder [id] [waktu baru] [pesan baru].`;
+};
+
+/**
+ * Membatalkan satu pengingat di sebuah chat.
+ * @param {string|number} chatId ID chat.
+ * @param {string} idOrCode ID pengingat atau kode pendeknya.
+ * @returns {Promise<string>} Pesan untuk pengguna.
+ */
+const cancelReminder = async (chatId, idOrCode) => {
+    const { reminder, error } = await findChatReminder(chatId, idOrCode);
+    if (error) return error;
+
+    cancelReminderJob(reminder.id);
+    await memory.deleteRecords(REMINDERS_COLLECTION, [reminder.id]);
+    return `Pengingat #${getShortCode(reminder)} ("${reminder.message}") dibatalkan.`;
+};
+
+/**
+ * Mengubah waktu dan/atau isi pengingat. Jika teks diawali ungkapan waktu, jadwalnya diganti
+ * (termasuk aturan pengulangan) dan sisa teks menjadi isi baru; jika tidak, hanya isinya yang diganti.
+ * @param {string|number} chatId ID chat.
+ * @param {string} idOrCode ID pengingat atau kode pendeknya.
+ * @param {string} text Waktu baru dan/atau isi baru, mis. "besok 08:00" atau "minum vitamin".
+ * @param {string|number} [userId] ID pengguna yang mengubah; waktu baru dibaca di zona waktunya.
+ * @returns {Promise<string>} Pesan untuk pengguna.
+ */
+const editReminder = async (chatId, idOrCode, text, userId) => {
+    const { reminder, error } = await findChatReminder(chatId, idOrCode);
+    if (error) return error;
+    if (!text || !text.trim()) {
+        return 'Sebutkan waktu baru dan/atau isi baru. Contoh: /editreminder [id] besok 08:00, atau /editreminder [id] minum vitamin';
+    }
+
+    const timezone = await getUserTimezone(userId ?? chatId);
+    const now = getMoment(undefined, timezone);
+    const updated = { ...reminder };
+    const split = splitReminderText(text, now);
+    if (split) {
+        const parsed = parseReminderTime(split.timeString, now);
+        if (!parsed || parsed.error) {
+            return `Maaf, ${parsed ? parsed.error : 'waktu baru tidak bisa dipahami.'} Coba sebutkan waktu lain, ya.`;
+        }
+        updated.time = parsed.time.toISOString();
+        updated.timezone = timezone;
+        delete updated.recurrence;
+        if (parsed.recurrence) updated.recurrence = parsed.recurrence;
+        if (split.message) updated.message = split.message;
+    } else {
+        updated.message = text.trim();
+    }
+
+    if (!await saveReminder(updated)) {
+        return 'Maaf, terjadi kesalahan saat menyimpan perubahan pengingat.';
+    }
+    cancelReminderJob(reminder.id);
+    scheduleReminderJob(updated);
+
+    const when = isValidRecurrence(updated.recurrence)
+        ? `${describeRecurrence(updated.recurrence)} (berikutnya ${formatDateTime(updated.time, timezone)})`
+        : formatDateTime(updated.time, timezone);
+    return `Pengingat #${getShortCode(updated)} diperbarui: "${updated.message}" — ${when}.`;
+};
+
+/**
+ * Menunda pengingat yang baru terkirim. Pengingat sekali jalan dijadwalkan ulang; untuk pengingat
+ * berulang dibuat pengingat sekali jalan baru, jadwal rutinnya tetap.
+ * @param {object} reminder Objek pengingat.
+ * @param {string} option Kunci SNOOZE_OPTIONS.
+ * @returns {Promise<string>} Status untuk pengguna.
+ */
+const snoozeReminder = async (reminder, option) => {
+    const timezone = getReminderTimezone(reminder);
+    const time = getMoment(undefined, timezone).add(SNOOZE_OPTIONS[option].minutes, 'minutes').second(0);
+    const snoozed = reminder.recurrence
+        ? { id: createReminderId(), chatId: reminder.chatId, userId: reminder.userId, timezone, message: reminder.message, userName: reminder.userName }
+        : { ...reminder };
+    delete snoozed.firedAt;
+    snoozed.time = time.toISOString();
+
+    if (!await saveReminder(snoozed)) {
+        return 'Maaf, pengingat gagal ditunda.';
+    }
+    cancelReminderJob(snoozed.id);
+    scheduleReminderJob(snoozed);
+    return `⏰ Ditunda sampai ${formatDateTime(time, timezone)}.`;
+};
+
+/**
+ * Menangani tombol pada pengingat yang terkirim (namespace "rem", lihat buildReminderKeyboard).
+ * Status tindakan ditambahkan ke pesan pengingat sehingga tombolnya tidak bisa ditekan dua kali.
+ * Pengingat yang menyimpan pembuatnya hanya bisa ditunda atau diselesaikan oleh pembuat itu.
+ * @param {{chatId: string|number, userId: string|number, action: string, args: Array<string>}} callback Data tombol dari core/callbackRouter.
+ * @returns {Promise<{text: string, status?: string, showAlert?: boolean}>}
+ */
+const handleReminderCallback = async ({ chatId, userId, action, args }) => {
+    const [reminderId, option] = args;
+    const reminder = await memory.getRecord(REMINDERS_COLLECTION, reminderId);
+    if (!reminder || String(reminder.chatId) !== String(chatId)) {
+        const text = 'Pengingat ini sudah tidak ada.';
+        return { text, status: text };
+    }
+    if (reminder.userId !== undefined && reminder.userId !== null && String(reminder.userId) !== String(userId)) {
+        return { text: 'Pengingat ini bukan milikmu.', showAlert: true };
+    }
+    if (action === 'snooze' && SNOOZE_OPTIONS[option]) {
+        const text = await snoozeReminder(reminder, option);
+        return { text, status: text };
+    }
+    if (action === 'done') {
+        // Pengingat berulang tetap berjalan; yang sekali jalan dihapus
+        if (!reminder.recurrence && !isPendingReminder(reminder)) {
+            await memory.deleteRecords(REMINDERS_COLLECTION, [reminder.id]);
+        }
+        return { text: '✅ Selesai!', status: '✅ Selesai!' };
+    }
+    return { text: 'Tombol ini tidak dikenali.' };
+};
+
+/**
+ * Menghapus pengingat sekali jalan yang sudah terkirim tetapi tidak pernah ditunda atau diselesaikan.
+ * @returns {Promise<number>} Jumlah pengingat yang dihapus.
+ */
+const cleanupFiredReminders = async () => {
+    const cutoff = Date.now() - FIRED_REMINDER_TTL_MS;
+    const expired = (await loadReminders()).filter(r => r.firedAt && Date.parse(r.firedAt) < cutoff);
+    const removedCount = await memory.deleteRecords(REMINDERS_COLLECTION, expired.map(r => r.id));
+    if (removedCount > 0) {
+        console.log(`Membersihkan ${removedCount} pengingat terkirim yang tidak ditindaklanjuti.`);
+    }
+    return removedCount;
+};
+
 // --- Fitur Catatan ---
 
 /**
- * Memuat catatan untuk pengguna tertentu dari file JSON.
+ * Memuat catatan untuk pengguna tertentu dari memory store.
  * @param {string|number} userId ID Pengguna.
- * @returns {Promise<Array>} Array objek catatan untuk pengguna.
+ * @returns {Promise<Array>} Array objek catatan untuk pengguna, dari yang terlama.
  */
 const loadNotes = async (userId) => {
     if (typeof userId === 'undefined' || userId === null) {
         console.error("Tidak dapat memuat catatan: userId tidak terdefinisi atau null.");
         return []; // Fallback: kembalikan array kosong jika userId tidak valid
     }
-    await ensureDirExists(NOTES_FILE);
+    await ensureLegacyImport();
     try {
-        const data = await fs.readFile(NOTES_FILE, 'utf8');
-        const allNotes = JSON.parse(data);
-        return allNotes[userId] || [];
+        return await memory.getRecords(NOTES_COLLECTION, userId);
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log("File catatan tidak ditemukan, mengembalikan array kosong untuk pengguna:", userId);
-            return [];
-        }
         console.error(`Error memuat catatan untuk pengguna ${userId}:`, error.message, error.stack);
-        return []; // Fallback: Error lain, kembalikan array kosong
+        return []; // Fallback: kembalikan array kosong
     }
 };
 
 /**
- * Menyimpan catatan untuk pengguna tertentu ke file JSON.
+ * Menyimpan (membuat atau menimpa) satu catatan milik pengguna.
+ * Hanya record catatan ini yang ditulis, sehingga /note dari pengguna lain tidak bisa tertimpa.
  * @param {string|number} userId ID Pengguna.
- * @param {Array} userNotes Array objek catatan untuk pengguna yang akan disimpan.
+ * @param {{id: string, timestamp: string, message: string, tags?: Array<string>}} note Objek catatan.
  * @returns {Promise<boolean>} True jika berhasil, false jika gagal.
  */
-const saveNotes = async (userId, userNotes) => {
-    if (typeof userId === 'undefined' || userId === null) {
-        console.error("Tidak dapat menyimpan catatan: userId tidak terdefinisi atau null.");
-        return false;
-    }
-    if (!Array.isArray(userNotes)) {
-        console.error(`Tipe data tidak valid untuk menyimpan catatan pengguna ${userId}. Diharapkan array.`);
+const saveNote = async (userId, note) => {
+    if (typeof userId === 'undefined' || userId === null || !note || !note.id) {
+        console.error("Tidak dapat menyimpan catatan: userId atau catatan tidak valid.");
         return false;
     }
-    await ensureDirExists(NOTES_FILE);
-    let allNotes = {};
-    try {
-        // Coba baca catatan yang ada terlebih dahulu untuk menjaga data pengguna lain
-        const data = await fs.readFile(NOTES_FILE, 'utf8');
-        allNotes = JSON.parse(data);
-        if (typeof allNotes !== 'object' || allNotes === null) { // Pastikan allNotes adalah objek
-            console.warn("File catatan berisi data non-objek. Mengatur ulang.");
-            allNotes = {};
-        }
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log("File catatan tidak ditemukan, akan membuat yang baru.");
-        } else if (error instanceof SyntaxError) { // Error parsing JSON
-            console.warn("File catatan rusak atau bukan JSON yang valid. Akan menimpa dengan data baru untuk pengguna ini, catatan pengguna lain mungkin hilang jika tidak hati-hati.");
-            // Opsional: backup file yang rusak sebelum menimpa
-            // await fs.copyFile(NOTES_FILE, `${NOTES_FILE}.corrupted.${Date.now()}`).catch(e => console.error("Gagal mem-backup file catatan yang rusak",e));
-            allNotes = {}; // Mulai dari awal untuk menghindari penyebaran kerusakan
-        } else {
-            console.error("Error membaca file catatan sebelum menyimpan:", error.message, error.stack);
-        }
-    }
+    await ensureLegacyImport();
     try {
-        allNotes[userId] = userNotes;
-        await fs.writeFile(NOTES_FILE, JSON.stringify(allNotes, null, 2), 'utf8');
+        await memory.saveRecord(NOTES_COLLECTION, note.id, userId, note);
         return true;
-    } catch (writeError) {
-        console.error(`Error menyimpan catatan untuk pengguna ${userId}:`, writeError.message, writeError.stack);
+    } catch (error) {
+        console.error(`Error menyimpan catatan untuk pengguna ${userId}:`, error.message, error.stack);
         return false; // Fallback: Menandakan kegagalan penyimpanan
     }
 };
 
 /**
- * Menambahkan catatan baru untuk pengguna.
+ * Mengambil #tag dari isi catatan, huruf kecil dan tanpa duplikat.
+ * @param {string} text Isi catatan.
+ * @returns {Array<string>} Tag tanpa tanda "#".
+ */
+const extractTags = (text) =>
+    [...new Set([...String(text || '').matchAll(NOTE_TAG_PATTERN)].map(match => match[1].toLowerCase()))];
+
+/**
+ * Tag sebuah catatan; catatan versi lama belum menyimpan `tags`, jadi diambil dari isinya.
+ * @param {{message: string, tags?: Array<string>}} note Objek catatan.
+ * @returns {Array<string>}
+ */
+const getNoteTags = (note) => Array.isArray(note.tags) ? note.tags : extractTags(note.message);
+
+/**
+ * Memisahkan filter /shownotes menjadi tag ("#kerja") dan kata kunci.
+ * @param {string} [filterText] Teks filter dari pengguna.
+ * @returns {{tags: Array<string>, terms: Array<string>}}
+ */
+const parseNoteFilter = (filterText) => {
+    const text = String(filterText || '');
+    return {
+        tags: extractTags(text),
+        terms: tokenizeText(text.replace(NOTE_TAG_PATTERN, ' '))
+    };
+};
+
+/**
+ * Mencari catatan milik pengguna berdasarkan ID lengkap atau kode pendeknya.
+ * @param {string|number} userId ID Pengguna.
+ * @param {string} idOrCode ID atau kode dari /shownotes.
+ * @returns {Promise<{note?: object, error?: string}>}
+ */
+const findUserNote = async (userId, idOrCode) => {
+    const { wanted, item, ambiguous } = findByShortCode(await loadNotes(userId), idOrCode);
+    if (!wanted) {
+        return { error: 'Sebutkan ID catatannya. Lihat daftar ID dengan /shownotes.' };
+    }
+    if (ambiguous) {
+        return { error: `Ada beberapa catatan dengan kode #${wanted}. Gunakan ID lengkapnya: ${ambiguous.map(n => n.id).join(', ')}` };
+    }
+    if (!item) {
+        return { error: `Catatan #${wanted} tidak ditemukan. Lihat daftar catatan dengan /shownotes.` };
+    }
+    return { note: item };
+};
+
+/**
+ * Menambahkan catatan baru untuk pengguna. #tag di dalam isi catatan disimpan sebagai `tags`.
  * @param {string|number} userId ID Pengguna.
  * @param {string} noteMessage Isi catatan.
  * @param {string} userName Nama pengguna untuk pesan.
@@ -279,17 +657,17 @@ const addNote = async (userId, noteMessage, userName) => {
         return `Maaf, Tuan ${userName || 'Pengguna'}. Informasi tidak lengkap untuk menambah catatan.`;
     }
     try {
-        const userNotes = await loadNotes(userId);
         const newNote = {
             id: Date.now() + Math.random().toString(36).substring(2,7), // ID yang lebih unik
-            timestamp: getJakartaMoment().toISOString(), // Simpan timestamp dalam zona waktu Jakarta
-            message: noteMessage
+            timestamp: new Date().toISOString(),
+            message: noteMessage,
+            tags: extractTags(noteMessage)
         };
-        userNotes.push(newNote);
-        const saveSuccess = await saveNotes(userId, userNotes);
+        const saveSuccess = await saveNote(userId, newNote);
 
         if (saveSuccess) {
-            return `Baik, Tuan ${userName}! Catatan Anda telah Lumina simpan.`;
+            const tagInfo = newNote.tags.length > 0 ? ` Tag: ${newNote.tags.map(tag => `#${tag}`).join(' ')}.` : '';
+            return `Baik, Tuan ${userName}! Catatan #${getShortCode(newNote)} telah Lumina simpan.${tagInfo}`;
         } else {
             return `Maaf, Tuan ${userName}. Terjadi kesalahan saat Lumina mencoba menyimpan catatan Anda.`;
         }
@@ -300,39 +678,229 @@ const addNote = async (userId, noteMessage, userName) => {
 };
 
 /**
- * Menampilkan semua catatan untuk pengguna.
+ * Membuat tombol sebelumnya/berikutnya untuk halaman catatan. Tombol hanya bisa ditekan pemilik catatan
+ * dan kedaluwarsa setelah NOTES_BUTTON_TTL_MS.
+ * @param {string|number} userId ID Pengguna pemilik catatan.
+ * @param {number} page Halaman saat ini (mulai dari 1).
+ * @param {number} totalPages Jumlah halaman.
+ * @param {string} filterText Filter yang sedang dipakai.
+ * @returns {object|null} reply_markup Telegram, atau null jika hanya ada satu halaman / filter terlalu panjang
+ *   untuk callback_data.
+ */
+const buildNotesKeyboard = (userId, page, totalPages, filterText) => {
+    if (totalPages <= 1) return null;
+    const pageButton = (text, targetPage) => callbackButton(text, NOTE_CALLBACK_NAMESPACE, 'page', [targetPage, filterText], {
+        userId,
+        ttlMs: NOTES_BUTTON_TTL_MS
+    });
+
+    const buttons = [];
+    if (page > 1) buttons.push(pageButton('⬅️ Sebelumnya', page - 1));
+    if (page < totalPages) buttons.push(pageButton('Berikutnya ➡️', page + 1));
+    return inlineKeyboard([buttons]);
+};
+
+/**
+ * Menyusun satu halaman catatan pengguna (terbaru dulu), dengan filter tag dan/atau kata kunci.
+ * @param {string|number} userId ID Pengguna.
+ * @param {object} [options]
+ * @param {string} [options.filterText] Mis. "#kerja", "rapat", atau "#kerja rapat".
+ * @param {number} [options.page=1] Halaman yang diminta; dibatasi ke rentang yang ada.
+ * @returns {Promise<{text: string, replyMarkup: object|null}>}
+ */
+const buildNotesPage = async (userId, { filterText = '', page = 1 } = {}) => {
+    const filter = String(filterText).trim();
+    const { tags, terms } = parseNoteFilter(filter);
+    const allNotes = await loadNotes(userId);
+    const timezone = await getUserTimezone(userId);
+    const notes = allNotes
+        .filter(note => tags.every(tag => getNoteTags(note).includes(tag)))
+        .filter(note => terms.length === 0 || matchesAllTerms(note.message, terms))
+        .sort((a, b) => String(b.timestamp || '').localeCompare(String(a.timestamp || '')));
+
+    if (notes.length === 0) {
+        return {
+            text: allNotes.length === 0
+                ? 'Anda belum memiliki catatan yang Lumina simpan. Simpan dengan /note [pesan].'
+                : `Tidak ada catatan yang cocok dengan "${filter}".`,
+            replyMarkup: null
+        };
+    }
+
+    const totalPages = Math.ceil(notes.length / NOTES_PAGE_SIZE);
+    const currentPage = Math.min(Math.max(1, page), totalPages);
+    const lines = notes
+        .slice((currentPage - 1) * NOTES_PAGE_SIZE, currentPage * NOTES_PAGE_SIZE)
+        .map(note => {
+            const noteMsg = note.message || "(Catatan kosong)";
+            const date = note.timestamp ? formatDateTime(note.timestamp, timezone) : '-';
+            const preview = noteMsg.length > NOTE_PREVIEW_LENGTH ? `${noteMsg.slice(0, NOTE_PREVIEW_LENGTH)}…` : noteMsg;
+            return `#${getShortCode(note)} [${date}]\n${preview}`;
+        });
+
+    const title = filter ? `📒 Catatan "${filter}"` : '📒 Catatan pribadi';
+    return {
+        text: `${title} — ${notes.length} catatan, halaman ${currentPage}/${totalPages}:\n\n${lines.join('\n\n')}` +
+            `\n\nHapus: /delnote [id] · Ubah: /editnote [id] [isi baru] · Jadikan pengingat: /notereminder [id] [waktu]`,
+        replyMarkup: buildNotesKeyboard(userId, currentPage, totalPages, filter)
+    };
+};
+
+/**
+ * Menampilkan halaman pertama catatan pengguna (terbaru dulu), opsional dengan filter tag/kata kunci.
  * @param {string|number} userId ID Pengguna.
  * @param {string} userName Nama pengguna untuk pesan.
+ * @param {string} [filterText] Filter "#tag" dan/atau kata kunci.
  * @returns {Promise<string>} String catatan yang diformat atau pesan jika tidak ada catatan.
  */
-const showNotes = async (userId, userName) => {
+const showNotes = async (userId, userName, filterText = '') => {
     if (!userId) {
         return `Maaf, Tuan ${userName || 'Pengguna'}. Lumina tidak bisa menampilkan catatan tanpa ID pengguna.`;
     }
     try {
-        const userNotes = await loadNotes(userId);
-        if (userNotes.length === 0) {
-            return `Tuan ${userName}, Anda belum memiliki catatan yang Lumina simpan.`;
-        }
-        let response = `Catatan pribadi Tuan ${userName}:\n\n`;
-        userNotes.forEach((note, index) => {
-            // Fallback untuk properti catatan yang mungkin hilang
-            const noteMsg = note.message || "(Catatan kosong)";
-            const noteTimestamp = note.timestamp || new Date().toISOString(); // Fallback ke waktu sekarang jika timestamp hilang
-            const date = formatJakartaDateTime(noteTimestamp); // Format timestamp menggunakan zona waktu Jakarta
-            response += `${index + 1}. [${date}] ${noteMsg}\n`;
-        });
-        return response;
+        return (await buildNotesPage(userId, { filterText })).text;
     } catch (error) {
         console.error(`Error di showNotes untuk pengguna ${userId}:`, error.message, error.stack);
         return `Maaf, Tuan ${userName}. Terjadi kesalahan internal saat Lumina mencoba menampilkan catatan Anda.`;
     }
 };
 
+/**
+ * Menangani tombol halaman catatan (namespace "note", lihat buildNotesKeyboard). Pemeriksaan pemilik dan
+ * masa berlaku tombol sudah dilakukan core/callbackRouter.
+ * @param {{userId: string|number, action: string, args: Array<string>}} callback Data tombol dari core/callbackRouter.
+ * @returns {Promise<{text?: string, edit?: {text: string, replyMarkup: object|null}}>} `edit` = halaman yang diminta.
+ */
+const handleNotesCallback = async ({ userId, action, args }) => {
+    if (action !== 'page') return { text: 'Tombol ini tidak dikenali.' };
+    // Filter boleh mengandung ":", jadi sisa argumen digabung kembali
+    const [page, ...filterParts] = args;
+    return { edit: await buildNotesPage(userId, { filterText: filterParts.join(':'), page: parseInt(page, 10) || 1 }) };
+};
+
+/**
+ * Menghapus satu catatan milik pengguna.
+ * @param {string|number} userId ID Pengguna.
+ * @param {string} idOrCode ID catatan atau kode pendeknya.
+ * @returns {Promise<string>} Pesan untuk pengguna.
+ */
+const deleteNote = async (userId, idOrCode) => {
+    const { note, error } = await findUserNote(userId, idOrCode);
+    if (error) return error;
+    await memory.deleteRecords(NOTES_COLLECTION, [note.id]);
+    return `Catatan #${getShortCode(note)} dihapus.`;
+};
+
+/**
+ * Mengganti isi satu catatan; tag diambil ulang dari isi yang baru.
+ * @param {string|number} userId ID Pengguna.
+ * @param {string} idOrCode ID catatan atau kode pendeknya.
+ * @param {string} newMessage Isi catatan yang baru.
+ * @returns {Promise<string>} Pesan untuk pengguna.
+ */
+const editNote = async (userId, idOrCode, newMessage) => {
+    const { note, error } = await findUserNote(userId, idOrCode);
+    if (error) return error;
+    if (!newMessage || !newMessage.trim()) {
+        return 'Tulis isi catatan yang baru. Contoh: /editnote [id] beli susu #belanja';
+    }
+    const updated = {
+        ...note,
+        message: newMessage.trim(),
+        tags: extractTags(newMessage),
+        updatedAt: new Date().toISOString()
+    };
+    if (!await saveNote(userId, updated)) {
+        return 'Maaf, terjadi kesalahan saat menyimpan perubahan catatan.';
+    }
+    return `Catatan #${getShortCode(updated)} diperbarui.`;
+};
 
+/**
+ * Menjadikan sebuah catatan pengingat di chat ini. Catatannya tetap disimpan.
+ * @param {string|number} userId ID Pengguna pemilik catatan.
+ * @param {string|number} chatId ID chat tempat pengingat dikirim.
+ * @param {string} idOrCode ID catatan atau kode pendeknya.
+ * @param {string} timeString Ungkapan waktu, mis. "besok 07:00" atau "setiap senin jam 9".
+ * @param {string} userName Nama pengguna.
+ * @returns {Promise<string>} Pesan untuk pengguna.
+ */
+const promoteNoteToReminder = async (userId, chatId, idOrCode, timeString, userName) => {
+    const { note, error } = await findUserNote(userId, idOrCode);
+    if (error) return error;
+    if (!timeString || !timeString.trim()) {
+        return 'Sebutkan waktunya. Contoh: /notereminder [id] besok 07:00';
+    }
+    return setReminder(null, chatId, timeString.trim(), note.message, userName, userId);
+};
+
+/**
+ * Menghapus semua catatan seorang pengguna.
+ * @param {string|number} userId ID Pengguna.
+ * @returns {Promise<number>} Jumlah catatan yang dihapus.
+ */
+const deleteNotes = async (userId) => {
+    const userNotes = await loadNotes(userId);
+    try {
+        return await memory.deleteRecords(NOTES_COLLECTION, userNotes.map(note => note.id));
+    } catch (error) {
+        console.error(`Error menghapus catatan pengguna ${userId}:`, error.message, error.stack);
+        return 0;
+    }
+};
+
+/**
+ * Menghapus catatan yang lebih tua dari batas retensi, untuk semua pengguna.
+ * @param {number} maxAgeDays Umur maksimum catatan dalam hari; 0 berarti disimpan selamanya.
+ * @returns {Promise<number>} Jumlah catatan yang dihapus.
+ */
+const cleanupOldNotes = async (maxAgeDays) => {
+    if (!(maxAgeDays > 0)) return 0;
+    await ensureLegacyImport();
+    const cutoff = Date.now() - maxAgeDays * MS_PER_DAY;
+    const oldNotes = (await memory.getRecords(NOTES_COLLECTION)).filter(note => Date.parse(note.timestamp) < cutoff);
+    const removedCount = await memory.deleteRecords(NOTES_COLLECTION, oldNotes.map(note => note.id));
+    if (removedCount > 0) {
+        console.log(`Auto-cleanup: Menghapus ${removedCount} catatan lama.`);
+    }
+    return removedCount;
+};
 
 // --- Fitur Pencarian (Menggunakan Google Custom Search API & Lumina AI untuk Ringkasan) ---
 
+/**
+ * Mengambil hasil mentah dari Google Custom Search API.
+ * Dipakai oleh performSearch dan oleh tool calling AI (yang merangkum hasilnya sendiri).
+ * @param {string} query query pencarian.
+ * @param {number} [num=3] Jumlah hasil yang diambil.
+ * @returns {Promise<Array<{title: string, snippet: string, link: string}>>} Hasil pencarian (bisa kosong).
+ * @throws {Error} Jika API belum dikonfigurasi atau permintaan gagal.
+ */
+async function fetchSearchResults(query, num = 3) {
+    const apiKey = config.GOOGLE_SEARCH_API_KEY;
+    const cx = config.GOOGLE_SEARCH_CX;
+    if (!apiKey || !cx) {
+        throw new Error('Google Search API key atau CX belum dikonfigurasi.');
+    }
+
+    const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
+        params: {
+            key: apiKey,
+            cx: cx,
+            q: query,
+            num: num,
+            hl: 'id',
+            gl: 'id' // Bias geolokasi ke Indonesia
+        }
+    });
+
+    return (response.data.items || []).map(item => ({
+        title: item.title || "Judul tidak tersedia",
+        snippet: (item.snippet || "Kutipan tidak tersedia").replace(/\n/g, ' '),
+        link: item.link || "Tautan tidak tersedia"
+    }));
+}
+
 /**
  * Melakukan pencarian menggunakan Google Custom Search API dan merangkum hasilnya dengan AI.
  * @param {string} query query pencarian.
@@ -355,27 +923,13 @@ async function performSearch(query, userName, requestChatId, aiSummarizer) {
     }
 
     try {
-        const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
-            params: {
-                key: apiKey,
-                cx: cx,
-                q: query,
-                num: 3,
-                hl: 'id',
-                gl: 'id' // Bias geolokasi ke Indonesia
-            }
-        });
-
-        const data = response.data;
-        if (data.items && data.items.length > 0) {
+        const items = await fetchSearchResults(query);
+        if (items.length > 0) {
             let resultText = `Lumina menemukan ini untuk "${query}", Tuan ${userName}:\n\n`;
             let contentToSummarize = "";
-            data.items.forEach((item, index) => {
-                const title = item.title || "Judul tidak tersedia";
-                const snippet = item.snippet || "Kutipan tidak tersedia";
-                const link = item.link || "Tautan tidak tersedia";
+            items.forEach(({ title, snippet, link }, index) => {
                 resultText += `${index + 1}. *${title}*\n`; // Markdown untuk judul
-                resultText += `   ${snippet.replace(/\n/g, ' ')}\n`; // Bersihkan kutipan
+                resultText += `   ${snippet}\n`; // Kutipan sudah dibersihkan
                 resultText += `   [Link](${link})\n\n`; // Markdown untuk link
                 contentToSummarize += `${title}. ${snippet}\n`; // Kumpulkan konten untuk diringkas
             });
@@ -435,12 +989,30 @@ async function performSearch(query, userName, requestChatId, aiSummarizer) {
 const getHelpMessage = (userName) => {
     try {
         return `Daftar perintah Lumina untuk Tuan ${userName || 'Pengguna'}:\n\n` +
-               `• /reminder [HH:MM atau besok HH:MM] [pesan]: Menjadwalkan pengingat.\n` +
-               `• /note [pesan]*: Menyimpan catatan pribadi.\n` +
-               `• /shownotes*: Menampilkan semua catatan pribadi Anda.\n` +
+               `• /reminder [waktu] [pesan]: Menjadwalkan pengingat. Waktu bisa HH:MM, besok 07:00, 30 menit lagi, senin depan jam 9, 25/12 09:00, setiap hari jam 6, tiap jumat.\n` +
+               `• /reminders : Menampilkan pengingat aktif beserta ID-nya.\n` +
+               `• /cancelreminder [id]: Membatalkan pengingat.\n` +
+               `• /editreminder [id] [waktu baru] [pesan baru]: Mengubah waktu dan/atau isi pengingat.\n` +
+               `• /note [pesan]*: Menyimpan catatan pribadi; tambahkan #tag untuk mengelompokkan.\n` +
+               `• /shownotes [#tag atau kata kunci]*: Menampilkan catatan pribadi Anda per halaman.\n` +
+               `• /editnote [id] [isi baru]* / /delnote [id]*: Mengubah atau menghapus catatan.\n` +
+               `• /notereminder [id] [waktu]: Menjadikan catatan sebagai pengingat.\n` +
                `• /search [query]: Mencari informasi menggunakan Google & diringkas Lumina.\n` +
+               `• /jadwalsholat [metode nama]: Jadwal shalat hari ini dari lokasi Anda; bisa ganti metode (kemenag, mwl, ...).\n` +
+               `• /jadwal : Mengatur siaran terjadwal (salam, berita, libur, lagu, cuaca, shalat): langganan, jam kirim, jam tenang & zona waktu.\n` +
+               `• /stop : Berhenti menerima siaran terjadwal (/start untuk berlangganan lagi).\n` +
+               `• /cari [kata kunci] [dari:YYYY-MM-DD] [sampai:YYYY-MM-DD]: Mencari pesan lama di riwayat chat ini.\n` +
+               `• /memories : Menampilkan hal-hal yang Lumina ingat tentang Anda.\n` +
+               `• /remember [fakta]: Meminta Lumina selalu mengingat sebuah fakta.\n` +
+               `• /forget [id atau kata kunci]: Menghapus memori tertentu.\n` +
+               `• /export*: Mengunduh semua data Anda dalam satu file JSON.\n` +
+               `• /import*: Memulihkan data dari file /export (kirim file dengan caption /import).\n` +
+               `• /deletemydata*: Menghapus semua data Anda dari Lumina (dengan konfirmasi).\n` +
+               `• /personality : Memilih mode Lumina (tsundere/deredere) lewat tombol.\n` +
+               `• /voice [on|off]: Menyalakan atau mematikan balasan berupa voice note.\n` +
                `• /help : Menampilkan daftar perintah ini.\n` +
-               `• /author : Menampilkan informasi pembuat Lumina.\n\n` +
+               `• /author : Menampilkan informasi pembuat Lumina.\n` +
+               `• /groupmode [quiet|normal|chatty]: Mengatur seberapa aktif Lumina di grup (khusus admin).\n\n` +
                `(*) Perintah yang ditandai bintang lebih cocok digunakan dalam chat pribadi dengan Lumina.` +
                `Sst, Ada Secret Command loh!, Coba tebak ...`;
     } catch (error) {
@@ -460,7 +1032,7 @@ const getAuthorInfo = () => {
                `TIKTOK: @rafardhancuy\n` +
                `Github: https://github.com/Rafacuy\n` +
                `LANGUAGE: ID (Indonesia)\n` +
-               `TIME FORMAT: Asia/Jakarta\n` +
+               `TIME FORMAT: ${DEFAULT_TIMEZONE} (atur zonamu dengan /jadwal zona)\n` +
                `FITUR BARU: Pencarian Google dengan ringkasan AI oleh Lumina!\n` +
                `MIT License`;
     } catch (error) {
@@ -472,9 +1044,30 @@ const getAuthorInfo = () => {
 module.exports = {
     setReminder,
     rescheduleReminders,
+    scheduleReminderJob,
+    deleteRemindersForChat,
+    loadReminders,
+    saveReminder,
+    listReminders,
+    cancelReminder,
+    editReminder,
+    REMINDER_CALLBACK_NAMESPACE,
+    handleReminderCallback,
+    cleanupFiredReminders,
     addNote,
     showNotes,
+    buildNotesPage,
+    NOTE_CALLBACK_NAMESPACE,
+    handleNotesCallback,
+    deleteNote,
+    editNote,
+    promoteNoteToReminder,
+    loadNotes,
+    saveNote,
+    deleteNotes,
+    cleanupOldNotes,
     performSearch,
+    fetchSearchResults,
     getHelpMessage,
     getAuthorInfo,
 };
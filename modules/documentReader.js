@@ -78,7 +78,7 @@ async function summarizeDocument(filePath, msg, aiDependencies) {
         const summary = await generateAIResponse(
             summaryUserPrompt,
             msg.chat.id,
-            { topic: 'document_summary' }, // messageContext
+            { topic: 'document_summary', userId: msg.from?.id, allowTools: false }, // messageContext
             USER_NAME,
             Mood
         );
@@ -0,0 +1,131 @@
+// modules/historySearch.js
+// Pencarian riwayat chat (/cari): mencari di riwayat aktif dan arsip sebuah chat, dengan filter
+// tanggal opsional, lalu menampilkan potongan pesan yang cocok beserta waktunya.
+// Aturan pencocokan kata kunci ada di data/storage/textSearch.js.
+
+const moment = require("moment-timezone");
+const memory = require("../data/memory");
+const { tokenizeText } = require("../data/storage/textSearch");
+const { DEFAULT_TIMEZONE } = require("../utils/timeHelper");
+
+const MAX_RESULTS = 10;
+const SNIPPET_RADIUS = 60; // Jumlah karakter di kiri-kanan kata kunci pertama
+const DATE_FORMAT = "YYYY-MM-DD";
+
+// Filter yang dikenali di dalam kueri; nilainya tanggal YYYY-MM-DD atau jumlah hari.
+const FILTER_PATTERN = /\b(dari|sampai|from|to|hari|days):(\S+)/gi;
+const FILTER_ALIASES = { from: "dari", to: "sampai", days: "hari" };
+
+const USAGE =
+  "Cara pakai: /cari [kata kunci] [dari:YYYY-MM-DD] [sampai:YYYY-MM-DD] [hari:N]\n" +
+  "Contoh: /cari skripsi dari:2025-01-01 atau /cari kopi hari:7";
+
+/**
+ * Memisahkan kata kunci dan filter tanggal dari teks perintah /cari.
+ * @param {string} text - Teks setelah /cari.
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - Zona waktu pengguna; batas hari dihitung di zona ini.
+ * @returns {{query: string, from?: string, to?: string, error?: string}} Kata kunci dan rentang waktu (ISO).
+ */
+function parseSearchQuery(text, timezone = DEFAULT_TIMEZONE) {
+  const result = {};
+  const query = (text || "").replace(FILTER_PATTERN, (match, rawName, value) => {
+    const name = FILTER_ALIASES[rawName.toLowerCase()] || rawName.toLowerCase();
+    if (name === "hari") {
+      const days = Number(value);
+      if (!Number.isInteger(days) || days <= 0) {
+        result.error = `Jumlah hari "${value}" tidak valid.`;
+      } else {
+        result.from = moment.tz(timezone).subtract(days - 1, "days").startOf("day").toISOString();
+      }
+      return " ";
+    }
+
+    const date = moment.tz(value, DATE_FORMAT, true, timezone);
+    if (!date.isValid()) {
+      result.error = `Tanggal "${value}" tidak valid, gunakan format YYYY-MM-DD.`;
+    } else if (name === "dari") {
+      result.from = date.startOf("day").toISOString();
+    } else {
+      result.to = date.endOf("day").toISOString();
+    }
+    return " ";
+  });
+
+  if (!result.error && result.from && result.to && result.from > result.to) {
+    result.error = "Tanggal awal harus sebelum tanggal akhir.";
+  }
+  return { ...result, query: query.replace(/\s+/g, " ").trim() };
+}
+
+/**
+ * Mengambil potongan pesan di sekitar kata kunci pertama yang cocok.
+ * @param {string} content - Isi pesan.
+ * @param {Array<string>} terms - Kata kunci hasil tokenizeText.
+ * @returns {string}
+ */
+function buildSnippet(content, terms) {
+  const text = content.replace(/\s+/g, " ").trim();
+  let matchIndex = 0;
+  for (const word of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const [token] = tokenizeText(word[0]);
+    if (token && terms.some((term) => token.startsWith(term))) {
+      matchIndex = word.index;
+      break;
+    }
+  }
+
+  const start = Math.max(0, matchIndex - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matchIndex + SNIPPET_RADIUS);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end).trim()}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * Menyusun satu baris hasil pencarian.
+ * @param {object} message - Pesan riwayat yang cocok.
+ * @param {Array<string>} terms - Kata kunci hasil tokenizeText.
+ * @param {string} timezone - Zona waktu pengguna untuk menampilkan waktu pesan.
+ * @returns {string}
+ */
+function formatResult(message, terms, timezone) {
+  const time = moment(message.timestamp).tz(timezone).format("DD MMM YYYY HH:mm");
+  // Di grup, nama pengirim (disimpan memory.addMessage) membedakan siapa yang bicara.
+  const sender =
+    message.role === "user"
+      ? `👤 ${message.context?.senderName || message.from?.first_name || message.from?.username || "Pengguna"}`
+      : "🌸 Lumina";
+  return `🕒 ${time} · ${sender}\n${buildSnippet(message.content, terms)}`;
+}
+
+/**
+ * Menjalankan perintah /cari untuk sebuah chat.
+ * @param {string|number} chatId - ID chat yang riwayatnya dicari.
+ * @param {string} [text] - Teks setelah /cari (kata kunci dan filter).
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - Zona waktu pengguna (/jadwal zona).
+ * @returns {Promise<string>} Pesan untuk pengguna.
+ */
+async function searchChatHistory(chatId, text, timezone = DEFAULT_TIMEZONE) {
+  const { query, from, to, error } = parseSearchQuery(text, timezone);
+  if (error) return `${error}\n\n${USAGE}`;
+
+  const terms = tokenizeText(query);
+  if (terms.length === 0) return USAGE;
+
+  const matches = await memory.searchHistory(chatId, { query, from, to, limit: MAX_RESULTS + 1 });
+  if (matches.length === 0) {
+    return `Lumina tidak menemukan pesan yang cocok dengan "${query}".`;
+  }
+
+  const shown = matches.slice(0, MAX_RESULTS);
+  return (
+    `🔎 Hasil pencarian "${query}" (terbaru dulu):\n\n` +
+    shown.map((message) => formatResult(message, terms, timezone)).join("\n\n") +
+    (matches.length > MAX_RESULTS
+      ? `\n\nMasih ada hasil lain. Persempit dengan kata kunci tambahan atau dari:/sampai:.`
+      : "")
+  );
+}
+
+module.exports = {
+  parseSearchQuery,
+  searchChatHistory,
+};
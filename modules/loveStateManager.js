@@ -1,12 +1,29 @@
 // modules/loveStateManager.js
-let confessionScore = 0;
-let isRomanceMode = false;
 const CONFESSION_THRESHOLD = 3;
 const RESET_TIMEOUT_MS = 1000 * 60 * 60 * 6; // reset setelah 6 jam
 
-let lastConfessionTimestamp = null;
+// Status romance disimpan per pengguna agar pengakuan satu orang tidak
+// mengubah sikap Lumina ke pengguna lain.
+const loveStates = new Map();
 
-function analyzeLoveTrigger(userText) {
+/**
+ * Mengambil status romance seorang pengguna, membuatnya jika belum ada.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {{confessionScore: number, isRomanceMode: boolean, lastConfessionTimestamp: number|null}}
+ */
+function getLoveState(userId) {
+  const key = String(userId);
+  if (!loveStates.has(key)) {
+    loveStates.set(key, {
+      confessionScore: 0,
+      isRomanceMode: false,
+      lastConfessionTimestamp: null,
+    });
+  }
+  return loveStates.get(key);
+}
+
+function analyzeLoveTrigger(userId, userText) {
   const text = userText.toLowerCase();
 
   const triggers = [
@@ -20,35 +37,45 @@ function analyzeLoveTrigger(userText) {
   ];
 
   if (triggers.some((phrase) => text.includes(phrase))) {
-    confessionScore++;
-    lastConfessionTimestamp = Date.now();
-    console.log(`[LoveState] Skor nembak: ${confessionScore}`);
+    const state = getLoveState(userId);
+    state.confessionScore++;
+    state.lastConfessionTimestamp = Date.now();
+    console.log(`[LoveState] Skor nembak user ${userId}: ${state.confessionScore}`);
 
-    if (confessionScore >= CONFESSION_THRESHOLD) {
-      isRomanceMode = true;
-      console.log("[LoveState] ROMANCE MODE AKTIF 💖");
+    if (state.confessionScore >= CONFESSION_THRESHOLD) {
+      state.isRomanceMode = true;
+      console.log(`[LoveState] ROMANCE MODE AKTIF untuk user ${userId} 💖`);
     }
   }
 }
 
-function getRomanceStatus() {
-  return isRomanceMode;
+function getRomanceStatus(userId) {
+  return loveStates.get(String(userId))?.isRomanceMode || false;
 }
 
-function resetRomanceStateIfNeeded() {
+function resetRomanceStateIfNeeded(userId) {
+  const state = loveStates.get(String(userId));
   const now = Date.now();
   if (
-    lastConfessionTimestamp &&
-    now - lastConfessionTimestamp >= RESET_TIMEOUT_MS
+    state?.lastConfessionTimestamp &&
+    now - state.lastConfessionTimestamp >= RESET_TIMEOUT_MS
   ) {
-    confessionScore = 0;
-    isRomanceMode = false;
-    console.log("[LoveState] Romance mode direset karena timeout.");
+    loveStates.delete(String(userId));
+    console.log(`[LoveState] Romance mode user ${userId} direset karena timeout.`);
   }
 }
 
+/**
+ * Menghapus status romance seorang pengguna (dipakai saat pengguna menghapus datanya).
+ * @param {string|number} userId - ID pengguna Telegram.
+ */
+function clearUserState(userId) {
+  loveStates.delete(String(userId));
+}
+
 module.exports = {
   analyzeLoveTrigger,
   getRomanceStatus,
   resetRomanceStateIfNeeded,
+  clearUserState,
 };
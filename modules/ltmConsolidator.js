@@ -0,0 +1,175 @@
+// modules/ltmConsolidator.js
+// Merapikan memori jangka panjang (LTM): memori yang hampir sama digabung, dan memori lama
+// yang dibantah memori baru ("suka kopi" vs "berhenti minum kopi") digantikan.
+// Memori lama tidak dihapus, hanya ditandai `supersededBy` agar jejaknya tetap ada;
+// pembersihan fisiknya tetap lewat cleanupOldLTMs di data/memory.js.
+
+const memory = require("../data/memory");
+const { tokenize } = require("./ltmRetriever");
+const logger = require("../utils/logger");
+
+const DUPLICATE_THRESHOLD = 0.75; // Kemiripan minimum agar dua memori dianggap sama
+const CONTRADICTION_THRESHOLD = 0.6; // Kemiripan topik minimum untuk memori yang saling bertentangan
+
+// Kata yang membalik makna sebuah fakta tentang pengguna (ID & EN)
+const NEGATION_PATTERN =
+  /(^|[^\p{L}])(tidak|tak|nggak|ngga|gak|enggak|bukan|jangan|berhenti|benci|anti|not|never|no longer|don't|doesn't|hate|hates|dislike|dislikes|quit|stopped)(?=$|[^\p{L}])/iu;
+
+// Kata yang tidak menentukan topik memori dan diabaikan saat membandingkan
+const IGNORED_TERMS = new Set([
+  "suka", "senang", "gemar", "hobi", "sering", "selalu", "biasanya", "sekarang", "masih",
+  "minum", "makan", "main", "pakai", "berhenti", "benci", "anti", "tak", "ngga", "bukan",
+  "jangan", "like", "likes", "love", "loves", "enjoy", "enjoys", "drink", "drinks", "eat",
+  "eats", "not", "never", "longer", "no", "don", "doesn", "hate", "hates", "dislike",
+  "dislikes", "quit", "stopped", "still", "now",
+]);
+
+/**
+ * Mengambil token topik dari isi memori (tanpa kata sifat preferensi dan penyangkalan).
+ * @param {object} entry - Dokumen LTM.
+ * @returns {Set<string>} Token topik.
+ */
+const getTopicTerms = (entry) =>
+  new Set(tokenize(entry.value).filter((token) => !IGNORED_TERMS.has(token)));
+
+/**
+ * Mengecek apakah isi memori bersifat negatif ("tidak suka", "berhenti", "benci").
+ * @param {object} entry - Dokumen LTM.
+ * @returns {boolean}
+ */
+const isNegative = (entry) => NEGATION_PATTERN.test(entry.value || "");
+
+/**
+ * Kemiripan Jaccard antara dua himpunan token.
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} Nilai 0..1.
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let intersection = 0;
+  a.forEach((token) => {
+    if (b.has(token)) intersection++;
+  });
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Mengecek apakah dua memori milik pengguna yang sama.
+ * @param {object} a - Dokumen LTM.
+ * @param {object} b - Dokumen LTM.
+ * @returns {boolean}
+ */
+const sameOwner = (a, b) => String(a.userId ?? "") === String(b.userId ?? "");
+
+/**
+ * Menentukan hubungan antara memori lama dan memori baru.
+ * @param {object} older - Memori yang lebih lama.
+ * @param {object} newer - Memori yang lebih baru.
+ * @returns {"duplicate"|"contradiction"|null}
+ */
+function classifyPair(older, newer) {
+  if (older.key === newer.key || !sameOwner(older, newer)) return null;
+  // Fakta yang di-pin pengguna hanya bisa digantikan oleh fakta pin lainnya.
+  if (older.pinned && !newer.pinned) return null;
+
+  const similarity = jaccard(getTopicTerms(older), getTopicTerms(newer));
+  const samePolarity = isNegative(older) === isNegative(newer);
+
+  if (samePolarity && similarity >= DUPLICATE_THRESHOLD) return "duplicate";
+  if (!samePolarity && similarity >= CONTRADICTION_THRESHOLD) return "contradiction";
+  return null;
+}
+
+/**
+ * Menandai memori lama sebagai digantikan oleh memori baru dan menyimpan keduanya.
+ * Untuk duplikat, prioritas tertinggi dipertahankan pada memori baru.
+ * @param {object} older - Memori yang digantikan.
+ * @param {object} newer - Memori pengganti.
+ * @param {"duplicate"|"contradiction"} reason - Alasan penggantian.
+ */
+async function supersede(older, newer, reason) {
+  const now = new Date().toISOString();
+  older.supersededBy = newer.key;
+  older.supersededReason = reason;
+  older.supersededAt = now;
+
+  newer.supersedes = [...(newer.supersedes || []), older.key];
+  if (reason === "duplicate") {
+    newer.priority = Math.max(Number(newer.priority) || 0, Number(older.priority) || 0);
+    newer.mentionCount = (newer.mentionCount || 1) + (older.mentionCount || 1);
+  }
+
+  await memory.saveLTMMemory(older.key, older);
+  await memory.saveLTMMemory(newer.key, newer);
+
+  logger.info(
+    {
+      event: "ltm_superseded",
+      reason,
+      supersededKey: older.key,
+      supersededByKey: newer.key,
+      userId: newer.userId ?? null,
+    },
+    `[LTM] "${older.value}" digantikan oleh "${newer.value}" (${reason}).`
+  );
+}
+
+/**
+ * Membandingkan satu memori (biasanya yang baru disimpan) dengan memori aktif lain
+ * milik pengguna yang sama, lalu menggabung atau menggantikan yang lebih lama.
+ * @param {string} key - Kunci memori yang baru disimpan.
+ * @returns {Promise<number>} Jumlah memori yang digantikan.
+ */
+async function consolidateMemory(key) {
+  const entries = await memory.getLTMMemories();
+  const newer = entries.find((entry) => entry.key === key);
+  if (!newer) return 0;
+
+  let supersededCount = 0;
+  for (const older of entries) {
+    const relation = classifyPair(older, newer);
+    if (relation) {
+      await supersede(older, newer, relation);
+      supersededCount++;
+    }
+  }
+  return supersededCount;
+}
+
+/**
+ * Konsolidasi penuh semua memori aktif, dari yang terlama ke yang terbaru.
+ * Dipanggil oleh job terjadwal untuk merapikan memori yang lolos saat disimpan.
+ * @returns {Promise<number>} Jumlah memori yang digantikan.
+ */
+async function consolidateAll() {
+  const entries = (await memory.getLTMMemories()).sort((a, b) =>
+    String(a.createdAt).localeCompare(String(b.createdAt))
+  );
+
+  let supersededCount = 0;
+  for (let i = 1; i < entries.length; i++) {
+    const newer = entries[i];
+    for (let j = 0; j < i; j++) {
+      const older = entries[j];
+      if (older.supersededBy) continue;
+      const relation = classifyPair(older, newer);
+      if (relation) {
+        await supersede(older, newer, relation);
+        supersededCount++;
+      }
+    }
+  }
+
+  logger.info(
+    { event: "ltm_consolidation_complete", checked: entries.length, superseded: supersededCount },
+    `[LTM] Konsolidasi selesai: ${supersededCount} dari ${entries.length} memori digantikan.`
+  );
+  return supersededCount;
+}
+
+module.exports = {
+  consolidateMemory,
+  consolidateAll,
+  classifyPair,
+};
@@ -0,0 +1,215 @@
+// modules/ltmManager.js
+// Pengelolaan memori jangka panjang (LTM) oleh pengguna sendiri:
+// melihat (/memories), menghapus (/forget) dan menambah fakta yang di-pin (/remember).
+// ID yang ditampilkan ke pengguna adalah `id` entri dari backend penyimpanan (data/storage/).
+// /forget dengan kata kunci yang cocok dengan lebih dari satu memori meminta konfirmasi lewat tombol.
+
+const config = require("../config/config");
+const memory = require("../data/memory");
+const { consolidateMemory } = require("./ltmConsolidator");
+const { callbackButton, inlineKeyboard } = require("../core/callbackRouter");
+const logger = require("../utils/logger");
+
+const PINNED_PRIORITY = 100;
+const MAX_LISTED_MEMORIES = 50; // Agar daftar tetap muat dalam satu pesan Telegram
+const LTM_CALLBACK_NAMESPACE = "ltm";
+const FORGET_CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+// Permintaan /forget yang menunggu konfirmasi: userId -> { keys, values, expiresAt }.
+const pendingForgets = new Map();
+
+/**
+ * Mengecek apakah pengguna ini pemilik Lumina (TARGET_CHAT_ID; chat pribadi = ID pengguna).
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {boolean}
+ */
+function isOwner(userId) {
+  return !!config.TARGET_CHAT_ID && String(config.TARGET_CHAT_ID) === String(userId);
+}
+
+/**
+ * Mengambil memori yang boleh dilihat dan diubah oleh seorang pengguna.
+ * Memori lama tanpa pemilik (dari sebelum memori dipisah per pengguna) hanya milik pemilik Lumina
+ * (TARGET_CHAT_ID), dan hanya bisa dikelola dari chat pribadi.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {object} [options]
+ * @param {boolean} [options.isPrivateChat=true] - Apakah perintah dikirim dari chat pribadi.
+ * @param {boolean} [options.includeSuperseded=false] - Sertakan memori yang sudah digantikan.
+ * @returns {Promise<Array<object>>} Dokumen LTM milik pengguna.
+ */
+async function getUserMemories(userId, { isPrivateChat = true, includeSuperseded = false } = {}) {
+  const entries = await memory.getLTMMemories({ includeSuperseded });
+  return entries.filter((entry) =>
+    entry.userId === undefined || entry.userId === null
+      ? isPrivateChat && isOwner(userId)
+      : String(entry.userId) === String(userId)
+  );
+}
+
+/**
+ * Menyusun daftar memori pengguna beserta ID dan prioritasnya.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {object} [options]
+ * @param {boolean} [options.isPrivateChat=true] - Apakah perintah dikirim dari chat pribadi.
+ * @returns {Promise<string>} Pesan untuk pengguna.
+ */
+async function listMemories(userId, { isPrivateChat = true } = {}) {
+  const entries = await getUserMemories(userId, { isPrivateChat });
+  if (entries.length === 0) {
+    return "Lumina belum menyimpan fakta apa pun tentangmu. Pakai /remember [fakta] kalau mau Lumina ingat sesuatu.";
+  }
+
+  const lines = entries
+    .slice(0, MAX_LISTED_MEMORIES)
+    .map((entry) => `${entry.pinned ? "📌" : "•"} #${entry.id} [${entry.priority}] ${entry.value}`);
+  const hiddenCount = entries.length - lines.length;
+
+  return (
+    `Yang Lumina ingat tentangmu (${entries.length}):\n\n${lines.join("\n")}` +
+    (hiddenCount > 0 ? `\n\n...dan ${hiddenCount} memori lain dengan prioritas lebih rendah.` : "") +
+    "\n\n📌 = di-pin, tidak akan kedaluwarsa.\nHapus dengan /forget [id|kata kunci]."
+  );
+}
+
+/**
+ * Menghapus memori yang sudah dipilih lalu menyusun pesan hasilnya.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {string} target - ID memori atau kata kunci, untuk log.
+ * @param {Array<{key: string, value: string}>} entries - Memori yang dihapus.
+ * @returns {Promise<string>} Pesan untuk pengguna.
+ */
+async function deleteMemories(userId, target, entries) {
+  const forgotten = [];
+  for (const entry of entries) {
+    if (await memory.deleteLTMMemory(entry.key)) {
+      forgotten.push(entry.value);
+    }
+  }
+
+  logger.info(
+    { event: "ltm_forgotten", userId, target, count: forgotten.length },
+    `[LTM] ${forgotten.length} memori dihapus atas permintaan pengguna.`
+  );
+  if (forgotten.length === 0) {
+    return "Memori itu sudah tidak ada.";
+  }
+  return `Oke, Lumina sudah melupakan ${forgotten.length} hal:\n${forgotten.map((value) => `• ${value}`).join("\n")}`;
+}
+
+/**
+ * Menghapus memori berdasarkan ID (#12) atau kata kunci pada isinya.
+ * Memori yang sudah digantikan ikut dicari agar benar-benar hilang. Jika kata kunci cocok dengan
+ * lebih dari satu memori, yang dikembalikan adalah daftar kecocokan dengan tombol konfirmasi.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {string} target - ID memori atau kata kunci.
+ * @param {object} [options]
+ * @param {boolean} [options.isPrivateChat=true] - Apakah perintah dikirim dari chat pribadi.
+ * @returns {Promise<{text: string, replyMarkup: object|null}>} Pesan dan tombol untuk pengguna.
+ */
+async function forgetMemories(userId, target, { isPrivateChat = true } = {}) {
+  const query = (target || "").trim();
+  if (!query) {
+    return { text: "Sebutkan ID atau kata kuncinya, misalnya /forget 12 atau /forget kopi.", replyMarkup: null };
+  }
+
+  const entries = await getUserMemories(userId, { isPrivateChat, includeSuperseded: true });
+  const idMatch = query.match(/^#?(\d+)$/);
+  const matches = idMatch
+    ? entries.filter((entry) => entry.id === Number(idMatch[1]))
+    : entries.filter((entry) => (entry.value || "").toLowerCase().includes(query.toLowerCase()));
+
+  if (matches.length === 0) {
+    return { text: `Lumina tidak menemukan memori yang cocok dengan "${query}".`, replyMarkup: null };
+  }
+  if (idMatch || matches.length === 1) {
+    return { text: await deleteMemories(userId, query, matches), replyMarkup: null };
+  }
+
+  pendingForgets.set(String(userId), {
+    target: query,
+    entries: matches.map(({ key, value }) => ({ key, value })),
+    expiresAt: Date.now() + FORGET_CONFIRMATION_TTL_MS,
+  });
+  const buttonOptions = { userId, ttlMs: FORGET_CONFIRMATION_TTL_MS };
+  const listed = matches.slice(0, MAX_LISTED_MEMORIES).map((entry) => `• #${entry.id} ${entry.value}`);
+  const hiddenCount = matches.length - listed.length;
+  return {
+    text:
+      `Ada ${matches.length} memori yang cocok dengan "${query}":\n\n${listed.join("\n")}` +
+      (hiddenCount > 0 ? `\n...dan ${hiddenCount} lainnya.` : "") +
+      "\n\nHapus semuanya? Untuk menghapus satu saja, pakai /forget [id].",
+    replyMarkup: inlineKeyboard([
+      [
+        callbackButton(`🗑️ Hapus ${matches.length} memori`, LTM_CALLBACK_NAMESPACE, "forget", [], buttonOptions),
+        callbackButton("Batal", LTM_CALLBACK_NAMESPACE, "cancel", [], buttonOptions),
+      ],
+    ]),
+  };
+}
+
+/**
+ * Menangani tombol konfirmasi /forget (lihat core/callbackRouter.js).
+ * @param {object} params - { userId, action } dari router.
+ * @returns {Promise<object>} Hasil untuk router.
+ */
+async function handleMemoryCallback({ userId, action }) {
+  const pending = pendingForgets.get(String(userId));
+  pendingForgets.delete(String(userId));
+  if (action === "cancel") {
+    return { text: "Dibatalkan.", edit: { text: "Oke, tidak ada memori yang dihapus." } };
+  }
+  if (action !== "forget") {
+    return { text: "Tombol ini tidak dikenali." };
+  }
+  if (!pending || Date.now() > pending.expiresAt) {
+    return {
+      text: "Konfirmasi sudah kedaluwarsa. Kirim /forget lagi.",
+      showAlert: true,
+      edit: { text: "Konfirmasi /forget sudah kedaluwarsa." },
+    };
+  }
+  return { text: "Memori dihapus.", edit: { text: await deleteMemories(userId, pending.target, pending.entries) } };
+}
+
+/**
+ * Menyimpan fakta yang ditulis pengguna sendiri sebagai memori yang di-pin.
+ * Fakta ini berprioritas maksimum dan dikecualikan dari cleanupOldLTMs.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {string|number} chatId - ID chat asal perintah.
+ * @param {string} fact - Fakta yang ingin diingat.
+ * @returns {Promise<string>} Pesan untuk pengguna.
+ */
+async function rememberFact(userId, chatId, fact) {
+  const value = (fact || "").trim();
+  if (!value) {
+    return "Apa yang harus Lumina ingat? Contoh: /remember Aku alergi udang.";
+  }
+
+  const key = `ltm_${Date.now()}`;
+  await memory.saveLTMMemory(key, {
+    value,
+    priority: PINNED_PRIORITY,
+    source: value,
+    pinned: true,
+    userId,
+    chatId,
+    createdAt: new Date().toISOString(),
+  });
+  // Fakta baru ini menggantikan memori lama yang sama atau yang dibantahnya.
+  const supersededCount = await consolidateMemory(key);
+
+  logger.info(
+    { event: "ltm_pinned", userId, chatId, supersededCount },
+    "[LTM] Fakta di-pin oleh pengguna."
+  );
+  return `Siap, Lumina akan selalu ingat: "${value}" 📌` +
+    (supersededCount > 0 ? `\n(${supersededCount} memori lama yang bertentangan/serupa sudah diganti.)` : "");
+}
+
+module.exports = {
+  LTM_CALLBACK_NAMESPACE,
+  listMemories,
+  forgetMemories,
+  handleMemoryCallback,
+  rememberFact,
+};
@@ -1,7 +1,8 @@
 // modules/ltmProcessor.js
-const Groq = require("groq-sdk");
 const config = require("../config/config");
 const memory = require("../data/memory");
+const { createChatCompletion } = require("../core/llmProvider");
+const { consolidateMemory } = require("./ltmConsolidator");
 const pino = require("pino");
 const Sentry = require("@sentry/node");
 
@@ -25,9 +26,6 @@ const logger = pino({
   },
 });
 
-//  ---- Inilisiasi Groq API ----
-const client = new Groq({ apiKey: config.groqApiKey });
-
 // Cache untuk mengurangi pemanggilan berulang ke LLM
 const ltmCache = new Map();
 const CACHE_TTL = 60 * 60 * 1000; // 1 jam
@@ -62,8 +60,7 @@ async function processForLTM(text) {
 
   // Jika tidak ada di cache, proses dengan LLM
   try {
-    const response = await client.chat.completions.create({
-      model: "llama-3.1-8b-instant",
+    const response = await createChatCompletion("ltm", {
       messages: [
         {
           role: "system",
@@ -140,8 +137,9 @@ async function processForLTM(text) {
  * Menyimpan hasil analisis LTM ke dalam database.
  * @param {Object} analysisResult - Hasil dari processForLTM()
  * @param {string} originalText - Teks asli pengguna
+ * @param {Object} [owner] - Pemilik memori: { userId, chatId }. Di grup, userId adalah pengirim (from.id).
  */
-async function saveLTMResult(analysisResult, originalText) {
+async function saveLTMResult(analysisResult, originalText, { userId = null, chatId = null } = {}) {
   if (!analysisResult.should_save_preferences) return;
 
   try {
@@ -149,23 +147,27 @@ async function saveLTMResult(analysisResult, originalText) {
       value: analysisResult.query_preferences,
       priority: analysisResult.priorities_level,
       source: originalText,
+      userId,
+      chatId,
       createdAt: new Date().toISOString(),
     };
 
-    // Simpan ke database SQLite
-    await memory.savePreference(
-      `ltm_${Date.now()}`,
-      JSON.stringify(ltmObject)
-    );
+    // Simpan ke koleksi LTM (satu-satunya tempat penyimpanan LTM)
+    const key = `ltm_${Date.now()}`;
+    await memory.saveLTMMemory(key, ltmObject);
 
     logger.info(
       {
         event: "ltm_saved",
+        userId,
         priority: analysisResult.priorities_level,
         summary: analysisResult.query_preferences,
       },
       "LTM saved to database"
     );
+
+    // Gabungkan dengan duplikat lama atau gantikan memori yang dibantah
+    await consolidateMemory(key);
   } catch (error) {
     logger.error(
       { event: "ltm_save_error", error: error.message },
@@ -0,0 +1,211 @@
+// modules/ltmRetriever.js
+// Memilih memori jangka panjang (LTM) yang relevan dengan pesan pengguna saat ini.
+// Relevansi dihitung dengan BM25 (lokal, tanpa API embedding) di atas isi LTM,
+// lalu dicampur dengan prioritas dan kebaruan memori.
+
+// Parameter standar BM25
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Bobot campuran skor akhir (jumlahnya 1)
+const RELEVANCE_WEIGHT = 0.7;
+const PRIORITY_WEIGHT = 0.15;
+const RECENCY_WEIGHT = 0.15;
+
+const RECENCY_HALF_LIFE_DAYS = 30; // Memori berumur 30 hari bernilai setengah dari memori baru
+const PREFIX_MATCH_WEIGHT = 0.5; // "nebula" vs "nebulaai" dihitung setengah kecocokan
+const MIN_PREFIX_LENGTH = 4;
+const DEFAULT_LIMIT = 7;
+const FALLBACK_LIMIT = 3; // Jika tidak ada yang relevan, tetap sertakan beberapa memori terpenting
+
+// Kata umum (ID & EN) yang tidak membantu membedakan memori
+const STOPWORDS = new Set([
+  "aku", "saya", "kamu", "anda", "dia", "kita", "kami", "mereka", "pengguna", "user",
+  "yang", "dan", "di", "ke", "dari", "ini", "itu", "untuk", "dengan", "pada", "juga",
+  "ada", "adalah", "akan", "sudah", "udah", "lagi", "sedang", "bisa", "tidak", "nggak",
+  "gak", "ga", "enggak", "ya", "iya", "dong", "deh", "sih", "kok", "kan", "nih", "tuh",
+  "apa", "siapa", "kapan", "mana", "gimana", "bagaimana", "kenapa", "mengapa", "atau",
+  "tapi", "karena", "jadi", "kalau", "kalo", "saat", "waktu", "banget", "sangat", "lumina",
+  "nya", "si", "mau", "pengen", "ingin",
+  "the", "a", "an", "is", "are", "am", "i", "you", "my", "your", "to", "of", "and", "in",
+  "it", "that", "this", "for", "on", "with", "be", "do", "what", "how",
+]);
+
+/**
+ * Memecah teks menjadi token yang sudah dinormalisasi.
+ * Akhiran kepemilikan bahasa Indonesia (-nya, -ku, -mu) dibuang agar
+ * "projectku" dan "project" dianggap sama.
+ * @param {string} text - Teks sumber.
+ * @returns {Array<string>} Daftar token.
+ */
+function tokenize(text) {
+  if (!text || typeof text !== "string") return [];
+  return text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .map((token) => token.replace(/(nya|ku|mu)$/u, (suffix, _, offset) =>
+      offset >= MIN_PREFIX_LENGTH ? "" : suffix
+    ))
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/**
+ * Teks yang diindeks untuk sebuah entri LTM: ringkasan ditambah kalimat aslinya.
+ * @param {object} entry - Dokumen LTM.
+ * @returns {string}
+ */
+const getEntryText = (entry) => `${entry.value || ""} ${entry.source || ""}`;
+
+/**
+ * Membangun indeks BM25 dari kumpulan entri LTM.
+ * @param {Array<object>} entries - Dokumen LTM.
+ * @returns {{docs: Array<{entry: object, termFreq: Map<string, number>, length: number}>,
+ *   docFreq: Map<string, number>, avgLength: number}}
+ */
+function buildIndex(entries) {
+  const docFreq = new Map();
+  const docs = entries.map((entry) => {
+    const tokens = tokenize(getEntryText(entry));
+    const termFreq = new Map();
+    tokens.forEach((token) => termFreq.set(token, (termFreq.get(token) || 0) + 1));
+    termFreq.forEach((_, token) => docFreq.set(token, (docFreq.get(token) || 0) + 1));
+    return { entry, termFreq, length: tokens.length };
+  });
+  const totalLength = docs.reduce((sum, doc) => sum + doc.length, 0);
+  return { docs, docFreq, avgLength: docs.length ? totalLength / docs.length : 0 };
+}
+
+// Indeks disimpan dan hanya dibangun ulang saat isi koleksi LTM berubah.
+let cachedIndex = null;
+let cachedSignature = null;
+
+/**
+ * Tanda tangan sederhana dari kumpulan entri, untuk mendeteksi perubahan koleksi.
+ * @param {Array<object>} entries - Dokumen LTM.
+ * @returns {string}
+ */
+const getSignature = (entries) =>
+  entries
+    .map((entry) => `${entry.id ?? entry.key}:${entry.updatedAt || entry.createdAt || ""}`)
+    .join("|");
+
+/**
+ * Mengambil indeks BM25 untuk entri yang diberikan, memakai cache jika tidak ada perubahan.
+ * @param {Array<object>} entries - Dokumen LTM.
+ * @returns {object} Indeks BM25.
+ */
+function getIndex(entries) {
+  const signature = getSignature(entries);
+  if (!cachedIndex || signature !== cachedSignature) {
+    cachedIndex = buildIndex(entries);
+    cachedSignature = signature;
+  }
+  return cachedIndex;
+}
+
+/**
+ * Menghitung skor BM25 satu dokumen terhadap token query.
+ * Token yang hanya cocok sebagian (awalan) diberi bobot lebih kecil.
+ * @param {object} doc - Dokumen dari indeks.
+ * @param {Array<string>} queryTokens - Token query unik.
+ * @param {object} index - Indeks BM25.
+ * @returns {number} Skor BM25.
+ */
+function scoreDocument(doc, queryTokens, index) {
+  const totalDocs = index.docs.length;
+  let score = 0;
+  for (const queryToken of queryTokens) {
+    for (const [term, freq] of doc.termFreq) {
+      let weight = 0;
+      if (term === queryToken) {
+        weight = 1;
+      } else if (
+        Math.min(term.length, queryToken.length) >= MIN_PREFIX_LENGTH &&
+        (term.startsWith(queryToken) || queryToken.startsWith(term))
+      ) {
+        weight = PREFIX_MATCH_WEIGHT;
+      }
+      if (!weight) continue;
+
+      const df = index.docFreq.get(term) || 0;
+      const idf = Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
+      const lengthNorm = 1 - BM25_B + BM25_B * (doc.length / (index.avgLength || 1));
+      score += weight * idf * ((freq * (BM25_K1 + 1)) / (freq + BM25_K1 * lengthNorm));
+    }
+  }
+  return score;
+}
+
+/**
+ * Skor kebaruan (1 untuk memori baru, turun eksponensial seiring umur).
+ * @param {string} createdAt - Waktu pembuatan (ISO).
+ * @param {number} now - Waktu sekarang (ms).
+ * @returns {number} Nilai 0..1.
+ */
+function getRecencyScore(createdAt, now) {
+  const created = Date.parse(createdAt);
+  if (Number.isNaN(created)) return 0;
+  const ageDays = Math.max(0, now - created) / (1000 * 60 * 60 * 24);
+  return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+/**
+ * Mengurutkan memori jangka panjang berdasarkan relevansi terhadap pesan pengguna,
+ * dicampur dengan prioritas dan kebaruan.
+ * @param {Array<object>} entries - Semua dokumen LTM (dari memory.getLTMMemories()).
+ * @param {string} query - Pesan pengguna saat ini.
+ * @param {object} [options]
+ * @param {string|number|null} [options.userId] - Jika diisi, hanya memori milik pengguna ini
+ *   (atau memori lama tanpa pemilik) yang dipertimbangkan.
+ * @param {number} [options.limit=7] - Jumlah maksimum memori yang dikembalikan.
+ * @returns {Array<object>} Entri LTM terpilih, masing-masing dengan tambahan `score` dan `relevance`.
+ */
+function retrieveRelevantMemories(entries, query, { userId = null, limit = DEFAULT_LIMIT } = {}) {
+  if (!Array.isArray(entries) || entries.length === 0) return [];
+
+  const index = getIndex(entries);
+  const queryTokens = [...new Set(tokenize(query))];
+  const now = Date.now();
+
+  const scored = index.docs
+    .filter(({ entry }) =>
+      userId === null || entry.userId === undefined || entry.userId === null ||
+      String(entry.userId) === String(userId)
+    )
+    .map((doc) => ({
+      entry: doc.entry,
+      bm25: queryTokens.length ? scoreDocument(doc, queryTokens, index) : 0,
+      priority: Math.min(Math.max(Number(doc.entry.priority) || 0, 0), 100) / 100,
+      recency: getRecencyScore(doc.entry.createdAt, now),
+    }));
+
+  const maxBm25 = Math.max(0, ...scored.map((item) => item.bm25));
+  const ranked = scored
+    .map((item) => {
+      const relevance = maxBm25 > 0 ? item.bm25 / maxBm25 : 0;
+      return {
+        ...item.entry,
+        relevance,
+        score:
+          RELEVANCE_WEIGHT * relevance +
+          PRIORITY_WEIGHT * item.priority +
+          RECENCY_WEIGHT * item.recency,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const relevant = ranked.filter((item) => item.relevance > 0);
+  if (relevant.length > 0) {
+    return relevant.slice(0, limit);
+  }
+  // Tidak ada yang cocok dengan pesan ini: sertakan beberapa memori terpenting/terbaru saja.
+  return ranked.slice(0, Math.min(limit, FALLBACK_LIMIT));
+}
+
+module.exports = {
+  retrieveRelevantMemories,
+  tokenize,
+};
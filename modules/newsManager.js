@@ -2,15 +2,19 @@
 const NewsAPI = require('newsapi'); // Import library NewsAPI
 const config = require('../config/config'); // Mengambil konfigurasi (untuk NewsAPI key)
 const { sendMessage } = require('../utils/sendMessage'); // Fungsi utilitas untuk mengirim pesan
-const Groq = require("groq-sdk"); // Import Groq SDK untuk AI summarizer
+const { createChatCompletion } = require('../core/llmProvider'); // Provider layer untuk AI summarizer
 const logger = require('../utils/logger'); // Mengimpor logger yang sudah dikonfigurasi
 const Sentry = require('@sentry/node'); // Mengimpor Sentry
+const { callbackButton, inlineKeyboard } = require('../core/callbackRouter'); // Tombol "baca selengkapnya"
 
 // Inisialisasi NewsAPI 
 const newsapi = new NewsAPI(config.newsApiKey);
 
-// Inisialisasi Groq client 
-const groq = new Groq({ apiKey: config.groqApiKey });
+// Tombol "📖 N" di bawah berita harian (namespace "news", aksi more). Artikelnya disimpan di memori
+// per kiriman (digest) selama NEWS_DIGEST_TTL_MS; setelah itu tombolnya kedaluwarsa.
+const NEWS_CALLBACK_NAMESPACE = 'news';
+const NEWS_DIGEST_TTL_MS = 24 * 60 * 60 * 1000;
+const newsDigests = new Map(); // digestId -> { articles, expiresAt }
 
 /**
  * Mengambil berita utama dari Indonesia.
@@ -47,7 +51,7 @@ async function getTopNewsIndonesia() {
 }
 
 /**
- * Meringkas teks menggunakan AI (Groq).
+ * Meringkas teks menggunakan AI (provider LLM untuk task 'news').
  * @param {string} textToSummarize Teks yang akan diringkas.
  * @returns {Promise<string>} Ringkasan teks atau pesan kesalahan jika gagal.
  */
@@ -58,8 +62,7 @@ async function summarizeText(textToSummarize) {
     }
     logger.info("[NewsManager] Meringkas teks menggunakan AI...");
     try {
-        const response = await groq.chat.completions.create({
-            model: "llama-3.3-70b-versatile", 
+        const response = await createChatCompletion('news', {
             messages: [
                 {
                   role: "system",
@@ -83,7 +86,7 @@ async function summarizeText(textToSummarize) {
             logger.error({
                 event: "summarize_text_empty_response",
                 response: response,
-                source: "Groq"
+                source: "LLM"
             }, "[NewsManager] Respons AI kosong atau tidak valid.");
             Sentry.captureMessage("[NewsManager] Respons AI kosong atau tidak valid saat meringkas teks."); // Laporkan ke Sentry
             return "Maaf, Lumina tidak bisa meringkas berita ini.";
@@ -93,7 +96,7 @@ async function summarizeText(textToSummarize) {
             event: "summarize_text_error",
             error: error.message,
             stack: error.stack,
-            source: "Groq"
+            source: "LLM"
         }, "[NewsManager] Kesalahan saat meringkas teks dengan AI:");
         Sentry.captureException(error); // Laporkan kesalahan ke Sentry
         return "Terjadi kesalahan saat meringkas berita.";
@@ -101,39 +104,92 @@ async function summarizeText(textToSummarize) {
 }
 
 /**
- * Mengambil berita harian, meringkasnya, dan mengirimkannya ke chat ID yang ditentukan.
- * @param {string|number} chatId ID obrolan tujuan untuk mengirim berita.
+ * Menyimpan artikel sebuah kiriman berita agar tombol "baca selengkapnya" bisa menampilkannya,
+ * sekaligus membuang kiriman yang sudah kedaluwarsa.
+ * @param {Array<Object>} articles Artikel yang dikirim, sesuai urutan nomornya.
+ * @returns {string} ID kiriman.
  */
-async function sendDailyNews(chatId) {
-    if (!chatId) {
-        logger.warn("[NewsManager] Chat ID tidak ditentukan, tidak bisa mengirim berita harian.");
-        return;
+function storeNewsDigest(articles) {
+    const now = Date.now();
+    for (const [id, digest] of newsDigests) {
+        if (digest.expiresAt < now) newsDigests.delete(id);
     }
+    const digestId = now.toString(36) + Math.random().toString(36).substring(2, 5);
+    newsDigests.set(digestId, { articles, expiresAt: now + NEWS_DIGEST_TTL_MS });
+    return digestId;
+}
 
-    logger.info(`[NewsManager] Mengirim berita harian ke Chat ID: ${chatId}`);
+/**
+ * Membuat tombol "📖 N" untuk setiap artikel dalam kiriman berita.
+ * @param {string} digestId ID kiriman dari storeNewsDigest.
+ * @param {number} count Jumlah artikel.
+ * @returns {Object|null} reply_markup Telegram.
+ */
+function buildNewsKeyboard(digestId, count) {
+    const buttons = Array.from({ length: count }, (_, index) =>
+        callbackButton(`📖 ${index + 1}`, NEWS_CALLBACK_NAMESPACE, 'more', [digestId, index], { ttlMs: NEWS_DIGEST_TTL_MS }));
+    return inlineKeyboard([buttons]);
+}
+
+/**
+ * Menangani tombol "baca selengkapnya" (namespace "news"): mengirim detail artikel sebagai pesan baru.
+ * @param {{action: string, args: Array<string>}} callback Data tombol dari core/callbackRouter.
+ * @returns {Promise<{text?: string, reply?: {text: string, replyMarkup?: Object}}>}
+ */
+async function handleNewsCallback({ action, args }) {
+    const [digestId, index] = args;
+    const article = action === 'more' ? newsDigests.get(digestId)?.articles[Number(index)] : null;
+    if (!article) {
+        return { text: 'Berita ini sudah tidak tersedia.' };
+    }
+
+    const details = [
+        `📰 ${article.title}`,
+        [article.source?.name, article.publishedAt ? new Date(article.publishedAt).toLocaleString('id-ID') : null]
+            .filter(Boolean).join(' · '),
+        article.description,
+        // NewsAPI memotong content dengan penanda "[+123 chars]"
+        article.content ? article.content.replace(/\s*\[\+\d+ chars\]$/, '') : null
+    ].filter(Boolean);
+    return {
+        reply: {
+            text: details.join('\n\n'),
+            replyMarkup: article.url ? { inline_keyboard: [[{ text: '🔗 Buka artikel', url: article.url }]] } : undefined
+        }
+    };
+}
+
+/**
+ * Mengambil berita harian dan meringkasnya menjadi satu pesan. Setiap berita diberi nomor dan
+ * tombol "📖 N" untuk membaca detailnya. Dipakai sekali per siaran, lalu dikirim ke semua pelanggan.
+ * @returns {Promise<{text: string, replyMarkup: object|null}>} Pesan berita, atau pesan maaf jika tidak ada berita.
+ */
+async function buildDailyNews() {
     const articles = await getTopNewsIndonesia();
 
     if (articles.length === 0) {
-        sendMessage(chatId, "Maaf, Lumina tidak dapat menemukan berita terbaru hari ini. Mungkin ada masalah dengan NewsAPI atau tidak ada berita yang tersedia.");
         logger.info("[NewsManager] Tidak ada berita untuk dikirim.");
-        return;
+        return {
+            text: "Maaf, Lumina tidak dapat menemukan berita terbaru hari ini. Mungkin ada masalah dengan NewsAPI atau tidak ada berita yang tersedia.",
+            replyMarkup: null
+        };
     }
 
     let newsSummary = `📰 Berita Utama Hari Ini (${new Date().toLocaleDateString('id-ID')}):\n\n`;
-    let hasValidNews = false;
+    const sentArticles = [];
 
     for (const article of articles) {
         try {
             if (article.title && article.description) {
                 const summarizedDescription = await summarizeText(article.description);
-                newsSummary += `* **${article.title}**\n`;
+                sentArticles.push(article);
+                newsSummary += `${sentArticles.length}. **${article.title}**\n`;
                 newsSummary += `  Ringkasan: _${summarizedDescription}_\n`;
                 if (article.url) {
                     newsSummary += `  Baca selengkapnya: ${article.url}\n\n`;
                 } else {
                     newsSummary += `\n`;
                 }
-                hasValidNews = true;
             }
         } catch (articleError) {
             logger.error({
@@ -146,15 +202,36 @@ async function sendDailyNews(chatId) {
         }
     }
 
-    if (hasValidNews) {
-        await sendMessage(chatId, newsSummary);
-        logger.info("[NewsManager] Berita harian berhasil dikirim.");
-    } else {
-        await sendMessage(chatId, "Lumina tidak dapat menemukan berita valid untuk diringkas hari ini.");
+    if (sentArticles.length === 0) {
         logger.info("[NewsManager] Tidak ada berita valid yang bisa dikirim.");
+        return { text: "Lumina tidak dapat menemukan berita valid untuk diringkas hari ini.", replyMarkup: null };
+    }
+    return {
+        text: newsSummary,
+        replyMarkup: buildNewsKeyboard(storeNewsDigest(sentArticles), sentArticles.length)
+    };
+}
+
+/**
+ * Mengambil berita harian, meringkasnya, dan mengirimkannya ke chat ID yang ditentukan.
+ * @param {string|number} chatId ID obrolan tujuan untuk mengirim berita.
+ */
+async function sendDailyNews(chatId) {
+    if (!chatId) {
+        logger.warn("[NewsManager] Chat ID tidak ditentukan, tidak bisa mengirim berita harian.");
+        return;
+    }
+
+    logger.info(`[NewsManager] Mengirim berita harian ke Chat ID: ${chatId}`);
+    const { text, replyMarkup } = await buildDailyNews();
+    if (await sendMessage(chatId, text, replyMarkup ? { reply_markup: replyMarkup } : {})) {
+        logger.info("[NewsManager] Berita harian berhasil dikirim.");
     }
 }
 
 module.exports = {
-    sendDailyNews
+    buildDailyNews,
+    sendDailyNews,
+    NEWS_CALLBACK_NAMESPACE,
+    handleNewsCallback
 };
@@ -0,0 +1,233 @@
+// modules/prayerTimes.js
+// Perhitungan waktu shalat secara astronomis (posisi matahari) untuk satu tanggal dan lokasi,
+// mengikuti rumus PrayTimes.org: Subuh & Isya dari sudut depresi matahari, Dzuhur saat transit,
+// Ashar dari panjang bayangan, Terbit & Maghrib saat piringan matahari menyentuh ufuk.
+// Hasilnya berupa Date (UTC), jadi bisa ditampilkan di zona waktu mana pun.
+
+const moment = require("moment-timezone");
+const config = require("../config/config");
+const memory = require("../data/memory");
+const globalState = require("../state/globalState");
+const { getUserTimezone } = require("./schedulePreferences");
+
+const PRAYER_NAMES = ["Subuh", "Dzuhur", "Ashar", "Maghrib", "Isya"];
+const SUNRISE_ANGLE = 0.833; // Refraksi + jari-jari piringan matahari
+
+// Metode perhitungan. `fajr`/`isha` = sudut depresi matahari (derajat); `ishaMinutes` = Isya sekian menit
+// setelah Maghrib; `ihtiyat` = menit pengaman yang ditambahkan ke setiap waktu (kecuali Terbit dikurangi).
+const METHODS = {
+  KEMENAG: { name: "Kemenag RI", fajr: 20, isha: 18, ihtiyat: 2 },
+  MWL: { name: "Muslim World League", fajr: 18, isha: 17 },
+  ISNA: { name: "Islamic Society of North America", fajr: 15, isha: 15 },
+  EGYPT: { name: "Egyptian General Authority of Survey", fajr: 19.5, isha: 17.5 },
+  MAKKAH: { name: "Umm al-Qura, Makkah", fajr: 18.5, ishaMinutes: 90 },
+  KARACHI: { name: "University of Islamic Sciences, Karachi", fajr: 18, isha: 18 },
+  JAKIM: { name: "JAKIM Malaysia", fajr: 20, isha: 18, ihtiyat: 2 },
+  MUIS: { name: "MUIS Singapura", fajr: 20, isha: 18, ihtiyat: 2 },
+};
+
+// Mazhab untuk Ashar: panjang bayangan = faktor × tinggi benda + bayangan saat Dzuhur.
+const ASR_FACTORS = { standard: 1, hanafi: 2 };
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const fixAngle = (angle) => angle - 360 * Math.floor(angle / 360);
+const fixHour = (hour) => hour - 24 * Math.floor(hour / 24);
+
+/**
+ * Posisi matahari untuk sebuah Julian Date.
+ * @param {number} julianDate - Julian Date.
+ * @returns {{declination: number, equation: number}} Deklinasi (derajat) dan equation of time (jam).
+ */
+function sunPosition(julianDate) {
+  const days = julianDate - 2451545.0;
+  const meanAnomaly = toRadians(fixAngle(357.529 + 0.98560028 * days));
+  const meanLongitude = fixAngle(280.459 + 0.98564736 * days);
+  const eclipticLongitude = toRadians(
+    fixAngle(meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly))
+  );
+  const obliquity = toRadians(23.439 - 0.00000036 * days);
+
+  const rightAscension =
+    toDegrees(Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude))) / 15;
+  return {
+    declination: toDegrees(Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude))),
+    equation: meanLongitude / 15 - fixHour(rightAscension),
+  };
+}
+
+/**
+ * Julian Date tengah malam UTC untuk sebuah tanggal kalender.
+ * @param {number} year
+ * @param {number} month - 1-12.
+ * @param {number} day
+ * @returns {number}
+ */
+function julianDate(year, month, day) {
+  if (month <= 2) {
+    year -= 1;
+    month += 12;
+  }
+  const a = Math.floor(year / 100);
+  const b = 2 - a + Math.floor(a / 4);
+  return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + b - 1524.5;
+}
+
+/**
+ * Mengembalikan metode perhitungan yang dikenal, tanpa membedakan huruf besar/kecil.
+ * @param {string} name - Mis. "kemenag" atau "MWL".
+ * @returns {string|null} Kunci METHODS, atau null jika tidak dikenal.
+ */
+function normalizeMethod(name) {
+  const key = String(name || "").trim().toUpperCase();
+  return METHODS[key] ? key : null;
+}
+
+/**
+ * Menghitung waktu shalat (dan terbit) untuk satu tanggal.
+ * @param {object} options
+ * @param {string} options.date - Tanggal lokal "YYYY-MM-DD".
+ * @param {number} options.latitude - Lintang (derajat, utara positif).
+ * @param {number} options.longitude - Bujur (derajat, timur positif).
+ * @param {string} [options.method="KEMENAG"] - Kunci METHODS.
+ * @param {string} [options.asr="standard"] - "standard" (Syafi'i, Maliki, Hanbali) atau "hanafi".
+ * @returns {{Subuh: Date|null, Terbit: Date|null, Dzuhur: Date, Ashar: Date|null, Maghrib: Date|null, Isya: Date|null}}
+ *   Null jika waktunya tidak terdefinisi di lintang tersebut (mis. musim panas di lintang tinggi).
+ */
+function computePrayerTimes({ date, latitude, longitude, method = "KEMENAG", asr = "standard" }) {
+  const settings = METHODS[method];
+  if (!settings) throw new Error(`Metode perhitungan "${method}" tidak dikenal.`);
+  const [year, month, day] = date.split("-").map(Number);
+  const baseJulian = julianDate(year, month, day) - longitude / (15 * 24);
+  const latitudeRad = toRadians(latitude);
+
+  // Semua waktu di bawah dalam jam "waktu matahari lokal"; perkiraan awal dipakai untuk posisi matahari.
+  const midDay = (guess) => fixHour(12 - sunPosition(baseJulian + guess / 24).equation);
+  const sunAngleTime = (angle, guess, beforeNoon) => {
+    const { declination } = sunPosition(baseJulian + guess / 24);
+    const declinationRad = toRadians(declination);
+    const cosHourAngle =
+      (-Math.sin(toRadians(angle)) - Math.sin(declinationRad) * Math.sin(latitudeRad)) /
+      (Math.cos(declinationRad) * Math.cos(latitudeRad));
+    if (cosHourAngle < -1 || cosHourAngle > 1) return null;
+    const hourAngle = toDegrees(Math.acos(cosHourAngle)) / 15;
+    return midDay(guess) + (beforeNoon ? -hourAngle : hourAngle);
+  };
+  const asrTime = (guess) => {
+    const { declination } = sunPosition(baseJulian + guess / 24);
+    const factor = ASR_FACTORS[asr] || ASR_FACTORS.standard;
+    const angle = -toDegrees(Math.atan(1 / (factor + Math.tan(Math.abs(latitudeRad - toRadians(declination))))));
+    return sunAngleTime(angle, guess, false);
+  };
+
+  const sunset = sunAngleTime(SUNRISE_ANGLE, 18, false);
+  const hours = {
+    Subuh: sunAngleTime(settings.fajr, 5, true),
+    Terbit: sunAngleTime(SUNRISE_ANGLE, 6, true),
+    Dzuhur: midDay(12),
+    Ashar: asrTime(13),
+    Maghrib: sunset,
+    Isya: settings.ishaMinutes
+      ? sunset === null ? null : sunset + settings.ishaMinutes / 60
+      : sunAngleTime(settings.isha, 18, false),
+  };
+
+  const midnightUtc = Date.UTC(year, month - 1, day);
+  const ihtiyat = settings.ihtiyat || 0;
+  const result = {};
+  for (const [name, hour] of Object.entries(hours)) {
+    if (hour === null || Number.isNaN(hour)) {
+      result[name] = null;
+      continue;
+    }
+    // Waktu matahari lokal -> UTC, ditambah ihtiyat lalu dibulatkan ke menit terdekat
+    const minutes = (hour - longitude / 15) * 60 + (name === "Terbit" ? -ihtiyat : ihtiyat);
+    result[name] = new Date(midnightUtc + Math.round(minutes) * 60 * 1000);
+  }
+  return result;
+}
+
+/**
+ * Lokasi dan metode yang dipakai untuk seorang pengguna: lokasi tersimpan (`user_location_<id>`) atau
+ * config.latitude/longitude, dan metode pilihan pengguna atau config.prayer.method.
+ * @param {string|number} [userId] - ID pengguna Telegram.
+ * @returns {Promise<{latitude: number, longitude: number, method: string, isDefaultLocation: boolean}>}
+ */
+async function getPrayerSettings(userId) {
+  const location = userId ? await memory.getPreference(`user_location_${userId}`) : null;
+  const savedMethod = userId ? await memory.getPreference(`${globalState.PRAYER_METHOD_PREFIX}${userId}`) : null;
+  const hasLocation = !!(location && Number.isFinite(location.latitude) && Number.isFinite(location.longitude));
+  return {
+    latitude: hasLocation ? location.latitude : parseFloat(config.latitude),
+    longitude: hasLocation ? location.longitude : parseFloat(config.longitude),
+    method: normalizeMethod(savedMethod) || normalizeMethod(config.prayer.method) || "KEMENAG",
+    isDefaultLocation: !hasLocation,
+  };
+}
+
+/**
+ * Waktu shalat hari ini (menurut zona waktu pengguna, lihat /jadwal zona) untuk seorang pengguna.
+ * @param {string|number} [userId] - ID pengguna Telegram; tanpa ID dipakai lokasi, metode dan zona default.
+ * @param {Date} [now=new Date()] - Acuan "hari ini".
+ * @returns {Promise<{date: string, times: object, settings: object, timezone: string}>}
+ */
+async function getTodayPrayerTimes(userId, now = new Date()) {
+  const settings = await getPrayerSettings(userId);
+  const timezone = await getUserTimezone(userId);
+  const date = moment(now).tz(timezone).format("YYYY-MM-DD");
+  const times = computePrayerTimes({ date, ...settings, asr: config.prayer.asr });
+  return { date, times, settings, timezone };
+}
+
+/**
+ * Menyusun jadwal shalat hari ini untuk /jadwalsholat.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {Promise<string>}
+ */
+async function formatTodayPrayerTimes(userId) {
+  const { date, times, settings, timezone } = await getTodayPrayerTimes(userId);
+  const format = (time) => (time ? moment(time).tz(timezone).format("HH:mm") : "--:--");
+  const lines = ["Subuh", "Terbit", "Dzuhur", "Ashar", "Maghrib", "Isya"].map(
+    (name) => `${name.padEnd(8)} ${format(times[name])}`
+  );
+  const place = `${settings.latitude.toFixed(4)}, ${settings.longitude.toFixed(4)}`;
+  const dayLabel = new Date(`${date}T12:00:00Z`).toLocaleDateString("id-ID", {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+  return (
+    `🕌 Jadwal shalat ${dayLabel}\n\n` +
+    "```\n" + lines.join("\n") + "\n```\n" +
+    `📍 ${place}${settings.isDefaultLocation ? " (lokasi default; kirim lokasimu agar lebih akurat)" : ""}\n` +
+    `🧮 Metode: ${METHODS[settings.method].name} · Waktu ${timezone}\n\n` +
+    `Ganti metode: /jadwalsholat metode [${Object.keys(METHODS).join("|").toLowerCase()}]`
+  );
+}
+
+/**
+ * Menyimpan metode perhitungan pilihan pengguna.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {string} name - Nama metode.
+ * @returns {Promise<string>} Pesan untuk pengguna.
+ */
+async function setPrayerMethod(userId, name) {
+  const method = normalizeMethod(name);
+  if (!method) {
+    return `Metode "${name}" tidak dikenal. Pilihan: ${Object.keys(METHODS).join(", ")}.`;
+  }
+  await memory.savePreference(`${globalState.PRAYER_METHOD_PREFIX}${userId}`, method);
+  return `Metode perhitungan diganti ke ${METHODS[method].name}.`;
+}
+
+module.exports = {
+  METHODS: Object.keys(METHODS),
+  PRAYER_NAMES,
+  normalizeMethod,
+  computePrayerTimes,
+  getTodayPrayerTimes,
+  formatTodayPrayerTimes,
+  setPrayerMethod,
+};
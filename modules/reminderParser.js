@@ -0,0 +1,430 @@
+// modules/reminderParser.js
+// Mengubah ungkapan waktu pengingat (Bahasa Indonesia & Inggris) menjadi waktu di zona waktu pengguna
+// (zona dari moment `now` yang diberikan pemanggil; default DEFAULT_TIMEZONE):
+//   relatif   : "30 menit lagi", "2 jam lagi", "sejam lagi", "in 2 hours"
+//   tanggal   : "besok 07:00", "lusa jam 9", "25/12 09:00", "25 desember jam 8", "senin depan", "next monday 10am"
+//   jam saja  : "14:30", "jam 7 malam", "7pm" (hari ini, atau besok jika jamnya sudah lewat)
+//   berulang  : "setiap hari jam 6", "tiap jumat", "setiap hari kerja 07:30", "setiap tanggal 5", "every monday at 9"
+// Pengingat berulang menyimpan aturan `recurrence`; waktu berikutnya dihitung ulang oleh nextOccurrence
+// setiap kali pengingat terkirim atau bot dimulai ulang.
+
+const { DEFAULT_TIMEZONE, getMoment } = require("../utils/timeHelper");
+
+const DEFAULT_TIME = { hour: 9, minute: 0 }; // Dipakai jika hanya hari/tanggal yang disebut
+const MAX_RELATIVE_MINUTES = 366 * 24 * 60;
+
+const WEEKDAYS = {
+  minggu: 0, ahad: 0, sunday: 0,
+  senin: 1, monday: 1,
+  selasa: 2, tuesday: 2,
+  rabu: 3, wednesday: 3,
+  kamis: 4, thursday: 4,
+  jumat: 5, "jum'at": 5, friday: 5,
+  sabtu: 6, saturday: 6,
+};
+const WEEKDAY_NAMES = ["Minggu", "Senin", "Selasa", "Rabu", "Kamis", "Jumat", "Sabtu"];
+
+const MONTHS = {
+  januari: 0, january: 0, jan: 0,
+  februari: 1, february: 1, feb: 1,
+  maret: 2, march: 2, mar: 2,
+  april: 3, apr: 3,
+  mei: 4, may: 4,
+  juni: 5, june: 5, jun: 5,
+  juli: 6, july: 6, jul: 6,
+  agustus: 7, august: 7, agu: 7, aug: 7,
+  september: 8, sep: 8, sept: 8,
+  oktober: 9, october: 9, okt: 9, oct: 9,
+  november: 10, nov: 10,
+  desember: 11, december: 11, des: 11, dec: 11,
+};
+
+// Satuan waktu relatif dalam menit.
+const RELATIVE_UNITS = [
+  [/^(?:menit|mnt|minutes?|mins?)$/, 1],
+  [/^(?:jam|hours?|hrs?)$/, 60],
+  [/^(?:hari|days?)$/, 24 * 60],
+  [/^(?:minggu|pekan|weeks?)$/, 7 * 24 * 60],
+];
+
+/**
+ * Membuat pola alternatif dari daftar kata, yang terpanjang dulu agar "jumat" tidak terpotong.
+ * @param {Array<string>} words
+ * @returns {string}
+ */
+const alternatives = (words) =>
+  words
+    .sort((a, b) => b.length - a.length)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+
+const END = "(?![\\p{L}\\p{N}])"; // Batas kata yang juga berlaku untuk huruf non-ASCII
+const WEEKDAY_PATTERN = alternatives(Object.keys(WEEKDAYS));
+const MONTH_PATTERN = alternatives(Object.keys(MONTHS));
+const PERIOD_PATTERN = "am|pm|a\\.m\\.|p\\.m\\.|pagi|siang|sore|malam";
+
+const PATTERNS = {
+  separator: /^[\s,]+/,
+  recurrencePrefix: new RegExp(`^(?:setiap|tiap|every|each)${END}\\s*`, "iu"),
+  workdays: new RegExp(`^(?:hari\\s+kerja|weekdays?)${END}`, "iu"),
+  weekday: new RegExp(`^(?:hari\\s+)?(${WEEKDAY_PATTERN})${END}`, "iu"),
+  monthDay: new RegExp(`^(?:tanggal|tgl\\.?)\\s*(\\d{1,2})${END}`, "iu"),
+  daily: new RegExp(`^(?:hari|day)${END}`, "iu"),
+  week: new RegExp(`^(?:minggu|pekan|week)${END}`, "iu"),
+  month: new RegExp(`^(?:bulan|month)${END}`, "iu"),
+  relative: new RegExp(
+    `^(?:(?:dalam|in)\\s+)?(\\d+|setengah|satu|half\\s+an?|an?(?=\\s)|se(?=\\S))\\s*` +
+      `(menit|mnt|minutes?|mins?|jam|hours?|hrs?|hari|days?|minggu|pekan|weeks?)${END}` +
+      `(?:\\s+(?:lagi|later|from\\s+now))?`,
+    "iu"
+  ),
+  today: new RegExp(`^(?:hari\\s+ini|today)${END}`, "iu"),
+  tomorrow: new RegExp(`^(?:besok|tomorrow)${END}`, "iu"),
+  dayAfterTomorrow: new RegExp(`^(?:lusa|(?:the\\s+)?day\\s+after\\s+tomorrow)${END}`, "iu"),
+  namedWeekday: new RegExp(
+    `^(?:(?:(next|this)\\s+)?(?:hari\\s+)?(${WEEKDAY_PATTERN})(?:\\s+(depan|ini))?)${END}`,
+    "iu"
+  ),
+  isoDate: new RegExp(`^(\\d{4})-(\\d{1,2})-(\\d{1,2})${END}`, "u"),
+  numericDate: new RegExp(`^(\\d{1,2})[/-](\\d{1,2})(?:[/-](\\d{4}|\\d{2}))?${END}`, "u"),
+  namedDate: new RegExp(
+    `^(?:(?:tanggal|tgl\\.?)\\s*)?(\\d{1,2})\\s+(${MONTH_PATTERN})\\.?(?:\\s+(\\d{4}))?${END}`,
+    "iu"
+  ),
+  prefixedTime: new RegExp(
+    `^(?:jam|pukul|pkl\\.?|at|@)\\s*(\\d{1,2})(?:[:.](\\d{2}))?(?:\\s*(${PERIOD_PATTERN}))?${END}`,
+    "iu"
+  ),
+  clockTime: new RegExp(`^(\\d{1,2})[:.](\\d{2})(?:\\s*(${PERIOD_PATTERN}))?${END}`, "iu"),
+  periodTime: new RegExp(`^(\\d{1,2})\\s*(am|pm|a\\.m\\.|p\\.m\\.)${END}`, "iu"),
+};
+
+/**
+ * "minggu" tanpa kata "hari" di depannya berarti pekan, bukan hari Minggu ("minggu depan", "setiap minggu").
+ * @param {Array<string>} match - Hasil pola weekday/namedWeekday; nama hari ada di `match[dayIndex]`.
+ * @param {number} dayIndex
+ * @returns {boolean}
+ */
+const meansWeek = (match, dayIndex) =>
+  match[dayIndex].toLowerCase() === "minggu" && !/hari\s/i.test(match[0]);
+
+/**
+ * Mengubah jam 12-an menjadi 24 jam berdasarkan keterangan waktu ("7 malam" -> 19).
+ * @param {number} hour - Jam yang disebut (0-23).
+ * @param {string} [period] - am/pm/pagi/siang/sore/malam.
+ * @returns {number|null} Jam 0-23, atau null jika tidak masuk akal.
+ */
+function applyPeriod(hour, period) {
+  if (!period) return hour <= 23 ? hour : null;
+  if (hour > 12) return null;
+  switch (period.toLowerCase().replace(/\./g, "")) {
+    case "am":
+    case "pagi":
+      return hour === 12 ? 0 : hour;
+    case "siang":
+      return hour < 11 ? hour + 12 : hour; // "jam 11 siang" = 11, "jam 1 siang" = 13
+    case "malam":
+      return hour === 12 ? 0 : hour < 4 ? hour : hour + 12; // "jam 2 malam" = 02
+    default: // pm, sore
+      return hour === 12 ? 12 : hour + 12;
+  }
+}
+
+/**
+ * Mencoba membaca jam di awal teks.
+ * @param {string} text
+ * @returns {{hour: number, minute: number, length: number}|null}
+ */
+function matchTimeOfDay(text) {
+  for (const pattern of [PATTERNS.prefixedTime, PATTERNS.clockTime, PATTERNS.periodTime]) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const [, rawHour, rawMinute, rawPeriod] =
+      pattern === PATTERNS.periodTime ? [match[0], match[1], undefined, match[2]] : match;
+    const hour = applyPeriod(parseInt(rawHour, 10), rawPeriod);
+    const minute = rawMinute ? parseInt(rawMinute, 10) : 0;
+    if (hour === null || minute > 59) return null;
+    return { hour, minute, length: match[0].length };
+  }
+  return null;
+}
+
+/**
+ * Mencoba membaca aturan pengulangan setelah "setiap/tiap/every".
+ * @param {string} text
+ * @param {object} now - Moment saat ini di zona waktu pengguna.
+ * @returns {{recurrence: object, length: number}|null}
+ */
+function matchRecurrenceRule(text, now) {
+  let match;
+  if ((match = text.match(PATTERNS.workdays))) {
+    return { recurrence: { type: "weekdays" }, length: match[0].length };
+  }
+  if ((match = text.match(PATTERNS.weekday))) {
+    const weekday = meansWeek(match, 1) ? now.day() : WEEKDAYS[match[1].toLowerCase()];
+    return { recurrence: { type: "weekly", weekday }, length: match[0].length };
+  }
+  if ((match = text.match(PATTERNS.monthDay))) {
+    const dayOfMonth = parseInt(match[1], 10);
+    if (dayOfMonth < 1 || dayOfMonth > 31) return null;
+    return { recurrence: { type: "monthly", dayOfMonth }, length: match[0].length };
+  }
+  if ((match = text.match(PATTERNS.daily))) {
+    return { recurrence: { type: "daily" }, length: match[0].length };
+  }
+  if ((match = text.match(PATTERNS.week))) {
+    return { recurrence: { type: "weekly", weekday: now.day() }, length: match[0].length };
+  }
+  if ((match = text.match(PATTERNS.month))) {
+    return { recurrence: { type: "monthly", dayOfMonth: now.date() }, length: match[0].length };
+  }
+  return null;
+}
+
+/**
+ * Mengubah jumlah pada ungkapan relatif ("2", "se", "setengah", "an") menjadi angka.
+ * @param {string} amount
+ * @returns {number}
+ */
+function parseAmount(amount) {
+  const normalized = amount.toLowerCase();
+  if (/^\d+$/.test(normalized)) return parseInt(normalized, 10);
+  return /^(?:setengah|half)/.test(normalized) ? 0.5 : 1;
+}
+
+/**
+ * Mencoba membaca tanggal di awal teks.
+ * @param {string} text
+ * @param {object} now - Moment saat ini di zona waktu pengguna.
+ * @returns {{date: object, length: number, rollover?: string}|null} `rollover` menandai tanggal yang boleh
+ *   digeser ("week"/"year") jika jamnya ternyata sudah lewat.
+ */
+function matchDate(text, now) {
+  const today = now.clone().startOf("day");
+  let match;
+  if ((match = text.match(PATTERNS.today))) return { date: today, length: match[0].length };
+  if ((match = text.match(PATTERNS.dayAfterTomorrow))) {
+    return { date: today.clone().add(2, "days"), length: match[0].length };
+  }
+  if ((match = text.match(PATTERNS.tomorrow))) return { date: today.clone().add(1, "day"), length: match[0].length };
+
+  if ((match = text.match(PATTERNS.namedWeekday))) {
+    const [, englishModifier, dayName, indonesianModifier] = match;
+    const modifier = (englishModifier || indonesianModifier || "").toLowerCase();
+    if (meansWeek(match, 2) && modifier === "depan") {
+      return { date: today.clone().add(7, "days"), length: match[0].length }; // "minggu depan" = pekan depan
+    }
+    let daysAhead = (WEEKDAYS[dayName.toLowerCase()] - today.day() + 7) % 7;
+    if (modifier === "next" || modifier === "depan") {
+      daysAhead = daysAhead || 7; // "senin depan" pada hari Senin berarti Senin minggu depan
+      return { date: today.clone().add(daysAhead, "days"), length: match[0].length };
+    }
+    return { date: today.clone().add(daysAhead, "days"), length: match[0].length, rollover: "week" };
+  }
+
+  let year;
+  let month;
+  let day;
+  if ((match = text.match(PATTERNS.isoDate))) {
+    [year, month, day] = [parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)];
+  } else if ((match = text.match(PATTERNS.numericDate))) {
+    day = parseInt(match[1], 10);
+    month = parseInt(match[2], 10) - 1;
+    year = match[3] ? parseInt(match[3].length === 2 ? `20${match[3]}` : match[3], 10) : undefined;
+  } else if ((match = text.match(PATTERNS.namedDate))) {
+    day = parseInt(match[1], 10);
+    month = MONTHS[match[2].toLowerCase()];
+    year = match[3] ? parseInt(match[3], 10) : undefined;
+  } else {
+    return null;
+  }
+
+  const date = today.clone().set({ year: year ?? today.year(), month, date: day });
+  if (month < 0 || month > 11 || date.date() !== day || date.month() !== month) return null;
+  return { date, length: match[0].length, rollover: year === undefined ? "year" : undefined };
+}
+
+/**
+ * Mengecek aturan pengulangan yang dibaca dari penyimpanan atau file /import.
+ * @param {object} recurrence
+ * @returns {boolean}
+ */
+function isValidRecurrence(recurrence) {
+  if (!recurrence || typeof recurrence !== "object") return false;
+  const { type, hour, minute, weekday, dayOfMonth } = recurrence;
+  const inRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+  if (!inRange(hour, 0, 23) || !inRange(minute, 0, 59)) return false;
+  if (type === "weekly") return inRange(weekday, 0, 6);
+  if (type === "monthly") return inRange(dayOfMonth, 1, 31);
+  return type === "daily" || type === "weekdays";
+}
+
+/**
+ * Menghitung waktu berikutnya (setelah `after`) untuk aturan pengingat berulang.
+ * @param {{type: string, hour: number, minute: number, weekday?: number, dayOfMonth?: number}} recurrence
+ * @param {object} [after] - Moment acuan; jam pengingat dihitung di zona waktunya. Default sekarang di DEFAULT_TIMEZONE.
+ * @returns {object} Moment waktu pengingat berikutnya.
+ * @throws {Error} Jika aturannya tidak valid (lihat isValidRecurrence).
+ */
+function nextOccurrence(recurrence, after = getMoment()) {
+  if (!isValidRecurrence(recurrence)) {
+    throw new Error(`Aturan pengulangan tidak valid: ${JSON.stringify(recurrence)}`);
+  }
+  const reference = getMoment(after.valueOf(), (after.tz && after.tz()) || DEFAULT_TIMEZONE);
+  const atTime = (day) => day.clone().set({ hour: recurrence.hour, minute: recurrence.minute, second: 0, millisecond: 0 });
+
+  if (recurrence.type === "monthly") {
+    for (let offset = 0; ; offset++) {
+      const month = reference.clone().startOf("month").add(offset, "months");
+      const candidate = atTime(month.date(Math.min(recurrence.dayOfMonth, month.daysInMonth())));
+      if (candidate.isAfter(reference)) return candidate;
+    }
+  }
+
+  for (let offset = 0; ; offset++) {
+    const candidate = atTime(reference.clone().add(offset, "days"));
+    const weekday = candidate.day();
+    const dayMatches =
+      recurrence.type === "daily" ||
+      (recurrence.type === "weekdays" && weekday >= 1 && weekday <= 5) ||
+      (recurrence.type === "weekly" && weekday === recurrence.weekday);
+    if (dayMatches && candidate.isAfter(reference)) return candidate;
+  }
+}
+
+/**
+ * Membaca ungkapan waktu pengingat di awal teks.
+ * @param {string} text - Teks yang diawali ungkapan waktu, mis. "besok jam 7 minum obat".
+ * @param {object} [now] - Moment acuan di zona waktu pengguna; default sekarang di DEFAULT_TIMEZONE.
+ * @returns {{time: object, recurrence: object|null, length: number}|{error: string}|null}
+ *   `length` = jumlah karakter ungkapan waktu; `error` jika ungkapannya dikenali tapi tidak valid;
+ *   null jika teks tidak diawali ungkapan waktu.
+ */
+function matchReminderTime(text, now = getMoment()) {
+  let position = text.length - text.trimStart().length;
+  const rest = () => text.slice(position);
+  const skipSeparator = () => {
+    const separator = rest().match(PATTERNS.separator);
+    if (separator) position += separator[0].length;
+  };
+
+  let match;
+  if ((match = rest().match(PATTERNS.recurrencePrefix))) {
+    position += match[0].length;
+    const rule = matchRecurrenceRule(rest(), now);
+    if (!rule) return null;
+    position += rule.length;
+    const ruleEnd = position;
+    skipSeparator();
+    const timeOfDay = matchTimeOfDay(rest());
+    if (timeOfDay) position += timeOfDay.length;
+    else position = ruleEnd;
+    const recurrence = { ...rule.recurrence, ...(timeOfDay ? { hour: timeOfDay.hour, minute: timeOfDay.minute } : DEFAULT_TIME) };
+    return { time: nextOccurrence(recurrence, now), recurrence, length: position };
+  }
+
+  if ((match = rest().match(PATTERNS.relative))) {
+    const unit = RELATIVE_UNITS.find(([pattern]) => pattern.test(match[2].toLowerCase()))[1];
+    const minutes = parseAmount(match[1]) * unit;
+    if (minutes <= 0 || minutes > MAX_RELATIVE_MINUTES) return { error: "Jarak waktunya terlalu jauh." };
+    position += match[0].length;
+    const time = now.clone().add(minutes, "minutes").second(0);
+
+    // "3 hari lagi jam 9": untuk satuan hari/minggu, jam boleh disebut setelahnya.
+    const relativeEnd = position;
+    skipSeparator();
+    const timeOfDay = unit >= 24 * 60 ? matchTimeOfDay(rest()) : null;
+    if (timeOfDay) {
+      time.set({ hour: timeOfDay.hour, minute: timeOfDay.minute });
+      position += timeOfDay.length;
+    } else {
+      position = relativeEnd;
+    }
+    return { time, recurrence: null, length: position };
+  }
+
+  // Tanggal dan jam boleh muncul dalam urutan apa pun: "besok jam 7" atau "jam 7 besok".
+  let date = null;
+  let timeOfDay = null;
+  let end = position;
+  for (let part = 0; part < 2; part++) {
+    if (part > 0) skipSeparator();
+    if (!date && (date = matchDate(rest(), now))) {
+      position += date.length;
+    } else if (!timeOfDay && (timeOfDay = matchTimeOfDay(rest()))) {
+      position += timeOfDay.length;
+    } else {
+      break;
+    }
+    end = position;
+  }
+  if (!date && !timeOfDay) return null;
+
+  const { hour, minute } = timeOfDay || DEFAULT_TIME;
+  let time = (date ? date.date.clone() : now.clone()).set({ hour, minute, second: 0, millisecond: 0 });
+  if (!time.isAfter(now)) {
+    if (!date) time.add(1, "day"); // Jam saja yang sudah lewat berarti besok
+    else if (date.rollover) time.add(1, date.rollover);
+    else return { error: "Waktu tersebut sudah lewat." };
+  }
+  return { time, recurrence: null, length: end };
+}
+
+/**
+ * Membaca ungkapan waktu yang berdiri sendiri (seluruh teks harus berupa ungkapan waktu).
+ * @param {string} timeString - Mis. "30 menit lagi", "setiap hari jam 6".
+ * @param {object} [now] - Moment acuan di zona waktu pengguna; default sekarang di DEFAULT_TIMEZONE.
+ * @returns {{time: object, recurrence: object|null}|{error: string}|null}
+ */
+function parseReminderTime(timeString, now = getMoment()) {
+  const result = matchReminderTime(timeString || "", now);
+  if (!result || result.error) return result;
+  return timeString.slice(result.length).trim() === "" ? result : null;
+}
+
+/**
+ * Memisahkan ungkapan waktu dan isi pengingat dari teks /reminder.
+ * Kata penghubung seperti "untuk", "buat" atau "to" setelah waktu dibuang.
+ * @param {string} text - Mis. "besok jam 7 untuk minum obat".
+ * @param {object} [now] - Moment acuan di zona waktu pengguna; default sekarang di DEFAULT_TIMEZONE.
+ * @returns {{timeString: string, message: string}|null} Null jika teks tidak diawali ungkapan waktu.
+ */
+function splitReminderText(text, now = getMoment()) {
+  const result = matchReminderTime(text || "", now);
+  if (!result || result.error) return result ? { timeString: text.trim(), message: "" } : null;
+  return {
+    timeString: text.slice(0, result.length).trim(),
+    message: text
+      .slice(result.length)
+      .replace(/^[\s,:-]*(?:(?:untuk|buat|utk|to|for)(?=\s))?\s*/i, "")
+      .trim(),
+  };
+}
+
+/**
+ * Menjelaskan aturan pengulangan dalam Bahasa Indonesia, mis. "setiap Jumat pukul 09:00".
+ * @param {object} recurrence
+ * @returns {string}
+ */
+function describeRecurrence(recurrence) {
+  const time = `pukul ${String(recurrence.hour).padStart(2, "0")}:${String(recurrence.minute).padStart(2, "0")}`;
+  switch (recurrence.type) {
+    case "weekdays":
+      return `setiap hari kerja (Senin-Jumat) ${time}`;
+    case "weekly":
+      return `setiap ${WEEKDAY_NAMES[recurrence.weekday]} ${time}`;
+    case "monthly":
+      return `setiap tanggal ${recurrence.dayOfMonth} ${time}`;
+    default:
+      return `setiap hari ${time}`;
+  }
+}
+
+module.exports = {
+  matchReminderTime,
+  parseReminderTime,
+  splitReminderText,
+  nextOccurrence,
+  isValidRecurrence,
+  describeRecurrence,
+};
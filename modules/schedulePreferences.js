@@ -0,0 +1,384 @@
+// modules/schedulePreferences.js
+// Preferensi jadwal per pengguna untuk siaran terjadwal (salam, berita, hari libur, lagu, cuaca, shalat):
+// langganan per siaran, jam kirim, jam tenang dan zona waktu. Semuanya disimpan sebagai satu objek
+// di preferensi `schedule_prefs_<userId>`, dan hanya nilai yang berbeda dari default yang disimpan.
+// Dikelola lewat /jadwal; scheduler/cronSetup.js memanggil getDueBroadcasts setiap menit untuk setiap
+// pelanggan (modules/subscribers.js), sedangkan pengingat shalat dijadwalkan modules/ttsManager.js.
+
+const moment = require("moment-timezone");
+const memory = require("../data/memory");
+const globalState = require("../state/globalState");
+const { isFeatureEnabled } = require("../config/featureConfig");
+const { DEFAULT_TIMEZONE, isValidTimezone, getMoment } = require("../utils/timeHelper");
+const { callbackButton, inlineKeyboard } = require("../core/callbackRouter");
+const subscribers = require("./subscribers");
+const logger = require("../utils/logger");
+
+const SCHEDULE_CALLBACK_NAMESPACE = "sched";
+const MENU_BUTTON_TTL_MS = 60 * 60 * 1000; // Tombol menu /jadwal berlaku 1 jam
+const MAX_TIMES_PER_BROADCAST = 6;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * @const {object} BROADCASTS
+ * @description Siaran terjadwal yang bisa diatur pengguna. Kuncinya juga dipakai di perintah
+ * (/jadwal off berita); `times` adalah jam kirim default (null = dihitung sendiri, tidak bisa diubah),
+ * `feature` flag yang harus menyala.
+ */
+const BROADCASTS = {
+  salam: { label: "Salam voice note", emoji: "🎙️", times: ["07:00", "13:00", "21:00"], feature: "ENABLE_TTS_REMINDER" },
+  berita: { label: "Berita harian", emoji: "📰", times: ["08:00"], feature: "ENABLE_DAILY_NEWS" },
+  libur: { label: "Hari libur & peringatan", emoji: "🔔", times: ["07:00"], feature: "ENABLE_HOLIDAYS_REMINDER" },
+  lagu: { label: "Rekomendasi lagu", emoji: "🎶", times: ["22:00"], feature: "ENABLE_SONGS_NOTIFIER" },
+  cuaca: {
+    label: "Laporan cuaca",
+    emoji: "🌸",
+    times: ["00:00", "05:00", "10:00", "15:00", "20:00"],
+    feature: "ENABLE_WEATHER_REMINDER",
+  },
+  shalat: { label: "Pengingat shalat", emoji: "🕌", times: null, feature: "ENABLE_TTS_REMINDER" },
+};
+
+// Singkatan zona waktu Indonesia yang diterima selain nama IANA.
+const TIMEZONE_ALIASES = { WIB: "Asia/Jakarta", WITA: "Asia/Makassar", WIT: "Asia/Jayapura" };
+
+/**
+ * Mengubah input jam pengguna ("7", "7.30", "07:30") menjadi "HH:mm".
+ * @param {string} text - Jam yang diketik pengguna.
+ * @returns {string|null} Jam dalam format HH:mm, atau null jika tidak valid.
+ */
+function parseTime(text) {
+  const [, hour, minute = "00"] = String(text || "").trim().match(/^(\d{1,2})(?:[:.](\d{2}))?$/) || [];
+  if (hour === undefined) return null;
+  const time = `${hour.padStart(2, "0")}:${minute}`;
+  return TIME_PATTERN.test(time) ? time : null;
+}
+
+/**
+ * Mengenali nama zona waktu: singkatan WIB/WITA/WIT atau nama IANA (tidak peka huruf besar).
+ * @param {string} name - Nama zona dari pengguna.
+ * @returns {string|null} Nama IANA kanonik, atau null jika tidak dikenal.
+ */
+function normalizeTimezone(name) {
+  const text = String(name || "").trim();
+  const alias = TIMEZONE_ALIASES[text.toUpperCase()];
+  if (alias) return alias;
+  const zone = moment.tz.zone(text);
+  return zone ? zone.name : null;
+}
+
+/**
+ * Mengenali nama siaran.
+ * @param {string} name - Nama siaran, mis. "berita".
+ * @returns {string|null} Kunci di BROADCASTS, atau null jika tidak dikenal.
+ */
+function normalizeBroadcast(name) {
+  const key = String(name || "").trim().toLowerCase();
+  return BROADCASTS[key] ? key : null;
+}
+
+/**
+ * Mengecek apakah jam kirim sebuah siaran bisa diatur pengguna (pengingat shalat mengikuti waktu shalat).
+ * @param {string} name - Kunci siaran.
+ * @returns {boolean}
+ */
+function hasTimes(name) {
+  return !!BROADCASTS[name]?.times;
+}
+
+/**
+ * Siaran yang fiturnya sedang menyala di server ini.
+ * @returns {Array<string>} Kunci BROADCASTS.
+ */
+function getAvailableBroadcasts() {
+  return Object.keys(BROADCASTS).filter((name) => isFeatureEnabled(BROADCASTS[name].feature));
+}
+
+/**
+ * Mengecek bentuk preferensi tersimpan (dipakai juga saat /import).
+ * @param {*} value - Nilai preferensi `schedule_prefs_<userId>`.
+ * @returns {boolean}
+ */
+function isValidSchedulePreferences(value) {
+  const isObject = (item) => item !== null && typeof item === "object" && !Array.isArray(item);
+  const isTimeList = (times) =>
+    Array.isArray(times) && times.length > 0 && times.length <= MAX_TIMES_PER_BROADCAST &&
+    times.every((time) => TIME_PATTERN.test(time));
+
+  if (!isObject(value)) return false;
+  if (value.timezone !== undefined && !isValidTimezone(value.timezone)) return false;
+  if (value.quietHours !== undefined &&
+      !(isObject(value.quietHours) && TIME_PATTERN.test(value.quietHours.start) && TIME_PATTERN.test(value.quietHours.end))) {
+    return false;
+  }
+  if (value.broadcasts === undefined) return true;
+  if (!isObject(value.broadcasts)) return false;
+  return Object.entries(value.broadcasts).every(([name, broadcast]) =>
+    BROADCASTS[name] && isObject(broadcast) &&
+    (broadcast.enabled === undefined || typeof broadcast.enabled === "boolean") &&
+    (broadcast.times === undefined || (BROADCASTS[name].times !== null && isTimeList(broadcast.times)))
+  );
+}
+
+/**
+ * Membaca preferensi tersimpan seorang pengguna; nilai rusak dianggap kosong.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {Promise<object>}
+ */
+async function loadStoredPreferences(userId) {
+  const stored = await memory.getPreference(`${globalState.SCHEDULE_PREFS_PREFIX}${userId}`);
+  return isValidSchedulePreferences(stored) ? stored : {};
+}
+
+/**
+ * Menggabungkan preferensi tersimpan dengan default.
+ * @param {object} stored - Preferensi tersimpan (boleh kosong).
+ * @returns {{timezone: string, quietHours: {start: string, end: string}|null, broadcasts: object}}
+ *   `broadcasts` berisi `{enabled, times, isDefaultTimes}` untuk setiap siaran.
+ */
+function resolvePreferences(stored) {
+  const broadcasts = {};
+  for (const [name, defaults] of Object.entries(BROADCASTS)) {
+    const saved = stored.broadcasts?.[name] || {};
+    broadcasts[name] = {
+      enabled: saved.enabled !== false,
+      times: saved.times || defaults.times,
+      isDefaultTimes: !saved.times,
+    };
+  }
+  return {
+    timezone: stored.timezone || DEFAULT_TIMEZONE,
+    quietHours: stored.quietHours || null,
+    broadcasts,
+  };
+}
+
+/**
+ * Preferensi jadwal lengkap sebuah chat penerima siaran (default untuk yang belum diatur).
+ * Chat pribadi memakai ID pengguna; grup memakai ID grupnya.
+ * @param {string|number} userId - ID chat (di chat pribadi sama dengan ID pengguna).
+ * @returns {Promise<object>} Lihat resolvePreferences.
+ */
+async function getSchedulePreferences(userId) {
+  return resolvePreferences(await loadStoredPreferences(userId));
+}
+
+/**
+ * Zona waktu pilihan pengguna, atau DEFAULT_TIMEZONE.
+ * @param {string|number} [userId] - ID pengguna Telegram.
+ * @returns {Promise<string>}
+ */
+async function getUserTimezone(userId) {
+  if (userId === undefined || userId === null) return DEFAULT_TIMEZONE;
+  return (await loadStoredPreferences(userId)).timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Mengubah preferensi tersimpan lalu menyimpannya; objek yang kosong dihapus.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {function(object): void} change - Mengubah salinan preferensi tersimpan.
+ * @returns {Promise<object>} Preferensi baru (lihat resolvePreferences).
+ */
+async function updateStoredPreferences(userId, change) {
+  const key = `${globalState.SCHEDULE_PREFS_PREFIX}${userId}`;
+  const stored = JSON.parse(JSON.stringify(await loadStoredPreferences(userId)));
+  stored.broadcasts = stored.broadcasts || {};
+  change(stored);
+
+  for (const [name, broadcast] of Object.entries(stored.broadcasts)) {
+    if (Object.keys(broadcast).length === 0) delete stored.broadcasts[name];
+  }
+  if (Object.keys(stored.broadcasts).length === 0) delete stored.broadcasts;
+
+  if (Object.keys(stored).length === 0) {
+    await memory.deletePreference(key);
+  } else {
+    await memory.savePreference(key, stored);
+  }
+  logger.info({ event: "schedule_preferences_updated", userId }, "[Jadwal] Preferensi jadwal diperbarui.");
+  return resolvePreferences(stored);
+}
+
+/**
+ * Berlangganan atau berhenti dari satu siaran.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {string} name - Kunci siaran (lihat BROADCASTS).
+ * @param {boolean} enabled - True untuk berlangganan.
+ * @returns {Promise<object>} Preferensi baru.
+ */
+function setBroadcastEnabled(userId, name, enabled) {
+  return updateStoredPreferences(userId, (stored) => {
+    const broadcast = { ...stored.broadcasts[name] };
+    if (enabled) delete broadcast.enabled;
+    else broadcast.enabled = false;
+    stored.broadcasts[name] = broadcast;
+  });
+}
+
+/**
+ * Mengganti jam kirim sebuah siaran.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {string} name - Kunci siaran dengan jam tetap (lihat hasTimes).
+ * @param {Array<string>|null} times - Jam "HH:mm"; null atau kosong kembali ke default.
+ * @returns {Promise<object>} Preferensi baru.
+ */
+function setBroadcastTimes(userId, name, times) {
+  const unique = [...new Set(times || [])].sort().slice(0, MAX_TIMES_PER_BROADCAST);
+  return updateStoredPreferences(userId, (stored) => {
+    const broadcast = { ...stored.broadcasts[name] };
+    if (unique.length === 0 || unique.join() === BROADCASTS[name].times.join()) delete broadcast.times;
+    else broadcast.times = unique;
+    stored.broadcasts[name] = broadcast;
+  });
+}
+
+/**
+ * Mengatur jam tenang; selama jam tenang tidak ada siaran yang dikirim.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {{start: string, end: string}|null} quietHours - Rentang "HH:mm" (boleh melewati tengah malam); null mematikan.
+ * @returns {Promise<object>} Preferensi baru.
+ */
+function setQuietHours(userId, quietHours) {
+  return updateStoredPreferences(userId, (stored) => {
+    if (quietHours && quietHours.start !== quietHours.end) stored.quietHours = { start: quietHours.start, end: quietHours.end };
+    else delete stored.quietHours;
+  });
+}
+
+/**
+ * Mengganti zona waktu pengguna.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @param {string|null} timezone - Nama IANA yang valid; null kembali ke DEFAULT_TIMEZONE.
+ * @returns {Promise<object>} Preferensi baru.
+ */
+function setTimezone(userId, timezone) {
+  return updateStoredPreferences(userId, (stored) => {
+    if (timezone && timezone !== DEFAULT_TIMEZONE) stored.timezone = timezone;
+    else delete stored.timezone;
+  });
+}
+
+/**
+ * Mengecek apakah sebuah waktu lokal jatuh di jam tenang.
+ * @param {{start: string, end: string}|null} quietHours - Rentang jam tenang.
+ * @param {string} localTime - Waktu lokal "HH:mm".
+ * @returns {boolean}
+ */
+function isQuietTime(quietHours, localTime) {
+  if (!quietHours) return false;
+  const { start, end } = quietHours;
+  // Rentang seperti 22:00-06:00 melewati tengah malam.
+  return start < end ? localTime >= start && localTime < end : localTime >= start || localTime < end;
+}
+
+/**
+ * Siaran yang jatuh tempo untuk seorang pengguna pada menit ini.
+ * @param {object} preferences - Hasil getSchedulePreferences.
+ * @param {Date} [now=new Date()] - Waktu acuan.
+ * @returns {Array<string>} Kunci siaran yang harus dikirim sekarang.
+ */
+function getDueBroadcasts(preferences, now = new Date()) {
+  const localTime = getMoment(now, preferences.timezone).format("HH:mm");
+  if (isQuietTime(preferences.quietHours, localTime)) return [];
+  return getAvailableBroadcasts().filter((name) => {
+    const broadcast = preferences.broadcasts[name];
+    return broadcast.enabled && !!broadcast.times && broadcast.times.includes(localTime);
+  });
+}
+
+/**
+ * Menyusun teks ringkasan pengaturan /jadwal.
+ * @param {object} preferences - Hasil getSchedulePreferences.
+ * @returns {string}
+ */
+function formatSchedulePreferences(preferences) {
+  const lines = getAvailableBroadcasts().map((name) => {
+    const { label, emoji } = BROADCASTS[name];
+    const { enabled, times, isDefaultTimes } = preferences.broadcasts[name];
+    const schedule = times ? `${times.join(", ")}${isDefaultTimes ? "" : " ✏️"}` : "mengikuti /jadwalsholat";
+    return `${enabled ? "✅" : "❌"} ${emoji} ${label} (${name}) — ${schedule}`;
+  });
+  const quiet = preferences.quietHours ? `${preferences.quietHours.start}–${preferences.quietHours.end}` : "tidak ada";
+
+  return (
+    "⏰ Jadwal siaran Lumina\n\n" +
+    `🌏 Zona waktu: ${preferences.timezone} (sekarang ${getMoment(undefined, preferences.timezone).format("HH:mm")})\n` +
+    `🤫 Jam tenang: ${quiet}\n\n` +
+    (lines.length > 0 ? lines.join("\n") : "Belum ada siaran terjadwal yang aktif di server ini.") +
+    "\n\nKetuk tombol untuk berlangganan atau berhenti. Pengaturan lain:\n" +
+    "/jadwal waktu <siaran> 07:30 19:00 (atau \"default\")\n" +
+    "/jadwal tenang 22:00-06:00 (atau \"off\")\n" +
+    "/jadwal zona WIB|WITA|WIT|Asia/Tokyo (atau \"default\")\n" +
+    "/jadwal on|off <siaran>\n\n" +
+    "Pengingat pribadi dan pengingat shalat tidak terpengaruh jam tenang."
+  );
+}
+
+/**
+ * Menyusun menu /jadwal: ringkasan pengaturan dan tombol berlangganan per siaran.
+ * @param {string|number} chatId - Chat penerima siaran yang diatur.
+ * @param {string|number} userId - ID pengguna Telegram; hanya dia yang bisa memakai tombolnya.
+ * @param {object} [preferences] - Preferensi yang sudah dibaca; dibaca ulang jika tidak diberikan.
+ * @returns {Promise<{text: string, replyMarkup: object|null}>}
+ */
+async function buildScheduleMenu(chatId, userId, preferences) {
+  const current = preferences || (await getSchedulePreferences(chatId));
+  let text = formatSchedulePreferences(current);
+  if (!(await subscribers.isSubscribed(chatId))) {
+    text += "\n\nℹ️ Chat ini belum berlangganan siaran. Ketik /start untuk mulai menerimanya.";
+  }
+
+  const buttons = getAvailableBroadcasts().map((name) =>
+    callbackButton(
+      `${current.broadcasts[name].enabled ? "✅" : "❌"} ${BROADCASTS[name].label}`,
+      SCHEDULE_CALLBACK_NAMESPACE,
+      "toggle",
+      [name],
+      { userId, ttlMs: MENU_BUTTON_TTL_MS }
+    )
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  return { text, replyMarkup: inlineKeyboard(rows) };
+}
+
+/**
+ * Menangani tombol menu /jadwal (namespace "sched"): membalik langganan sebuah siaran di chat tempat
+ * menu itu dibuka. Tombolnya hanya bisa dipakai pembuka menu, yang di grup sudah dicek sebagai admin.
+ * @param {{chatId: number, userId: number, action: string, args: Array<string>}} context - Dari core/callbackRouter.js.
+ * @returns {Promise<object>} Hasil untuk callback router.
+ */
+async function handleScheduleCallback({ chatId, userId, action, args }) {
+  const name = normalizeBroadcast(args[0]);
+  if (action !== "toggle" || !name) {
+    return { text: "Tombol ini tidak dikenali." };
+  }
+  const enabled = !(await getSchedulePreferences(chatId)).broadcasts[name].enabled;
+  const preferences = await setBroadcastEnabled(chatId, name, enabled);
+  return {
+    text: `${BROADCASTS[name].label} ${enabled ? "dinyalakan" : "dimatikan"}.`,
+    edit: await buildScheduleMenu(chatId, userId, preferences),
+  };
+}
+
+module.exports = {
+  BROADCASTS: Object.keys(BROADCASTS),
+  SCHEDULE_CALLBACK_NAMESPACE,
+  MAX_TIMES_PER_BROADCAST,
+  parseTime,
+  normalizeTimezone,
+  normalizeBroadcast,
+  hasTimes,
+  getAvailableBroadcasts,
+  isValidSchedulePreferences,
+  getSchedulePreferences,
+  getUserTimezone,
+  setBroadcastEnabled,
+  setBroadcastTimes,
+  setQuietHours,
+  setTimezone,
+  isQuietTime,
+  getDueBroadcasts,
+  buildScheduleMenu,
+  handleScheduleCallback,
+};
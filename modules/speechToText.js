@@ -0,0 +1,129 @@
+// modules/speechToText.js
+// Speech-to-text layer for voice notes. Every engine takes an audio file on disk and resolves
+// with the transcript; which engine is used is read from config.stt.
+//   groq       - OpenAI-compatible POST /audio/transcriptions (Groq by default, or any server at STT_API_URL)
+//   whispercpp - a local whisper.cpp binary; the audio is converted to 16 kHz mono WAV with ffmpeg first
+
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const axios = require("axios");
+const FormData = require("form-data");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+const execFileAsync = promisify(execFile);
+
+// Telegram voice notes are OGG/Opus saved as ".oga", which transcription APIs don't recognise.
+const UPLOAD_EXTENSIONS = { ".oga": ".ogg", ".opus": ".ogg" };
+
+/**
+ * Sends the audio to an OpenAI-compatible transcription endpoint.
+ * @param {string} filePath - Audio file to transcribe.
+ * @returns {Promise<string>} The transcript.
+ */
+const transcribeWithApi = async (filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+  const form = new FormData();
+  form.append("file", fs.createReadStream(filePath), {
+    filename: `audio${UPLOAD_EXTENSIONS[extension] || extension || ".ogg"}`,
+  });
+  form.append("model", config.stt.model);
+  form.append("response_format", "json");
+  if (config.stt.language) form.append("language", config.stt.language);
+
+  const response = await axios.post(config.stt.apiUrl, form, {
+    headers: { ...form.getHeaders(), Authorization: `Bearer ${config.stt.apiKey}` },
+    timeout: config.stt.timeoutMs,
+    maxBodyLength: Infinity,
+  });
+  return response.data?.text || "";
+};
+
+/**
+ * Transcribes the audio with a local whisper.cpp binary.
+ * @param {string} filePath - Audio file to transcribe.
+ * @returns {Promise<string>} The transcript.
+ */
+const transcribeWithWhisperCpp = async (filePath) => {
+  const base = filePath.replace(/\.[^./\\]+$/, "");
+  const wavPath = `${base}.stt.wav`;
+  const options = { timeout: config.stt.timeoutMs };
+  try {
+    await execFileAsync(
+      config.stt.ffmpegPath,
+      ["-y", "-loglevel", "error", "-i", filePath, "-ar", "16000", "-ac", "1", "-c:a", "pcm_s16le", wavPath],
+      options
+    );
+    await execFileAsync(
+      config.stt.whisperCppPath,
+      [
+        "-m", config.stt.whisperCppModel,
+        "-f", wavPath,
+        "-l", config.stt.language || "auto",
+        "-nt", "-np",
+        "-otxt", "-of", base,
+      ],
+      options
+    );
+    return await fs.promises.readFile(`${base}.txt`, "utf8");
+  } finally {
+    await Promise.all([wavPath, `${base}.txt`].map((file) => fs.promises.rm(file, { force: true })));
+  }
+};
+
+/**
+ * @const {object} ENGINES
+ * @description Registry of speech-to-text engines.
+ */
+const ENGINES = {
+  groq: {
+    transcribe: transcribeWithApi,
+    isConfigured: () => !!(config.stt.apiUrl && config.stt.apiKey),
+  },
+  whispercpp: {
+    transcribe: transcribeWithWhisperCpp,
+    isConfigured: () => !!config.stt.whisperCppModel,
+  },
+};
+
+/**
+ * Whether the configured engine exists and has what it needs to run.
+ * @returns {boolean}
+ */
+const isSpeechToTextAvailable = () => {
+  const engine = ENGINES[config.stt.engine];
+  return !!engine && engine.isConfigured();
+};
+
+/**
+ * Transcribes an audio file with the configured engine.
+ * @param {string} filePath - Audio file to transcribe (OGG/Opus, MP3, M4A, WAV, ...).
+ * @returns {Promise<string>} The transcript with whitespace collapsed; empty if nothing was recognised.
+ * @throws {Error} If the engine is unknown or not configured, or transcription fails.
+ */
+const transcribeAudio = async (filePath) => {
+  const engineName = config.stt.engine;
+  const engine = ENGINES[engineName];
+  if (!engine) {
+    throw new Error(`Unknown STT engine: ${engineName}. Options: ${Object.keys(ENGINES).join(", ")}.`);
+  }
+  if (!engine.isConfigured()) {
+    throw new Error(`STT engine "${engineName}" is selected but not configured.`);
+  }
+
+  const startedAt = Date.now();
+  const transcript = (await engine.transcribe(filePath)).replace(/\s+/g, " ").trim();
+  logger.info(
+    { event: "stt_transcribed", engine: engineName, durationMs: Date.now() - startedAt, length: transcript.length },
+    `[STT] Audio transcribed with ${engineName}.`
+  );
+  return transcript;
+};
+
+module.exports = {
+  ENGINES: Object.keys(ENGINES),
+  isSpeechToTextAvailable,
+  transcribeAudio,
+};
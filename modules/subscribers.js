@@ -0,0 +1,93 @@
+// modules/subscribers.js
+// Daftar chat yang menerima siaran terjadwal (salam, berita, hari libur, lagu, cuaca, pengingat shalat).
+// Chat bergabung dengan /start dan keluar dengan /stop; chat yang memblokir Lumina dikeluarkan otomatis
+// oleh utils/broadcastQueue.js. Setiap chat disimpan di preferensi `subscriber_<chatId>`. Catatan chat
+// yang berhenti tetap disimpan (dengan `stoppedAt`) agar TARGET_CHAT_ID tidak didaftarkan ulang saat restart.
+
+const memory = require("../data/memory");
+const globalState = require("../state/globalState");
+const logger = require("../utils/logger");
+
+/**
+ * Mengecek bentuk catatan pelanggan (dipakai juga saat /import).
+ * @param {*} value - Nilai preferensi `subscriber_<chatId>`.
+ * @returns {boolean}
+ */
+function isValidSubscriberRecord(value) {
+  return (
+    value !== null && typeof value === "object" && !Array.isArray(value) &&
+    typeof value.subscribedAt === "string" &&
+    (value.stoppedAt === undefined || typeof value.stoppedAt === "string")
+  );
+}
+
+/**
+ * Mengecek apakah sebuah chat sedang berlangganan.
+ * @param {string|number} chatId - ID chat Telegram.
+ * @returns {Promise<boolean>}
+ */
+async function isSubscribed(chatId) {
+  const record = await memory.getPreference(`${globalState.SUBSCRIBER_PREFIX}${chatId}`);
+  return isValidSubscriberRecord(record) && !record.stoppedAt;
+}
+
+/**
+ * Mendaftarkan sebuah chat sebagai pelanggan siaran.
+ * @param {string|number} chatId - ID chat Telegram.
+ * @returns {Promise<boolean>} True jika chat baru berlangganan, false jika sudah berlangganan.
+ */
+async function subscribe(chatId) {
+  if (await isSubscribed(chatId)) return false;
+  await memory.savePreference(`${globalState.SUBSCRIBER_PREFIX}${chatId}`, {
+    subscribedAt: new Date().toISOString(),
+  });
+  logger.info({ event: "subscriber_added", chatId }, "[Subscribers] Chat mulai berlangganan siaran.");
+  return true;
+}
+
+/**
+ * Mengeluarkan sebuah chat dari daftar pelanggan.
+ * @param {string|number} chatId - ID chat Telegram.
+ * @param {string} [reason="stop"] - "stop" (/stop) atau "blocked" (Telegram menjawab 403).
+ * @returns {Promise<boolean>} True jika chat tadinya berlangganan.
+ */
+async function unsubscribe(chatId, reason = "stop") {
+  const key = `${globalState.SUBSCRIBER_PREFIX}${chatId}`;
+  const record = await memory.getPreference(key);
+  if (!isValidSubscriberRecord(record) || record.stoppedAt) return false;
+  await memory.savePreference(key, { ...record, stoppedAt: new Date().toISOString(), reason });
+  logger.info({ event: "subscriber_removed", chatId, reason }, "[Subscribers] Chat berhenti berlangganan siaran.");
+  return true;
+}
+
+/**
+ * ID semua chat yang sedang berlangganan.
+ * @returns {Promise<Array<string>>}
+ */
+async function getSubscriberIds() {
+  const entries = await memory.getPreferencesByPrefix(globalState.SUBSCRIBER_PREFIX);
+  return entries
+    .filter(({ value }) => isValidSubscriberRecord(value) && !value.stoppedAt)
+    .map(({ key }) => key.slice(globalState.SUBSCRIBER_PREFIX.length));
+}
+
+/**
+ * Mendaftarkan TARGET_CHAT_ID lama sekali saja, agar instalasi satu-chat tetap menerima siaran
+ * tanpa harus mengetik /start. Chat yang pernah /stop tidak didaftarkan ulang.
+ * @param {string|number} [chatId] - TARGET_CHAT_ID dari config.
+ * @returns {Promise<void>}
+ */
+async function ensureDefaultSubscriber(chatId) {
+  if (!chatId) return;
+  const record = await memory.getPreference(`${globalState.SUBSCRIBER_PREFIX}${chatId}`);
+  if (record === undefined || record === null) await subscribe(chatId);
+}
+
+module.exports = {
+  isValidSubscriberRecord,
+  isSubscribed,
+  subscribe,
+  unsubscribe,
+  getSubscriberIds,
+  ensureDefaultSubscriber,
+};
@@ -0,0 +1,174 @@
+// modules/textToSpeech.js
+// Text-to-speech layer for voice replies. Every engine turns text into an audio file; the result is
+// converted to OGG/Opus, the only format Telegram shows as a voice note. Which engine is used is read
+// from config.tts.
+//   espeak - local espeak-ng (robotic, but available almost everywhere)
+//   piper  - local Piper neural TTS with a downloaded .onnx voice
+//   api    - OpenAI-compatible POST /audio/speech
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { spawn, execFile } = require("child_process");
+const { promisify } = require("util");
+const axios = require("axios");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+const execFileAsync = promisify(execFile);
+
+const TEMP_DIR = path.join(__dirname, "..", "temp"); // Cleaned up by scheduler/maintenance.js as well
+
+/**
+ * Runs a command that reads its input from stdin.
+ * @param {string} command - Executable to run.
+ * @param {Array<string>} args - Command-line arguments.
+ * @param {string} input - Text written to stdin.
+ * @returns {Promise<void>} Resolves when the command exits with code 0.
+ */
+const runWithInput = (command, args, input) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["pipe", "ignore", "pipe"] });
+    let stderr = "";
+    const timer = setTimeout(() => child.kill("SIGKILL"), config.tts.timeoutMs);
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`${command} exited with ${signal || code}: ${stderr.trim().slice(0, 300)}`));
+    });
+    child.stdin.end(input);
+  });
+
+/**
+ * @const {object} ENGINES
+ * @description Registry of text-to-speech engines. `synthesize(text, outputPath)` writes the audio to
+ * `outputPath`, which ends in the engine's `extension`.
+ */
+const ENGINES = {
+  espeak: {
+    extension: ".wav",
+    synthesize: (text, outputPath) =>
+      runWithInput(config.tts.espeakPath, ["-v", config.tts.espeakVoice, "-w", outputPath, "--stdin"], text),
+    isConfigured: () => !!config.tts.espeakPath,
+  },
+  piper: {
+    extension: ".wav",
+    synthesize: (text, outputPath) =>
+      runWithInput(config.tts.piperPath, ["--model", config.tts.piperModel, "--output_file", outputPath], text),
+    isConfigured: () => !!config.tts.piperModel,
+  },
+  api: {
+    extension: ".audio",
+    synthesize: async (text, outputPath) => {
+      const response = await axios.post(
+        config.tts.apiUrl,
+        { model: config.tts.model, voice: config.tts.voice, input: text, response_format: "opus" },
+        {
+          headers: { Authorization: `Bearer ${config.tts.apiKey}` },
+          responseType: "arraybuffer",
+          timeout: config.tts.timeoutMs,
+        }
+      );
+      await fs.writeFile(outputPath, Buffer.from(response.data));
+    },
+    isConfigured: () => !!(config.tts.apiUrl && config.tts.apiKey),
+  },
+};
+
+/**
+ * Whether the configured engine exists and has what it needs to run.
+ * Local binaries are only found when they are actually run.
+ * @returns {boolean}
+ */
+const isTextToSpeechAvailable = () => {
+  const engine = ENGINES[config.tts.engine];
+  return !!engine && engine.isConfigured();
+};
+
+/**
+ * Turns a (Markdown) reply into something worth reading aloud: code blocks, links, formatting
+ * markers and emoji are dropped, and long texts are cut at a sentence boundary.
+ * @param {string} text - Reply text.
+ * @returns {string}
+ */
+const prepareSpeechText = (text) => {
+  const spoken = String(text || "")
+    .replace(/```[\s\S]*?```/g, " ")
+    .replace(/\[([^\]\n]+)\]\([^)\s]+\)/g, "$1")
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/[`*_~#>|]/g, "")
+    .replace(/[\p{Extended_Pictographic}\u{FE0F}\u{200D}]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (spoken.length <= config.tts.maxChars) return spoken;
+
+  const cut = spoken.slice(0, config.tts.maxChars);
+  const sentenceEnd = Math.max(cut.lastIndexOf(". "), cut.lastIndexOf("! "), cut.lastIndexOf("? "));
+  return sentenceEnd > config.tts.maxChars / 2 ? cut.slice(0, sentenceEnd + 1) : cut;
+};
+
+/**
+ * Converts any audio file to mono OGG/Opus for Telegram's sendVoice.
+ * @param {string} inputPath - Audio produced by an engine.
+ * @param {string} outputPath - Where to write the .ogg file.
+ */
+const convertToOpus = async (inputPath, outputPath) => {
+  await execFileAsync(
+    config.tts.ffmpegPath,
+    ["-y", "-loglevel", "error", "-i", inputPath, "-ac", "1", "-c:a", "libopus", "-b:a", "32k", outputPath],
+    { timeout: config.tts.timeoutMs }
+  );
+};
+
+/**
+ * Speaks a text with the configured engine.
+ * @param {string} text - Text to speak; Markdown is cleaned up first.
+ * @returns {Promise<Buffer|null>} OGG/Opus audio, or null if there is nothing to say.
+ * @throws {Error} If the engine is unknown or not configured, or synthesis/conversion fails.
+ */
+const synthesizeSpeech = async (text) => {
+  const engineName = config.tts.engine;
+  const engine = ENGINES[engineName];
+  if (!engine) {
+    throw new Error(`Unknown TTS engine: ${engineName}. Options: ${Object.keys(ENGINES).join(", ")}.`);
+  }
+  if (!engine.isConfigured()) {
+    throw new Error(`TTS engine "${engineName}" is selected but not configured.`);
+  }
+
+  const spoken = prepareSpeechText(text);
+  if (!spoken) return null;
+
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+  const basePath = path.join(TEMP_DIR, `tts_${crypto.randomBytes(8).toString("hex")}`);
+  // Both paths are known up front, so a file left behind by a failed engine or ffmpeg run is still removed.
+  const audioPath = `${basePath}${engine.extension}`;
+  const oggPath = `${basePath}.ogg`;
+  const startedAt = Date.now();
+  try {
+    await engine.synthesize(spoken, audioPath);
+    await convertToOpus(audioPath, oggPath);
+    const audio = await fs.readFile(oggPath);
+    logger.info(
+      { event: "tts_synthesized", engine: engineName, durationMs: Date.now() - startedAt, length: spoken.length },
+      `[TTS] Reply spoken with ${engineName}.`
+    );
+    return audio;
+  } finally {
+    await Promise.all([audioPath, oggPath].map((file) => fs.rm(file, { force: true })));
+  }
+};
+
+module.exports = {
+  ENGINES: Object.keys(ENGINES),
+  isTextToSpeechAvailable,
+  prepareSpeechText,
+  synthesizeSpeech,
+};
@@ -1,11 +1,21 @@
 // modules/ttsManager.js
-// Local version 
+// Voice note Lumina: salam & pengingat shalat terjadwal dari file lokal di assets/voice, dan balasan
+// AI yang diucapkan lewat modules/textToSpeech.js untuk pengguna yang menyalakan /voice.
 
 const schedule = require('node-schedule');
 const path = require('path');
 const fs = require('fs');
 const sendMessage = require('../utils/sendMessage');
 const config = require('../config/config');
+const memory = require('../data/memory');
+const globalState = require('../state/globalState');
+const textToSpeech = require('./textToSpeech');
+const prayerTimes = require('./prayerTimes');
+const subscribers = require('./subscribers');
+const schedulePreferences = require('./schedulePreferences');
+const { enqueueBroadcast } = require('../utils/broadcastQueue');
+const logger = require('../utils/logger');
+const Sentry = require('@sentry/node');
 
 // Map nama file voice note ke nama file di folder lokal
 const VOICE_NOTE_FILES = {
@@ -13,21 +23,25 @@ const VOICE_NOTE_FILES = {
     selamatSiang: 'siang.ogg',
     selamatMalam: 'malam.ogg',
 
-    shalatSubuh: 'subuh.ogg',
+    shalatSubuh: 'shubuh.ogg',
     shalatDzuhur: 'dzuhur.ogg',
     shalatAshar: 'ashar.ogg',
     shalatMaghrib: 'maghrib.ogg',
     shalatIsya: 'isya.ogg'
 };
 
-const PrayerTimes = {
-    Subuh: { hour: 4, minute: 40, emoji: '🌙', file: 'shalatSubuh' },
-    Dzuhur: { hour: 11, minute: 45, emoji: '☀️', file: 'shalatDzuhur' },
-    Ashar: { hour: 14, minute: 45, emoji: '⛅', file: 'shalatAshar' },
-    Maghrib: { hour: 17, minute: 30, emoji: '🌇', file: 'shalatMaghrib' },
-    Isya: { hour: 19, minute: 0, emoji: '🌌', file: 'shalatIsya' }
+// Voice note per waktu shalat. Jamnya dihitung ulang setiap hari dari lokasi (modules/prayerTimes.js).
+const PRAYER_VOICE_NOTES = {
+    Subuh: { emoji: '🌙', file: 'shalatSubuh' },
+    Dzuhur: { emoji: '☀️', file: 'shalatDzuhur' },
+    Ashar: { emoji: '⛅', file: 'shalatAshar' },
+    Maghrib: { emoji: '🌇', file: 'shalatMaghrib' },
+    Isya: { emoji: '🌌', file: 'shalatIsya' }
 };
 
+// Job voice note shalat hari ini per chat (chatId -> job); diganti setiap kali jadwal dihitung ulang.
+const prayerJobs = new Map();
+
 const getVoiceStream = (filename) => {
     const fullPath = path.join(__dirname, '../assets/voice/', filename);
     if (!fs.existsSync(fullPath)) {
@@ -37,49 +51,190 @@ const getVoiceStream = (filename) => {
     return fs.createReadStream(fullPath);
 };
 
-const sendVoiceFromLocal = (bot, chatId, filename, caption) => {
+/**
+ * Mengirim voice note dari folder assets/voice. Error Telegram diteruskan ke pemanggil
+ * (utils/broadcastQueue.js menangani 403 dan 429).
+ * @param {object} bot Instance bot Telegram.
+ * @param {string|number} chatId Chat tujuan.
+ * @param {string} filename Nama file di assets/voice.
+ * @param {string} [caption] Caption voice note.
+ */
+const sendVoiceFromLocal = async (bot, chatId, filename, caption) => {
     const stream = getVoiceStream(filename);
     if (!stream) return;
 
-    bot.sendVoice(chatId, stream, { caption: caption || '' })
-        .then(() => console.log(`[TTS Manager] Voice note '${filename}' berhasil dikirim.`))
-        .catch(err => console.error(`[TTS Manager] Gagal mengirim voice note '${filename}':`, err.message));
+    await bot.sendVoice(chatId, stream, { caption: caption || '' });
+    console.log(`[TTS Manager] Voice note '${filename}' berhasil dikirim.`);
 };
 
 
-const initTtsSchedules = (bot) => {
-    const chatId = config.TARGET_CHAT_ID || config.chatId;
-    if (!chatId) {
-        console.warn('[TTS Manager] TARGET_CHAT_ID tidak ditemukan. Jadwal tidak diaktifkan.');
-        return;
+// Salam voice note per bagian hari; jam kirimnya diatur pengguna lewat /jadwal (siaran "salam").
+const GREETINGS = [
+    { untilHour: 11, file: 'selamatPagi', caption: 'Selamat pagi, Tuan~ ayo cepat bangun! hehe, tuanku sangat lucu saat tidur~' },
+    { untilHour: 18, file: 'selamatSiang', caption: 'Selamat siang~ apakah kamu sudah makan, Tuan?' },
+    { untilHour: 24, file: 'selamatMalam', caption: 'Selamat malam, mimpi indah ya~ 🌙' }
+];
+
+/**
+ * Mengirim salam voice note yang cocok dengan jam lokal penerima.
+ * Subuh buta (sebelum 04:00) masih dianggap malam.
+ * @param {object} bot Instance bot Telegram.
+ * @param {string|number} chatId Chat tujuan.
+ * @param {number} hour Jam lokal penerima (0-23).
+ * @returns {Promise<void>} Ditolak jika Telegram menolak voice note-nya.
+ */
+const sendGreetingVoiceNote = (bot, chatId, hour) => {
+    const greeting = hour < 4 ? GREETINGS[GREETINGS.length - 1] : GREETINGS.find(({ untilHour }) => hour < untilHour);
+    return sendVoiceFromLocal(bot, chatId, VOICE_NOTE_FILES[greeting.file], greeting.caption);
+};
+
+/**
+ * Mengecek apakah sebuah chat masih berlangganan dan menyalakan siaran "shalat".
+ * @param {string} chatId Chat tujuan.
+ * @returns {Promise<boolean>}
+ */
+const isPrayerBroadcastEnabled = async (chatId) => {
+    if (!(await subscribers.isSubscribed(chatId))) return false;
+    const preferences = await schedulePreferences.getSchedulePreferences(chatId);
+    return preferences.broadcasts.shalat.enabled;
+};
+
+/**
+ * Membatalkan voice note shalat yang sudah dijadwalkan untuk sebuah chat.
+ * @param {string} chatId Chat tujuan.
+ */
+const cancelPrayerVoiceNotes = (chatId) => {
+    (prayerJobs.get(chatId) || []).forEach(job => job.cancel());
+    prayerJobs.delete(chatId);
+};
+
+/**
+ * Menghitung waktu shalat hari ini lalu menjadwalkan voice note untuk waktu yang belum lewat,
+ * menggantikan jadwal chat itu sebelumnya. Voice note dikirim lewat antrean siaran.
+ * @param {object} bot Instance bot Telegram.
+ * @param {string} chatId Chat tujuan; lokasi, metode & zona waktu diambil dari pengguna dengan ID yang sama.
+ * @returns {Promise<number>} Jumlah voice note yang dijadwalkan.
+ */
+const schedulePrayerVoiceNotes = async (bot, chatId) => {
+    cancelPrayerVoiceNotes(chatId);
+
+    const { times } = await prayerTimes.getTodayPrayerTimes(chatId);
+    const jobs = [];
+    for (const [name, { emoji, file }] of Object.entries(PRAYER_VOICE_NOTES)) {
+        if (!times[name] || times[name].getTime() <= Date.now()) continue;
+        const job = schedule.scheduleJob(times[name], async () => {
+            try {
+                // Jadwal baru disegarkan tiap jam; cek ulang agar /stop, blokir atau /jadwal off shalat langsung berlaku.
+                if (!(await isPrayerBroadcastEnabled(chatId))) {
+                    cancelPrayerVoiceNotes(chatId);
+                    return;
+                }
+                const caption = `${emoji} Tuan, waktunya shalat ${name}, nih~ Jangan sampai terlewat! ${emoji}`;
+                await enqueueBroadcast(chatId, () => sendVoiceFromLocal(bot, chatId, VOICE_NOTE_FILES[file], caption), 'shalat');
+            } catch (error) {
+                logger.error({ event: 'prayer_voice_note_error', chatId, prayer: name, error: error.message, stack: error.stack }, '[TTS Manager] Gagal mengirim voice note shalat.');
+                Sentry.captureException(error);
+            }
+        });
+        if (job) jobs.push(job);
     }
+    prayerJobs.set(chatId, jobs);
+    return jobs.length;
+};
 
-    // Voice Note Selamat Pagi - 07:00 WIB
-    schedule.scheduleJob({ rule: '0 7 * * *', tz: 'Asia/Jakarta' }, () => {
-        sendVoiceFromLocal(bot, chatId, VOICE_NOTE_FILES.selamatPagi, 'Selamat pagi, Tuan~ ayo cepat bangun! hehe, tuanku sangat lucu saat tidur~');
-    });
+/**
+ * Menjadwalkan ulang voice note shalat untuk setiap pelanggan yang menyalakan siaran "shalat",
+ * dan membatalkan jadwal chat yang sudah berhenti berlangganan atau mematikannya.
+ * @param {object} bot Instance bot Telegram.
+ */
+const refreshPrayerSchedules = async (bot) => {
+    const chatIds = [];
+    for (const chatId of await subscribers.getSubscriberIds()) {
+        const preferences = await schedulePreferences.getSchedulePreferences(chatId);
+        if (preferences.broadcasts.shalat.enabled) chatIds.push(chatId);
+    }
+    for (const chatId of [...prayerJobs.keys()]) {
+        if (!chatIds.includes(chatId)) cancelPrayerVoiceNotes(chatId);
+    }
 
-    // Voice Note Selamat Siang - 13:00 WIB
-    schedule.scheduleJob({ rule: '0 13 * * *', tz: 'Asia/Jakarta' }, () => {
-        sendVoiceFromLocal(bot, chatId, VOICE_NOTE_FILES.selamatSiang, 'Selamat siang~ apakah kamu sudah makan, Tuan?');
-    });
+    let total = 0;
+    for (const chatId of chatIds) {
+        try {
+            total += await schedulePrayerVoiceNotes(bot, chatId);
+        } catch (error) {
+            logger.error({ event: 'prayer_schedule_error', chatId, error: error.message, stack: error.stack }, '[TTS Manager] Gagal menjadwalkan voice note shalat.');
+            Sentry.captureException(error);
+        }
+    }
+    console.log(`[TTS Manager] ${total} voice note shalat dijadwalkan untuk ${chatIds.length} chat.`);
+};
 
-    // Voice Note Selamat Malam - 21:00 WIB
-    schedule.scheduleJob({ rule: '0 21 * * *', tz: 'Asia/Jakarta' }, () => {
-        sendVoiceFromLocal(bot, chatId, VOICE_NOTE_FILES.selamatMalam, 'Selamat malam, mimpi indah ya~ 🌙');
+/**
+ * Mengatur jadwal voice note waktu shalat untuk semua pelanggan. Jadwal dihitung ulang setiap jam
+ * (menit ke-1 detik ke-30, agar tidak bertabrakan dengan waktu shalat yang selalu tepat di awal menit):
+ * hari berganti pada jam berbeda di tiap zona waktu, dan pelanggan baru atau siaran "shalat" yang
+ * dinyalakan ikut terjadwal paling lambat sejam kemudian. /stop dan /jadwal off shalat dicek lagi
+ * tepat sebelum tiap voice note dikirim.
+ * Salam harian dikirim oleh scheduler/cronSetup.js sesuai /jadwal masing-masing pengguna.
+ * @param {object} bot Instance bot Telegram.
+ */
+const initTtsSchedules = (bot) => {
+    const refresh = () => refreshPrayerSchedules(bot).catch(error => {
+        logger.error({ event: 'prayer_schedule_error', error: error.message, stack: error.stack }, '[TTS Manager] Gagal menjadwalkan voice note shalat.');
+        Sentry.captureException(error);
     });
+    refresh();
+    schedule.scheduleJob('30 1 * * * *', refresh);
 
-    // Voice Note untuk Waktu Sholat
-    for (const [name, { hour, minute, emoji, file }] of Object.entries(PrayerTimes)) {
-        schedule.scheduleJob({ rule: `${minute} ${hour} * * *`, tz: 'Asia/Jakarta' }, () => {
-            const caption = `${emoji} Tuan, waktunya shalat ${name}, nih~ Jangan sampai terlewat! ${emoji}`;
-            sendVoiceFromLocal(bot, chatId, VOICE_NOTE_FILES[file], caption);
-        });
+    console.log('[TTS Manager] Jadwal voice note shalat berhasil diatur.');
+};
+
+/**
+ * Mengecek apakah pengguna ingin balasan AI juga dikirim sebagai voice note.
+ * @param {string|number} userId ID pengguna Telegram.
+ * @returns {Promise<boolean>}
+ */
+const isVoiceReplyEnabled = async (userId) =>
+    (await memory.getPreference(`${globalState.VOICE_REPLY_PREFIX}${userId}`)) === true;
+
+/**
+ * Menyalakan atau mematikan balasan suara untuk seorang pengguna.
+ * @param {string|number} userId ID pengguna Telegram.
+ * @param {boolean} enabled True untuk menyalakan.
+ */
+const setVoiceReply = async (userId, enabled) => {
+    const key = `${globalState.VOICE_REPLY_PREFIX}${userId}`;
+    if (enabled) {
+        await memory.savePreference(key, true);
+    } else {
+        await memory.deletePreference(key);
     }
+    logger.info({ event: 'voice_reply_toggled', userId, enabled }, `[TTS Manager] Balasan suara ${enabled ? 'dinyalakan' : 'dimatikan'}.`);
+};
 
-    console.log('[TTS Manager] Semua jadwal voice note lokal berhasil diatur.');
+/**
+ * Mengucapkan sebuah balasan dan mengirimnya sebagai voice note. Kegagalan hanya dicatat,
+ * karena balasan teksnya sudah terkirim.
+ * @param {object} bot Instance bot Telegram.
+ * @param {string|number} chatId ID chat tujuan.
+ * @param {string} text Balasan yang diucapkan.
+ */
+const sendVoiceReply = async (bot, chatId, text) => {
+    try {
+        bot.sendChatAction(chatId, 'record_voice').catch(() => {});
+        const audio = await textToSpeech.synthesizeSpeech(text);
+        if (!audio) return;
+        await bot.sendVoice(chatId, audio, {}, { filename: 'lumina.ogg', contentType: 'audio/ogg' });
+    } catch (error) {
+        logger.error({ event: 'voice_reply_error', chatId, engine: config.tts.engine, error: error.message }, '[TTS Manager] Gagal mengirim balasan suara.');
+        Sentry.captureException(error);
+    }
 };
 
 module.exports = {
-    initTtsSchedules
+    initTtsSchedules,
+    sendGreetingVoiceNote,
+    isVoiceReplyEnabled,
+    setVoiceReply,
+    sendVoiceReply
 };
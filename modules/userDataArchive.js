@@ -0,0 +1,377 @@
+// modules/userDataArchive.js
+// Ekspor dan impor semua data milik seorang pengguna dalam satu arsip JSON berversi:
+// riwayat chat, preferensi, LTM, status relasi, pengingat dan catatan.
+// Dipakai oleh perintah /export & /import dan oleh skrip scripts/userData.js.
+// deleteUserData menghapus data yang sama dari semua penyimpanan (/deletemydata).
+
+const axios = require("axios");
+const memory = require("../data/memory");
+const relationState = require("../handler/relationHandler");
+const lists = require("./commandLists");
+const { nextOccurrence, isValidRecurrence } = require("./reminderParser");
+const loveState = require("./loveStateManager");
+const prayerTimes = require("./prayerTimes");
+const schedulePreferences = require("./schedulePreferences");
+const subscribers = require("./subscribers");
+const globalState = require("../state/globalState");
+const { DEFAULT_TIMEZONE, isValidTimezone, getMoment } = require("../utils/timeHelper");
+const logger = require("../utils/logger");
+
+const ARCHIVE_FORMAT = "mylumina-user-archive";
+const ARCHIVE_VERSION = 1;
+const MAX_ARCHIVE_SIZE = 10 * 1024 * 1024; // 10 MB
+const MESSAGE_ROLES = ["user", "assistant", "system"];
+const PERSONALITY_MODES = ["TSUNDERE", "DEREDERE"];
+const MAX_LTM_PRIORITY = 100;
+
+/**
+ * Kunci preferensi yang menjadi milik seorang pengguna (chat pribadi = ID pengguna).
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {Array<string>}
+ */
+const getUserPreferenceKeys = (userId) => [
+  `user_location_${userId}`,
+  `${globalState.PERSONALITY_PREFIX}${userId}`,
+  `${globalState.CHAT_STATE_PREFIX}${userId}`,
+  `${globalState.VOICE_REPLY_PREFIX}${userId}`,
+  `${globalState.PRAYER_METHOD_PREFIX}${userId}`,
+  `${globalState.SCHEDULE_PREFS_PREFIX}${userId}`,
+  `${globalState.SUBSCRIBER_PREFIX}${userId}`,
+];
+
+/**
+ * Membuang ID internal penyimpanan (`id`) dari sebuah dokumen,
+ * karena ID tersebut tidak berlaku di database lain.
+ * @param {object} doc - Pesan atau dokumen LTM.
+ * @returns {object} Salinan tanpa ID internal.
+ */
+const stripStorageIds = ({ id, ...rest }) => rest;
+
+/**
+ * Menyusun ulang pesan dari arsip untuk chat pribadi pengguna. Pesan dari grup ikut masuk ke
+ * chat pribadi, agar arsip tidak bisa menyisipkan pesan ke konteks chat lain.
+ * @param {object} message - Pesan dari arsip (sudah divalidasi).
+ * @param {string} userId - ID pengguna pemilik arsip.
+ * @returns {object} Pesan yang aman disimpan.
+ */
+const toImportedMessage = (message, userId) => ({
+  role: message.role,
+  content: message.content,
+  timestamp: message.timestamp,
+  chatId: userId,
+  userId: message.role === "user" && String(message.userId) === userId ? userId : null,
+  context: message.context !== null && typeof message.context === "object" && !Array.isArray(message.context)
+    ? message.context
+    : {},
+});
+
+/**
+ * Menyusun ulang memori dari arsip hanya dengan kolom yang boleh diatur pengguna. Pemilik dipaksa
+ * ke pengguna sendiri dan tanda hasil konsolidasi (supersededBy, dll.) tidak ikut diimpor.
+ * @param {object} entry - Memori dari arsip (sudah divalidasi).
+ * @param {string} userId - ID pengguna pemilik arsip.
+ * @returns {object} Memori yang aman disimpan.
+ */
+const toImportedMemory = (entry, userId) => ({
+  value: entry.value,
+  priority: typeof entry.priority === "number" ? entry.priority : 0,
+  source: typeof entry.source === "string" ? entry.source : entry.value,
+  ...(entry.pinned === true ? { pinned: true } : {}),
+  userId,
+  chatId: userId,
+  createdAt: typeof entry.createdAt === "string" ? entry.createdAt : new Date().toISOString(),
+});
+
+/**
+ * Menyusun arsip berisi semua data seorang pengguna.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {Promise<object>} Arsip yang siap di-serialize ke JSON.
+ */
+async function exportUserData(userId) {
+  const preferences = {};
+  for (const key of getUserPreferenceKeys(userId)) {
+    const value = await memory.getPreference(key);
+    if (value !== undefined) preferences[key] = value;
+  }
+
+  const ltm = (await memory.getLTMMemories({ includeSuperseded: true }))
+    .filter((entry) => String(entry.userId) === String(userId))
+    .map(stripStorageIds);
+
+  const reminders = (await lists.loadReminders()).filter(
+    (reminder) => String(reminder.chatId) === String(userId)
+  );
+
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    userId: String(userId),
+    data: {
+      history: (await memory.getUserHistory(userId)).map(stripStorageIds),
+      preferences,
+      ltm,
+      relation: await relationState.exportUserRelation(userId),
+      reminders,
+      notes: await lists.loadNotes(userId),
+    },
+  };
+
+  logger.info(
+    {
+      event: "user_data_exported",
+      userId,
+      history: archive.data.history.length,
+      ltm: ltm.length,
+      reminders: reminders.length,
+      notes: archive.data.notes.length,
+    },
+    `[Archive] Data pengguna ${userId} diekspor.`
+  );
+  return archive;
+}
+
+/**
+ * Memeriksa struktur arsip sebelum diimpor.
+ * @param {object} archive - Arsip hasil JSON.parse.
+ * @returns {Array<string>} Daftar kesalahan; kosong jika arsip valid.
+ */
+function validateArchive(archive) {
+  const errors = [];
+  const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+  const isString = (value) => typeof value === "string";
+
+  if (!isObject(archive)) return ["Arsip harus berupa objek JSON."];
+  if (archive.format !== ARCHIVE_FORMAT) errors.push(`format harus "${ARCHIVE_FORMAT}".`);
+  if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION) {
+    errors.push(`version ${archive.version} tidak didukung (maksimum ${ARCHIVE_VERSION}).`);
+  }
+  if (!isString(archive.userId) || !/^-?\d+$/.test(archive.userId)) {
+    errors.push("userId harus berupa ID Telegram (string angka).");
+  }
+  if (!isObject(archive.data)) {
+    errors.push("data harus berupa objek.");
+    return errors;
+  }
+
+  const { history, preferences, ltm, relation, reminders, notes } = archive.data;
+  const checkArray = (name, items, isValidItem) => {
+    if (!Array.isArray(items)) {
+      errors.push(`data.${name} harus berupa array.`);
+      return;
+    }
+    items.forEach((item, index) => {
+      if (!isObject(item) || !isValidItem(item)) errors.push(`data.${name}[${index}] tidak valid.`);
+    });
+  };
+
+  // Pesan harus berasal dari chat pribadi pengguna, atau dikirim olehnya di chat lain.
+  checkArray("history", history, (message) =>
+    MESSAGE_ROLES.includes(message.role) &&
+    isString(message.content) &&
+    isString(message.timestamp) &&
+    (String(message.chatId) === archive.userId || String(message.userId) === archive.userId)
+  );
+  checkArray("ltm", ltm, (entry) =>
+    isString(entry.key) && entry.key.startsWith("ltm_") && isString(entry.value) &&
+    String(entry.userId) === archive.userId &&
+    (entry.priority === undefined ||
+      (Number.isFinite(entry.priority) && entry.priority >= 0 && entry.priority <= MAX_LTM_PRIORITY)) &&
+    (entry.pinned === undefined || typeof entry.pinned === "boolean") &&
+    (entry.createdAt === undefined || isString(entry.createdAt))
+  );
+  checkArray("reminders", reminders, (reminder) =>
+    reminder.id !== undefined && isString(reminder.time) && isString(reminder.message) &&
+    String(reminder.chatId) === archive.userId &&
+    (reminder.userId === undefined || String(reminder.userId) === archive.userId) &&
+    (reminder.timezone === undefined || isValidTimezone(reminder.timezone)) &&
+    (reminder.recurrence === undefined || isValidRecurrence(reminder.recurrence))
+  );
+  checkArray("notes", notes, (note) => note.id !== undefined && isString(note.message));
+
+  if (!isObject(preferences)) {
+    errors.push("data.preferences harus berupa objek.");
+  } else if (isString(archive.userId)) {
+    const allowedKeys = getUserPreferenceKeys(archive.userId);
+    Object.keys(preferences)
+      .filter((key) => !allowedKeys.includes(key))
+      .forEach((key) => errors.push(`data.preferences.${key} bukan milik pengguna ini.`));
+    const personality = preferences[`${globalState.PERSONALITY_PREFIX}${archive.userId}`];
+    if (personality !== undefined && !PERSONALITY_MODES.includes(personality)) {
+      errors.push(`Mode kepribadian "${personality}" tidak dikenal.`);
+    }
+    const voiceReply = preferences[`${globalState.VOICE_REPLY_PREFIX}${archive.userId}`];
+    if (voiceReply !== undefined && typeof voiceReply !== "boolean") {
+      errors.push("Preferensi balasan suara harus true atau false.");
+    }
+    const prayerMethod = preferences[`${globalState.PRAYER_METHOD_PREFIX}${archive.userId}`];
+    if (prayerMethod !== undefined && !prayerTimes.normalizeMethod(prayerMethod)) {
+      errors.push(`Metode waktu shalat "${prayerMethod}" tidak dikenal.`);
+    }
+    const schedulePrefs = preferences[`${globalState.SCHEDULE_PREFS_PREFIX}${archive.userId}`];
+    if (schedulePrefs !== undefined && !schedulePreferences.isValidSchedulePreferences(schedulePrefs)) {
+      errors.push("Preferensi jadwal (/jadwal) tidak valid.");
+    }
+    const subscriber = preferences[`${globalState.SUBSCRIBER_PREFIX}${archive.userId}`];
+    if (subscriber !== undefined && !subscribers.isValidSubscriberRecord(subscriber)) {
+      errors.push("Status langganan siaran (/start, /stop) tidak valid.");
+    }
+  }
+
+  if (relation !== null && relation !== undefined &&
+      (!isObject(relation) || typeof relation.points !== "number" || relation.points < 0)) {
+    errors.push("data.relation tidak valid.");
+  }
+
+  return errors;
+}
+
+/**
+ * Memulihkan arsip ke semua penyimpanan. Data digabung dengan data yang sudah ada:
+ * pesan/LTM/pengingat/catatan yang sudah ada dilewati, preferensi dan status relasi ditimpa.
+ * Semua pesan masuk ke chat pribadi pengguna dan memori yang sudah digantikan dilewati.
+ * Status relasi hanya dipulihkan jika diminta (skrip admin), karena poinnya bisa diubah siapa saja
+ * yang menyunting arsip; levelnya selalu dihitung ulang dari poin.
+ * @param {object} archive - Arsip hasil JSON.parse.
+ * @param {object} [options]
+ * @param {boolean} [options.restoreRelation=false] - Pulihkan juga status relasi dari arsip.
+ * @returns {Promise<{history: number, preferences: number, ltm: number, relation: boolean, reminders: number, notes: number}>}
+ *   Jumlah data yang dipulihkan per jenis.
+ * @throws {Error} Jika arsip tidak lolos validasi.
+ */
+async function importUserData(archive, { restoreRelation = false } = {}) {
+  const errors = validateArchive(archive);
+  if (errors.length > 0) {
+    throw new Error(`Arsip tidak valid:\n- ${errors.slice(0, 10).join("\n- ")}`);
+  }
+
+  const { userId, data } = archive;
+  const summary = { history: 0, preferences: 0, ltm: 0, relation: false, reminders: 0, notes: 0 };
+
+  summary.history = await memory.importHistory(data.history.map((message) => toImportedMessage(message, userId)));
+
+  for (const [key, value] of Object.entries(data.preferences)) {
+    await memory.savePreference(key, value);
+    summary.preferences++;
+  }
+  const chatStateKey = `${globalState.CHAT_STATE_PREFIX}${userId}`;
+  if (data.preferences[chatStateKey]) {
+    globalState.applySavedChatState(userId, data.preferences[chatStateKey]);
+  }
+
+  const existingLtmKeys = new Set(
+    (await memory.getLTMMemories({ includeSuperseded: true })).map((entry) => entry.key)
+  );
+  for (const entry of data.ltm) {
+    if (existingLtmKeys.has(entry.key) || entry.supersededBy) continue;
+    await memory.saveLTMMemory(entry.key, toImportedMemory(entry, userId));
+    summary.ltm++;
+  }
+
+  if (data.relation && restoreRelation) {
+    await relationState.importUserRelation(userId, data.relation);
+    summary.relation = true;
+  }
+
+  const reminderIds = new Set((await lists.loadReminders()).map((reminder) => String(reminder.id)));
+  const now = getMoment();
+  // Pengingat berulang yang jadwalnya sudah lewat dimajukan ke waktu berikutnya, di zona waktunya sendiri.
+  const newReminders = data.reminders
+    .filter((reminder) => !reminderIds.has(String(reminder.id)))
+    .map((reminder) =>
+      isValidRecurrence(reminder.recurrence) && !getMoment(reminder.time).isAfter(now)
+        ? {
+            ...reminder,
+            time: nextOccurrence(reminder.recurrence, getMoment(undefined, reminder.timezone || DEFAULT_TIMEZONE)).toISOString(),
+          }
+        : reminder
+    )
+    .filter((reminder) => getMoment(reminder.time).isAfter(now));
+  for (const reminder of newReminders) {
+    if (await lists.saveReminder(reminder)) {
+      lists.scheduleReminderJob(reminder);
+      summary.reminders++;
+    }
+  }
+
+  const noteIds = new Set((await lists.loadNotes(userId)).map((note) => String(note.id)));
+  for (const note of data.notes.filter((item) => !noteIds.has(String(item.id)))) {
+    if (await lists.saveNote(userId, note)) summary.notes++;
+  }
+
+  logger.info({ event: "user_data_imported", userId, ...summary }, `[Archive] Data pengguna ${userId} diimpor.`);
+  return summary;
+}
+
+/**
+ * Menghapus semua data seorang pengguna dari setiap penyimpanan: riwayat, preferensi,
+ * LTM, status relasi, pengingat, catatan, serta status yang masih ada di memori proses.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {Promise<{history: number, preferences: number, ltm: number, relation: boolean, reminders: number, notes: number}>}
+ *   Jumlah data yang dihapus per jenis.
+ */
+async function deleteUserData(userId) {
+  const summary = {
+    history: await memory.deleteUserHistory(userId),
+    preferences: 0,
+    ltm: await memory.deleteUserLTMs(userId),
+    relation: await relationState.deleteUserRelation(userId),
+    reminders: await lists.deleteRemindersForChat(userId),
+    notes: await lists.deleteNotes(userId),
+  };
+
+  for (const key of getUserPreferenceKeys(userId)) {
+    if ((await memory.getPreference(key)) !== undefined) {
+      await memory.deletePreference(key);
+      summary.preferences++;
+    }
+  }
+
+  globalState.forgetChat(userId);
+  loveState.clearUserState(userId);
+
+  logger.info({ event: "user_data_deleted", userId, ...summary }, `[Archive] Semua data pengguna ${userId} dihapus.`);
+  return summary;
+}
+
+/**
+ * Mengunduh dan mem-parse arsip yang dikirim sebagai dokumen Telegram.
+ * @param {object} bot - Instance bot Telegram.
+ * @param {object} document - Objek `document` dari pesan Telegram.
+ * @returns {Promise<object>} Arsip hasil JSON.parse.
+ * @throws {Error} Jika file terlalu besar atau bukan JSON.
+ */
+async function downloadArchive(bot, document) {
+  if (document.file_size > MAX_ARCHIVE_SIZE) {
+    throw new Error("File arsip terlalu besar (maksimum 10MB).");
+  }
+  const fileLink = await bot.getFileLink(document.file_id);
+  const response = await axios.get(fileLink, {
+    responseType: "text",
+    maxContentLength: MAX_ARCHIVE_SIZE,
+  });
+  try {
+    return JSON.parse(response.data);
+  } catch (error) {
+    throw new Error("File arsip bukan JSON yang valid.");
+  }
+}
+
+/**
+ * Nama file standar untuk arsip seorang pengguna.
+ * @param {string|number} userId - ID pengguna Telegram.
+ * @returns {string}
+ */
+const getArchiveFileName = (userId) =>
+  `lumina-export-${userId}-${new Date().toISOString().slice(0, 10)}.json`;
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  exportUserData,
+  validateArchive,
+  importUserData,
+  deleteUserData,
+  downloadArchive,
+  getArchiveFileName,
+};
@@ -1,126 +1,228 @@
 // schedules/cronSetup.js
 const schedule = require("node-schedule");
 const logger = require("../utils/logger");
-const memory = require("../data/memory");
 const { getWeatherData, getWeatherString, getWeatherReminder } = require("../modules/weather");
 const Mood = require("../modules/mood");
 const { isFeatureEnabled } = require("../config/featureConfig");
-const { sendMessage } = require("../utils/sendMessage");
+const { deliverMessage, countMessageChunks } = require("../utils/sendMessage");
 const newsManager = require("../modules/newsManager");
 const holidaysModule = require("../handler/holidayHandlers");
 const sendSadSongNotification = require("../utils/songNotifier");
 const relationState = require("../handler/relationHandler");
-const config = require("../config/config"); // To get TARGET_CHAT_ID and calendarificApiKey
+const config = require("../config/config"); // To get calendarificApiKey
 const chatSummarizer = require("../modules/chatSummarizer");
+const ltmConsolidator = require("../modules/ltmConsolidator");
 const globalState = require("../state/globalState"); // Import globalState
+const ttsManager = require("../modules/ttsManager");
+const schedulePreferences = require("../modules/schedulePreferences");
+const subscribers = require("../modules/subscribers");
+const { enqueueBroadcast } = require("../utils/broadcastQueue");
+const { DEFAULT_TIMEZONE, getMoment } = require("../utils/timeHelper");
+
+/**
+ * @function createBroadcastSenders
+ * @description Builds one sender per broadcast that can run on this server (see BROADCASTS in
+ * modules/schedulePreferences.js). Broadcasts whose feature flag is off, or that miss their API
+ * key, get no sender and are never delivered. Prayer reminders are scheduled by modules/ttsManager.js.
+ * Each sender may have `build()`, run once per dispatch (e.g. fetching and summarizing the news);
+ * a null result means there is nothing to send. `deliver(chatId, payload, localTime, progress)` sends it to
+ * one recipient and must let Telegram errors through so the broadcast queue can handle them; `progress`
+ * lets a multi-message delivery resume after a 429 (see enqueueBroadcast).
+ * `cost(payload)`, when present, is the number of Telegram messages one delivery makes (default 1).
+ * @param {object} bot - The Telegram bot instance.
+ * @returns {Object<string, {build?: function(): Promise<*>, deliver: function(string, *, object, object): Promise<void>, cost?: function(*): number}>}
+ *   Senders keyed by broadcast; `localTime` is the recipient's local time (a moment).
+ */
+const createBroadcastSenders = (bot) => {
+  const deliverText = (chatId, text, localTime, progress) => deliverMessage(chatId, text, {}, progress);
+  const countText = (text) => countMessageChunks(text);
+  const senders = {
+    salam: {
+      deliver: (chatId, payload, localTime) => ttsManager.sendGreetingVoiceNote(bot, chatId, localTime.hour()),
+    },
+    berita: {
+      build: () => newsManager.buildDailyNews(),
+      deliver: (chatId, news, localTime, progress) =>
+        deliverMessage(chatId, news.text, news.replyMarkup ? { reply_markup: news.replyMarkup } : {}, progress),
+      cost: (news) => countMessageChunks(news.text),
+    },
+    lagu: {
+      build: async () => sendSadSongNotification.buildSadSongMessage(),
+      deliver: deliverText,
+      cost: countText,
+    },
+    cuaca: {
+      build: async () => {
+        const weather = await getWeatherData();
+        if (weather) {
+          return `🌸 Cuaca hari ini:\n${getWeatherString(weather)}\n${getWeatherReminder(weather)}`;
+        }
+        logger.warn({ event: "weather_report_failed" }, "Failed to fetch weather data.");
+        return `Hmm.. Kayaknya Lumina nggak nemu data cuaca hari ini deh.. ${Mood.SAD.emoji}`;
+      },
+      deliver: deliverText,
+      cost: countText,
+    },
+    libur: {
+      build: async () => {
+        let message = null;
+        await holidaysModule.checkAndNotifyDailyHolidays(config.calendarificApiKey, "ID", (text) => {
+          message = text;
+        });
+        return message;
+      },
+      deliver: deliverText,
+      cost: countText,
+    },
+  };
+  if (!config.calendarificApiKey) {
+    logger.warn("[Core] Calendarific API Key not found. Holiday check is disabled.");
+    delete senders.libur;
+  }
+
+  for (const name of Object.keys(senders)) {
+    if (!schedulePreferences.getAvailableBroadcasts().includes(name)) {
+      logger.info(
+        { event: "broadcast_disabled", broadcast: name },
+        `FF-CHECK: Scheduled broadcast "${name}" is disabled by feature flag.`
+      );
+      delete senders[name];
+    }
+  }
+  return senders;
+};
+
+/**
+ * @function dispatchBroadcasts
+ * @description Sends every broadcast that is due this minute to each recipient, according to their
+ * /jadwal preferences (timezone, delivery times, subscriptions and quiet hours). Each broadcast is built
+ * once and then fanned out through the rate-limited broadcast queue (utils/broadcastQueue.js).
+ * One failing broadcast or recipient doesn't stop the others.
+ * @param {Array<string|number>} recipients - Subscribed chat IDs (private chats: chat ID = user ID).
+ * @param {object} senders - From createBroadcastSenders.
+ * @param {object} Sentry - The Sentry object for error tracking.
+ * @param {Date} [now=new Date()] - The minute being dispatched.
+ * @returns {Promise<void>} Resolves once every queued delivery has finished.
+ */
+const dispatchBroadcasts = async (recipients, senders, Sentry, now = new Date()) => {
+  const dueByBroadcast = {}; // broadcast -> [{ chatId, localTime }]
+  for (const chatId of recipients) {
+    try {
+      const preferences = await schedulePreferences.getSchedulePreferences(chatId);
+      for (const name of schedulePreferences.getDueBroadcasts(preferences, now)) {
+        if (!senders[name]) continue;
+        (dueByBroadcast[name] = dueByBroadcast[name] || []).push({
+          chatId,
+          localTime: getMoment(now, preferences.timezone),
+        });
+      }
+    } catch (error) {
+      logger.error(
+        {
+          event: "broadcast_dispatch_error",
+          chatId,
+          error: error.message,
+          stack: error.stack,
+        },
+        "Error while dispatching scheduled broadcasts:"
+      );
+      Sentry.captureException(error);
+    }
+  }
+
+  const deliveries = [];
+  for (const [name, targets] of Object.entries(dueByBroadcast)) {
+    const sender = senders[name];
+    let payload = null;
+    try {
+      payload = sender.build ? await sender.build() : null;
+    } catch (error) {
+      logger.error(
+        {
+          event: "scheduled_broadcast_error",
+          broadcast: name,
+          error: error.message,
+          stack: error.stack,
+        },
+        "Error during scheduled broadcast:"
+      );
+      Sentry.captureException(error);
+      continue;
+    }
+    if (sender.build && !payload) continue;
+
+    const cost = sender.cost ? sender.cost(payload) : 1;
+    for (const { chatId, localTime } of targets) {
+      deliveries.push(enqueueBroadcast(chatId, (progress) => sender.deliver(chatId, payload, localTime, progress), name, cost));
+    }
+    logger.info(
+      { event: "broadcast_enqueued", broadcast: name, recipients: targets.length },
+      `Scheduled broadcast "${name}" queued.`
+    );
+  }
+  await Promise.all(deliveries);
+};
 
 /**
  * @function setupCronJobs
  * @description Sets up all scheduled cron jobs for the application.
- * This includes weather updates, LTM cleanup, relationship checks, song notifications,
- * daily news, time-based mode updates, chat summarization,
- * and sulk status checks.
+ * This includes the broadcast dispatcher (greetings, weather, song notifications, daily news,
+ * holidays), LTM consolidation, relationship checks, time-based mode updates, chat summarization,
+ * and sulk status checks. LTM cleanup is scheduled by the memory store itself (data/memory.js).
+ * Broadcasts go to every subscriber (/start, modules/subscribers.js) at the times set in their /jadwal
+ * preferences; per-chat jobs (time-based modes, chat summaries, sulk checks) run for every chat known
+ * to globalState, and sulk notifications are queued for subscribers only.
+ * Server-side jobs run in DEFAULT_TIMEZONE (config.timezone).
  * @param {object} bot - The Telegram bot instance.
  * @param {function} updateTimeBasedModes - Function to update time-based modes.
  * @param {function} checkNgambekStatus - Function to check and update the 'sulk' status.
- * @param {string} USER_NAME - The user's name.
- * @param {object} configuredChatId - The ChatID to send notifications to.
  * @param {object} Sentry - The Sentry object for error tracking.
  */
 const setupCronJobs = (
   bot,
   updateTimeBasedModes,
   checkNgambekStatus,
-  USER_NAME,
-  configuredChatId,
   Sentry,
 ) => {
-  if (!configuredChatId) {
-    logger.warn(
-      "⚠️ TARGET_CHAT_ID not found in config.js. Scheduled messages will NOT be sent."
-    );
-    return;
-  }
-
-  logger.info(
-    `📬 Scheduled messages will be sent to chat ID: ${configuredChatId}`
-  );
+  // Broadcast dispatcher: every minute, check which broadcasts are due in each subscriber's own timezone
+  const senders = createBroadcastSenders(bot);
+  schedule.scheduleJob("* * * * *", async (fireDate) => {
+    try {
+      const recipients = await subscribers.getSubscriberIds();
+      await dispatchBroadcasts(recipients, senders, Sentry, fireDate);
+    } catch (error) {
+      logger.error(
+        {
+          event: "broadcast_dispatch_error",
+          error: error.message,
+          stack: error.stack,
+        },
+        "Error while dispatching scheduled broadcasts:"
+      );
+      Sentry.captureException(error);
+    }
+  });
 
-  // Cron job for weather reports (every 5 hours)
-  // FF-CHECK: This job is guarded by its feature flag.
-  if (isFeatureEnabled('ENABLE_WEATHER_REMINDER')) {
-    schedule.scheduleJob(
-      { rule: "0 */5 * * *", tz: "Asia/Jakarta" },
-      async () => {
-        try {
-          const weather = await getWeatherData();
-          if (weather) {
-            sendMessage(
-              configuredChatId,
-              `🌸 Cuaca hari ini:\n${getWeatherString(
-                weather
-              )}\n${getWeatherReminder(weather)}`
-            );
-            logger.info(
-              { event: "weather_report_sent", chatId: configuredChatId },
-              "Weather report sent successfully."
-            );
-          } else {
-            sendMessage(
-              configuredChatId,
-              `Hmm.. Kayaknya Lumina nggak nemu data cuaca hari ini deh.. ${Mood.SAD.emoji}`
-            );
-            logger.warn(
-              { event: "weather_report_failed", chatId: configuredChatId },
-              "Failed to fetch weather data."
-            );
-          }
-        } catch (error) {
-          logger.error(
-            {
-              event: "scheduled_weather_error",
-              error: error.message,
-              stack: error.stack,
-            },
-            "Error during scheduled weather task:"
-          );
-          Sentry.captureException(error);
-        }
-      }
-    );
-  } else {
+  // LTM consolidation (merge duplicates, supersede contradicted memories) every night at 3 AM
+  schedule.scheduleJob({ rule: "0 3 * * *", tz: DEFAULT_TIMEZONE }, async () => {
     logger.info(
-      { event: "weather_reminder_disabled" },
-      "FF-CHECK: Weather reminder job is disabled by feature flag."
+      { event: "ltm_consolidation_scheduled" },
+      "Running scheduled LTM consolidation..."
     );
-  }
-
-  // LTM cleanup every 2 months (60 days)
-  schedule.scheduleJob(
-    { rule: "0 0 1 */2 *", tz: "Asia/Jakarta" },
-    async () => {
-      logger.info("Running LTM cleanup job...");
-      try {
-        const allPrefs = await memory.getLongTermMemory();
-        const twoMonthsAgo = Date.now() - 60 * 24 * 60 * 60 * 1000;
-        let count = 0;
-
-        for (const key in allPrefs) {
-          if (key.startsWith("ltm_")) {
-            const timestamp = parseInt(key.split("_")[1]);
-            if (timestamp < twoMonthsAgo) {
-              await memory.deletePreference(key);
-              count++;
-            }
-          }
-        }
-        logger.info(`Cleaned up ${count} old LTM entries.`);
-      } catch (error) {
-        logger.error({ error: error.message }, "LTM cleanup failed.");
-        Sentry.captureException(error);
-      }
+    try {
+      await ltmConsolidator.consolidateAll();
+    } catch (error) {
+      logger.error(
+        {
+          event: "scheduled_ltm_consolidation_error",
+          error: error.message,
+          stack: error.stack,
+        },
+        "Error during scheduled LTM consolidation:"
+      );
+      Sentry.captureException(error);
     }
-  );
+  });
 
   // Relationship check every 7 hours
   schedule.scheduleJob({ rule: "0 */7 * * *" }, async () => {
@@ -143,195 +245,101 @@ const setupCronJobs = (
     }
   });
   
-  // Sad song recommendation every night at 10 PM
-  // FF-CHECK: This job is guarded by its feature flag.
-  if (isFeatureEnabled('ENABLE_SONGS_NOTIFIER')) {
-    schedule.scheduleJob({ rule: "0 22 * * *", tz: "Asia/Jakarta" }, () => {
+  // Time-based mode update every hour, for every known chat
+  schedule.scheduleJob({ rule: "0 * * * *", tz: DEFAULT_TIMEZONE }, async () => {
+    for (const chatId of globalState.getKnownChatIds()) {
       try {
-        sendSadSongNotification(configuredChatId);
-        logger.info(
-          { event: "sad_song_notification_sent", chatId: configuredChatId },
-          "Sad song notification sent."
-        );
+        await updateTimeBasedModes(chatId);
       } catch (error) {
         logger.error(
           {
-            event: "scheduled_song_notification_error",
+            event: "scheduled_time_modes_update_error",
+            chatId,
             error: error.message,
             stack: error.stack,
           },
-          "Error during scheduled song notification:"
+          "Error during scheduled time-based mode update:"
         );
         Sentry.captureException(error);
       }
-    });
-  } else {
-    logger.info(
-      { event: "songs_notifier_disabled" },
-      "FF-CHECK: Song notifier job is disabled by feature flag."
-    );
-  }
+    }
+  });
 
-  // Daily news and summary every morning at 8 AM
-  // FF-CHECK: This job is guarded by its feature flag.
-  if (isFeatureEnabled('ENABLE_DAILY_NEWS')) {
-    schedule.scheduleJob(
-      { rule: "0 8 * * *", tz: "Asia/Jakarta" },
-      async () => {
+  // Chat summary update every hour, one summary per known chat
+  schedule.scheduleJob(
+    { rule: "0 * * * *", tz: DEFAULT_TIMEZONE },
+    async () => {
+      for (const chatId of globalState.getKnownChatIds()) {
         logger.info(
-          { event: "daily_news_send_scheduled" },
-          "[Core] Running scheduled daily news delivery..."
+          { event: "update_chat_summary_start", chatId },
+          "[Core] Updating chat summary..."
         );
+        const chatState = globalState.getChatState(chatId);
         try {
-          await newsManager.sendDailyNews(configuredChatId);
+          const summary = await chatSummarizer.getSummarizedHistory(chatId, 50);
+          if (summary) {
+            chatState.currentChatSummary = summary;
+            logger.info(
+              { event: "update_chat_summary_success", chatId },
+              "[Core] New chat summary created successfully."
+            );
+          } else {
+            chatState.currentChatSummary = null;
+            logger.info(
+              { event: "update_chat_summary_no_summary", chatId },
+              "[Core] No chat summary was generated or history is too short."
+            );
+          }
         } catch (error) {
           logger.error(
             {
-              event: "scheduled_daily_news_error",
+              event: "update_chat_summary_error",
+              chatId,
               error: error.message,
               stack: error.stack,
             },
-            "Error during scheduled daily news task:"
+            "Error while updating chat summary:"
           );
           Sentry.captureException(error);
         }
       }
-    );
-  } else {
-    logger.info(
-      { event: "daily_news_disabled" },
-      "FF-CHECK: Daily news job is disabled by feature flag."
-    );
-  }
-
-  // Time-based mode update every hour
-  schedule.scheduleJob({ rule: "0 * * * *", tz: "Asia/Jakarta" }, () => {
-    try {
-      updateTimeBasedModes(configuredChatId);
-    } catch (error) {
-      logger.error(
-        {
-          event: "scheduled_time_modes_update_error",
-          error: error.message,
-          stack: error.stack,
-        },
-        "Error during scheduled time-based mode update:"
-      );
-      Sentry.captureException(error);
-    }
-  });
-
-  // Chat summary update every hour
-  schedule.scheduleJob(
-    { rule: "0 * * * *", tz: "Asia/Jakarta" },
-    async () => {
-      logger.info(
-        { event: "update_chat_summary_start" },
-        "[Core] Updating chat summary..."
-      );
-      try {
-        const fullHistory = await memory.getInMemoryHistory();
-        const summary = await chatSummarizer.getSummarizedHistory(50, fullHistory);
-        if (summary) {
-          globalState.currentChatSummary = summary;
-          logger.info(
-            { event: "update_chat_summary_success" },
-            "[Core] New chat summary created successfully."
-          );
-        } else {
-          globalState.currentChatSummary = null;
-          logger.info(
-            { event: "update_chat_summary_no_summary" },
-            "[Core] No chat summary was generated or history is too short."
-          );
-        }
-      } catch (error) {
-        logger.error(
-          {
-            event: "update_chat_summary_error",
-            error: error.message,
-            stack: error.stack,
-          },
-          "Error while updating chat summary:"
-        );
-        Sentry.captureException(error);
-      }
     }
   );
 
   // Scheduler for the Sulk System (every day at midnight)
   // FF-CHECK: This job is guarded by its feature flag.
-  if (isFeatureEnabled('ENABLE_SULK_MODE')) {
+  if (isFeatureEnabled('ENABLE_NGAMBEK_MODE')) {
     schedule.scheduleJob(
-      { rule: "0 0 * * *", tz: "Asia/Jakarta" },
+      { rule: "0 0 * * *", tz: DEFAULT_TIMEZONE },
       async () => {
         logger.info(
           { event: "sulk_status_check_scheduled" },
           "[Sulk System] Checking sulk status..."
         );
-        try {
-          await checkSulkStatus(configuredChatId);
-        } catch (error) {
-          logger.error(
-            {
-              event: "scheduled_sulk_check_error",
-              error: error.message,
-              stack: error.stack,
-            },
-            "Error during scheduled sulk status check:"
-          );
-          Sentry.captureException(error);
-        }
-      }
-    );
-  } else {
-    logger.info(
-        { event: "sulk_mode_disabled" },
-        "FF-CHECK: Sulk mode job is disabled by feature flag."
-    );
-  }
-
-  // Check for holidays and send a notification if it's a holiday (every morning at 7 AM)
-  // FF-CHECK: This job is guarded by its feature flag.
-  if (isFeatureEnabled('ENABLE_HOLIDAYS_REMINDER')) {
-    if (config.calendarificApiKey) {
-      schedule.scheduleJob(
-        { rule: "0 7 * * *", tz: "Asia/Jakarta" },
-        async () => {
+        for (const chatId of globalState.getKnownChatIds()) {
           try {
-            await holidaysModule.checkAndNotifyDailyHolidays(
-              config.calendarificApiKey,
-              "ID",
-              (message) => sendMessage(configuredChatId, message)
-            );
-            logger.info(
-              { event: "daily_holiday_check_scheduled" },
-              "Daily holiday check performed."
-            );
+            await checkNgambekStatus(chatId);
           } catch (error) {
             logger.error(
               {
-                event: "scheduled_holiday_check_error",
+                event: "scheduled_sulk_check_error",
+                chatId,
                 error: error.message,
                 stack: error.stack,
               },
-              "Error during scheduled holiday check:"
+              "Error during scheduled sulk status check:"
             );
             Sentry.captureException(error);
           }
         }
-      );
-    } else {
-      logger.warn(
-        "[Core] Calendarific API Key not found. Holiday check is disabled."
-      );
-    }
+      }
+    );
   } else {
     logger.info(
-      { event: "daily_holidays_check_disabled" },
-      "FF-CHECK: Holiday reminder job is disabled by feature flag."
+        { event: "sulk_mode_disabled" },
+        "FF-CHECK: Sulk mode job is disabled by feature flag."
     );
   }
 };
 
-module.exports = { setupCronJobs };
+module.exports = { setupCronJobs, dispatchBroadcasts };
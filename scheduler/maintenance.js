@@ -0,0 +1,116 @@
+// scheduler/maintenance.js
+// The single place where data retention is enforced. Every run applies the limits from
+// config.retention to chat history and its archive, long-term memories, notes, saved locations
+// and the temp folders used by the vision and document handlers, and drops delivered reminders
+// nobody snoozed or marked done.
+const fs = require("fs").promises;
+const path = require("path");
+const schedule = require("node-schedule");
+const config = require("../config/config");
+const memory = require("../data/memory");
+const lists = require("../modules/commandLists");
+const logger = require("../utils/logger");
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Download folders of handler/visionHandler.js and handler/docHandler.js.
+const TEMP_DIRS = [
+  path.join(__dirname, "..", "temp_images"),
+  path.join(__dirname, "..", "temp"),
+];
+
+/**
+ * Deletes files in the temp folders that are older than the given age.
+ * @param {number} maxAgeHours - Maximum file age in hours; 0 keeps files forever.
+ * @returns {Promise<number>} Number of deleted files.
+ */
+async function cleanupTempFiles(maxAgeHours) {
+  if (!(maxAgeHours > 0)) return 0;
+  const cutoff = Date.now() - maxAgeHours * MS_PER_HOUR;
+  let deletedCount = 0;
+
+  for (const dir of TEMP_DIRS) {
+    let fileNames;
+    try {
+      fileNames = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      continue;
+    }
+    for (const fileName of fileNames) {
+      const filePath = path.join(dir, fileName);
+      const stats = await fs.stat(filePath);
+      if (stats.isFile() && stats.mtimeMs < cutoff) {
+        await fs.unlink(filePath);
+        deletedCount++;
+      }
+    }
+  }
+  return deletedCount;
+}
+
+/**
+ * Runs every retention task once. Each task is isolated so one failure doesn't skip the rest.
+ * @param {object} Sentry - The Sentry object for error tracking.
+ * @returns {Promise<void>}
+ */
+async function runMaintenance(Sentry) {
+  const retention = config.retention;
+  const tasks = {
+    history: () => memory.cleanupOldMessages(retention.historyDays),
+    archive: () => memory.cleanupArchivedMessages(retention.archiveDays),
+    ltm: () =>
+      memory.cleanupOldLTMs({
+        highDays: retention.ltmHighDays,
+        mediumDays: retention.ltmMediumDays,
+        lowDays: retention.ltmLowDays,
+      }),
+    ltmSource: () => memory.stripOldLTMSources(retention.ltmSourceDays),
+    notes: () => lists.cleanupOldNotes(retention.notesDays),
+    firedReminders: () => lists.cleanupFiredReminders(),
+    locations: () => memory.cleanupOldLocations(retention.locationDays),
+    tempFiles: () => cleanupTempFiles(retention.tempFilesHours),
+  };
+
+  for (const [name, task] of Object.entries(tasks)) {
+    try {
+      await task();
+    } catch (error) {
+      logger.error(
+        { event: "maintenance_task_error", task: name, error: error.message, stack: error.stack },
+        `[Maintenance] Retention task "${name}" failed.`
+      );
+      Sentry.captureException(error);
+    }
+  }
+  logger.info({ event: "maintenance_complete" }, "[Maintenance] Retention run complete.");
+}
+
+/**
+ * Schedules the retention run (hourly) and database compaction (every 12 hours),
+ * then runs retention once right away.
+ * @param {object} Sentry - The Sentry object for error tracking.
+ */
+const setupMaintenanceJobs = (Sentry) => {
+  schedule.scheduleJob({ rule: "15 * * * *", tz: "Asia/Jakarta" }, () => runMaintenance(Sentry));
+  schedule.scheduleJob({ rule: "45 */12 * * *", tz: "Asia/Jakarta" }, async () => {
+    try {
+      await memory.compactDatabase();
+    } catch (error) {
+      logger.error(
+        { event: "database_compaction_error", error: error.message },
+        "[Maintenance] Database compaction failed."
+      );
+      Sentry.captureException(error);
+    }
+  });
+  logger.info({ event: "maintenance_jobs_scheduled" }, "[Maintenance] Retention and compaction jobs scheduled.");
+
+  runMaintenance(Sentry);
+};
+
+module.exports = {
+  setupMaintenanceJobs,
+  runMaintenance,
+  cleanupTempFiles,
+};
@@ -1,5 +1,6 @@
 // schedules/updateTimeModes.js
-const { getJakartaHour } = require("../utils/timeHelper");
+const { getHour } = require("../utils/timeHelper");
+const { getUserTimezone } = require("../modules/schedulePreferences");
 const { setMood, getRandomMood, getCurrentMood } = require("../handler/commandHandlers");
 const { sendMessage } = require('../utils/sendMessage');
 const Mood = require('../modules/mood');
@@ -14,35 +15,38 @@ const USER_NAME = config.USER_NAME; // Nama pengguna yang berinteraksi dengan Lu
 
 /**
  * @function updateTimeBasedModes
- * @description Memperbarui kepribadian dan mood Lumina berdasarkan waktu saat ini.
- * Menangani perubahan mood acak dan aktivasi/deaktivasi mode deeptalk.
- * @param {string|number} chatId - ID obrolan untuk mengirim pengumuman perubahan mood/mode.
+ * @description Memperbarui kepribadian dan mood Lumina di satu chat berdasarkan waktu saat ini.
+ * Menangani perubahan mood acak dan aktivasi/deaktivasi mode deeptalk. Jamnya dihitung di zona waktu
+ * chat tersebut (/jadwal zona; chat pribadi = ID pengguna).
+ * @param {string|number} chatId - ID obrolan yang diperbarui, sekaligus tujuan pengumuman perubahan mood/mode.
+ * @returns {Promise<void>}
  */
-const updateTimeBasedModes = (chatId) => {
-  const currentHour = getJakartaHour();
-  const currentMood = getCurrentMood();
+const updateTimeBasedModes = async (chatId) => {
+  const currentHour = getHour(await getUserTimezone(chatId));
+  const currentMood = getCurrentMood(chatId);
+  const chatState = globalState.getChatState(chatId);
 
   // Aktivasi/Deaktivasi mode deeptalk
-  if (currentHour >= DEEPTALK_START_HOUR && !globalState.isDeeptalkMode) {
-    globalState.isDeeptalkMode = true;
+  if (currentHour >= DEEPTALK_START_HOUR && !chatState.isDeeptalkMode) {
+    chatState.isDeeptalkMode = true;
     setMood(chatId, Mood.CALM); // Mood tenang saat deeptalk
     logger.info(
-      { event: "deeptalk_mode_activated" },
+      { event: "deeptalk_mode_activated", chatId },
       "Memasuki Mode Deeptalk."
     );
-  } else if (currentHour < DEEPTALK_START_HOUR && globalState.isDeeptalkMode) {
-    globalState.isDeeptalkMode = false;
+  } else if (currentHour < DEEPTALK_START_HOUR && chatState.isDeeptalkMode) {
+    chatState.isDeeptalkMode = false;
     setMood(chatId, getRandomMood()); // Kembali ke mood acak setelah deeptalk
     logger.info(
-      { event: "deeptalk_mode_deactivated" },
+      { event: "deeptalk_mode_deactivated", chatId },
       "Keluar dari Mode Deeptalk."
     );
   }
 
   // Jangan ubah mood jika sedang ngambek, kecuali oleh sistem ngambek itu sendiri
-  if (globalState.isNgambekMode) {
+  if (chatState.isNgambekMode) {
     logger.debug(
-      { event: "mood_change_skipped", reason: "ngambek_mode_active" },
+      { event: "mood_change_skipped", reason: "ngambek_mode_active", chatId },
       "[DEBUG] Lumina sedang Ngambek, mood tidak diubah oleh time-based mode."
     );
     return;
@@ -50,7 +54,7 @@ const updateTimeBasedModes = (chatId) => {
 
   // Perubahan mood berbasis waktu (jika tidak dalam mode deeptalk atau tidur)
   if (
-    !globalState.isDeeptalkMode &&
+    !chatState.isDeeptalkMode &&
     !(currentHour >= SLEEP_START_HOUR && currentHour < SLEEP_END_HOUR)
   ) {
     if (currentHour === 7 && currentMood !== Mood.HAPPY) {
@@ -0,0 +1,71 @@
+// scripts/migrateStorage.js
+// Copies chat history (including the /cari archive), preferences, long-term memories and records (reminders, notes, relationship
+// state) from one storage backend to another, e.g. from the LokiJS file (data/Lumina_memory.json)
+// into a new SQLite database.
+// Stop the bot first, run the migration, then set STORAGE_BACKEND to the target backend.
+// The source is only read; the target must be empty so a second run can't duplicate data.
+//
+// Usage:
+//   node scripts/migrateStorage.js [from=lokijs] [to=sqlite]
+
+require("dotenv").config();
+const fs = require("fs");
+const { BACKENDS, createStorage, getStoragePath } = require("../data/storage");
+
+const USAGE = `Usage: node scripts/migrateStorage.js [from=lokijs] [to=sqlite]  (backends: ${BACKENDS.join(", ")})`;
+
+/**
+ * Copies every record from the source backend into the (empty) target backend.
+ * @param {string} from - Source backend name.
+ * @param {string} to - Target backend name.
+ * @returns {Promise<{messages: number, archive: number, preferences: number, ltms: number, records: number}>} Copied counts.
+ */
+async function migrate(from, to) {
+  const sourcePath = getStoragePath(from);
+  const targetPath = getStoragePath(to);
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Source database ${sourcePath} does not exist.`);
+  }
+
+  const source = createStorage(from, sourcePath);
+  const target = createStorage(to, targetPath);
+  await source.init();
+  await target.init();
+  try {
+    const existing = await target.dumpAll();
+    if (Object.values(existing).some((items) => items.length > 0)) {
+      throw new Error(`Target database ${targetPath} is not empty; remove it first to migrate again.`);
+    }
+
+    const data = await source.dumpAll();
+    await target.bulkLoad(data);
+    await target.compact();
+    return {
+      messages: data.messages.length,
+      archive: data.archive.length,
+      preferences: data.preferences.length,
+      ltms: data.ltms.length,
+      records: data.records.length,
+    };
+  } finally {
+    await target.close();
+    await source.close();
+  }
+}
+
+(async () => {
+  const [from = "lokijs", to = "sqlite"] = process.argv.slice(2);
+  if (!BACKENDS.includes(from) || !BACKENDS.includes(to) || from === to) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  try {
+    const counts = await migrate(from, to);
+    console.log(`Migrated ${from} -> ${to}:`, counts);
+    console.log(`Set STORAGE_BACKEND=${to} in .env and restart the bot.`);
+    process.exit(0);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+})();
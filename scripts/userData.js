@@ -0,0 +1,61 @@
+// scripts/userData.js
+// CLI for exporting and importing a user's Lumina data (the same archive format as /export).
+// Stop the bot before running it: the LokiJS database and the JSON stores are single-process files.
+//
+// Usage:
+//   node scripts/userData.js export <userId> [output.json]
+//   node scripts/userData.js import <archive.json>
+
+require("dotenv").config();
+const fs = require("fs").promises;
+const memory = require("../data/memory");
+const userDataArchive = require("../modules/userDataArchive");
+
+const USAGE = [
+  "Usage:",
+  "  node scripts/userData.js export <userId> [output.json]",
+  "  node scripts/userData.js import <archive.json>",
+].join("\n");
+
+/**
+ * Writes the archive of one user to a file.
+ * @param {string} userId - Telegram user ID.
+ * @param {string} [outputPath] - Target file; defaults to the standard archive file name.
+ */
+async function runExport(userId, outputPath) {
+  const archive = await userDataArchive.exportUserData(userId);
+  const target = outputPath || userDataArchive.getArchiveFileName(userId);
+  await fs.writeFile(target, JSON.stringify(archive, null, 2), "utf8");
+  console.log(`Exported data of user ${userId} to ${target}.`);
+}
+
+/**
+ * Validates and restores an archive file. Run by the operator, so the relationship status is restored too.
+ * @param {string} archivePath - Path to the archive JSON.
+ */
+async function runImport(archivePath) {
+  const archive = JSON.parse(await fs.readFile(archivePath, "utf8"));
+  const summary = await userDataArchive.importUserData(archive, { restoreRelation: true });
+  console.log(`Imported data of user ${archive.userId}:`, summary);
+}
+
+(async () => {
+  const [command, ...args] = process.argv.slice(2);
+  let exitCode = 0;
+  try {
+    if (command === "export" && args[0]) {
+      await runExport(args[0], args[1]);
+    } else if (command === "import" && args[0]) {
+      await runImport(args[0]);
+    } else {
+      console.error(USAGE);
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    exitCode = 1;
+  }
+  // Flush the database to disk; the memory module keeps maintenance timers alive otherwise.
+  await memory.closeDb();
+  process.exit(exitCode);
+})();
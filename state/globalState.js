@@ -1,76 +1,170 @@
 // state/globalState.js
 
+const CHAT_STATE_PREFIX = "chat_state_";
+const PERSONALITY_PREFIX = "lumina_personality_";
+const VOICE_REPLY_PREFIX = "voice_reply_"; // true = balasan AI juga dikirim sebagai voice note (/voice)
+const PRAYER_METHOD_PREFIX = "prayer_method_"; // Metode perhitungan waktu shalat pilihan pengguna (/jadwalsholat)
+const SCHEDULE_PREFS_PREFIX = "schedule_prefs_"; // Langganan siaran, jam kirim, jam tenang & zona waktu (/jadwal)
+const SUBSCRIBER_PREFIX = "subscriber_"; // Chat yang menerima siaran terjadwal (/start, /stop)
+
+/**
+ * Membuat state default untuk satu chat.
+ * @param {string} chatId - ID chat.
+ * @returns {object} State chat baru.
+ */
+const createDefaultChatState = (chatId) => ({
+  chatId,
+  isNgambekMode: false,
+  isDeeptalkMode: false,
+  currentChatSummary: null,
+  lastInteractionTimestamp: null,
+  dailyChatCounts: {},
+});
+
 /**
  * @class GlobalState
  * @description Kelas ini mengelola semua status global aplikasi Lumina.
  * Membantu menghindari properti global yang berlebihan dan memusatkan manajemen status.
+ * Status percakapan (ngambek, deeptalk, ringkasan, interaksi) disimpan per chat
+ * agar beberapa pengguna tidak saling berbagi suasana hati atau riwayat.
  */
 class GlobalState {
     constructor() {
       /**
-       * @property {boolean} isNgambekMode - Menunjukkan apakah Lumina sedang dalam mode 'ngambek'.
+       * @property {Map<string, object>} chats - Status per chat, dikunci dengan String(chatId).
+       * Lihat `createDefaultChatState` untuk bentuk objeknya.
        */
-      this.isNgambekMode = false;
-  
+      this.chats = new Map();
+
       /**
        * @property {Map<string, string>} messageCache - Cache untuk respons AI berdasarkan prompt.
        * Menggunakan Map untuk mempertahankan urutan penyisipan (untuk LRU).
        */
       this.messageCache = new Map();
-  
+
       /**
        * @property {Map<string, {count: number, lastCalled: number}>} userRequestCounts -
        * Melacak jumlah permintaan per pengguna untuk pembatasan laju.
        */
       this.userRequestCounts = new Map();
-  
-      /**
-       * @property {boolean} isDeeptalkMode - Flag untuk menunjukkan apakah Lumina dalam mode deeptalk.
-       */
-      this.isDeeptalkMode = false;
-  
-      /**
-       * @property {string|null} currentChatSummary - Menyimpan ringkasan obrolan terbaru.
-       */
-      this.currentChatSummary = null;
-  
-      /**
-       * @property {object} loadedLongTermMemory - Cache untuk memori jangka panjang yang dimuat dari DB.
-       */
-      this.loadedLongTermMemory = {};
-  
+
       /**
        * @property {number} ltmCounter - Counter untuk pemrosesan LTM (Long-Term Memory).
        */
       this.ltmCounter = 0;
-  
-      /**
-       * @property {string|null} lastInteractionTimestamp - Waktu terakhir pengguna berinteraksi (ISO string).
-       */
-      this.lastInteractionTimestamp = null;
-  
-      /**
-       * @property {object} dailyChatCounts - Objek yang melacak jumlah chat per hari.
-       * Format: { 'YYYY-MM-DD': count }.
-       */
-      this.dailyChatCounts = {};
-  
-      /**
-       * @property {boolean} interactionMutex - Mutex sederhana untuk mencegah kondisi balapan
-       * saat memperbarui status interaksi.
-       */
-      this.interactionMutex = false;
     }
-  
+
+    /**
+     * Mengambil status sebuah chat, membuatnya jika belum ada.
+     * @param {string|number} chatId - ID chat.
+     * @returns {object} Status chat (objek yang sama dipakai ulang, boleh dimodifikasi langsung).
+     */
+    getChatState(chatId) {
+      const key = String(chatId);
+      if (!this.chats.has(key)) {
+        this.chats.set(key, createDefaultChatState(key));
+      }
+      return this.chats.get(key);
+    }
+
+    /**
+     * Melupakan status sebuah chat. Cache respons AI ikut dikosongkan
+     * karena kuncinya memuat isi percakapan.
+     * @param {string|number} chatId - ID chat.
+     */
+    forgetChat(chatId) {
+      this.chats.delete(String(chatId));
+      this.messageCache.clear();
+    }
+
+    /**
+     * Mengembalikan ID semua chat yang pernah berinteraksi dengan Lumina.
+     * @returns {Array<string>}
+     */
+    getKnownChatIds() {
+      return Array.from(this.chats.keys());
+    }
+
+    /**
+     * Menyimpan bagian status chat yang perlu bertahan setelah restart.
+     * Mode deeptalk dan ringkasan chat dihitung ulang oleh scheduler, jadi tidak disimpan.
+     * @param {object} memory - Instance modul memori (data/memory.js).
+     * @param {string|number} chatId - ID chat.
+     * @returns {Promise<void>}
+     */
+    async saveChatState(memory, chatId) {
+      const { isNgambekMode, lastInteractionTimestamp, dailyChatCounts } =
+        this.getChatState(chatId);
+      await memory.savePreference(`${CHAT_STATE_PREFIX}${chatId}`, {
+        chatId: String(chatId),
+        isNgambekMode,
+        lastInteractionTimestamp,
+        dailyChatCounts,
+      });
+    }
+
+    /**
+     * Menerapkan status chat yang tersimpan (format saveChatState) ke status di memori.
+     * @param {string|number} chatId - ID chat.
+     * @param {object} value - Nilai preferensi `chat_state_<chatId>`.
+     */
+    applySavedChatState(chatId, value) {
+      const state = this.getChatState(chatId);
+      state.isNgambekMode = value?.isNgambekMode || false;
+      state.lastInteractionTimestamp = value?.lastInteractionTimestamp || null;
+      state.dailyChatCounts = value?.dailyChatCounts || {};
+    }
+
+    /**
+     * Memindahkan preferensi lama (sebelum status per chat) ke chat TARGET_CHAT_ID.
+     * @param {object} memory - Instance modul memori.
+     * @param {object} logger - Instance logger.
+     * @param {string|number|undefined} legacyChatId - Chat yang mewarisi status lama.
+     * @returns {Promise<void>}
+     */
+    async migrateLegacyState(memory, logger, legacyChatId) {
+      const legacyKeys = ["isNgambekMode", "lastInteractionTimestamp", "dailyChatCounts", "lumina_personality"];
+      const legacyValues = {};
+      for (const key of legacyKeys) {
+        legacyValues[key] = await memory.getPreference(key);
+      }
+      if (Object.values(legacyValues).every((value) => value === undefined)) return;
+
+      if (legacyChatId) {
+        const state = this.getChatState(legacyChatId);
+        state.isNgambekMode = legacyValues.isNgambekMode || false;
+        state.lastInteractionTimestamp = legacyValues.lastInteractionTimestamp || null;
+        state.dailyChatCounts = legacyValues.dailyChatCounts || {};
+        await this.saveChatState(memory, legacyChatId);
+        if (legacyValues.lumina_personality) {
+          await memory.savePreference(`${PERSONALITY_PREFIX}${legacyChatId}`, legacyValues.lumina_personality);
+        }
+        logger.info(
+          { event: "legacy_state_migrated", chatId: String(legacyChatId) },
+          `Status global lama dipindahkan ke chat ${legacyChatId}.`
+        );
+      } else {
+        logger.warn(
+          { event: "legacy_state_dropped" },
+          "Status global lama ditemukan tetapi TARGET_CHAT_ID tidak diatur; status lama diabaikan."
+        );
+      }
+      for (const key of legacyKeys) {
+        await memory.deletePreference(key);
+      }
+    }
+
     /**
-     * Menginisialisasi status 'ngambek' dan interaksi dari memori yang disimpan.
+     * Menginisialisasi status per chat dari memori yang disimpan.
      * Dipanggil saat startup aplikasi.
      * @param {object} memory - Instance modul memori (data/memory.js).
      * @param {object} logger - Instance logger (utils/logger.js).
-     * @param {function} setPersonalityMode - Fungsi dari commandHandlers untuk mengatur mode kepribadian.
+     * @param {function(string, string): Promise<void>} setPersonalityMode - Fungsi dari commandHandlers
+     * untuk mengatur mode kepribadian sebuah chat: (chatId, mode).
+     * @param {string|number} [legacyChatId] - Chat yang mewarisi status global versi lama.
      * @returns {Promise<void>}
      */
-    async initializeFromMemory(memory, logger, setPersonalityMode) {
+    async initializeFromMemory(memory, logger, setPersonalityMode, legacyChatId) {
       try {
         // Memuat riwayat percakapan untuk memastikan memory.js sudah siap
         const loadedHistory = await memory.load();
@@ -78,39 +172,39 @@ class GlobalState {
           { event: "global_state_init", messageCount: loadedHistory.length },
           `Memuat ${loadedHistory.length} pesan dari memori (via memory.js).`
         );
-  
-        this.loadedLongTermMemory = await memory.getLongTermMemory();
-        logger.info(
-          {
-            event: "long_term_memory_load",
-            preferenceCount: Object.keys(this.loadedLongTermMemory).length,
-          },
-          `Memuat ${
-            Object.keys(this.loadedLongTermMemory).length
-          } preferensi dari memori jangka panjang.`
-        );
-  
-        this.isNgambekMode = (await memory.getPreference("isNgambekMode")) || false;
-        this.lastInteractionTimestamp =
-          (await memory.getPreference("lastInteractionTimestamp")) || null;
-        this.dailyChatCounts =
-          (await memory.getPreference("dailyChatCounts")) || {};
+
+        await this.migrateLegacyState(memory, logger, legacyChatId);
+
+        const savedChatStates = await memory.getPreferencesByPrefix(CHAT_STATE_PREFIX);
+        for (const { key, value } of savedChatStates) {
+          const chatId = value?.chatId || key.slice(CHAT_STATE_PREFIX.length);
+          this.applySavedChatState(chatId, value);
+        }
         logger.info(
           {
             event: "ngambek_status_load",
-            isNgambekMode: this.isNgambekMode,
+            chatCount: savedChatStates.length,
+            ngambekChats: this.getKnownChatIds().filter((id) => this.getChatState(id).isNgambekMode),
           },
-          `Status Ngambek dimuat: ${this.isNgambekMode}`
+          `Status ${savedChatStates.length} chat dimuat.`
         );
-  
-        const savedPersonality = await memory.getPreference("lumina_personality");
-        if (savedPersonality) {
-          await setPersonalityMode(savedPersonality);
+
+        const savedPersonalities = await memory.getPreferencesByPrefix(PERSONALITY_PREFIX);
+        for (const { key, value } of savedPersonalities) {
+          const chatId = key.slice(PERSONALITY_PREFIX.length);
+          await setPersonalityMode(chatId, value);
           logger.info(
-            { event: "personality_load", personality: savedPersonality },
-            `Mode kepribadian berhasil dimuat dari memori: ${savedPersonality}`
+            { event: "personality_load", chatId, personality: value },
+            `Mode kepribadian chat ${chatId} berhasil dimuat dari memori: ${value}`
           );
         }
+
+        // LTM tidak di-cache di sini; ai-response membacanya langsung dari koleksi ltm.
+        const ltmEntries = await memory.getLTMMemories();
+        logger.info(
+          { event: "long_term_memory_load", ltmCount: ltmEntries.length },
+          `Tersedia ${ltmEntries.length} entri memori jangka panjang.`
+        );
       } catch (error) {
         logger.error(
           {
@@ -123,6 +217,11 @@ class GlobalState {
       }
     }
   }
-  
+
   module.exports = new GlobalState(); // Ekspor instance tunggal
-  
\ No newline at end of file
+  module.exports.PERSONALITY_PREFIX = PERSONALITY_PREFIX;
+  module.exports.CHAT_STATE_PREFIX = CHAT_STATE_PREFIX;
+  module.exports.VOICE_REPLY_PREFIX = VOICE_REPLY_PREFIX;
+  module.exports.PRAYER_METHOD_PREFIX = PRAYER_METHOD_PREFIX;
+  module.exports.SCHEDULE_PREFS_PREFIX = SCHEDULE_PREFS_PREFIX;
+  module.exports.SUBSCRIBER_PREFIX = SUBSCRIBER_PREFIX;
@@ -0,0 +1,129 @@
+// utils/broadcastQueue.js
+// Delivers scheduled broadcasts to many chats without hitting Telegram's flood limits. Every send
+// goes through one shared queue that sends at most config.broadcast.ratePerSecond messages per second
+// (Telegram allows about 30 messages per second per bot); a delivery made of several messages (a long
+// text split into chunks) reserves one slot per message. On a 429 the whole queue pauses for the
+// `retry_after` Telegram asks for and the delivery is resumed from the message that was refused. On a 403 (the user blocked the bot or
+// the bot was removed from the group) the chat is unsubscribed and its other queued deliveries are dropped.
+
+const Sentry = require("@sentry/node");
+const config = require("../config/config");
+const subscribers = require("../modules/subscribers");
+const logger = require("./logger");
+
+const MAX_ATTEMPTS = 3; // Deliveries are retried after a 429 at most twice
+
+const queue = []; // { chatId, label, send, cost, progress, attempts, resolve }
+let draining = false;
+let nextSlotAt = 0;
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms - Delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Reads the HTTP error code of a node-telegram-bot-api error.
+ * @param {Error} error - Error thrown by the Telegram client.
+ * @returns {number|undefined}
+ */
+const getTelegramErrorCode = (error) => error?.response?.body?.error_code ?? error?.response?.statusCode;
+
+/**
+ * Resolves every queued delivery for a chat as not delivered and removes it from the queue.
+ * @param {string|number} chatId - The chat whose deliveries are dropped.
+ */
+const dropQueuedFor = (chatId) => {
+  for (let i = queue.length - 1; i >= 0; i--) {
+    if (String(queue[i].chatId) === String(chatId)) queue.splice(i, 1)[0].resolve(false);
+  }
+};
+
+/**
+ * Runs one delivery and handles Telegram's rate-limit and blocked responses.
+ * @param {object} job - A queue entry.
+ */
+const runJob = async (job) => {
+  try {
+    await job.send(job.progress);
+    job.resolve(true);
+  } catch (error) {
+    const code = getTelegramErrorCode(error);
+    if (code === 429 && job.attempts < MAX_ATTEMPTS) {
+      const retryAfter = Number(error.response?.body?.parameters?.retry_after) || 1;
+      nextSlotAt = Math.max(nextSlotAt, Date.now() + retryAfter * 1000);
+      logger.warn(
+        { event: "broadcast_rate_limited", chatId: job.chatId, retryAfter },
+        "[Broadcast] Telegram rate limit hit, pausing the queue."
+      );
+      queue.unshift({ ...job, attempts: job.attempts + 1 });
+      drain();
+      return;
+    }
+    if (code === 403) {
+      logger.warn(
+        { event: "broadcast_blocked", chatId: job.chatId, label: job.label },
+        "[Broadcast] Chat blocked the bot; unsubscribing it."
+      );
+      dropQueuedFor(job.chatId);
+      job.resolve(false);
+      await subscribers.unsubscribe(job.chatId, "blocked").catch((unsubscribeError) =>
+        Sentry.captureException(unsubscribeError)
+      );
+      return;
+    }
+    logger.error(
+      { event: "broadcast_delivery_error", chatId: job.chatId, label: job.label, error: error.message },
+      "[Broadcast] Failed to deliver a broadcast."
+    );
+    Sentry.captureException(error);
+    job.resolve(false);
+  }
+};
+
+/**
+ * Starts queued deliveries at the configured rate until the queue is empty. Deliveries run
+ * concurrently; only their start times are spaced out, by one interval per message they send.
+ */
+const drain = async () => {
+  if (draining) return;
+  draining = true;
+  const interval = 1000 / Math.max(config.broadcast.ratePerSecond, 1);
+  try {
+    while (queue.length > 0) {
+      const wait = nextSlotAt - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+        continue; // A 429 may have pushed nextSlotAt further while sleeping
+      }
+      const job = queue.shift();
+      nextSlotAt = Date.now() + interval * Math.max(1, job.cost - job.progress.sent);
+      runJob(job);
+    }
+  } finally {
+    draining = false;
+  }
+};
+
+/**
+ * Queues one broadcast delivery.
+ * @param {string|number} chatId - The recipient chat.
+ * @param {function({sent: number}): Promise<void>} send - Performs the Telegram call(s) and must throw
+ *   Telegram errors (use deliverMessage, not sendMessage). It is called again after a 429 with the same
+ *   progress object: a send made of several messages skips the first `progress.sent` and bumps it after
+ *   each one (deliverMessage's `progress` argument does this), so only the refused message is retried.
+ * @param {string} [label="broadcast"] - Name used in logs, e.g. the broadcast key.
+ * @param {number} [cost=1] - Number of Telegram messages `send` makes (see countMessageChunks in
+ *   utils/sendMessage.js); each one counts against the rate limit.
+ * @returns {Promise<boolean>} Resolves with true once delivered, false if it failed or the chat was dropped.
+ *   Never rejects.
+ */
+const enqueueBroadcast = (chatId, send, label = "broadcast", cost = 1) =>
+  new Promise((resolve) => {
+    queue.push({ chatId, label, send, cost: Math.max(1, cost), progress: { sent: 0 }, attempts: 1, resolve });
+    drain();
+  });
+
+module.exports = { enqueueBroadcast };
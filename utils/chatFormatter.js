@@ -4,7 +4,8 @@
  * Mengubah riwayat chat dari format JSON menjadi string teks yang mudah dibaca.
  * ...
  * @param {Array<Object>} chatHistory Array objek pesan dari memory.js.
- * @param {string} userName Nama pengguna untuk identifikasi pesan dari user.
+ * @param {string} userName Nama pengguna untuk identifikasi pesan dari user. Pesan yang menyimpan
+ * nama pengirimnya (`context.senderName`, diisi memory.addMessage) memakai nama tersebut.
  * @param {string} botName Nama bot (Lumina) untuk identifikasi pesan dari bot.
  * @returns {string} Riwayat chat yang diformat sebagai string teks.
  */
@@ -16,7 +17,9 @@ function formatChatHistoryForPrompt(chatHistory, userName, botName) {
     let formattedText = "[💬 Percakapan Sebelumnya]\n";
   
     chatHistory.forEach(message => {
-      const sender = message.role === "user" ? userName : botName;
+      const sender = message.role === "user"
+        ? message.context?.senderName || message.from?.first_name || message.from?.username || userName
+        : botName;
       const content = message.content || message.text; // Pastikan mengambil konten yang benar
   
       if (content) {
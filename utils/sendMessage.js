@@ -2,14 +2,104 @@
 
 const TelegramBot = require('node-telegram-bot-api');
 const config = require('../config/config');
+const logger = require('./logger');
+const Sentry = require('@sentry/node');
+const { toTelegramHtml, splitMarkdown, isParseError } = require('./telegramFormat');
 
 const bot = new TelegramBot(config.telegramBotToken);
 
-async function sendMessage(chatId, text) {
+/**
+* Mengirim satu potongan pesan sebagai HTML; jika Telegram menolak HTML-nya, dikirim ulang sebagai teks biasa.
+* @param {number|string} chatId ID obrolan tujuan.
+* @param {string} chunk Potongan pesan (Markdown).
+* @param {object} options Opsi Telegram untuk potongan ini.
+*/
+async function sendFormattedChunk(chatId, chunk, options) {
+  try {
+    await bot.sendMessage(chatId, toTelegramHtml(chunk), { ...options, parse_mode: 'HTML' });
+  } catch (error) {
+    if (!isParseError(error)) throw error;
+    await bot.sendMessage(chatId, chunk, options);
+  }
+}
+
+/**
+* Memecah pesan menjadi potongan yang muat dalam batas Telegram, sama seperti deliverMessage.
+* @param {string} text Isi pesan.
+* @param {object} [options] Opsi Telegram; `parse_mode` berarti teks sudah diformat.
+* @returns {Array<string>} Potongan pesan.
+*/
+function splitMessage(text, options = {}) {
+  return options.parse_mode
+    ? splitMarkdown(text, { measure: (chunk) => chunk.length })
+    : splitMarkdown(text);
+}
+
+/**
+* Menghitung berapa pesan Telegram yang dikirim deliverMessage untuk sebuah teks
+* (dipakai utils/broadcastQueue.js untuk batas kecepatan siaran).
+* @param {string} text Isi pesan.
+* @param {object} [options] Opsi Telegram (lihat deliverMessage).
+* @returns {number}
+*/
+function countMessageChunks(text, options = {}) {
+  return splitMessage(text, options).length;
+}
+
+/**
+* Mengirim pesan teks ke chat tertentu. Markdown (**tebal**, _miring_, `kode`, [tautan](url), ...) diubah
+* menjadi HTML Telegram, dan pesan yang lebih panjang dari batas Telegram dipecah di batas paragraf.
+* Tombol (`reply_markup`) hanya dipasang pada potongan terakhir. Kesalahan Telegram diteruskan ke pemanggil
+* (dipakai utils/broadcastQueue.js untuk mengenali 403 dan 429); sendMessage hanya mencatatnya.
+* @param {number|string} chatId ID obrolan tujuan.
+* @param {string} text Isi pesan.
+* @param {object} [options] Opsi tambahan Telegram, mis. `reply_markup` untuk tombol inline. Jika `parse_mode`
+*   diisi, teks dianggap sudah diformat dan hanya dipecah.
+* @param {{sent: number}} [progress] Jumlah potongan yang sudah terkirim; potongan itu dilewati dan `sent`
+*   dinaikkan setiap kali satu potongan terkirim, sehingga pengiriman ulang (mis. setelah 429) melanjutkan
+*   dari potongan yang gagal.
+* @throws {Error} Error dari Telegram, mis. 403 jika pengguna memblokir bot.
+*/
+async function deliverMessage(chatId, text, options = {}, progress = { sent: 0 }) {
+  const { reply_markup: replyMarkup, ...chunkOptions } = options;
+  const chunks = splitMessage(text, options);
+  for (const [index, chunk] of chunks.entries()) {
+    if (index < progress.sent) continue;
+    const isLast = index === chunks.length - 1;
+    const sendOptions = isLast && replyMarkup ? { ...chunkOptions, reply_markup: replyMarkup } : chunkOptions;
+    if (options.parse_mode) {
+      await bot.sendMessage(chatId, chunk, sendOptions);
+    } else {
+      await sendFormattedChunk(chatId, chunk, sendOptions);
+    }
+    progress.sent = index + 1;
+  }
+}
+
+/**
+* Mengirim pesan teks ke chat tertentu (lihat deliverMessage). Kesalahan dicatat dan dikirim ke Sentry,
+* tidak dilempar; pemanggil yang perlu tahu apakah pesannya sampai memakai deliverMessage.
+* @param {number|string} chatId ID obrolan tujuan.
+* @param {string} text Isi pesan.
+* @param {object} [options] Opsi tambahan Telegram (lihat deliverMessage).
+* @returns {Promise<boolean>} True jika terkirim.
+*/
+async function sendMessage(chatId, text, options = {}) {
   try {
-    await bot.sendMessage(chatId, text);
+    await deliverMessage(chatId, text, options);
+    return true;
   } catch (error) {
-    console.error('Error sending message:', error);
+    logger.error(
+      {
+        event: 'send_message_error',
+        chatId,
+        errorCode: error.response?.body?.error_code,
+        error: error.message,
+      },
+      '[SendMessage] Gagal mengirim pesan.'
+    );
+    Sentry.captureException(error, { extra: { chatId } });
+    return false;
   }
 }
 
@@ -33,5 +123,7 @@ const sendVoiceNote = async (chatId, audioUrl, caption = '') => {
 
 module.exports = { 
   sendMessage,
+  deliverMessage,
+  countMessageChunks,
   sendVoiceNote
  };
\ No newline at end of file
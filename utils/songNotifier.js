@@ -1,7 +1,7 @@
 // utils/songNotifier.js
 // For notifying song recomendations at night - 10 PM (Modular Update)
 
-const sendMessage = require('./sendMessage')
+const { sendMessage } = require('./sendMessage')
 
 const sadSongs = [
     {
@@ -55,13 +55,22 @@ const getRandomSadSong = () => {
     return sadSongs[randomIndex];
 };
 
+/**
+ * Menyusun pesan rekomendasi lagu sedih acak.
+ * @returns {string} Judul, alasan, dan URL lagu.
+ */
+const buildSadSongMessage = () => {
+    const song = getRandomSadSong();
+    return `🎶 Judul: ${song.title}\n${song.reason}\n${song.url}`;
+};
+
 /**
  * Mengirim notifikasi lagu sedih secara acak.
  * @param {string|number} chatId ID obrolan untuk mengirim notifikasi.
  */
 const sendSadSongNotification = async (chatId) => {
-    const song = getRandomSadSong();
-    sendMessage(chatId, `🎶 Judul: ${song.title}\n${song.reason}\n${song.url}`);
+    await sendMessage(chatId, buildSadSongMessage());
 };
 
-module.exports = sendSadSongNotification;
\ No newline at end of file
+module.exports = sendSadSongNotification;
+module.exports.buildSadSongMessage = buildSadSongMessage;
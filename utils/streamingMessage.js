@@ -0,0 +1,152 @@
+// utils/streamingMessage.js
+// Shows a streamed AI reply progressively: the first tokens are sent as a new message,
+// which is then edited in place (throttled) until the completion finishes.
+// The typing indicator is kept alive for exactly as long as generation runs.
+// Markdown in the reply is rendered as Telegram HTML (see telegramFormat.js).
+
+const logger = require("./logger");
+const Sentry = require("@sentry/node");
+const { toTelegramHtml, splitMarkdown, isParseError } = require("./telegramFormat");
+
+const DEFAULT_EDIT_INTERVAL_MS = 1200; // Stay well below Telegram's edit rate limits
+const TYPING_REFRESH_MS = 4500; // Telegram clears 'typing' after ~5 seconds
+const MIN_FIRST_CHUNK_LENGTH = 12; // Avoid sending a message that only says "Hm"
+
+/**
+ * Sends or edits one Markdown chunk as HTML, retrying as plain text if Telegram can't parse the HTML.
+ * @param {function(string, object): Promise<object>} send - Calls sendMessage or editMessageText with (text, options).
+ * @param {string} chunk - Markdown chunk that fits in one message.
+ * @returns {Promise<object>} Telegram's response.
+ */
+const sendFormatted = async (send, chunk) => {
+  try {
+    return await send(toTelegramHtml(chunk), { parse_mode: "HTML" });
+  } catch (error) {
+    if (!isParseError(error)) throw error;
+    return send(chunk, {});
+  }
+};
+
+/**
+ * Creates a progressively edited reply for one chat.
+ * @param {object} bot - The Telegram bot instance.
+ * @param {string|number} chatId - Target chat ID.
+ * @param {object} [options]
+ * @param {number} [options.editIntervalMs] - Minimum delay between two edits.
+ * @returns {{update: function(string): void, finish: function(string): Promise<void>, cancel: function(): void}}
+ */
+const createStreamingReply = (
+  bot,
+  chatId,
+  { editIntervalMs = DEFAULT_EDIT_INTERVAL_MS } = {}
+) => {
+  let messageId = null;
+  let latestText = "";
+  let shownText = "";
+  let lastEditAt = 0;
+  let editTimer = null;
+  let finished = false;
+  // Every Telegram call goes through this chain so sends and edits never overlap.
+  let queue = Promise.resolve();
+
+  const sendTyping = () =>
+    bot.sendChatAction(chatId, "typing").catch((error) =>
+      logger.warn(
+        { event: "stream_typing_error", chatId, error: error.message },
+        "Failed to refresh typing indicator."
+      )
+    );
+  sendTyping();
+  const typingInterval = setInterval(sendTyping, TYPING_REFRESH_MS);
+
+  const enqueue = (task) => {
+    queue = queue.then(task).catch((error) => {
+      // "message is not modified" is harmless; anything else is worth reporting.
+      if (!/message is not modified/i.test(error.message)) {
+        logger.error(
+          { event: "stream_message_error", chatId, error: error.message },
+          "Failed to send or edit streamed message."
+        );
+        Sentry.captureException(error, { extra: { chatId } });
+      }
+    });
+    return queue;
+  };
+
+  const flush = () => {
+    editTimer = null;
+    // Only the first message is streamed; the rest is sent by finish().
+    const [text = ""] = splitMarkdown(latestText);
+    if (finished || !text || text === shownText) return;
+    lastEditAt = Date.now();
+    shownText = text;
+    enqueue(async () => {
+      if (messageId) {
+        await sendFormatted(
+          (body, options) => bot.editMessageText(body, { chat_id: chatId, message_id: messageId, ...options }),
+          text
+        );
+      } else {
+        const sent = await sendFormatted((body, options) => bot.sendMessage(chatId, body, options), text);
+        messageId = sent.message_id;
+      }
+    });
+  };
+
+  /**
+   * Receives the full text generated so far.
+   * @param {string} text - Accumulated completion text.
+   */
+  const update = (text) => {
+    latestText = text;
+    if (finished || editTimer) return;
+    if (!messageId && !shownText && text.trim().length < MIN_FIRST_CHUNK_LENGTH) return;
+
+    const wait = shownText ? Math.max(0, lastEditAt + editIntervalMs - Date.now()) : 0;
+    editTimer = setTimeout(flush, wait);
+  };
+
+  /**
+   * Stops the typing indicator and pending edits without sending anything else.
+   */
+  const cancel = () => {
+    finished = true;
+    clearInterval(typingInterval);
+    clearTimeout(editTimer);
+  };
+
+  /**
+   * Shows the final text: edits the streamed message, or sends it if nothing was streamed
+   * (cached replies, rate-limit notices, ...). Text beyond Telegram's limit is sent as extra messages,
+   * split at paragraph boundaries.
+   * @param {string} finalText - The complete reply.
+   */
+  const finish = async (finalText) => {
+    cancel();
+    await queue;
+    if (!finalText) return;
+
+    const [first, ...rest] = splitMarkdown(finalText);
+    if (!first) return;
+    const sendNew = (body, options) => bot.sendMessage(chatId, body, options);
+    await enqueue(async () => {
+      if (messageId) {
+        if (first !== shownText) {
+          await sendFormatted(
+            (body, options) => bot.editMessageText(body, { chat_id: chatId, message_id: messageId, ...options }),
+            first
+          );
+        }
+      } else {
+        await sendFormatted(sendNew, first);
+      }
+      for (const chunk of rest) {
+        await sendFormatted(sendNew, chunk);
+      }
+    });
+  };
+
+  return { update, finish, cancel };
+};
+
+module.exports = { createStreamingReply };
@@ -0,0 +1,211 @@
+// utils/telegramFormat.js
+// Turns the Markdown that the model (and a few commands) write into Telegram-safe HTML, and splits
+// long texts into messages that fit Telegram's 4096-character limit.
+//
+// Supported: **bold**, *bold*, __bold__, _italic_, ~~strike~~, `code`, ``` fenced blocks ```,
+// [text](url), "# headings" (rendered bold) and "-"/"*" bullets (rendered "•"). Everything else is
+// escaped, so arbitrary text can be sent with parse_mode "HTML".
+
+const TELEGRAM_MAX_LENGTH = 4096;
+const PLACEHOLDER = "\u0000";
+const FENCE_PATTERN = /^\s*```/;
+
+/**
+ * Escapes the characters Telegram's HTML parse mode treats specially.
+ * @param {string} text - Raw text.
+ * @returns {string}
+ */
+const escapeHtml = (text) => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * Applies the inline Markdown rules to text that is already HTML-escaped.
+ * Markers only count when they hug a word ("*bold*", not "a * b"), so stray asterisks and
+ * snake_case names stay as they are.
+ * @param {string} text - Escaped text without code or links.
+ * @returns {string}
+ */
+const formatInline = (text) =>
+  text
+    .replace(/\*\*(?=\S)([^*\n]*?\S)\*\*/g, "<b>$1</b>")
+    .replace(/(^|[^\w*])__(?=\S)([^_\n]*?\S)__(?!\w)/g, "$1<b>$2</b>")
+    .replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?![\w*])/g, "$1<b>$2</b>")
+    .replace(/(^|[^\w_])_(?=\S)([^_\n]*?\S)_(?![\w_])/g, "$1<i>$2</i>")
+    .replace(/~~(?=\S)([^~\n]*?\S)~~/g, "<s>$1</s>");
+
+/**
+ * Converts Markdown to Telegram HTML. Unbalanced markers are left as literal text.
+ * @param {string} markdown - Text to convert.
+ * @returns {string} HTML for parse_mode "HTML".
+ */
+const toTelegramHtml = (markdown) => {
+  // Code and links are swapped for placeholders first so no other rule touches them.
+  const stash = [];
+  const keep = (html) => `${PLACEHOLDER}${stash.push(html) - 1}${PLACEHOLDER}`;
+
+  let text = String(markdown || "")
+    .replace(/```([\w+-]*)[^\S\n]*\n?([\s\S]*?)```/g, (match, language, code) =>
+      keep(
+        language
+          ? `<pre><code class="language-${language}">${escapeHtml(code.replace(/\n$/, ""))}</code></pre>`
+          : `<pre>${escapeHtml(code.replace(/\n$/, ""))}</pre>`
+      )
+    )
+    .replace(/`([^`\n]+)`/g, (match, code) => keep(`<code>${escapeHtml(code)}</code>`))
+    .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, (match, label, url) =>
+      keep(`<a href="${escapeHtml(url).replace(/"/g, "&quot;")}">${formatInline(escapeHtml(label))}</a>`)
+    )
+    .replace(/https?:\/\/[^\s<>]+/g, (url) => keep(escapeHtml(url)));
+
+  text = escapeHtml(text)
+    .split("\n")
+    .map((line) => {
+      const heading = line.match(/^#{1,6}\s+(.+?)\s*#*$/);
+      if (heading) return `<b>${formatInline(heading[1])}</b>`;
+      return formatInline(line.replace(/^(\s*)[*-]\s+/, "$1• "));
+    })
+    .join("\n");
+
+  return text.replace(new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, "g"), (match, index) => stash[index]);
+};
+
+/**
+ * Splits Markdown into blocks separated by blank lines; a fenced code block is always one block.
+ * @param {string} text - Markdown text.
+ * @returns {Array<string>}
+ */
+const splitBlocks = (text) => {
+  const blocks = [];
+  let current = [];
+  let inFence = false;
+  for (const line of text.split("\n")) {
+    if (FENCE_PATTERN.test(line)) inFence = !inFence;
+    if (!inFence && !line.trim() && !FENCE_PATTERN.test(line)) {
+      if (current.length) blocks.push(current.join("\n"));
+      current = [];
+    } else {
+      current.push(line);
+    }
+  }
+  if (current.length) blocks.push(current.join("\n"));
+  return blocks;
+};
+
+/**
+ * Greedily joins pieces into as few chunks as possible while each chunk still fits.
+ * @param {Array<string>} pieces - Pieces in order; each must fit on its own.
+ * @param {string} joiner - Text placed between two pieces of the same chunk.
+ * @param {function(string): boolean} fits - Whether a chunk fits in one message.
+ * @returns {Array<string>}
+ */
+const pack = (pieces, joiner, fits) => {
+  const chunks = [];
+  let current = null;
+  for (const piece of pieces) {
+    const candidate = current === null ? piece : `${current}${joiner}${piece}`;
+    if (current !== null && !fits(candidate)) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current !== null) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * Cuts a text that has no usable break points into the longest prefixes that fit.
+ * @param {string} text - Text to cut.
+ * @param {function(string): boolean} fits - Whether a chunk fits in one message.
+ * @returns {Array<string>}
+ */
+const hardSplit = (text, fits) => {
+  const chunks = [];
+  let rest = text;
+  while (rest) {
+    let size = Math.min(rest.length, TELEGRAM_MAX_LENGTH);
+    while (size > 1 && !fits(rest.slice(0, size))) size = Math.floor(size * 0.9);
+    chunks.push(rest.slice(0, size));
+    rest = rest.slice(size);
+  }
+  return chunks;
+};
+
+/**
+ * Breaks one block that is too long into pieces that fit: by line, then by sentence or word,
+ * then by character. Code blocks are split by line and every piece keeps its fences.
+ * @param {string} block - A block from splitBlocks.
+ * @param {function(string): boolean} fits - Whether a chunk fits in one message.
+ * @returns {Array<string>}
+ */
+const splitBlock = (block, fits) => {
+  if (fits(block)) return [block];
+
+  const lines = block.split("\n");
+  if (FENCE_PATTERN.test(lines[0]) && lines.length > 2) {
+    const open = lines[0].trim();
+    const body = FENCE_PATTERN.test(lines[lines.length - 1]) ? lines.slice(1, -1) : lines.slice(1);
+    const fitsFenced = (code) => fits(`${open}\n${code}\n\`\`\``);
+    return pack(
+      body.flatMap((line) => (fitsFenced(line) ? [line] : hardSplit(line, fitsFenced))),
+      "\n",
+      fitsFenced
+    ).map((code) => `${open}\n${code}\n\`\`\``);
+  }
+  if (lines.length > 1) {
+    return pack(
+      lines.flatMap((line) => splitBlock(line, fits)),
+      "\n",
+      fits
+    );
+  }
+
+  const words = block.split(/(?<=[.!?])\s+|\s+/);
+  if (words.length > 1) {
+    return pack(
+      words.flatMap((word) => (fits(word) ? [word] : hardSplit(word, fits))),
+      " ",
+      fits
+    );
+  }
+  return hardSplit(block, fits);
+};
+
+/**
+ * Splits Markdown into chunks that each fit in one Telegram message once converted,
+ * preferring paragraph boundaries, then lines, then sentences and words.
+ * @param {string} markdown - Text to split.
+ * @param {object} [options]
+ * @param {number} [options.limit=4096] - Maximum length of one message.
+ * @param {function(string): number} [options.measure] - Length of a chunk as sent; defaults to its HTML length.
+ * @returns {Array<string>} Markdown chunks (convert each with toTelegramHtml).
+ */
+const splitMarkdown = (
+  markdown,
+  { limit = TELEGRAM_MAX_LENGTH, measure = (chunk) => toTelegramHtml(chunk).length } = {}
+) => {
+  const text = String(markdown || "").trim();
+  if (!text) return [];
+  const fits = (chunk) => measure(chunk) <= limit;
+  if (fits(text)) return [text];
+  return pack(
+    splitBlocks(text).flatMap((block) => splitBlock(block, fits)),
+    "\n\n",
+    fits
+  );
+};
+
+/**
+ * Whether a Telegram error means the HTML couldn't be parsed, so the text should be resent plain.
+ * @param {Error} error - Error thrown by node-telegram-bot-api.
+ * @returns {boolean}
+ */
+const isParseError = (error) => /can't parse entities|unsupported start tag|can't find end tag/i.test(error.message);
+
+module.exports = {
+  TELEGRAM_MAX_LENGTH,
+  escapeHtml,
+  toTelegramHtml,
+  splitMarkdown,
+  isParseError,
+};
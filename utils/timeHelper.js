@@ -1,63 +1,64 @@
 // utils/timeHelper.js
 
 const moment = require('moment-timezone'); // Library untuk penanganan waktu dan zona waktu
+const config = require('../config/config');
+
+// Zona waktu untuk pengguna yang belum memilih zonanya sendiri (/jadwal zona) dan untuk job server.
+const DEFAULT_TIMEZONE = moment.tz.zone(config.timezone || '') ? config.timezone : 'Asia/Jakarta';
 
 /**
- * Mengembalikan objek Moment.js yang diatur ke zona waktu Asia/Jakarta.
- * Ini adalah fungsi dasar untuk memastikan semua operasi waktu konsisten.
- * @returns {object} Objek Moment.js yang dikonfigurasi untuk Asia/Jakarta.
+ * Mengecek apakah sebuah nama zona waktu IANA dikenal (mis. "Asia/Makassar").
+ * @param {string} timezone Nama zona waktu.
+ * @returns {boolean}
  */
-const getJakartaMoment = () => {
-    return moment().tz('Asia/Jakarta');
-};
+const isValidTimezone = (timezone) => typeof timezone === 'string' && !!moment.tz.zone(timezone);
 
 /**
- * Mengembalikan jam saat ini di Jakarta dalam format 24 jam (HH).
- * @returns {number} Jam saat ini (0-23) di Jakarta.
+ * Mengembalikan objek Moment.js pada zona waktu tertentu.
+ * Ini adalah fungsi dasar untuk memastikan semua operasi waktu konsisten.
+ * @param {string|Date|number} [time] - Waktu yang di-parse (mis. string ISO tersimpan); default sekarang.
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - Zona waktu IANA, mis. zona pilihan pengguna.
+ * @returns {object} Objek Moment.js pada zona waktu tersebut.
  */
-const getJakartaHour = () => {
-    return getJakartaMoment().hour();
+const getMoment = (time, timezone = DEFAULT_TIMEZONE) => {
+    return (time === undefined ? moment() : moment(time)).tz(timezone);
 };
 
 /**
- * Mengembalikan menit saat ini di Jakarta dalam format (MM).
- * @returns {number} Menit saat ini (0-59) di Jakarta.
+ * Mengembalikan jam saat ini dalam format 24 jam (HH).
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - Zona waktu IANA.
+ * @returns {number} Jam saat ini (0-23).
  */
-const getJakartaMinute = () => {
-    return getJakartaMoment().minute();
+const getHour = (timezone) => {
+    return getMoment(undefined, timezone).hour();
 };
 
 /**
- * Mengembalikan tanggal dan waktu saat ini di Jakarta dalam format yang mudah dibaca.
+ * Mengembalikan tanggal dan waktu dalam format yang mudah dibaca.
  * Contoh: "Senin, 26 Mei 2025, 17:11"
  * @param {Date|string} [dateInput] Opsional: Tanggal atau string tanggal untuk diformat. Jika tidak disediakan, akan menggunakan waktu saat ini.
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - Zona waktu IANA.
  * @returns {string} Tanggal dan waktu yang diformat.
  */
-const formatJakartaDateTime = (dateInput) => {
-    if (dateInput) {
-        return moment(dateInput).tz('Asia/Jakarta').format('dddd, DD MMMM YYYY, HH:mm');
-    }
-    return getJakartaMoment().format('dddd, DD MMMM YYYY, HH:mm');
+const formatDateTime = (dateInput, timezone) => {
+    return getMoment(dateInput || undefined, timezone).format('dddd, DD MMMM YYYY, HH:mm');
 };
 
 /**
- * Mengembalikan waktu di Jakarta dalam format HH:MM.
+ * Mengembalikan waktu dalam format HH:MM.
  * @param {Date|string} [dateInput] Opsional: Tanggal atau string tanggal untuk diformat. Jika tidak disediakan, akan menggunakan waktu saat ini.
+ * @param {string} [timezone=DEFAULT_TIMEZONE] - Zona waktu IANA.
  * @returns {string} Waktu yang diformat (HH:MM).
  */
-const formatJakartaTime = (dateInput) => {
-    if (dateInput) {
-        return moment(dateInput).tz('Asia/Jakarta').format('HH:mm');
-    }
-    return getJakartaMoment().format('HH:mm');
+const formatTime = (dateInput, timezone) => {
+    return getMoment(dateInput || undefined, timezone).format('HH:mm');
 };
 
 module.exports = {
-    getJakartaMoment,
-    getJakartaHour,
-    getJakartaMinute,
-    formatJakartaDateTime,
-    formatJakartaTime
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    getMoment,
+    getHour,
+    formatDateTime,
+    formatTime
 };
-
-